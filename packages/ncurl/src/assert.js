@@ -0,0 +1,315 @@
+/**
+ * nCurl Assertions - Response Expectations for Smoke Tests
+ *
+ * @context Verification layer that lets deploy scripts use ncurl as a smoke-test tool
+ * @purpose Checks status, headers, JSON content and response time against `--expect-*` options
+ * @integration main() and the .http file runner evaluate assertions on the result of executeRequest
+ * @workflow Validate the options before sending → evaluate each against the result → report and fail on mismatch
+ *
+ * Assertion Syntax:
+ * - `--expect-status 2xx` / `200` / `200,201,3xx`
+ * - `--expect-header content-type` (present), `!x-debug` (absent), `name=value` (exact), `name~regex` (match)
+ * - `--expect-json '$.data.length > 0'` with `== != > >= < <= ~`, or a bare path that must be truthy
+ * - `--expect-time 500` (total time in milliseconds)
+ *
+ * @example
+ * const results = evaluateAssertions(result, { expectStatus: '2xx', expectJson: ['$.ok == true'] });
+ * console.error(formatAssertionReport(results));
+ */
+
+import { getHeader } from './headers.js';
+import { queryJsonPath } from './query.js';
+
+/**
+ * Comparison operators supported by --expect-json
+ */
+const JSON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<', '~'];
+
+/**
+ * @typedef {Object} AssertionResult
+ * @property {string} assertion - Assertion as written on the command line
+ * @property {boolean} passed - Whether the result satisfied it
+ * @property {string} expected - Human-readable expectation
+ * @property {string} actual - Human-readable actual value
+ */
+
+/**
+ * Check whether any assertion option is set
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {boolean} True when assertions should be evaluated
+ */
+export function hasAssertions(options = {}) {
+  return Boolean(
+    options.expectStatus ||
+      options.expectHeader?.length ||
+      options.expectJson?.length ||
+      options.expectTime,
+  );
+}
+
+/**
+ * Render a value for the report
+ * @param {*} value - Any value
+ * @returns {string} Compact representation
+ */
+function show(value) {
+  if (value === undefined) {
+    return '(missing)';
+  }
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+/**
+ * Parse a `2xx` / `200` / comma-separated status spec
+ * @param {string} spec - Expected status spec
+ * @returns {string[]} Status patterns
+ * @throws {Error} When a pattern is not a status code or class
+ */
+function parseStatusSpec(spec) {
+  const patterns = String(spec)
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+
+  for (const pattern of patterns) {
+    if (!/^[1-5](\d\d|xx)$/i.test(pattern)) {
+      throw new Error(`Invalid --expect-status "${pattern}". Examples: 200, 2xx, 200,304`);
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Parse the `name~regex` pattern of a header rule
+ * @param {string} expected - Pattern text
+ * @returns {RegExp} Case-insensitive pattern
+ * @throws {Error} When the pattern is not a valid regular expression
+ */
+function parseHeaderPattern(expected) {
+  try {
+    return new RegExp(expected, 'i');
+  } catch {
+    throw new Error(`Invalid --expect-header pattern "${expected}"`);
+  }
+}
+
+/**
+ * Parse a JSON assertion into its path, operator and expected literal
+ * @param {string} expression - Assertion expression such as `$.data.length > 0`
+ * @returns {{path: string, operator?: string, expected?: *, pattern?: RegExp}} Parsed assertion
+ * @throws {Error} When the expression or its `~` pattern is malformed
+ */
+function parseJsonAssertion(expression) {
+  const match = expression.match(/^\s*(\$\S*)\s*(?:(==|!=|>=|<=|>|<|~)\s*(.*))?$/);
+  if (!match) {
+    throw new Error(
+      `Invalid --expect-json "${expression}". Example: '$.data.length > 0' (operators: ${JSON_OPERATORS.join(' ')})`,
+    );
+  }
+
+  const [, path, operator, right] = match;
+  if (!operator) {
+    return { path };
+  }
+  const expected = parseLiteral(right);
+  if (operator !== '~') {
+    return { path, operator, expected };
+  }
+  try {
+    return { path, operator, expected, pattern: new RegExp(String(expected)) };
+  } catch (error) {
+    throw new Error(`Invalid pattern in --expect-json "${expression}": ${error.message}`);
+  }
+}
+
+/**
+ * Parse the `--expect-time` limit
+ * @param {string|number} value - Limit in milliseconds
+ * @returns {number} Positive limit
+ * @throws {Error} When the limit is not a positive number
+ */
+function parseTimeLimit(value) {
+  const limit = Number(value);
+  if (!Number.isFinite(limit) || limit <= 0) {
+    throw new Error(`Invalid --expect-time "${value}". Use milliseconds, e.g. 500`);
+  }
+  return limit;
+}
+
+/**
+ * Check a status code against `2xx` / `200` / comma-separated lists of both
+ * @param {number} status - Response status
+ * @param {string} spec - Expected status spec
+ * @returns {AssertionResult} Result
+ */
+function checkStatus(status, spec) {
+  const patterns = parseStatusSpec(spec);
+  const passed = patterns.some(pattern =>
+    /xx$/i.test(pattern) ? String(status)[0] === pattern[0] : Number(pattern) === status,
+  );
+  return { assertion: `status ${spec}`, passed, expected: patterns.join(' or '), actual: status };
+}
+
+/**
+ * Check a header rule: `name`, `!name`, `name=value` or `name~regex`
+ * @param {Object} headers - Response headers
+ * @param {string} rule - Header rule
+ * @returns {AssertionResult} Result
+ */
+function checkHeader(headers, rule) {
+  const assertion = `header ${rule}`;
+  const rawValue = getHeader(headers, rule.replace(/^!/, '').split(/[=~]/)[0].trim());
+  const value = Array.isArray(rawValue) ? rawValue.join(', ') : rawValue;
+
+  if (rule.startsWith('!')) {
+    return { assertion, passed: value === undefined, expected: '(absent)', actual: show(value) };
+  }
+
+  const match = rule.match(/^([^=~]+)([=~])(.*)$/);
+  if (!match) {
+    return { assertion, passed: value !== undefined, expected: '(present)', actual: show(value) };
+  }
+
+  const [, , operator, expected] = match;
+  if (operator === '=') {
+    return { assertion, passed: value === expected, expected: show(expected), actual: show(value) };
+  }
+
+  const pattern = parseHeaderPattern(expected);
+  return {
+    assertion,
+    passed: value !== undefined && pattern.test(value),
+    expected: `matching /${expected}/i`,
+    actual: show(value),
+  };
+}
+
+/**
+ * Parse the right-hand side of a JSON assertion (JSON literal, or a bare string)
+ * @param {string} text - Literal text
+ * @returns {*} Parsed literal
+ */
+function parseLiteral(text) {
+  const trimmed = text.trim();
+  if (/^'.*'$/.test(trimmed)) {
+    return trimmed.slice(1, -1);
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return trimmed;
+  }
+}
+
+/**
+ * Check a JSON assertion such as `$.data.length > 0`
+ * @param {*} data - Parsed response body
+ * @param {string} expression - Assertion expression
+ * @returns {AssertionResult} Result
+ */
+export function checkJson(data, expression) {
+  const assertion = `json ${expression}`;
+  const { path, operator, expected, pattern } = parseJsonAssertion(expression);
+
+  if (typeof data !== 'object' || data === null) {
+    return { assertion, passed: false, expected: 'a JSON response', actual: show(data) };
+  }
+
+  const actual = queryJsonPath(data, path);
+  if (!operator) {
+    return { assertion, passed: Boolean(actual), expected: 'truthy', actual: show(actual) };
+  }
+
+  const comparisons = {
+    '==': () => JSON.stringify(actual) === JSON.stringify(expected),
+    '!=': () => JSON.stringify(actual) !== JSON.stringify(expected),
+    '>': () => actual > expected,
+    '>=': () => actual >= expected,
+    '<': () => actual < expected,
+    '<=': () => actual <= expected,
+    '~': () => actual !== undefined && pattern.test(String(actual)),
+  };
+
+  return {
+    assertion,
+    passed: actual !== undefined && comparisons[operator](),
+    expected: `${operator} ${show(expected)}`,
+    actual: show(actual),
+  };
+}
+
+/**
+ * Validate every `--expect-*` option, so a malformed one fails before the request is sent
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @throws {Error} When an assertion is malformed
+ */
+export function validateAssertions(options = {}) {
+  if (options.expectStatus) {
+    parseStatusSpec(options.expectStatus);
+  }
+  for (const rule of options.expectHeader || []) {
+    const match = rule.match(/^[^=~]+~(.*)$/);
+    if (match && !rule.startsWith('!')) {
+      parseHeaderPattern(match[1]);
+    }
+  }
+  for (const expression of options.expectJson || []) {
+    parseJsonAssertion(expression);
+  }
+  if (options.expectTime) {
+    parseTimeLimit(options.expectTime);
+  }
+}
+
+/**
+ * Evaluate every `--expect-*` option against a request result
+ * @param {Object} result - Result from executeRequest
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {AssertionResult[]} One entry per assertion
+ * @throws {Error} When an assertion is malformed
+ */
+export function evaluateAssertions(result, options = {}) {
+  const results = [];
+
+  if (options.expectStatus) {
+    results.push(checkStatus(result.status, options.expectStatus));
+  }
+  for (const rule of options.expectHeader || []) {
+    results.push(checkHeader(result.headers, rule));
+  }
+  for (const expression of options.expectJson || []) {
+    results.push(checkJson(result.data, expression));
+  }
+  if (options.expectTime) {
+    const limit = parseTimeLimit(options.expectTime);
+    results.push({
+      assertion: `time <= ${limit}ms`,
+      passed: result.duration <= limit,
+      expected: `<= ${limit}ms`,
+      actual: `${Math.round(result.duration)}ms`,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Format assertion results as a readable pass/fail report
+ * @param {AssertionResult[]} results - Evaluated assertions
+ * @returns {string} Report (failed assertions show expected and actual values)
+ */
+export function formatAssertionReport(results) {
+  const failed = results.filter(result => !result.passed).length;
+  const lines = results.flatMap(({ assertion, passed, expected, actual }) =>
+    passed
+      ? [`✓ ${assertion}`]
+      : [`✗ ${assertion}`, `    expected: ${expected}`, `    actual:   ${actual}`],
+  );
+
+  const noun = results.length === 1 ? 'assertion' : 'assertions';
+  lines.push(
+    failed ? `${failed} of ${results.length} ${noun} failed` : `${results.length} ${noun} passed`,
+  );
+  return lines.join('\n');
+}
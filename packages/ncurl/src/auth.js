@@ -0,0 +1,369 @@
+/**
+ * nCurl Auth - Basic, Bearer, API Key and Digest Authentication Helpers
+ *
+ * @context Authentication layer of the nCurl HTTP client
+ * @purpose Replaces hand-crafted `-H 'authorization: ...'` headers with dedicated, redaction-aware options
+ * @integration executeRequest calls applyAuth before sending and answers Digest challenges after the first response
+ * @workflow Resolves credentials (optionally from environment variables), sets headers or query params, redacts for display
+ *
+ * Supported Schemes:
+ * - `--user user:pass` → Basic authentication (or Digest with `--digest`)
+ * - `--bearer <token|env:VAR>` → `authorization: Bearer <token>`
+ * - `--api-key header:X-API-Key=<value>` or `--api-key query:api_key=<value>`
+ * - HTTP Digest (MD5, SHA-256 and their -sess variants) answered from a 401 challenge
+ *
+ * Security:
+ * - Explicit `-H authorization: ...` headers always win over generated ones
+ * - redactHeaders / redactUrl / redactText hide credentials in verbose output, HAR files and fixtures
+ *
+ * @example
+ * const headers = {};
+ * const url = applyAuth('https://api.example.com/users', headers, { bearer: 'env:API_TOKEN' });
+ * // headers.authorization === 'Bearer <value of $API_TOKEN>'
+ */
+
+import crypto from 'crypto';
+import { findHeaderKey, getHeader, hasHeader } from './headers.js';
+
+/**
+ * Placeholder shown instead of credentials
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Request headers that always carry credentials
+ */
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key'];
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {'header'|'query'} location - Where the key is sent
+ * @property {string} name - Header or query parameter name
+ * @property {string} value - Key value
+ */
+
+/**
+ * Resolve a secret value, reading `env:VAR` references from the environment
+ * @param {string} value - Literal secret or `env:VAR`
+ * @returns {string} Secret value
+ * @throws {Error} When the referenced environment variable is not set
+ */
+export function resolveSecret(value) {
+  if (typeof value !== 'string' || !value.startsWith('env:')) {
+    return value;
+  }
+
+  const name = value.slice(4);
+  const secret = process.env[name];
+  if (!secret) {
+    throw new Error(`Environment variable ${name} is not set (referenced as env:${name})`);
+  }
+  return secret;
+}
+
+/**
+ * Split `--user user:pass` credentials
+ * @param {string} user - Credentials string (password may be `env:VAR`)
+ * @returns {{ username: string, password: string }} Credentials
+ */
+export function parseUserCredentials(user) {
+  const separator = user.indexOf(':');
+  if (separator === -1) {
+    throw new Error('Invalid --user value. Expected user:password (password may be env:VAR)');
+  }
+  return {
+    username: user.slice(0, separator),
+    password: resolveSecret(user.slice(separator + 1)),
+  };
+}
+
+/**
+ * Parse an `--api-key` spec
+ * @param {string} spec - `header:Name=value`, `query:name=value` or plain `Name=value` (header)
+ * @returns {ApiKey} Parsed API key
+ * @throws {Error} When the spec is malformed
+ */
+export function parseApiKey(spec) {
+  let location = 'header';
+  let rest = spec;
+
+  const prefix = spec.match(/^(header|query):/i);
+  if (prefix) {
+    location = prefix[1].toLowerCase();
+    rest = spec.slice(prefix[0].length);
+  }
+
+  const separator = rest.indexOf('=');
+  if (separator <= 0) {
+    throw new Error(
+      'Invalid --api-key value. Expected header:X-API-Key=<value> or query:api_key=<value>',
+    );
+  }
+
+  return {
+    location,
+    name: rest.slice(0, separator),
+    value: resolveSecret(rest.slice(separator + 1)),
+  };
+}
+
+/**
+ * Apply Basic, Bearer and API key authentication to a request
+ * @param {string} url - Validated request URL
+ * @param {Object} headers - Request headers (mutated)
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {string} Request URL (with the API key query parameter when requested)
+ */
+export function applyAuth(url, headers, options = {}) {
+  if (!hasHeader(headers, 'authorization')) {
+    if (options.bearer) {
+      headers['authorization'] = `Bearer ${resolveSecret(options.bearer)}`;
+    } else if (options.user && !options.digest) {
+      const { username, password } = parseUserCredentials(options.user);
+      const encoded = Buffer.from(`${username}:${password}`).toString('base64');
+      headers['authorization'] = `Basic ${encoded}`;
+    }
+  }
+
+  if (options.apiKey) {
+    const apiKey = parseApiKey(options.apiKey);
+    if (apiKey.location === 'query') {
+      const target = new URL(url);
+      target.searchParams.set(apiKey.name, apiKey.value);
+      return target.toString();
+    }
+    if (!hasHeader(headers, apiKey.name)) {
+      headers[apiKey.name] = apiKey.value;
+    }
+  }
+
+  return url;
+}
+
+/**
+ * Collect every secret value derived from the auth options
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {string[]} Secret values to scrub from output
+ */
+export function collectSecrets(options = {}) {
+  const secrets = [];
+
+  try {
+    if (options.bearer) {
+      secrets.push(resolveSecret(options.bearer));
+    }
+    if (options.user) {
+      const { username, password } = parseUserCredentials(options.user);
+      secrets.push(password, Buffer.from(`${username}:${password}`).toString('base64'));
+    }
+    if (options.apiKey) {
+      secrets.push(parseApiKey(options.apiKey).value);
+    }
+  } catch {
+    // Invalid auth options are reported by applyAuth
+  }
+
+  return secrets.filter(secret => secret && secret.length >= 4);
+}
+
+/**
+ * List the lower-cased request headers that carry credentials, including the --api-key header
+ * @param {import('./index.js').HTTPOptions} [options] - Command options
+ * @returns {string[]} Header names
+ */
+export function getSensitiveHeaders(options = {}) {
+  const sensitive = [...SENSITIVE_HEADERS];
+  if (options.apiKey) {
+    try {
+      sensitive.push(parseApiKey(options.apiKey).name.toLowerCase());
+    } catch {
+      // Invalid specs never reach the wire
+    }
+  }
+  return sensitive;
+}
+
+/**
+ * Copy a header map with credential-bearing values redacted
+ * @param {Object} headers - Request headers
+ * @param {import('./index.js').HTTPOptions} [options] - Command options (adds the API key header name)
+ * @returns {Object} Redacted copy
+ */
+export function redactHeaders(headers = {}, options = {}) {
+  const sensitive = getSensitiveHeaders(options);
+
+  const redacted = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!sensitive.includes(name.toLowerCase())) {
+      redacted[name] = value;
+    } else if (/^(basic|bearer|digest)\s/i.test(String(value))) {
+      redacted[name] = `${String(value).split(/\s/)[0]} ${REDACTED}`;
+    } else {
+      redacted[name] = REDACTED;
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Copy a response header map with Set-Cookie values redacted, keeping cookie names and attributes
+ * @param {Object} headers - Response headers
+ * @returns {Object} Redacted copy
+ */
+export function redactSetCookies(headers = {}) {
+  const redactCookie = value => String(value).replace(/^([^=;]*)=[^;]*/, `$1=${REDACTED}`);
+  const redacted = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (name.toLowerCase() !== 'set-cookie') {
+      redacted[name] = value;
+    } else {
+      redacted[name] = Array.isArray(value) ? value.map(redactCookie) : redactCookie(value);
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Redact the API key query parameter from a URL
+ * @param {string} url - Request URL
+ * @param {import('./index.js').HTTPOptions} [options] - Command options
+ * @returns {string} URL safe to display
+ */
+export function redactUrl(url, options = {}) {
+  if (!options.apiKey) {
+    return url;
+  }
+
+  try {
+    const apiKey = parseApiKey(options.apiKey);
+    const target = new URL(url);
+    if (apiKey.location !== 'query' || !target.searchParams.has(apiKey.name)) {
+      return url;
+    }
+    target.searchParams.set(apiKey.name, REDACTED);
+    return target.toString().replace(encodeURIComponent(REDACTED), REDACTED);
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Replace every occurrence of the given secrets in a text
+ * @param {string} text - Text to scrub
+ * @param {string[]} secrets - Secret values
+ * @returns {string} Scrubbed text
+ */
+export function redactText(text, secrets = []) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return secrets.reduce((scrubbed, secret) => scrubbed.split(secret).join(REDACTED), text);
+}
+
+/**
+ * Parse a `WWW-Authenticate: Digest ...` challenge
+ * @param {string|string[]} header - WWW-Authenticate header value(s)
+ * @returns {Object|null} Challenge parameters or null when no Digest challenge is present
+ */
+export function parseDigestChallenge(header) {
+  const values = Array.isArray(header) ? header : [header];
+  const challenge = values.find(value => /^\s*digest\s/i.test(value || ''));
+  if (!challenge) {
+    return null;
+  }
+
+  const params = {};
+  const pattern = /(\w+)=(?:"([^"]*)"|([^\s,]+))/g;
+  let match;
+  while ((match = pattern.exec(challenge.replace(/^\s*digest\s+/i, ''))) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return params;
+}
+
+/**
+ * Build the Authorization header answering a Digest challenge (RFC 7616)
+ * @param {Object} challenge - Parsed challenge from parseDigestChallenge
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Request URL
+ * @param {string} request.username - Username
+ * @param {string} request.password - Password
+ * @param {string} [request.cnonce] - Client nonce (random when omitted)
+ * @param {number} [request.nc=1] - Nonce count
+ * @returns {string} Authorization header value
+ */
+export function createDigestAuthorization(challenge, request) {
+  const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+  const hashName = algorithm.startsWith('SHA-256') ? 'sha256' : 'md5';
+  const hash = value => crypto.createHash(hashName).update(value).digest('hex');
+
+  const target = new URL(request.url);
+  const uri = `${target.pathname}${target.search}`;
+  const cnonce = request.cnonce || crypto.randomBytes(8).toString('hex');
+  const nc = String(request.nc || 1).padStart(8, '0');
+  const qop = challenge.qop
+    ?.split(',')
+    .map(value => value.trim())
+    .find(value => value === 'auth');
+
+  let ha1 = hash(`${request.username}:${challenge.realm}:${request.password}`);
+  if (algorithm.endsWith('-SESS')) {
+    ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+  }
+  const ha2 = hash(`${request.method}:${uri}`);
+  const response = qop
+    ? hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+  const parts = [
+    `username="${request.username}"`,
+    `realm="${challenge.realm}"`,
+    `nonce="${challenge.nonce}"`,
+    `uri="${uri}"`,
+    `algorithm=${challenge.algorithm || 'MD5'}`,
+    `response="${response}"`,
+  ];
+  if (qop) {
+    parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+  }
+  if (challenge.opaque) {
+    parts.push(`opaque="${challenge.opaque}"`);
+  }
+
+  return `Digest ${parts.join(', ')}`;
+}
+
+/**
+ * Work out whether a response is a Digest challenge we can answer
+ * @param {number} status - Response status code
+ * @param {Object} responseHeaders - Response headers
+ * @param {Object} requestHeaders - Headers that were sent
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {Object|null} Parsed challenge or null
+ */
+export function getDigestChallenge(status, responseHeaders, requestHeaders, options = {}) {
+  if (status !== 401 || !options.user || !options.digest) {
+    return null;
+  }
+
+  // Only answer once and never override an explicit authorization header
+  if (hasHeader(requestHeaders, 'authorization')) {
+    return null;
+  }
+
+  return parseDigestChallenge(getHeader(responseHeaders, 'www-authenticate'));
+}
+
+/**
+ * Set the Digest authorization header, replacing any Basic attempt
+ * @param {Object} headers - Request headers (mutated)
+ * @param {string} value - Authorization header value
+ */
+export function setAuthorization(headers, value) {
+  const key = findHeaderKey(headers, 'authorization');
+  if (key) {
+    delete headers[key];
+  }
+  headers['authorization'] = value;
+}
@@ -0,0 +1,358 @@
+/**
+ * nCurl Batch - Run Many Requests with Concurrency and Rate Limits
+ *
+ * @context Batch mode of the nCurl HTTP client for health checks and backfills over hundreds of URLs
+ * @purpose Reads request specs from a file and runs them through executeRequest with bounded concurrency
+ * @integration `ncurl batch <file>` calls runBatch; every request goes through executeRequest on a shared connection pool per origin
+ * @workflow Parse file (URLs, NDJSON or CSV) → schedule within --concurrency and --rate → execute → print a result line → summarize
+ *
+ * Input Formats (auto-detected, `#` comments and blank lines are skipped):
+ * - URL lists: `https://api.example.com/health`, optionally prefixed by a method (`DELETE https://...`)
+ * - NDJSON: `{"url": "/users/1", "method": "PATCH", "headers": {...}, "data": {...}, "id": "u1"}`
+ * - CSV: a header row with a `url` column and optional `method`, `data` and `id` columns
+ *
+ * Output:
+ * - One line per request as it finishes: `200  123ms  GET https://...` (or JSON with --ndjson)
+ * - A summary on stderr; the command exits with status 1 when any request failed or returned 4xx/5xx
+ *
+ * @example
+ * // ncurl batch urls.txt --concurrency 20 --rate 50/s
+ * // ncurl batch backfill.ndjson --profile prod --ndjson -o results.ndjson
+ */
+
+import fs from 'fs';
+import { setTimeout as delay } from 'timers/promises';
+import { createDispatcher } from './dispatcher.js';
+import { executeRequest, validateURL } from './index.js';
+import { applyProfile } from './profile.js';
+
+/**
+ * Concurrency when --concurrency is not given
+ */
+const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Methods accepted as a prefix on URL lines
+ */
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+/**
+ * Spec fields copied from NDJSON and CSV entries onto the request options
+ */
+const SPEC_FIELDS = ['url', 'method', 'headers', 'data', 'json', 'form', 'formUrlencoded'];
+
+/**
+ * @typedef {Object} BatchSpec
+ * @property {number} line - Line number in the batch file
+ * @property {string} [id] - Identifier echoed in the result line
+ * @property {string} url - Request URL (relative URLs resolve against --base-url or the profile)
+ * @property {string} [method] - HTTP method
+ * @property {Object} [headers] - Extra headers for this request
+ * @property {string|Object} [data] - Request body
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {number} index - Position in the batch (1-based)
+ * @property {number} line - Line number in the batch file
+ * @property {string} [id] - Identifier from the spec
+ * @property {string} method - HTTP method sent
+ * @property {string} url - Request URL (credentials redacted)
+ * @property {number} [status] - Response status
+ * @property {number} time - Request time in milliseconds
+ * @property {number} [size] - Body bytes received
+ * @property {string} [error] - Error message when the request failed
+ * @property {string} [code] - Error code when the request failed
+ * @property {boolean} ok - True for responses below 400
+ */
+
+/**
+ * @typedef {Object} BatchSummary
+ * @property {number} total - Requests run
+ * @property {number} ok - Responses below 400
+ * @property {number} failed - Errors and 4xx/5xx responses
+ * @property {Object<string, number>} statuses - Count by status code or error code
+ * @property {number} duration - Wall time in milliseconds
+ */
+
+/**
+ * Split a CSV line into fields (quoted fields may contain commas and doubled quotes)
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+export function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Pick the request fields of an NDJSON or CSV entry
+ * @param {Object} entry - Parsed entry
+ * @param {number} line - Line number
+ * @returns {BatchSpec} Spec
+ * @throws {Error} When the entry has no URL
+ */
+function toSpec(entry, line) {
+  if (!entry.url) {
+    throw new Error(`Batch line ${line}: missing "url"`);
+  }
+  const spec = { line };
+  if (entry.id !== undefined && entry.id !== '') {
+    spec.id = String(entry.id);
+  }
+  for (const field of SPEC_FIELDS) {
+    if (entry[field] !== undefined && entry[field] !== '') {
+      spec[field] = entry[field];
+    }
+  }
+  if (spec.method) {
+    spec.method = String(spec.method).toUpperCase();
+  }
+  return spec;
+}
+
+/**
+ * Parse a batch file
+ * @param {string} text - File content
+ * @returns {BatchSpec[]} Request specs in file order
+ * @throws {Error} For malformed JSON lines or entries without a URL
+ */
+export function parseBatchFile(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((content, index) => ({ content: content.trim(), line: index + 1 }))
+    .filter(({ content }) => content && !content.startsWith('#'));
+
+  // CSV: the first line is a header row naming a url column
+  const header =
+    lines[0] && !lines[0].content.startsWith('{') ? parseCsvLine(lines[0].content) : [];
+  if (header.length > 1 && header.some(name => name.toLowerCase() === 'url')) {
+    const names = header.map(name => name.toLowerCase());
+    return lines.slice(1).map(({ content, line }) => {
+      const values = parseCsvLine(content);
+      return toSpec(Object.fromEntries(names.map((name, i) => [name, values[i]])), line);
+    });
+  }
+
+  return lines.map(({ content, line }) => {
+    if (content.startsWith('{')) {
+      try {
+        return toSpec(JSON.parse(content), line);
+      } catch (error) {
+        throw new Error(
+          error instanceof SyntaxError ? `Batch line ${line}: ${error.message}` : error.message,
+        );
+      }
+    }
+    const [first, ...rest] = content.split(/\s+/);
+    if (rest.length > 0 && METHODS.includes(first.toUpperCase())) {
+      return { line, method: first.toUpperCase(), url: rest.join(' ') };
+    }
+    return { line, url: content };
+  });
+}
+
+/**
+ * Parse a --rate value
+ * @param {string|number} [spec] - `n`, `n/s` or `n/m`
+ * @returns {number} Requests per second (Infinity when unlimited)
+ * @throws {Error} When the value is malformed
+ */
+export function parseRate(spec) {
+  if (spec === undefined || spec === null || spec === '') {
+    return Infinity;
+  }
+  const match = /^(\d+(?:\.\d+)?)(?:\/(s|m))?$/.exec(String(spec).trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(
+      `Invalid --rate "${spec}". Use requests per second or minute, e.g. 10/s or 300/m`,
+    );
+  }
+  return match[2] === 'm' ? Number(match[1]) / 60 : Number(match[1]);
+}
+
+/**
+ * Format a result line
+ * @param {BatchResult} result - Request result
+ * @param {import('./index.js').HTTPOptions} options - Command options (`ndjson`)
+ * @returns {string} Result line
+ */
+export function formatBatchLine(result, options = {}) {
+  if (options.ndjson) {
+    const { ok: _ok, ...fields } = result;
+    return JSON.stringify(fields);
+  }
+  const status = String(result.status ?? result.code ?? 'ERR').padEnd(5);
+  const time = `${Math.round(result.time)}ms`.padStart(7);
+  const label = result.id ? `[${result.id}] ` : '';
+  const error = result.error ? `  ${result.error}` : '';
+  return `${status} ${time}  ${label}${result.method} ${result.url}${error}`;
+}
+
+/**
+ * Format the batch summary
+ * @param {BatchSummary} summary - Batch summary
+ * @returns {string} One-line summary
+ */
+export function formatBatchSummary(summary) {
+  const counts = Object.entries(summary.statuses)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([status, count]) => `${status}: ${count}`)
+    .join(', ');
+  return `[ncurl] Batch: ${summary.total} requests, ${summary.ok} ok, ${summary.failed} failed in ${(summary.duration / 1000).toFixed(1)}s${counts ? ` (${counts})` : ''}`;
+}
+
+/**
+ * Load a batch file (`-` reads stdin)
+ * @param {string} file - File path
+ * @param {NodeJS.ReadableStream} [stdin=process.stdin] - Standard input
+ * @returns {Promise<BatchSpec[]>} Request specs
+ */
+export async function loadBatchFile(file, stdin = process.stdin) {
+  if (file !== '-') {
+    return parseBatchFile(await fs.promises.readFile(file, 'utf8'));
+  }
+  const chunks = [];
+  for await (const chunk of stdin) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return parseBatchFile(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Run a batch of requests
+ * @param {BatchSpec[]} specs - Request specs
+ * @param {import('./index.js').HTTPOptions & { concurrency?: string|number, rate?: string, onResult?: (result: BatchResult) => void }} options - Options shared by every request
+ * @returns {Promise<{ results: BatchResult[], summary: BatchSummary }>} Results in file order and the summary
+ * @throws {Error} For invalid --concurrency or --rate values
+ */
+export async function runBatch(specs, options = {}) {
+  options = await applyProfile(options);
+  if (options.toCurl) {
+    throw new Error('--to-curl is not available for batch runs');
+  }
+  const concurrency = options.concurrency ? parseInt(options.concurrency) : DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid --concurrency "${options.concurrency}". Use a positive number`);
+  }
+  const interval = 1000 / parseRate(options.rate);
+  const { output: _output, onResult, concurrency: _concurrency, rate: _rate, ...shared } = options;
+
+  // One transport per origin, so proxies, TLS options and keep-alive connections are shared
+  const transports = new Map();
+  const getTransport = url => {
+    const origin = new URL(url).origin;
+    if (!transports.has(origin)) {
+      transports.set(origin, createDispatcher(url, shared));
+    }
+    return transports.get(origin);
+  };
+
+  const results = new Array(specs.length);
+  const started = Date.now();
+  let nextStart = started;
+  let next = 0;
+
+  const run = async index => {
+    const { line, id, ...spec } = specs[index];
+    const startedAt = Date.now();
+    const base = { index: index + 1, line, ...(id !== undefined ? { id } : {}) };
+    try {
+      const url = validateURL(spec.url, true, shared.baseUrl);
+      const { dispatcher } = await getTransport(url);
+      const result = await executeRequest({
+        ...shared,
+        ...spec,
+        headers: { ...shared.headers, ...spec.headers },
+        url,
+        baseUrl: undefined,
+        dispatcher,
+        silent: true,
+        verbose: false,
+      });
+      return {
+        ...base,
+        method: result.method,
+        url: result.url,
+        status: result.status,
+        time: Math.round(result.duration),
+        size: result.size,
+        ok: result.status < 400,
+      };
+    } catch (error) {
+      return {
+        ...base,
+        method: error.request?.method || spec.method || 'GET',
+        url: error.request?.url || spec.url,
+        status: error.response?.status,
+        time: Date.now() - startedAt,
+        error: error.message,
+        code: error.code,
+        ok: false,
+      };
+    }
+  };
+
+  const worker = async () => {
+    while (next < specs.length) {
+      const index = next;
+      next += 1;
+      // --rate spaces out request starts across all workers
+      const wait = nextStart - Date.now();
+      nextStart = Math.max(nextStart, Date.now()) + interval;
+      if (wait > 0) {
+        await delay(wait);
+      }
+      results[index] = await run(index);
+      onResult?.(results[index]);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, specs.length) }, worker));
+  } finally {
+    for (const transport of transports.values()) {
+      await (await transport.catch(() => null))?.close();
+    }
+  }
+
+  const statuses = {};
+  for (const result of results) {
+    const key = String(result.status ?? result.code ?? 'ERR');
+    statuses[key] = (statuses[key] || 0) + 1;
+  }
+  const ok = results.filter(result => result.ok).length;
+  return {
+    results,
+    summary: {
+      total: results.length,
+      ok,
+      failed: results.length - ok,
+      statuses,
+      duration: Date.now() - started,
+    },
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * nCurl Body - Request Payload Resolution for Inline, File and Stdin Data
+ *
+ * @context Request body layer of the nCurl HTTP client
+ * @purpose Turns `--data` / `--data-binary` values into a sendable body, honoring curl's `@file` and `@-` conventions
+ * @integration Called by executeRequest before headers are finalised so file payloads can contribute a content-type
+ * @workflow Detects the payload source, reads or streams it, and reports a printable description for verbose mode
+ *
+ * Payload Sources:
+ * - Inline strings are sent as-is, objects are serialised to JSON
+ * - `@path` reads the file; files above STREAM_THRESHOLD are streamed instead of buffered
+ * - `@-` reads the whole of stdin (useful in shell pipelines)
+ * - `--form` / `--form-urlencoded` fields are delegated to form.js
+ *
+ * curl Compatibility:
+ * - `--data` strips carriage returns and newlines from file content, like curl's `-d`
+ * - `--data-binary` sends file and stdin bytes untouched
+ * - `--data-raw` sends the value literally, without `@` file interpretation
+ *
+ * @example
+ * const payload = await resolveBody({ data: '@user.json' });
+ * // => { body: '{"name":"John"}', contentType: 'application/json', description: '...' }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { buildMultipartBody, buildUrlencodedBody } from './form.js';
+
+/**
+ * Files larger than this are streamed from disk rather than read into memory
+ */
+const STREAM_THRESHOLD = 1024 * 1024;
+
+/**
+ * Content-types inferred from file extensions when no content-type header is given
+ */
+const EXTENSION_CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.graphql': 'application/graphql',
+  '.js': 'application/javascript',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+};
+
+/**
+ * @typedef {Object} ResolvedBody
+ * @property {string|Buffer|import('stream').Readable} [body] - Body ready to hand to undici
+ * @property {string} [contentType] - Content-type inferred from the payload source
+ * @property {number} [length] - Byte length when known ahead of sending
+ * @property {string} [description] - Printable stand-in for bodies that should not be dumped
+ * @property {() => import('stream').Readable} [reopen] - Recreates a streamed body byte for byte for a resend
+ */
+
+/**
+ * Infer a content-type from a file extension
+ * @param {string} filePath - Path to the payload file
+ * @returns {string|undefined} Content-type or undefined for unknown extensions
+ */
+export function inferContentType(filePath) {
+  return EXTENSION_CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+}
+
+/**
+ * Read all of stdin into a Buffer
+ * @returns {Promise<Buffer>} Stdin content
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Transform stream that drops CR and LF bytes, mirroring curl's `-d @file`
+ * @returns {Transform} Newline-stripping transform
+ */
+function createNewlineStripper() {
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, Buffer.from(chunk.filter(byte => byte !== 0x0a && byte !== 0x0d)));
+    },
+  });
+}
+
+/**
+ * Load an `@`-prefixed payload reference
+ * @param {string} reference - Value after the `@` (a path or `-` for stdin)
+ * @param {boolean} binary - Send bytes untouched (`--data-binary`)
+ * @returns {Promise<ResolvedBody>} Resolved payload
+ */
+async function loadReference(reference, binary) {
+  if (reference === '-') {
+    const content = await readStdin();
+    return binary
+      ? { body: content, length: content.length, description: `<stdin, ${content.length} bytes>` }
+      : { body: content.toString('utf8').replace(/[\r\n]/g, '') };
+  }
+
+  const stats = await fs.promises.stat(reference);
+  const contentType = inferContentType(reference);
+  const description = `<file ${reference}, ${stats.size} bytes>`;
+
+  if (stats.size > STREAM_THRESHOLD) {
+    const stream = fs.createReadStream(reference);
+    return binary
+      ? { body: stream, contentType, length: stats.size, description }
+      : { body: stream.pipe(createNewlineStripper()), contentType, description };
+  }
+
+  const content = await fs.promises.readFile(reference);
+  if (binary) {
+    return { body: content, contentType, length: content.length, description };
+  }
+  return { body: content.toString('utf8').replace(/[\r\n]/g, ''), contentType };
+}
+
+/**
+ * Check whether any body-producing option is set
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {boolean} True when the request carries a body
+ */
+export function hasBodyOption(options = {}) {
+  return Boolean(
+    options.data ||
+      options.dataRaw ||
+      options.dataBinary ||
+      options.form?.length ||
+      options.formString?.length ||
+      options.formUrlencoded?.length,
+  );
+}
+
+/**
+ * Resolve the request body from `data` / `dataRaw` / `dataBinary` / form options
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {Promise<ResolvedBody>} Resolved payload (empty object when there is no body)
+ * @throws {Error} When several body sources are combined
+ */
+export async function resolveBody(options = {}) {
+  const sources = [
+    options.data,
+    options.dataRaw,
+    options.dataBinary,
+    [...(options.form || []), ...(options.formString || [])],
+    options.formUrlencoded,
+  ].filter(source => source !== undefined && source !== null && source.length !== 0);
+  if (sources.length > 1) {
+    throw new Error(
+      'Only one body source is allowed. Use one of --data, --data-raw, --data-binary, --form or --form-urlencoded',
+    );
+  }
+
+  if (options.form?.length || options.formString?.length) {
+    return buildMultipartBody(options.form || [], options.formString);
+  }
+  if (options.formUrlencoded?.length) {
+    return buildUrlencodedBody(options.formUrlencoded);
+  }
+  if (options.dataRaw) {
+    return { body: options.dataRaw };
+  }
+
+  const binary = options.dataBinary !== undefined;
+  const data = binary ? options.dataBinary : options.data;
+
+  if (data === undefined || data === null || data === '') {
+    return {};
+  }
+
+  if (Buffer.isBuffer(data)) {
+    return { body: data, length: data.length };
+  }
+
+  if (typeof data === 'object') {
+    return { body: JSON.stringify(data) };
+  }
+
+  if (data.startsWith('@') && data.length > 1) {
+    return loadReference(data.slice(1), binary);
+  }
+
+  return { body: data };
+}
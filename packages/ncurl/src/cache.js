@@ -0,0 +1,293 @@
+/**
+ * nCurl Cache - On-Disk HTTP Cache with ETag/Last-Modified Revalidation
+ *
+ * @context Opt-in response cache of the nCurl HTTP client for scripts that poll the same slow endpoints
+ * @purpose Serves fresh responses from disk and turns stale ones into cheap conditional requests
+ * @integration executeRequest looks up GET/HEAD requests before sending and stores buffered responses after reading them
+ * @workflow Lookup (method + URL + credentials + Vary) → fresh: serve from disk | stale: add If-None-Match/If-Modified-Since → 304: serve from disk | 200: store
+ *
+ * Rules:
+ * - Only GET and HEAD requests without a body are cached; downloads and event streams bypass the cache
+ * - Responses are stored when they are 200 OK, not `no-store`, not `Vary: *` and have `max-age` or a validator
+ * - `Cache-Control: max-age` (minus the `Age` header) decides freshness; `no-cache` always revalidates
+ * - A request `Cache-Control: no-cache` header forces revalidation, `no-store` bypasses the cache
+ * - Entries live in `--cache-dir` (default `$XDG_CACHE_HOME/ncurl` or `~/.cache/ncurl`), one owner-readable file per URL
+ * - Authorization, Cookie, API key and `--user` values are hashed into the file name, so each identity has its own entries
+ *
+ * @example
+ * // ncurl get https://api.example.com/slow-report --cache -v
+ * // ncurl get https://api.example.com/slow-report --cache-dir .ncurl-cache -w '%{from_cache}\n'
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getSensitiveHeaders } from './auth.js';
+import { getHeader, hasHeader } from './headers.js';
+
+/**
+ * Methods whose responses can be cached
+ */
+const CACHEABLE_METHODS = ['GET', 'HEAD'];
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Object<string, string>} vary - Request header values named by the response's Vary header
+ * @property {number} status - Response status
+ * @property {Object} headers - Response headers
+ * @property {string} body - Raw response body (base64)
+ * @property {number} storedAt - When the response was stored or last revalidated (ms)
+ */
+
+/**
+ * @typedef {Object} CacheLookup
+ * @property {string} file - Cache file of the URL
+ * @property {CacheEntry|null} entry - Matching entry, if any
+ * @property {boolean} fresh - True when the entry can be served without asking the server
+ * @property {number} age - Entry age in seconds
+ */
+
+/**
+ * Check whether a request goes through the cache
+ * @param {string} method - Request method
+ * @param {import('./index.js').HTTPOptions} options - Command options (`cache`, `cacheDir`)
+ * @returns {boolean} True when the cache is enabled and the method is cacheable
+ */
+export function isCacheEnabled(method, options = {}) {
+  return Boolean(options.cache || options.cacheDir) && CACHEABLE_METHODS.includes(method);
+}
+
+/**
+ * Resolve the cache directory
+ * @param {import('./index.js').HTTPOptions} options - Command options (`cacheDir`)
+ * @returns {string} Directory path
+ */
+export function getCacheDir(options = {}) {
+  if (options.cacheDir) {
+    return options.cacheDir;
+  }
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'ncurl');
+}
+
+/**
+ * Parse a Cache-Control header into its directives
+ * @param {string|string[]} [value] - Header value
+ * @returns {Object<string, string|true>} Directives by lowercase name (`true` when they have no value)
+ */
+export function parseCacheControl(value) {
+  const directives = {};
+  const text = Array.isArray(value) ? value.join(',') : value || '';
+  for (const part of text.split(',')) {
+    const [name, ...rest] = part.split('=');
+    const key = name.trim().toLowerCase();
+    if (key) {
+      directives[key] = rest.length > 0 ? rest.join('=').trim().replace(/^"|"$/g, '') : true;
+    }
+  }
+  return directives;
+}
+
+/**
+ * Compute how long a response may be served without revalidation
+ * @param {Object} headers - Response headers
+ * @returns {number} Freshness lifetime in seconds (0 when it must be revalidated)
+ */
+export function getFreshnessLifetime(headers = {}) {
+  const directives = parseCacheControl(getHeader(headers, 'cache-control'));
+  if (directives['no-cache'] || directives['no-store']) {
+    return 0;
+  }
+  const maxAge = Number(directives['max-age']);
+  return Number.isFinite(maxAge) && maxAge > 0 ? maxAge : 0;
+}
+
+/**
+ * Get the request header names a response varies on
+ * @param {Object} headers - Response headers
+ * @returns {string[]} Lowercase header names (`*` when the response cannot be matched)
+ */
+function getVaryNames(headers) {
+  const vary = getHeader(headers, 'vary');
+  const text = Array.isArray(vary) ? vary.join(',') : vary || '';
+  return text
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Pick the request header values named by Vary
+ * @param {string[]} names - Vary header names
+ * @param {Object} requestHeaders - Request headers
+ * @returns {Object<string, string>} Values by header name (missing headers are empty strings)
+ */
+function pickVary(names, requestHeaders) {
+  return Object.fromEntries(
+    names.map(name => [name, String(getHeader(requestHeaders, name) ?? '')]),
+  );
+}
+
+/**
+ * Cache file of a request (keyed by method, URL and credentials; Vary variants share the file)
+ * @param {string} method - Request method
+ * @param {string} url - Request URL
+ * @param {Object} requestHeaders - Request headers (credential headers are part of the key)
+ * @param {import('./index.js').HTTPOptions} options - Command options (`cacheDir`, `apiKey`, `user`)
+ * @returns {string} File path
+ */
+function getCacheFile(method, url, requestHeaders, options) {
+  // A response fetched with one user's credentials must never be served to another
+  const credentials = [
+    ...getSensitiveHeaders(options).map(name => String(getHeader(requestHeaders, name) ?? '')),
+    options.user || '',
+  ];
+  const scope = credentials.some(Boolean) ? ` ${JSON.stringify(credentials)}` : '';
+  const key = crypto.createHash('sha256').update(`${method} ${url}${scope}`).digest('hex');
+  return path.join(getCacheDir(options), `${key}.json`);
+}
+
+/**
+ * Read the entries of a cache file
+ * @param {string} file - Cache file
+ * @returns {Promise<CacheEntry[]>} Entries (empty when the file is missing or unreadable)
+ */
+async function readEntries(file) {
+  try {
+    const content = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    return Array.isArray(content.entries) ? content.entries : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Find the cached response of a request
+ * @param {string} method - Request method
+ * @param {string} url - Request URL
+ * @param {Object} requestHeaders - Request headers
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<CacheLookup|null>} Lookup result, or null when the request bypasses the cache
+ */
+export async function lookupCache(method, url, requestHeaders, options = {}, now = Date.now()) {
+  const request = parseCacheControl(getHeader(requestHeaders, 'cache-control'));
+  if (request['no-store']) {
+    return null;
+  }
+
+  const file = getCacheFile(method, url, requestHeaders, options);
+  const entry =
+    (await readEntries(file)).find(candidate =>
+      Object.entries(candidate.vary || {}).every(
+        ([name, value]) => String(getHeader(requestHeaders, name) ?? '') === value,
+      ),
+    ) || null;
+  if (!entry) {
+    return { file, entry, fresh: false, age: 0 };
+  }
+
+  const initialAge = Number(getHeader(entry.headers, 'age')) || 0;
+  const age = Math.max(0, Math.floor((now - entry.storedAt) / 1000)) + initialAge;
+  const fresh =
+    !request['no-cache'] && request['max-age'] !== '0' && age < getFreshnessLifetime(entry.headers);
+  return { file, entry, fresh, age };
+}
+
+/**
+ * Add validators of a stale entry so the server can answer 304 Not Modified
+ * @param {Object} requestHeaders - Request headers (mutated)
+ * @param {CacheEntry} entry - Cached entry
+ * @returns {boolean} True when a conditional header was added
+ */
+export function addConditionalHeaders(requestHeaders, entry) {
+  let added = false;
+  const etag = getHeader(entry.headers, 'etag');
+  const lastModified = getHeader(entry.headers, 'last-modified');
+  // Explicit -H 'If-None-Match: ...' headers are sent as given
+  if (etag && !hasHeader(requestHeaders, 'if-none-match')) {
+    requestHeaders['if-none-match'] = etag;
+    added = true;
+  }
+  if (lastModified && !hasHeader(requestHeaders, 'if-modified-since')) {
+    requestHeaders['if-modified-since'] = lastModified;
+    added = true;
+  }
+  return added;
+}
+
+/**
+ * Check whether a response can be stored
+ * @param {number} status - Response status
+ * @param {Object} headers - Response headers
+ * @returns {boolean} True for 200 responses with a lifetime or a validator
+ */
+export function isStorable(status, headers = {}) {
+  const directives = parseCacheControl(getHeader(headers, 'cache-control'));
+  if (status !== 200 || directives['no-store'] || getVaryNames(headers).includes('*')) {
+    return false;
+  }
+  return (
+    getFreshnessLifetime(headers) > 0 ||
+    hasHeader(headers, 'etag') ||
+    hasHeader(headers, 'last-modified')
+  );
+}
+
+/**
+ * Store a response, replacing the entry of the same Vary variant
+ * @param {string} file - Cache file from lookupCache
+ * @param {Object} requestHeaders - Request headers (for Vary)
+ * @param {{ status: number, headers: Object, body: Buffer }} response - Response to store
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<boolean>} True when the response was stored
+ */
+export async function storeResponse(file, requestHeaders, response, now = Date.now()) {
+  if (!isStorable(response.status, response.headers)) {
+    return false;
+  }
+  const vary = pickVary(getVaryNames(response.headers), requestHeaders);
+  const entries = (await readEntries(file)).filter(
+    entry => JSON.stringify(entry.vary) !== JSON.stringify(vary),
+  );
+  entries.push({
+    vary,
+    status: response.status,
+    headers: response.headers,
+    body: response.body.toString('base64'),
+    storedAt: now,
+  });
+  await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+  // Bodies may hold private data: keep the file owner-readable only
+  await fs.promises.writeFile(file, `${JSON.stringify({ entries })}\n`, { mode: 0o600 });
+  return true;
+}
+
+/**
+ * Refresh a cached entry after a 304 Not Modified answer
+ * @param {string} file - Cache file from lookupCache
+ * @param {Object} requestHeaders - Request headers (for Vary)
+ * @param {CacheEntry} entry - Revalidated entry
+ * @param {Object} notModifiedHeaders - Headers of the 304 response
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<{ status: number, headers: Object, body: Buffer }>} Updated response
+ */
+export async function refreshEntry(
+  file,
+  requestHeaders,
+  entry,
+  notModifiedHeaders,
+  now = Date.now(),
+) {
+  // The 304 updates the stored metadata; the body (and how it is encoded) stays as stored
+  const headers = { ...entry.headers };
+  for (const [name, value] of Object.entries(notModifiedHeaders)) {
+    if (!['content-length', 'content-encoding', 'transfer-encoding'].includes(name.toLowerCase())) {
+      headers[name.toLowerCase()] = value;
+    }
+  }
+  const response = { status: entry.status, headers, body: Buffer.from(entry.body, 'base64') };
+  await storeResponse(file, requestHeaders, response, now);
+  return response;
+}
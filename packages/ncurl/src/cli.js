@@ -16,8 +16,13 @@
  * - Comprehensive guidance for common API interaction patterns
  *
  * Command Structure:
- * - Direct method commands: get, post, put, delete (explicit method specification)
+ * - Direct method commands: get, post, put, patch, delete, head, options (explicit method specification)
  * - Smart inference command: run (automatic method and content detection)
+ * - Interop command: from-curl (runs or translates a pasted curl command)
+ * - Scripting command: file (runs REST Client style .http request files)
+ * - GraphQL command: graphql (queries, mutations and schema summaries)
+ * - WebSocket command: ws (scripted or interactive sessions with --expect assertions)
+ * - OpenAPI command: op (calls a spec operation by operationId with validated parameters)
  * - Helper commands: api-info (provides LLM guidance and examples)
  * - Flexible argument handling for various LLM input styles
  *
@@ -44,7 +49,19 @@
  */
 
 import { Command } from 'commander';
+import fs from 'fs';
+import { formatAssertionReport } from './assert.js';
+import { formatBatchLine, formatBatchSummary, loadBatchFile, runBatch } from './batch.js';
+import { parseCurlCommand, toNcurlCommand } from './curl.js';
+import { formatError } from './errors.js';
+import { createLineWriter } from './events.js';
+import { runGraphql } from './graphql.js';
+import { replayHar } from './har.js';
+import { runHttpFile } from './httpfile.js';
 import { main } from './index.js';
+import { formatOperationList, loadSpec } from './openapi.js';
+import { applyProfile } from './profile.js';
+import { runWebSocket } from './ws.js';
 
 const program = new Command();
 
@@ -55,27 +72,304 @@ program
   .allowExcessArguments(true) // LLM-friendly: accept extra arguments
   .argument('[url]', 'Target URL (protocol auto-added if missing)');
 
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value - Current option value
+ * @param {string[]} [previous] - Values collected so far
+ * @returns {string[]} Accumulated values
+ */
+function collect(value, previous) {
+  return [...(previous || []), value];
+}
+
+/**
+ * Register the options shared by every request command
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command for chaining
+ */
+function addRequestOptions(command) {
+  return command
+    .option('-v, --verbose', 'Show detailed request/response information')
+    .option('-H, --header <header>', 'Add custom header (can be used multiple times)', collect)
+    .option('-o, --output <file>', 'Save response to file')
+    .option('--profile <name>', 'Use a profile from .ncurlrc (base URL, headers, auth, timeout)')
+    .option('--timeout <ms>', 'Request timeout in milliseconds (default: 30000)')
+    .option('--no-redirect', 'Do not follow redirects')
+    .option('-s, --silent', 'Silent mode')
+    .option('-u, --user <user:password>', 'Basic auth credentials (password may be env:VAR)')
+    .option('--digest', 'Use HTTP Digest authentication with --user')
+    .option('--bearer <token>', 'Bearer token, or env:VAR to read it from the environment')
+    .option('--api-key <spec>', 'API key as header:X-API-Key=<value> or query:api_key=<value>')
+    .option('--retry <n>', 'Retry transient failures up to n times')
+    .option(
+      '--retry-delay <ms>',
+      'Base delay for exponential backoff in milliseconds (default: 1000)',
+    )
+    .option(
+      '--retry-on <list>',
+      'Status/error codes to retry (default: 429,502,503,504,ECONNRESET)',
+    )
+    .option('--retry-unsafe', 'Also retry non-idempotent methods (POST, PATCH)')
+    .option(
+      '-c, --cookie-jar <file>',
+      'Read and persist cookies (Netscape format, JSON for *.json)',
+    )
+    .option('-b, --cookie <name=value>', 'Send a cookie (repeatable)', collect)
+    .option('--cookie-file <file>', 'Send cookies from a cookie file without updating it')
+    .option('--compressed', 'Request a compressed response (gzip, deflate, br) and decode it')
+    .option('-x, --proxy <url>', 'Proxy URL (default: HTTPS_PROXY/http_proxy, minus NO_PROXY)')
+    .option('--cacert <file>', 'Trust extra CA certificates from a PEM file')
+    .option('-E, --cert <file>', 'Client certificate (PEM) for mutual TLS')
+    .option('--key <file>', 'Private key (PEM) for --cert')
+    .option('-k, --insecure', 'Skip TLS certificate verification (unsafe)')
+    .option(
+      '--resolve <host:port:addr>',
+      'Connect host:port to addr, bypassing DNS (repeatable)',
+      collect,
+    )
+    .option('--to-curl', 'Print the equivalent curl command instead of sending the request');
+}
+
+/**
+ * Register the smoke-test assertion options
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command for chaining
+ */
+function addAssertionOptions(command) {
+  return command
+    .option('--expect-status <codes>', 'Fail unless the status matches, e.g. 2xx or 200,304')
+    .option(
+      '--expect-header <rule>',
+      'Fail unless a header matches: name, !name, name=value or name~regex (repeatable)',
+      collect,
+    )
+    .option(
+      '--expect-json <expr>',
+      "Fail unless a JSON assertion holds, e.g. '$.data.length > 0' (repeatable)",
+      collect,
+    )
+    .option('--expect-time <ms>', 'Fail if the response takes longer than this');
+}
+
+/**
+ * Register the response filtering and --write-out options
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command for chaining
+ */
+function addQueryOptions(command) {
+  return command
+    .option(
+      '-q, --query <expr>',
+      "Filter the JSON response: JSONPath ('$.items[0].id') or jq ('.items | length')",
+    )
+    .option('-r, --raw', 'Print string results without quotes')
+    .option(
+      '-w, --write-out <template>',
+      "Print variables after the response, e.g. '%{http_code} %{time_total}\\n' or '%{json}' (@file reads a file)",
+    );
+}
+
+/**
+ * Register the streaming download options
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command for chaining
+ */
+function addDownloadOptions(command) {
+  return command
+    .option('--stream', 'Stream the response body to the -o file with a progress bar')
+    .option(
+      '-C, --continue-at <offset>',
+      'Resume a download: - for the current file size, or a byte offset',
+    )
+    .option('--checksum <algorithm:hex>', 'Verify the downloaded file, e.g. sha256:9f86d0...');
+}
+
+/**
+ * Print batch results as they finish, then the summary on stderr
+ * @param {(onResult: Function) => Promise<{ summary: import('./batch.js').BatchSummary }>} run - Runs the batch
+ * @param {Object} options - Command options (`output`, `ndjson`, `silent`)
+ * @returns {Promise<void>} Exits with status 1 when any request failed
+ */
+async function reportBatch(run, options) {
+  const lines = createLineWriter(options);
+  try {
+    const { summary } = await run(result => lines.write(formatBatchLine(result, options)));
+    await lines.close();
+    if (!options.silent) {
+      console.error(formatBatchSummary(summary));
+    }
+    if (summary.failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    await lines.close();
+    console.error(`[ncurl] Error: ${formatError(error)}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Register the record/replay fixture and HAR export options
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command for chaining
+ */
+function addFixtureOptions(command) {
+  return command
+    .option('--har <file>', 'Append every request and response (with timings) to a HAR 1.2 log')
+    .option('--record <dir>', 'Save each request and response as a fixture file in dir')
+    .option(
+      '--replay <dir>',
+      'Answer from the fixtures in dir without network; unmatched requests fail',
+    )
+    .option(
+      '--match <fields>',
+      'Fixture match fields: method, url, body, header:<name> (default: method,url)',
+      collect,
+    );
+}
+
+/**
+ * Register the OpenAPI spec options
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command for chaining
+ */
+function addSpecOptions(command) {
+  return command
+    .option(
+      '--spec <file>',
+      'OpenAPI 3 spec (YAML or JSON): decides the method and validates bodies and responses',
+    )
+    .option('--no-validate', 'Do not check the request and response against --spec');
+}
+
+/**
+ * Register the HTTP cache options
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command for chaining
+ */
+function addCacheOptions(command) {
+  return command
+    .option(
+      '--cache',
+      'Cache GET/HEAD responses on disk and revalidate them with ETag/Last-Modified',
+    )
+    .option('--cache-dir <dir>', 'Cache directory, implies --cache (default: ~/.cache/ncurl)');
+}
+
+/**
+ * Register the pagination options
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command for chaining
+ */
+function addPaginationOptions(command) {
+  return command
+    .option('--paginate [strategy]', 'Follow every page: link (default), cursor, page or offset')
+    .option('--cursor-path <path>', "JSONPath of the next cursor, e.g. '$.next_cursor'")
+    .option('--cursor-param <name>', 'Query parameter for the cursor (default: cursor)')
+    .option(
+      '--page-param <name>',
+      'Query parameter for page/offset pagination (default: page/offset)',
+    )
+    .option('--items <path>', "Concatenate this array from every page, e.g. '$.data'")
+    .option('--max-pages <n>', 'Stop after n pages (default: 100)')
+    .option('--ndjson', 'Print each page (or item, with --items) as a JSON line as it arrives');
+}
+
+/**
+ * Register the event stream (SSE/NDJSON) options
+ * @param {Command} command - Commander command
+ * @returns {Command} The same command for chaining
+ */
+function addEventOptions(command) {
+  return command
+    .option('--max-events <n>', 'Stop an event stream (SSE/NDJSON) after n events')
+    .option(
+      '--until <match>',
+      "Stop after the event whose data or name matches, e.g. '[DONE]' or '/\"done\": ?true/'",
+    )
+    .option('--parse-json', "Parse each event's data as JSON (printed compactly, one per line)")
+    .option('--reconnect <n>', 'Reconnect a dropped SSE stream up to n times with Last-Event-ID');
+}
+
+/**
+ * Register the request body options
+ * @param {Command} command - Commander command
+ * @param {string} [dataDescription] - Help text for --data
+ * @returns {Command} The same command for chaining
+ */
+function addBodyOptions(
+  command,
+  dataDescription = 'Request body data (@file reads a file, @- reads stdin)',
+) {
+  return command
+    .option('-d, --data <data>', dataDescription)
+    .option('--data-raw <data>', 'Request body sent literally (no @file interpretation)')
+    .option('--data-binary <data>', 'Request body sent byte-for-byte (@file and @- supported)')
+    .option(
+      '-F, --form <field>',
+      'multipart/form-data field: name=value or name=@file;type=mime (repeatable)',
+      collect,
+    )
+    .option(
+      '--form-string <field>',
+      'multipart/form-data text field sent as-is, even if it starts with @ or < (repeatable)',
+      collect,
+    )
+    .option(
+      '--form-urlencoded <pair>',
+      'application/x-www-form-urlencoded key=value pair (repeatable)',
+      collect,
+    )
+    .option('-j, --json', 'Automatically handle JSON content-type and parsing');
+}
+
+/**
+ * HTTP method commands and whether they accept a request body
+ */
+const METHOD_COMMANDS = [
+  { method: 'GET', body: false },
+  { method: 'POST', body: true },
+  { method: 'PUT', body: true },
+  { method: 'PATCH', body: true },
+  { method: 'DELETE', body: false },
+  {
+    method: 'HEAD',
+    body: false,
+    description: 'Send HEAD request and print only the status line and headers',
+  },
+  {
+    method: 'OPTIONS',
+    body: false,
+    description: 'Send OPTIONS request and summarise the Allow and CORS headers',
+  },
+];
+
 // LLM Pattern: Accept HTTP methods as commands (common LLM assumption)
-program
-  .command('get [url]')
-  .description('Send GET request (LLM-friendly method specification)')
-  .option('-v, --verbose', 'Show detailed request/response information')
-  .option(
-    '-H, --header <header>',
-    'Add custom header (can be used multiple times)',
-    (value, previous) => [...(previous || []), value],
-  )
-  .option('-o, --output <file>', 'Save response to file')
-  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
-  .option('--no-redirect', 'Do not follow redirects')
-  .option('-s, --silent', 'Silent mode')
-  .action(async (url, options, command) => {
+for (const { method, body, description } of METHOD_COMMANDS) {
+  const command = program
+    .command(`${method.toLowerCase()} [url]`)
+    .description(description || `Send ${method} request (LLM-friendly method specification)`);
+
+  addRequestOptions(command);
+  addAssertionOptions(command);
+  addQueryOptions(command);
+  addDownloadOptions(command);
+  addCacheOptions(command);
+  addFixtureOptions(command);
+  addSpecOptions(command);
+  addEventOptions(command);
+  addPaginationOptions(command);
+  if (body) {
+    addBodyOptions(command);
+  }
+
+  command.action(async (url, options, cmd) => {
     try {
       const opts = {
         ...options,
-        method: 'GET',
+        method,
         url,
-        args: command.args.slice(1),
+        args: cmd.args.slice(1),
       };
       await main(opts);
     } catch (error) {
@@ -83,27 +377,37 @@ program
       process.exit(1);
     }
   });
+}
 
-program
-  .command('post [url]')
-  .description('Send POST request (LLM-friendly method specification)')
-  .option('-v, --verbose', 'Show detailed request/response information')
+// LLM Pattern: Smart default command (intelligent inference mode)
+const runCommand = program
+  .command('run [url]')
+  .description('Smart mode with automatic method and content-type inference');
+
+addRequestOptions(runCommand);
+addAssertionOptions(runCommand);
+addQueryOptions(runCommand);
+addDownloadOptions(runCommand);
+addCacheOptions(runCommand);
+addFixtureOptions(runCommand);
+addSpecOptions(runCommand);
+addEventOptions(runCommand);
+addPaginationOptions(runCommand);
+addBodyOptions(runCommand, 'Request body data (triggers POST method automatically)');
+
+runCommand
+  .option('-X, --request <method>', 'Specify HTTP method')
   .option(
-    '-H, --header <header>',
-    'Add custom header (can be used multiple times)',
-    (value, previous) => [...(previous || []), value],
+    '--method-pattern <rule>',
+    'Extra URL pattern for method inference, e.g. "/archive$=DELETE" (repeatable)',
+    collect,
   )
-  .option('-d, --data <data>', 'Request body data')
-  .option('-j, --json', 'Automatically handle JSON content-type and parsing')
-  .option('-o, --output <file>', 'Save response to file')
-  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
-  .option('--no-redirect', 'Do not follow redirects')
-  .option('-s, --silent', 'Silent mode')
   .action(async (url, options, command) => {
     try {
       const opts = {
         ...options,
-        method: 'POST',
+        method: options.request,
+        methodPatterns: options.methodPattern,
         url,
         args: command.args.slice(1),
       };
@@ -114,91 +418,199 @@ program
     }
   });
 
+// LLM Pattern: Accept curl commands copied from docs and browser devtools
 program
-  .command('put [url]')
-  .description('Send PUT request (LLM-friendly method specification)')
-  .option('-v, --verbose', 'Show detailed request/response information')
-  .option(
-    '-H, --header <header>',
-    'Add custom header (can be used multiple times)',
-    (value, previous) => [...(previous || []), value],
-  )
-  .option('-d, --data <data>', 'Request body data')
-  .option('-j, --json', 'Automatically handle JSON content-type and parsing')
-  .option('-o, --output <file>', 'Save response to file')
-  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
-  .option('--no-redirect', 'Do not follow redirects')
-  .option('-s, --silent', 'Silent mode')
-  .action(async (url, options, command) => {
+  .command('from-curl <command...>')
+  .description('Run a curl command line (quote it, or pass it after --)')
+  .option('--print', 'Print the equivalent ncurl command instead of sending the request')
+  .option('--to-curl', 'Print the normalised curl command instead of sending the request')
+  .allowUnknownOption()
+  .action(async (command, options) => {
     try {
-      const opts = {
-        ...options,
-        method: 'PUT',
-        url,
-        args: command.args.slice(1),
-      };
-      await main(opts);
+      const { options: parsed, ignored } = parseCurlCommand(
+        command.length === 1 ? command[0] : command,
+      );
+
+      for (const flag of ignored) {
+        console.error(`[ncurl] Ignoring unsupported curl option: ${flag}`);
+      }
+
+      if (options.print) {
+        console.log(toNcurlCommand(parsed));
+        return;
+      }
+      await main({ ...parsed, toCurl: options.toCurl });
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
     }
   });
 
-program
-  .command('delete [url]')
-  .description('Send DELETE request (LLM-friendly method specification)')
-  .option('-v, --verbose', 'Show detailed request/response information')
+// LLM Pattern: Run request collections kept as .http files
+const fileCommand = program
+  .command('file <path>')
+  .description('Run the requests of a REST Client style .http file in order');
+
+addRequestOptions(fileCommand);
+addAssertionOptions(fileCommand);
+
+fileCommand
+  .option('--name <name>', 'Run only this request (and the named requests it references)')
+  .option('--var <name=value>', 'Set or override a file variable (repeatable)', collect)
+  .action(async (file, options) => {
+    try {
+      await runHttpFile(file, options);
+    } catch (error) {
+      console.error(`[ncurl] Error: ${formatError(error)}`);
+      process.exit(1);
+    }
+  });
+
+// LLM Pattern: GraphQL endpoints get the envelope, error handling and introspection built in
+const graphqlCommand = program
+  .command('graphql <url>')
+  .description('Run a GraphQL query or mutation (errors[] fail the command)');
+
+addRequestOptions(graphqlCommand);
+addFixtureOptions(graphqlCommand);
+
+graphqlCommand
+  .option('--query <document>', "GraphQL document, e.g. 'query { viewer { login } }'")
+  .option('--query-file <file>', 'Read the GraphQL document from a file')
+  .option('--variables <json>', 'Variables as a JSON object, or @file.json')
+  .option('--operation-name <name>', 'Operation to run from a multi-operation document')
+  .option('--introspect', 'Print a compact summary of the schema')
+  .action(async (url, options) => {
+    try {
+      const output = await runGraphql(url, options);
+      if (options.output && !options.toCurl) {
+        await fs.promises.writeFile(options.output, `${output}\n`);
+        if (!options.silent) {
+          console.log(`Response saved to: ${options.output}`);
+        }
+      } else {
+        console.log(output);
+      }
+    } catch (error) {
+      console.error(`[ncurl] Error: ${formatError(error)}`);
+      process.exit(1);
+    }
+  });
+
+// LLM Pattern: WebSocket endpoints are poked with the same headers, auth and TLS options
+const wsCommand = program
+  .command('ws <url> [messages...]')
+  .description('Open a WebSocket, send messages and print received frames');
+
+addRequestOptions(wsCommand);
+
+wsCommand
+  .option('--file <file>', 'Send each line of a file as a message')
+  .option('--subprotocol <name>', 'Offer a subprotocol (repeatable)', collect)
   .option(
-    '-H, --header <header>',
-    'Add custom header (can be used multiple times)',
-    (value, previous) => [...(previous || []), value],
+    '--expect <match>',
+    'Fail unless a received message matches: text, /regex/ or \'$.type == "pong"\' (repeatable)',
+    collect,
   )
-  .option('-o, --output <file>', 'Save response to file')
-  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
-  .option('--no-redirect', 'Do not follow redirects')
-  .option('-s, --silent', 'Silent mode')
-  .action(async (url, options, command) => {
+  .option('--max-messages <n>', 'Close after n received messages')
+  .option('--wait <ms>', 'Keep listening this long after the last message was sent (default: 2000)')
+  .action(async (url, messages, options) => {
     try {
-      const opts = {
-        ...options,
-        method: 'DELETE',
-        url,
-        args: command.args.slice(1),
-      };
-      await main(opts);
+      const result = await runWebSocket(url, { ...options, messages });
+      if (result.assertions.length) {
+        const failed = result.assertions.filter(assertion => !assertion.passed);
+        if (failed.length || !options.silent) {
+          console.error(
+            formatAssertionReport(failed.length && options.silent ? failed : result.assertions),
+          );
+        }
+        if (failed.length) {
+          process.exit(1);
+        }
+      }
     } catch (error) {
-      console.error('Error:', error.message);
+      console.error(`[ncurl] Error: ${formatError(error)}`);
       process.exit(1);
     }
   });
 
-// LLM Pattern: Smart default command (intelligent inference mode)
-program
-  .command('run [url]')
-  .description('Smart mode with automatic method and content-type inference')
-  .option('-v, --verbose', 'Show detailed request/response information')
+// LLM Pattern: Many URLs at once (health checks, backfills) through the same request pipeline
+const batchCommand = program
+  .command('batch <file>')
+  .description('Run every request in a file (URLs, NDJSON or CSV; - reads stdin) in parallel');
+
+addRequestOptions(batchCommand);
+addFixtureOptions(batchCommand);
+
+batchCommand
+  .option('--concurrency <n>', 'Requests in flight at once (default: 5)')
+  .option('--rate <n>', 'Start at most n requests per second, e.g. 10/s or 300/m')
+  .option('--ndjson', 'Print each result as a JSON line instead of a text line')
+  .action((file, options) =>
+    reportBatch(
+      async onResult => runBatch(await loadBatchFile(file), { ...options, onResult }),
+      options,
+    ),
+  );
+
+// LLM Pattern: Services with an OpenAPI spec are called by operationId instead of guessed URLs
+const opCommand = program
+  .command('op [operationId]')
+  .description('Call an OpenAPI operation by operationId (without one, list the operations)');
+
+addRequestOptions(opCommand);
+addAssertionOptions(opCommand);
+addQueryOptions(opCommand);
+addFixtureOptions(opCommand);
+addSpecOptions(opCommand);
+addBodyOptions(opCommand);
+
+opCommand
   .option(
-    '-H, --header <header>',
-    'Add custom header (can be used multiple times)',
-    (value, previous) => [...(previous || []), value],
+    '-p, --param <name=value>',
+    'Path, query, header or cookie parameter (repeatable)',
+    collect,
   )
-  .option('-d, --data <data>', 'Request body data (triggers POST method automatically)')
-  .option('-j, --json', 'Automatically handle JSON content-type and parsing')
-  .option('-o, --output <file>', 'Save response to file')
-  .option('-X, --request <method>', 'Specify HTTP method')
-  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
-  .option('--no-redirect', 'Do not follow redirects')
-  .option('-s, --silent', 'Silent mode')
-  .action(async (url, options, command) => {
+  .option('--server <url>', "Base URL to call instead of the spec's first server")
+  .action(async (operationId, options) => {
+    if (operationId) {
+      await main({ ...options, operationId, baseUrl: options.server });
+      return;
+    }
     try {
-      const opts = { ...options, url, args: command.args.slice(1) };
-      await main(opts);
+      const { spec } = await applyProfile(options);
+      console.log(formatOperationList(await loadSpec(spec)));
     } catch (error) {
-      console.error('Error:', error.message);
+      console.error(`[ncurl] Error: ${formatError(error)}`);
       process.exit(1);
     }
   });
 
+// LLM Pattern: Requests handed over as browser HAR exports are re-issued as-is
+const harCommand = program
+  .command('har')
+  .description('Work with HAR files (browser DevTools exports)');
+
+const harReplayCommand = harCommand
+  .command('replay <file>')
+  .description('Re-issue the requests of a HAR file, in order');
+
+addRequestOptions(harReplayCommand);
+addFixtureOptions(harReplayCommand);
+
+harReplayCommand
+  .option(
+    '--filter <expr>',
+    "Only replay matching entries: 'url~/api/', method=POST or status=500 (repeatable)",
+    collect,
+  )
+  .option('--concurrency <n>', 'Requests in flight at once (default: 1)')
+  .option('--rate <n>', 'Start at most n requests per second, e.g. 10/s or 300/m')
+  .option('--ndjson', 'Print each result as a JSON line instead of a text line')
+  .action((file, options) =>
+    reportBatch(onResult => replayHar(file, { ...options, onResult }), options),
+  );
+
 // LLM Pattern: API information command for LLM context
 program
   .command('api-info')
@@ -220,21 +632,155 @@ program
     console.log('4. DELETE:');
     console.log('   ncurl delete https://api.example.com/users/123');
     console.log('');
-    console.log('5. Upload file:');
+    console.log('5. PATCH, HEAD and OPTIONS:');
+    console.log(
+      '   ncurl patch https://api.example.com/users/123 --json --data \'{"email":"new@example.com"}\'',
+    );
+    console.log('   ncurl head https://api.example.com/files/report.pdf');
+    console.log('   ncurl options https://api.example.com/users');
+    console.log('');
+    console.log('6. Upload file:');
     console.log('   ncurl post https://api.example.com/upload --data @file.txt');
+    console.log('   ncurl post https://api.example.com/upload --data-binary @image.png');
+    console.log('   cat payload.json | ncurl post https://api.example.com/items --data @-');
+    console.log('');
+    console.log('7. Multipart and urlencoded forms:');
+    console.log(
+      '   ncurl post https://api.example.com/upload -F title=Avatar -F file=@me.png;type=image/png',
+    );
+    console.log(
+      '   ncurl post https://api.example.com/login --form-urlencoded user=john --form-urlencoded pass=secret',
+    );
+    console.log('');
+    console.log('8. Authentication:');
+    console.log('   ncurl get https://api.example.com/me --bearer env:API_TOKEN');
+    console.log('   ncurl get https://api.example.com/me --user john:env:API_PASSWORD');
+    console.log('   ncurl get https://api.example.com/me --user john:secret --digest');
+    console.log('   ncurl get https://api.example.com/me --api-key header:X-API-Key=env:API_KEY');
+    console.log('');
+    console.log('9. Retries:');
+    console.log('   ncurl get https://api.example.com/flaky --retry 3 --retry-delay 500');
+    console.log('');
+    console.log('10. Sessions with cookies:');
+    console.log(
+      '   ncurl post https://api.example.com/login --json --data \'{"user":"john"}\' -c cookies.txt',
+    );
+    console.log('   ncurl get https://api.example.com/profile -c cookies.txt');
+    console.log('');
+    console.log('11. curl interop:');
+    console.log("   ncurl from-curl 'curl -X POST https://api.example.com/users -d name=John'");
+    console.log("   ncurl from-curl --print 'curl https://api.example.com/users -u john:secret'");
+    console.log('   ncurl get https://api.example.com/me --bearer env:API_TOKEN --to-curl');
+    console.log('');
+    console.log('12. Request files (.http):');
+    console.log('   ncurl file requests.http');
+    console.log('   ncurl file requests.http --name me --var baseUrl=http://localhost:3000');
+    console.log('');
+    console.log('13. Smoke-test assertions (non-zero exit on failure):');
+    console.log(
+      "   ncurl get https://api.example.com/health --expect-status 2xx --expect-header 'content-type~json'",
+    );
+    console.log(
+      "   ncurl get https://api.example.com/users --expect-json '$.data.length > 0' --expect-time 500",
+    );
+    console.log('');
+    console.log('14. Filter JSON without jq:');
+    console.log("   ncurl get https://api.example.com/users --query '.data | map(.email)'");
+    console.log(
+      "   TOKEN=$(ncurl post https://api.example.com/login --json --data '{}' --query '$.token' --raw)",
+    );
+    console.log('');
+    console.log('15. Large downloads and binary content:');
+    console.log(
+      '   ncurl get https://example.com/release.tar.gz -o release.tar.gz --continue-at - --checksum sha256:<hex>',
+    );
+    console.log('   ncurl get https://example.com/logo.png --output - > logo.png');
+    console.log('   ncurl get https://api.example.com/large.json --compressed');
+    console.log('');
+    console.log('16. Proxies, private CAs and mTLS:');
+    console.log('   ncurl get https://api.example.com/users --proxy http://proxy.corp:3128');
+    console.log(
+      '   ncurl get https://api.internal/health --cacert ca.pem --cert client.pem --key client-key.pem',
+    );
+    console.log('');
+    console.log('17. Where is the time going? (DNS, connect, TLS, server, transfer):');
+    console.log(
+      "   ncurl get https://api.example.com/users -s -o /dev/null -w '%{http_code} %{time_starttransfer} %{time_total}\\n'",
+    );
+    console.log("   ncurl get https://api.example.com/users -s -o /dev/null -w '%{json}'");
+    console.log('');
+    console.log('18. Environments from .ncurlrc profiles (base URL, headers, auth):');
+    console.log('   ncurl get /users --profile staging');
+    console.log('   NCURL_PROFILE=prod ncurl get /health --expect-status 200');
+    console.log('');
+    console.log('19. Embed in Node tools (no printing, no process.exit):');
+    console.log("   import { createClient } from '@dawlabs/ncurl';");
+    console.log(
+      "   const { data } = await createClient({ baseUrl: 'https://api.example.com' }).get('/users');",
+    );
+    console.log('');
+    console.log('20. GraphQL:');
+    console.log(
+      "   ncurl graphql https://api.example.com/graphql --query 'query($id: ID!) { user(id: $id) { name } }' --variables '{\"id\": 1}'",
+    );
+    console.log('   ncurl graphql https://api.example.com/graphql --introspect');
+    console.log('');
+    console.log('21. Streaming responses (Server-Sent Events, NDJSON):');
+    console.log(
+      "   ncurl post https://api.example.com/v1/chat --json '{\"stream\": true}' --until '[DONE]' -q '.delta' -r",
+    );
+    console.log('   ncurl get https://api.example.com/events --max-events 10 --reconnect 3');
+    console.log('');
+    console.log('22. WebSocket sessions:');
+    console.log(
+      '   ncurl ws wss://api.example.com/socket \'{"type":"ping"}\' --expect \'$.type == "pong"\' --timeout 5000',
+    );
+    console.log('   ncurl ws wss://api.example.com/socket --bearer env:TOKEN   # interactive');
+    console.log('');
+    console.log('23. Every page of a listing:');
+    console.log("   ncurl get https://api.example.com/users --paginate --items '$.data'");
+    console.log(
+      "   ncurl get https://api.example.com/events --paginate --cursor-path '$.next_cursor' --ndjson",
+    );
+    console.log('');
+    console.log('24. Cache a slow endpoint (revalidated with ETag/Last-Modified):');
+    console.log("   ncurl get https://api.example.com/report --cache -w '%{from_cache}\\n'");
+    console.log('');
+    console.log('25. Many requests in parallel (URL list, NDJSON or CSV):');
+    console.log('   ncurl batch urls.txt --concurrency 20 --rate 50/s');
+    console.log('');
+    console.log('26. Record fixtures once, replay them offline in tests:');
+    console.log('   ncurl get https://api.example.com/users --record test/fixtures');
+    console.log('   ncurl get https://api.example.com/users --replay test/fixtures');
+    console.log('');
+    console.log('27. HAR files (browser DevTools exports):');
+    console.log('   ncurl get https://api.example.com/users --har session.har');
+    console.log("   ncurl har replay bug-report.har --filter 'url~/api/'");
+    console.log('');
+    console.log('28. OpenAPI operations (method, path and schemas from the spec):');
+    console.log('   ncurl op --spec openapi.yaml   # list operations');
+    console.log('   ncurl op getUser --param id=5 --spec openapi.yaml');
+    console.log(
+      '   ncurl op createUser --spec openapi.yaml -d \'{"name":"John"}\'   # validated before sending',
+    );
     console.log('');
     console.log('Smart Features:');
     console.log('• Auto-detects HTTP method from URL patterns');
     console.log('• Automatically adds https:// if missing');
     console.log('• Smart JSON handling with --json flag');
+    console.log('• Content-type inferred from @file extensions');
     console.log('• Follows redirects by default');
     console.log('• LLM-friendly error messages with suggestions');
+    console.log('• Credentials redacted from --verbose output and saved files');
     console.log('');
     console.log('Example URL Patterns that trigger methods:');
     console.log('• /create, /new, /add → POST');
     console.log('• /update, /edit, /modify → PUT');
+    console.log('• /patch → PATCH');
     console.log('• /delete, /remove → DELETE');
     console.log('• Anything else → GET (unless --data provided)');
+    console.log('• Add your own with: ncurl run <url> --method-pattern "/archive$=DELETE"');
+    console.log('• With --spec openapi.yaml the documented method wins over these guesses');
   });
 
 // LLM Pattern: Handle unknown methods gracefully (common LLM hallucination)
@@ -242,7 +788,7 @@ program.on('command:*', operands => {
   const [commandName, ...args] = operands;
 
   // Check if it looks like an HTTP method
-  const httpMethods = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+  const httpMethods = METHOD_COMMANDS.map(({ method }) => method.toLowerCase());
   const commandLower = commandName?.toLowerCase();
 
   if (commandLower && httpMethods.includes(commandLower)) {
@@ -251,7 +797,9 @@ program.on('command:*', operands => {
     );
   } else {
     console.log(`[ncurl] Unknown command: ${commandName}`);
-    console.log('[ncurl] Available commands: get, post, put, delete, run');
+    console.log(
+      '[ncurl] Available commands: get, post, put, patch, delete, head, options, run, from-curl, file, graphql, ws, batch, har, op',
+    );
     console.log('[ncurl] Or use: ncurl run <url> for smart inference mode');
   }
   process.exit(1);
@@ -0,0 +1,114 @@
+/**
+ * nCurl Client - Programmatic API for Embedding ncurl in Other Tools
+ *
+ * @context Library entry point of the nCurl HTTP client for DAWLabs tools and scripts
+ * @purpose Sends requests with shared defaults and returns results instead of printing them or exiting
+ * @integration Wraps executeRequest, the same engine the CLI uses; exported from the package index
+ * @workflow Merge client defaults with per-call options → apply the profile if one is named → execute → return or throw
+ *
+ * Behavior:
+ * - Never writes to stdout and never calls process.exit (clients are silent unless `verbose` is set)
+ * - Failures throw NcurlError with `code`, `suggestion`, `request` and the partial `response`
+ * - 4xx/5xx responses are returned like any other result, unless `throwHttpErrors` is set
+ * - Default headers merge with per-call headers (per-call values win); other per-call options replace defaults
+ *
+ * @example
+ * import { createClient, NcurlError } from '@dawlabs/ncurl';
+ *
+ * const api = createClient({ baseUrl: 'https://api.example.com/v1', bearer: 'env:API_TOKEN', retry: 2 });
+ * const { status, data } = await api.get('/users');
+ * await api.post('/users', { data: { name: 'John' } });
+ */
+
+import { NcurlError } from './errors.js';
+import { executeRequest } from './index.js';
+import { applyProfile } from './profile.js';
+
+/**
+ * @typedef {import('./index.js').HTTPOptions & { throwHttpErrors?: boolean }} ClientOptions
+ */
+
+/**
+ * @typedef {Object} NcurlClient
+ * @property {Readonly<ClientOptions>} defaults - Options applied to every request
+ * @property {(urlOrOptions: string|ClientOptions, options?: ClientOptions) => Promise<import('./index.js').NcurlResult>} request - Send a request
+ * @property {(url: string, options?: ClientOptions) => Promise<import('./index.js').NcurlResult>} get - Send a GET request
+ * @property {(url: string, options?: ClientOptions) => Promise<import('./index.js').NcurlResult>} head - Send a HEAD request
+ * @property {(url: string, options?: ClientOptions) => Promise<import('./index.js').NcurlResult>} options - Send an OPTIONS request
+ * @property {(url: string, options?: ClientOptions) => Promise<import('./index.js').NcurlResult>} delete - Send a DELETE request
+ * @property {(url: string, options?: ClientOptions) => Promise<import('./index.js').NcurlResult>} post - Send a POST request
+ * @property {(url: string, options?: ClientOptions) => Promise<import('./index.js').NcurlResult>} put - Send a PUT request
+ * @property {(url: string, options?: ClientOptions) => Promise<import('./index.js').NcurlResult>} patch - Send a PATCH request
+ */
+
+/**
+ * Merge client defaults with per-call options
+ * @param {ClientOptions} defaults - Client defaults
+ * @param {ClientOptions} options - Per-call options
+ * @returns {ClientOptions} Merged options
+ */
+export function mergeOptions(defaults, options) {
+  const merged = { silent: true, ...defaults, ...options };
+  if (defaults.headers || options.headers) {
+    merged.headers = { ...defaults.headers, ...options.headers };
+  }
+  if (defaults.header || options.header) {
+    merged.header = [...(defaults.header || []), ...(options.header || [])];
+  }
+  return merged;
+}
+
+/**
+ * Create a client with shared defaults
+ * @param {ClientOptions} [defaults] - Options applied to every request (`baseUrl`, `headers`, `timeout`, auth, `profile`, ...)
+ * @returns {NcurlClient} Client
+ */
+export function createClient(defaults = {}) {
+  const frozen = Object.freeze({ ...defaults });
+
+  async function request(urlOrOptions, options = {}) {
+    const callOptions =
+      typeof urlOrOptions === 'string' ? { ...options, url: urlOrOptions } : { ...urlOrOptions };
+    let merged = mergeOptions(frozen, callOptions);
+    // Only an explicit profile is loaded: libraries should not pick up NCURL_PROFILE by accident
+    if (merged.profile) {
+      merged = await applyProfile(merged);
+    }
+
+    const result = await executeRequest(merged);
+    if (merged.throwHttpErrors && result.status >= 400) {
+      throw new NcurlError(`HTTP ${result.status} ${result.statusText || ''}`.trim(), {
+        code: 'HTTP_ERROR',
+        suggestion:
+          result.status === 401 || result.status === 403
+            ? 'Check the credentials (bearer, user or apiKey)'
+            : undefined,
+        request: { method: result.method, url: result.url },
+        response: {
+          status: result.status,
+          statusText: result.statusText,
+          headers: result.headers,
+          data: result.data,
+        },
+      });
+    }
+    return result;
+  }
+
+  const withMethod =
+    method =>
+    (url, options = {}) =>
+      request(url, { ...options, method });
+
+  return {
+    defaults: frozen,
+    request,
+    get: withMethod('GET'),
+    head: withMethod('HEAD'),
+    options: withMethod('OPTIONS'),
+    delete: withMethod('DELETE'),
+    post: withMethod('POST'),
+    put: withMethod('PUT'),
+    patch: withMethod('PATCH'),
+  };
+}
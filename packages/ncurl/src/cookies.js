@@ -0,0 +1,454 @@
+/**
+ * nCurl Cookies - Persistent Cookie Jar with RFC 6265 Matching
+ *
+ * @context Session layer of the nCurl HTTP client
+ * @purpose Keeps `set-cookie` responses so session-based APIs work across separate ncurl invocations
+ * @integration executeRequest loads the jar before sending, adds the Cookie header, then stores and saves new cookies
+ * @workflow Parse Set-Cookie → store with domain/path/expiry/secure attributes → match per request → persist to disk
+ *
+ * Jar Formats:
+ * - Netscape cookies.txt (curl/wget compatible) - the default
+ * - JSON (an array of cookie objects) - used when the jar file ends in `.json` or already contains JSON
+ *
+ * Matching Rules:
+ * - Host-only cookies match the exact host; Domain cookies also match subdomains
+ * - Domain attributes naming a public suffix (`com`, `co.uk`) or set by an IP host are refused
+ * - Path must path-match the request path; Secure cookies are only sent over https
+ * - Expired cookies are dropped; session cookies are kept in the jar like curl does
+ *
+ * @example
+ * const jar = await CookieJar.load('cookies.txt');
+ * jar.setCookies(response.headers['set-cookie'], 'https://api.example.com/login');
+ * await jar.save('cookies.txt');
+ */
+
+import fs from 'fs';
+import net from 'net';
+import { hasHeader } from './headers.js';
+
+/**
+ * @typedef {Object} Cookie
+ * @property {string} name - Cookie name
+ * @property {string} value - Cookie value
+ * @property {string} domain - Domain without a leading dot
+ * @property {boolean} hostOnly - True when the cookie only matches the exact host
+ * @property {string} path - Cookie path
+ * @property {boolean} secure - Only send over https
+ * @property {boolean} httpOnly - HttpOnly flag (kept for round-tripping)
+ * @property {number} expires - Expiry as a Unix timestamp in seconds (0 for session cookies)
+ */
+
+/**
+ * Compute the default cookie path for a request path (RFC 6265 §5.1.4)
+ * @param {string} pathname - Request path
+ * @returns {string} Default path
+ */
+function defaultPath(pathname) {
+  if (!pathname.startsWith('/') || pathname.lastIndexOf('/') === 0) {
+    return '/';
+  }
+  return pathname.slice(0, pathname.lastIndexOf('/'));
+}
+
+/**
+ * Check whether a host domain-matches a cookie domain
+ * @param {string} host - Request host
+ * @param {string} domain - Cookie domain
+ * @returns {boolean} True on match
+ */
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Well-known public suffixes with more than one label; single labels are always public
+ */
+const PUBLIC_SUFFIXES = new Set([
+  'co.uk',
+  'org.uk',
+  'ac.uk',
+  'gov.uk',
+  'co.jp',
+  'ne.jp',
+  'or.jp',
+  'com.au',
+  'net.au',
+  'org.au',
+  'com.br',
+  'com.cn',
+  'co.in',
+  'co.nz',
+  'co.za',
+  'com.mx',
+  'com.tr',
+  'co.kr',
+  'co.id',
+  'com.sg',
+  'github.io',
+  'herokuapp.com',
+  'vercel.app',
+  'netlify.app',
+  'pages.dev',
+  'workers.dev',
+  'appspot.com',
+  'cloudfront.net',
+  'azurewebsites.net',
+  'blogspot.com',
+]);
+
+/**
+ * Check whether a cookie domain is a public suffix no single site may claim
+ * @param {string} domain - Cookie domain without a leading dot
+ * @returns {boolean} True for single-label domains and known public suffixes
+ */
+function isPublicSuffix(domain) {
+  return !domain.includes('.') || PUBLIC_SUFFIXES.has(domain);
+}
+
+/**
+ * Check whether a request path path-matches a cookie path
+ * @param {string} requestPath - Request path
+ * @param {string} cookiePath - Cookie path
+ * @returns {boolean} True on match
+ */
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) {
+    return true;
+  }
+  return (
+    requestPath.startsWith(cookiePath) &&
+    (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/')
+  );
+}
+
+/**
+ * Parse a Set-Cookie header value in the context of the request URL
+ * @param {string} header - Set-Cookie header value
+ * @param {string} requestUrl - URL of the request that received the header
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Cookie|null} Parsed cookie or null when it must be ignored
+ */
+export function parseSetCookie(header, requestUrl, now = Date.now()) {
+  const url = new URL(requestUrl);
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) {
+    return null;
+  }
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: url.hostname,
+    hostOnly: true,
+    path: defaultPath(url.pathname),
+    secure: false,
+    httpOnly: false,
+    expires: 0,
+  };
+
+  let maxAge;
+  for (const attribute of attributes) {
+    const [rawKey, ...rest] = attribute.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      // Reject cookies for domains the responding host does not belong to
+      if (!domainMatches(url.hostname, domain)) {
+        return null;
+      }
+      // A Domain equal to an IP or public-suffix host stays host-only (RFC 6265 §5.3 step 5)
+      if (net.isIP(url.hostname.replace(/^\[|\]$/g, '')) || isPublicSuffix(domain)) {
+        if (domain !== url.hostname) {
+          return null;
+        }
+        continue;
+      }
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'expires') {
+      const date = Date.parse(value);
+      if (!Number.isNaN(date)) {
+        cookie.expires = Math.floor(date / 1000);
+      }
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = Number(value);
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    }
+  }
+
+  // Max-Age wins over Expires; non-positive values expire the cookie immediately
+  if (maxAge !== undefined) {
+    cookie.expires = maxAge <= 0 ? -1 : Math.floor(now / 1000) + maxAge;
+  }
+
+  return cookie;
+}
+
+/**
+ * Parse `--cookie` values (`name=value` or `a=1; b=2`)
+ * @param {string[]} values - Raw option values
+ * @returns {Array<{ name: string, value: string }>} Cookie pairs
+ */
+export function parseCookieOption(values = []) {
+  return values
+    .flatMap(value => value.split(';'))
+    .map(pair => pair.trim())
+    .filter(pair => pair.includes('='))
+    .map(pair => {
+      const separator = pair.indexOf('=');
+      return { name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() };
+    });
+}
+
+/**
+ * Cookie jar with Netscape and JSON persistence
+ */
+export class CookieJar {
+  /**
+   * @param {Cookie[]} [cookies] - Initial cookies
+   * @param {'netscape'|'json'} [format='netscape'] - Format used by save()
+   */
+  constructor(cookies = [], format = 'netscape') {
+    this.cookies = cookies;
+    this.format = format;
+  }
+
+  /**
+   * Load a jar from disk; a missing file yields an empty jar
+   * @param {string} file - Jar file path
+   * @returns {Promise<CookieJar>} Loaded jar
+   */
+  static async load(file) {
+    const format = file.endsWith('.json') ? 'json' : 'netscape';
+    let content;
+    try {
+      content = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new CookieJar([], format);
+      }
+      throw error;
+    }
+
+    const trimmed = content.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      const parsed = JSON.parse(trimmed);
+      return new CookieJar(Array.isArray(parsed) ? parsed : parsed.cookies || [], 'json');
+    }
+    return new CookieJar(CookieJar.parseNetscape(content), format);
+  }
+
+  /**
+   * Parse Netscape cookies.txt content
+   * @param {string} content - File content
+   * @returns {Cookie[]} Cookies
+   */
+  static parseNetscape(content) {
+    const cookies = [];
+    for (const rawLine of content.split(/\r?\n/)) {
+      let line = rawLine;
+      let httpOnly = false;
+      if (line.startsWith('#HttpOnly_')) {
+        line = line.slice('#HttpOnly_'.length);
+        httpOnly = true;
+      } else if (line.startsWith('#') || !line.trim()) {
+        continue;
+      }
+
+      const fields = line.split('\t');
+      if (fields.length < 7) {
+        continue;
+      }
+      const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+      cookies.push({
+        name,
+        value: value.join('\t'),
+        domain: domain.replace(/^\./, ''),
+        hostOnly: includeSubdomains !== 'TRUE',
+        path,
+        secure: secure === 'TRUE',
+        httpOnly,
+        expires: Number(expires) || 0,
+      });
+    }
+    return cookies;
+  }
+
+  /**
+   * Serialise cookies to Netscape cookies.txt content
+   * @param {Cookie[]} cookies - Cookies
+   * @returns {string} File content
+   */
+  static toNetscape(cookies) {
+    const lines = ['# Netscape HTTP Cookie File', '# Written by ncurl. Edit at your own risk.', ''];
+    for (const cookie of cookies) {
+      const domain = cookie.hostOnly ? cookie.domain : `.${cookie.domain}`;
+      lines.push(
+        [
+          `${cookie.httpOnly ? '#HttpOnly_' : ''}${domain}`,
+          cookie.hostOnly ? 'FALSE' : 'TRUE',
+          cookie.path,
+          cookie.secure ? 'TRUE' : 'FALSE',
+          String(cookie.expires || 0),
+          cookie.name,
+          cookie.value,
+        ].join('\t'),
+      );
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Store Set-Cookie headers received for a URL
+   * @param {string|string[]|undefined} headers - Set-Cookie header value(s)
+   * @param {string} requestUrl - URL of the request
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {number} Number of cookies stored or removed
+   */
+  setCookies(headers, requestUrl, now = Date.now()) {
+    const values = headers === undefined ? [] : Array.isArray(headers) ? headers : [headers];
+    let changed = 0;
+
+    for (const header of values) {
+      const cookie = parseSetCookie(header, requestUrl, now);
+      if (!cookie) {
+        continue;
+      }
+
+      this.cookies = this.cookies.filter(
+        existing =>
+          !(
+            existing.name === cookie.name &&
+            existing.domain === cookie.domain &&
+            existing.path === cookie.path
+          ),
+      );
+      if (cookie.expires === 0 || cookie.expires * 1000 > now) {
+        this.cookies.push(cookie);
+      }
+      changed++;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Select the cookies to send to a URL (most specific path first)
+   * @param {string} requestUrl - Request URL
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Cookie[]} Matching cookies
+   */
+  getCookies(requestUrl, now = Date.now()) {
+    const url = new URL(requestUrl);
+    const host = url.hostname;
+
+    return this.cookies
+      .filter(cookie => cookie.expires === 0 || cookie.expires * 1000 > now)
+      .filter(cookie =>
+        cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain),
+      )
+      .filter(cookie => pathMatches(url.pathname, cookie.path))
+      .filter(cookie => !cookie.secure || url.protocol === 'https:')
+      .sort((a, b) => b.path.length - a.path.length);
+  }
+
+  /**
+   * Build the Cookie header value for a URL
+   * @param {string} requestUrl - Request URL
+   * @returns {string} Header value (empty when nothing matches)
+   */
+  getCookieHeader(requestUrl) {
+    return this.getCookies(requestUrl)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Persist the jar, dropping expired cookies (file is created owner-readable only)
+   * @param {string} file - Jar file path
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  async save(file, now = Date.now()) {
+    const cookies = this.cookies.filter(
+      cookie => cookie.expires === 0 || cookie.expires * 1000 > now,
+    );
+    const content =
+      this.format === 'json'
+        ? `${JSON.stringify(cookies, null, 2)}\n`
+        : CookieJar.toNetscape(cookies);
+    await fs.promises.writeFile(file, content, { mode: 0o600 });
+  }
+}
+
+/**
+ * Load the cookie jar and cookie file (if any) and set the Cookie header for a request
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers (mutated)
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {Promise<CookieJar|null>} Loaded jar, or null without --cookie-jar / --cookie-file
+ */
+export async function applyCookies(url, headers, options = {}) {
+  let jar = options.cookieJar ? await CookieJar.load(options.cookieJar) : null;
+  if (options.cookieFile && options.cookieFile !== options.cookieJar) {
+    // Read-only source like curl -b <file>: its cookies are sent, and only --cookie-jar is written
+    const file = await CookieJar.load(options.cookieFile);
+    jar = jar ? new CookieJar([...file.cookies, ...jar.cookies], jar.format) : file;
+  }
+  setCookieHeader(jar, url, headers, options.cookie);
+  return jar;
+}
+
+/**
+ * Set the Cookie header from the jar and ad-hoc `--cookie` values
+ * @param {CookieJar|null} jar - Jar from applyCookies
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers (mutated)
+ * @param {string[]} [values] - Raw `--cookie` values
+ */
+export function setCookieHeader(jar, url, headers, values = []) {
+  // An explicit -H 'cookie: ...' header is sent as given
+  if (hasHeader(headers, 'cookie')) {
+    return;
+  }
+
+  // Ad-hoc --cookie values override jar cookies with the same name
+  const adHoc = parseCookieOption(values);
+  const fromJar = jar
+    ? jar.getCookies(url).filter(cookie => !adHoc.some(pair => pair.name === cookie.name))
+    : [];
+  const pairs = [...fromJar, ...adHoc].map(({ name, value }) => `${name}=${value}`);
+
+  if (pairs.length > 0) {
+    headers['cookie'] = pairs.join('; ');
+  }
+}
+
+/**
+ * Store response cookies in the jar and persist it (only --cookie-jar is written back)
+ * @param {CookieJar|null} jar - Jar from applyCookies
+ * @param {Object} responseHeaders - Response headers
+ * @param {string} url - Request URL
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ */
+export async function persistCookies(jar, responseHeaders, url, options = {}) {
+  if (!jar) {
+    return;
+  }
+
+  const changed = jar.setCookies(responseHeaders['set-cookie'], url);
+  if (!options.cookieJar) {
+    return;
+  }
+  await jar.save(options.cookieJar);
+  if (options.verbose && changed > 0) {
+    console.log(`[ncurl] Stored ${changed} cookie(s) in ${options.cookieJar}`);
+  }
+}
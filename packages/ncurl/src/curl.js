@@ -0,0 +1,719 @@
+/**
+ * nCurl curl Interop - Import and Export Raw curl Command Lines
+ *
+ * @context Interoperability layer between ncurl and the curl commands copied from browser devtools and docs
+ * @purpose Parses `curl ...` command lines into ncurl options and renders ncurl options back as curl or ncurl commands
+ * @integration Powers the `from-curl` command and the `--to-curl` option handled in main()
+ * @workflow Tokenize with shell quoting rules → map curl flags to HTTPOptions → optionally format the equivalent command
+ *
+ * Shell Syntax Supported:
+ * - Single quotes, double quotes with backslash escapes, and bash `$'...'` ANSI-C strings (used by Chrome devtools)
+ * - Backslash line continuations from multi-line copies
+ * - Clustered short flags (`-sSL`) and attached values (`-XPOST`)
+ *
+ * Mapping Notes:
+ * - Repeated `-d` / `--data-urlencode` values are joined with `&` like curl does
+ * - Without `-L` curl does not follow redirects, so the import sets `redirect: false`
+ * - Unsupported curl flags are reported in `ignored` instead of failing the import
+ *
+ * @example
+ * const { options } = parseCurlCommand(`curl -X POST https://api.example.com/users -H 'content-type: application/json' --data-raw '{"a":1}'`);
+ * // => { method: 'POST', url: 'https://api.example.com/users', header: ['content-type: application/json'], dataRaw: '{"a":1}', redirect: false }
+ */
+
+import { URLSearchParams } from 'url';
+
+/**
+ * curl flags that take a value, mapped to their canonical long name
+ */
+const VALUE_FLAGS = {
+  '-X': '--request',
+  '--request': '--request',
+  '-H': '--header',
+  '--header': '--header',
+  '-d': '--data',
+  '--data': '--data',
+  '--data-ascii': '--data',
+  '--data-raw': '--data-raw',
+  '--data-binary': '--data-binary',
+  '--data-urlencode': '--data-urlencode',
+  '--json': '--json',
+  '-F': '--form',
+  '--form': '--form',
+  '--form-string': '--form-string',
+  '-u': '--user',
+  '--user': '--user',
+  '--oauth2-bearer': '--oauth2-bearer',
+  '-b': '--cookie',
+  '--cookie': '--cookie',
+  '-c': '--cookie-jar',
+  '--cookie-jar': '--cookie-jar',
+  '-A': '--user-agent',
+  '--user-agent': '--user-agent',
+  '-e': '--referer',
+  '--referer': '--referer',
+  '-o': '--output',
+  '--output': '--output',
+  '-m': '--max-time',
+  '--max-time': '--max-time',
+  '--url': '--url',
+  '--retry': '--retry',
+  '--retry-delay': '--retry-delay',
+  '--connect-timeout': '--connect-timeout',
+  '-x': '--proxy',
+  '--proxy': '--proxy',
+  '--cacert': '--cacert',
+  '-E': '--cert',
+  '--cert': '--cert',
+  '--key': '--key',
+  '--resolve': '--resolve',
+  '-w': '--write-out',
+  '--write-out': '--write-out',
+};
+
+/**
+ * curl flags without a value, mapped to their canonical long name
+ */
+const BOOLEAN_FLAGS = {
+  '-s': '--silent',
+  '--silent': '--silent',
+  '-v': '--verbose',
+  '--verbose': '--verbose',
+  '-L': '--location',
+  '--location': '--location',
+  '-I': '--head',
+  '--head': '--head',
+  '-G': '--get',
+  '--get': '--get',
+  '--digest': '--digest',
+  '--basic': '--basic',
+  '-k': '--insecure',
+  '--insecure': '--insecure',
+  '--compressed': '--compressed',
+  '-i': '--include',
+  '--include': '--include',
+  '-f': '--fail',
+  '--fail': '--fail',
+  '-S': '--show-error',
+  '--show-error': '--show-error',
+  '-N': '--no-buffer',
+  '--no-buffer': '--no-buffer',
+  '-g': '--globoff',
+  '--globoff': '--globoff',
+  '-#': '--progress-bar',
+  '--progress-bar': '--progress-bar',
+};
+
+/**
+ * Flags that only affect curl's own terminal output and are safe to drop
+ */
+const COSMETIC_FLAGS = ['--show-error', '--no-buffer', '--globoff', '--progress-bar', '--basic'];
+
+/**
+ * @typedef {Object} ParsedCurlCommand
+ * @property {import('./index.js').HTTPOptions} options - Equivalent ncurl options
+ * @property {string[]} ignored - curl flags that have no ncurl equivalent
+ */
+
+/**
+ * Decode a bash `$'...'` ANSI-C quoted string starting after the opening quote
+ * @param {string} input - Full input
+ * @param {number} start - Index just after `$'`
+ * @returns {{ value: string, end: number }} Decoded value and index after the closing quote
+ */
+function readAnsiCString(input, start) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', 0: '\0', e: '\x1b' };
+  let value = '';
+  let i = start;
+
+  while (i < input.length && input[i] !== "'") {
+    if (input[i] !== '\\') {
+      value += input[i++];
+      continue;
+    }
+
+    const next = input[i + 1];
+    const hex = next === 'x' ? input.slice(i + 2).match(/^[0-9a-fA-F]{1,2}/) : null;
+    const unicode = next === 'u' ? input.slice(i + 2).match(/^[0-9a-fA-F]{1,4}/) : null;
+    if (hex) {
+      value += String.fromCharCode(parseInt(hex[0], 16));
+      i += 2 + hex[0].length;
+    } else if (unicode) {
+      value += String.fromCharCode(parseInt(unicode[0], 16));
+      i += 2 + unicode[0].length;
+    } else {
+      value += escapes[next] ?? `\\${next}`;
+      i += 2;
+    }
+  }
+
+  if (i >= input.length) {
+    throw new Error("Unterminated $'...' string in curl command");
+  }
+  return { value, end: i + 1 };
+}
+
+/**
+ * Split a command line into arguments using POSIX shell quoting rules
+ * @param {string} input - Command line
+ * @returns {string[]} Arguments
+ * @throws {Error} On unterminated quotes
+ */
+export function tokenizeShell(input) {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    // Line continuation from multi-line copies
+    if (char === '\\' && /^\r?\n/.test(input.slice(i + 1))) {
+      i += input[i + 1] === '\r' ? 3 : 2;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (inToken) {
+        tokens.push(current);
+        current = '';
+        inToken = false;
+      }
+      i++;
+      continue;
+    }
+
+    inToken = true;
+
+    if (char === "'") {
+      const end = input.indexOf("'", i + 1);
+      if (end === -1) {
+        throw new Error('Unterminated single quote in curl command');
+      }
+      current += input.slice(i + 1, end);
+      i = end + 1;
+    } else if (char === '$' && input[i + 1] === "'") {
+      const { value, end } = readAnsiCString(input, i + 2);
+      current += value;
+      i = end;
+    } else if (char === '"') {
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && '"\\$`\n'.includes(input[i + 1])) {
+          current += input[i + 1] === '\n' ? '' : input[i + 1];
+          i += 2;
+        } else {
+          current += input[i++];
+        }
+      }
+      if (i >= input.length) {
+        throw new Error('Unterminated double quote in curl command');
+      }
+      i++;
+    } else if (char === '\\') {
+      current += input[i + 1] ?? '';
+      i += 2;
+    } else {
+      current += char;
+      i++;
+    }
+  }
+
+  if (inToken) {
+    tokens.push(current);
+  }
+  return tokens;
+}
+
+/**
+ * Expand clustered short flags (`-sSL`) and attached values (`-XPOST`)
+ * @param {string} token - Argument starting with a single dash
+ * @returns {Array<[string, string|undefined]>} Flag/attached-value pairs
+ */
+function expandShortFlags(token) {
+  const expanded = [];
+  for (let i = 1; i < token.length; i++) {
+    const flag = `-${token[i]}`;
+    if (VALUE_FLAGS[flag]) {
+      const attached = token.slice(i + 1);
+      expanded.push([flag, attached || undefined]);
+      return expanded;
+    }
+    expanded.push([flag, undefined]);
+  }
+  return expanded;
+}
+
+/**
+ * Encode a `--data-urlencode` value the way curl does
+ * @param {string} value - Raw value (`content`, `=content` or `name=content`)
+ * @returns {string} Encoded pair
+ */
+function encodeDataUrlencode(value) {
+  const separator = value.indexOf('=');
+  if (separator === -1) {
+    return encodeURIComponent(value);
+  }
+  const name = value.slice(0, separator);
+  const encoded = encodeURIComponent(value.slice(separator + 1));
+  return name ? `${name}=${encoded}` : encoded;
+}
+
+/**
+ * Parse a curl command line into ncurl options
+ * @param {string|string[]} command - Command string or pre-split arguments (leading `curl` optional)
+ * @returns {ParsedCurlCommand} ncurl options and ignored flags
+ * @throws {Error} When no URL is present or a flag is missing its value
+ */
+export function parseCurlCommand(command) {
+  const tokens = Array.isArray(command) ? [...command] : tokenizeShell(command);
+  if (tokens[0] === 'curl') {
+    tokens.shift();
+  }
+
+  const flags = [];
+  const positionals = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    let pairs;
+
+    if (token === '--') {
+      positionals.push(...tokens.slice(i + 1));
+      break;
+    } else if (token.startsWith('--')) {
+      pairs = [[token, undefined]];
+    } else if (token.startsWith('-') && token.length > 1) {
+      pairs = expandShortFlags(token);
+    } else {
+      positionals.push(token);
+      continue;
+    }
+
+    for (const [flag, attached] of pairs) {
+      const name = VALUE_FLAGS[flag] || BOOLEAN_FLAGS[flag] || flag;
+      if (VALUE_FLAGS[flag] && attached === undefined) {
+        if (i + 1 >= tokens.length) {
+          throw new Error(`curl option ${flag} requires a value`);
+        }
+        flags.push([name, tokens[++i]]);
+      } else {
+        flags.push([name, attached]);
+      }
+    }
+  }
+
+  const options = { header: [] };
+  const ignored = [];
+  const dataParts = [];
+  let followRedirects = false;
+  let getMode = false;
+
+  for (const [name, value] of flags) {
+    switch (name) {
+      case '--request':
+        options.method = value.toUpperCase();
+        break;
+      case '--header':
+        options.header.push(value);
+        break;
+      case '--data':
+      case '--data-raw':
+      case '--data-binary':
+      case '--data-urlencode':
+        dataParts.push({ kind: name, value });
+        break;
+      case '--json':
+        options.json = true;
+        dataParts.push({ kind: '--data-binary', value });
+        break;
+      case '--form':
+        options.form = [...(options.form || []), value];
+        break;
+      case '--form-string':
+        options.formString = [...(options.formString || []), value];
+        break;
+      case '--user':
+        options.user = value;
+        break;
+      case '--digest':
+        options.digest = true;
+        break;
+      case '--oauth2-bearer':
+        options.bearer = value;
+        break;
+      case '--cookie':
+        if (value.includes('=')) {
+          options.cookie = [...(options.cookie || []), value];
+        } else {
+          options.cookieFile = value;
+        }
+        break;
+      case '--cookie-jar':
+        options.cookieJar = value;
+        break;
+      case '--user-agent':
+        options.header.push(`user-agent: ${value}`);
+        break;
+      case '--referer':
+        options.header.push(`referer: ${value}`);
+        break;
+      case '--output':
+        options.output = value;
+        break;
+      case '--max-time':
+        options.timeout = String(Math.round(Number(value) * 1000));
+        break;
+      case '--retry':
+        options.retry = value;
+        break;
+      case '--retry-delay':
+        options.retryDelay = String(Math.round(Number(value) * 1000));
+        break;
+      case '--url':
+        positionals.unshift(value);
+        break;
+      case '--silent':
+        options.silent = true;
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '--location':
+        followRedirects = true;
+        break;
+      case '--head':
+        options.method = 'HEAD';
+        break;
+      case '--get':
+        getMode = true;
+        break;
+      case '--compressed':
+        options.compressed = true;
+        break;
+      case '--proxy':
+        options.proxy = value;
+        break;
+      case '--cacert':
+        options.cacert = value;
+        break;
+      case '--cert':
+        options.cert = value;
+        break;
+      case '--key':
+        options.key = value;
+        break;
+      case '--insecure':
+        options.insecure = true;
+        break;
+      case '--resolve':
+        options.resolve = [...(options.resolve || []), value];
+        break;
+      case '--write-out':
+        options.writeOut = value;
+        break;
+      default:
+        if (!COSMETIC_FLAGS.includes(name)) {
+          ignored.push(value === undefined ? name : `${name} ${value}`);
+        }
+    }
+  }
+
+  if (positionals.length === 0) {
+    throw new Error('No URL found in curl command');
+  }
+  options.url = positionals[0];
+  options.redirect = followRedirects;
+
+  if (options.header.length === 0) {
+    delete options.header;
+  }
+
+  if (dataParts.length === 1 && dataParts[0].kind !== '--data-urlencode' && !getMode) {
+    const [{ kind, value }] = dataParts;
+    const key = { '--data': 'data', '--data-raw': 'dataRaw', '--data-binary': 'dataBinary' }[kind];
+    options[key] = value;
+  } else if (dataParts.length > 0) {
+    const joined = dataParts
+      .map(({ kind, value }) => (kind === '--data-urlencode' ? encodeDataUrlencode(value) : value))
+      .join('&');
+
+    if (getMode) {
+      // -G moves the data into the query string
+      const url = new URL(/^https?:\/\//.test(options.url) ? options.url : `http://${options.url}`);
+      for (const [key, value] of new URLSearchParams(joined)) {
+        url.searchParams.append(key, value);
+      }
+      options.url = /^https?:\/\//.test(options.url) ? url.toString() : url.toString().slice(7);
+      options.method = options.method || 'GET';
+    } else {
+      options.dataRaw = joined;
+    }
+  }
+
+  return { options, ignored };
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value - Raw value
+ * @returns {string} Shell-safe value
+ */
+export function shellQuote(value) {
+  const text = String(value);
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(text)) {
+    return text;
+  }
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote a value that may embed an `env:VAR` secret, keeping the variable unexpanded
+ * @param {string} prefix - Literal text before the secret
+ * @param {string} secret - Secret value or `env:VAR`
+ * @returns {string} Shell-safe value
+ */
+function quoteSecret(prefix, secret) {
+  if (typeof secret === 'string' && secret.startsWith('env:')) {
+    return `"${prefix.replace(/(["\\$`])/g, '\\$1')}$${secret.slice(4)}"`;
+  }
+  return shellQuote(`${prefix}${secret}`);
+}
+
+/**
+ * Check whether options ask to follow redirects (ncurl's default)
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {boolean} True when redirects are followed
+ */
+function followsRedirects(options) {
+  return options.redirect !== false && options.followRedirects !== false;
+}
+
+/**
+ * Render proxy, TLS and --resolve options (same flag names in curl and ncurl)
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @param {{ insecure: string }} flags - Spelling of the insecure flag
+ * @returns {string[]} Arguments
+ */
+function transportArgs(options, flags) {
+  const args = [];
+  if (options.proxy) {
+    args.push('--proxy', shellQuote(options.proxy));
+  }
+  for (const key of ['cacert', 'cert', 'key']) {
+    if (options[key]) {
+      args.push(`--${key}`, shellQuote(options[key]));
+    }
+  }
+  if (options.insecure) {
+    args.push(flags.insecure);
+  }
+  for (const entry of options.resolve || []) {
+    args.push('--resolve', shellQuote(entry));
+  }
+  return args;
+}
+
+/**
+ * Render ncurl options as an equivalent curl command
+ * @param {import('./index.js').HTTPOptions} options - Command options with a resolved `url` and `method`
+ * @returns {string} curl command line
+ */
+export function toCurlCommand(options = {}) {
+  const args = ['curl'];
+  let url = shellQuote(options.url);
+
+  if (options.method === 'HEAD') {
+    args.push('-I');
+  } else if (options.method && options.method !== 'GET') {
+    args.push('-X', options.method);
+  }
+
+  const headers = [...(options.header || [])];
+  const hasHeaderNamed = name =>
+    headers.some(header => header.split(':')[0].trim().toLowerCase() === name);
+  if (options.json) {
+    if (!hasHeaderNamed('content-type')) {
+      headers.push('content-type: application/json');
+    }
+    if (!hasHeaderNamed('accept')) {
+      headers.push('accept: application/json');
+    }
+  }
+  for (const header of headers) {
+    args.push('-H', shellQuote(header));
+  }
+
+  if (options.bearer) {
+    args.push('-H', quoteSecret('authorization: Bearer ', options.bearer));
+  }
+  if (options.user) {
+    const separator = options.user.indexOf(':');
+    args.push(
+      '-u',
+      quoteSecret(options.user.slice(0, separator + 1), options.user.slice(separator + 1)),
+    );
+    if (options.digest) {
+      args.push('--digest');
+    }
+  }
+  if (options.apiKey) {
+    const [, location = 'header', name, value] =
+      options.apiKey.match(/^(?:(header|query):)?([^=]+)=(.*)$/i) || [];
+    if (location.toLowerCase() === 'query') {
+      const separator = options.url.includes('?') ? '&' : '?';
+      url = quoteSecret(`${options.url}${separator}${encodeURIComponent(name)}=`, value);
+    } else if (name) {
+      args.push('-H', quoteSecret(`${name}: `, value));
+    }
+  }
+
+  if (options.data !== undefined) {
+    args.push('--data', shellQuote(options.data));
+  }
+  if (options.dataRaw !== undefined) {
+    args.push('--data-raw', shellQuote(options.dataRaw));
+  }
+  if (options.dataBinary !== undefined) {
+    args.push('--data-binary', shellQuote(options.dataBinary));
+  }
+  for (const field of options.form || []) {
+    args.push('-F', shellQuote(field));
+  }
+  for (const field of options.formString || []) {
+    args.push('--form-string', shellQuote(field));
+  }
+  for (const pair of options.formUrlencoded || []) {
+    args.push('--data-urlencode', shellQuote(pair));
+  }
+
+  for (const cookie of options.cookie || []) {
+    args.push('-b', shellQuote(cookie));
+  }
+  if (options.cookieFile) {
+    args.push('-b', shellQuote(options.cookieFile));
+  }
+  if (options.cookieJar) {
+    args.push('-b', shellQuote(options.cookieJar), '-c', shellQuote(options.cookieJar));
+  }
+
+  if (options.compressed) {
+    args.push('--compressed');
+  }
+  args.push(...transportArgs(options, { insecure: '-k' }));
+  if (followsRedirects(options)) {
+    args.push('-L');
+  }
+  if (options.timeout && String(options.timeout) !== '30000') {
+    args.push('--max-time', String(Number(options.timeout) / 1000));
+  }
+  if (options.retry) {
+    args.push('--retry', String(options.retry));
+  }
+  if (options.output) {
+    args.push('-o', shellQuote(options.output));
+  }
+  if (options.writeOut) {
+    args.push('-w', shellQuote(options.writeOut));
+  }
+  if (options.verbose) {
+    args.push('-v');
+  }
+  if (options.silent) {
+    args.push('-s');
+  }
+
+  args.push(url);
+  return args.join(' ');
+}
+
+/**
+ * Render ncurl options as an equivalent ncurl command
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {string} ncurl command line
+ */
+export function toNcurlCommand(options = {}) {
+  const hasBody = ['data', 'dataRaw', 'dataBinary', 'form', 'formString', 'formUrlencoded'].some(
+    key => options[key] !== undefined,
+  );
+  const method = (options.method || (hasBody ? 'POST' : 'GET')).toUpperCase();
+  const bodyCommands = ['POST', 'PUT', 'PATCH'];
+  const plainCommands = ['GET', 'DELETE', 'HEAD', 'OPTIONS'];
+
+  const args = ['ncurl'];
+  if (bodyCommands.includes(method) || (plainCommands.includes(method) && !hasBody)) {
+    args.push(method.toLowerCase(), shellQuote(options.url));
+  } else {
+    args.push('run', shellQuote(options.url), '-X', method);
+  }
+
+  for (const header of options.header || []) {
+    args.push('-H', shellQuote(header));
+  }
+  if (options.json) {
+    args.push('--json');
+  }
+  if (options.data !== undefined) {
+    args.push('--data', shellQuote(options.data));
+  }
+  if (options.dataRaw !== undefined) {
+    args.push('--data-raw', shellQuote(options.dataRaw));
+  }
+  if (options.dataBinary !== undefined) {
+    args.push('--data-binary', shellQuote(options.dataBinary));
+  }
+  for (const field of options.form || []) {
+    args.push('-F', shellQuote(field));
+  }
+  for (const field of options.formString || []) {
+    args.push('--form-string', shellQuote(field));
+  }
+  if (options.user) {
+    args.push('--user', shellQuote(options.user));
+  }
+  if (options.digest) {
+    args.push('--digest');
+  }
+  if (options.bearer) {
+    args.push('--bearer', shellQuote(options.bearer));
+  }
+  for (const cookie of options.cookie || []) {
+    args.push('--cookie', shellQuote(cookie));
+  }
+  if (options.cookieFile) {
+    args.push('--cookie-file', shellQuote(options.cookieFile));
+  }
+  if (options.cookieJar) {
+    args.push('--cookie-jar', shellQuote(options.cookieJar));
+  }
+  if (options.compressed) {
+    args.push('--compressed');
+  }
+  args.push(...transportArgs(options, { insecure: '--insecure' }));
+  if (!followsRedirects(options)) {
+    args.push('--no-redirect');
+  }
+  if (options.timeout) {
+    args.push('--timeout', String(options.timeout));
+  }
+  if (options.retry) {
+    args.push('--retry', String(options.retry));
+  }
+  if (options.retryDelay) {
+    args.push('--retry-delay', String(options.retryDelay));
+  }
+  if (options.output) {
+    args.push('-o', shellQuote(options.output));
+  }
+  if (options.writeOut) {
+    args.push('--write-out', shellQuote(options.writeOut));
+  }
+  if (options.verbose) {
+    args.push('--verbose');
+  }
+  if (options.silent) {
+    args.push('--silent');
+  }
+
+  return args.join(' ');
+}
@@ -0,0 +1,350 @@
+/**
+ * nCurl Download - Streaming File Downloads with Progress, Resume and Checksums
+ *
+ * @context Download mode of the nCurl HTTP client for large artifacts and binary files
+ * @purpose Pipes response bodies straight to disk instead of buffering them as text
+ * @integration executeRequest adds the Range header and hands the response to saveDownload in download mode
+ * @workflow Resolve resume offset → request with Range → stream to file through a hash/progress tap → verify checksum
+ *
+ * Download Mode:
+ * - Enabled by `-o <file>` together with `--stream`, `--continue-at` or `--checksum` (`-o -` streams to stdout)
+ * - `--continue-at -` resumes from the size of the existing file, `--continue-at <n>` from byte n
+ * - A 200 answer to a Range request restarts the file; 416 on a complete file is treated as done
+ * - `--checksum sha256:<hex>` (any Node hash: md5, sha1, sha512, ...) covers the whole file, resumed part included
+ *
+ * @example
+ * // ncurl get https://example.com/big.iso -o big.iso --continue-at - --checksum sha256:ab12...
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createDecoders } from './encoding.js';
+import { getHeader } from './headers.js';
+
+/**
+ * Minimum interval between progress bar redraws
+ */
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Width of the progress bar in characters
+ */
+const PROGRESS_WIDTH = 30;
+
+/**
+ * @typedef {Object} DownloadResult
+ * @property {string} file - Destination path
+ * @property {number} bytes - Bytes written by this request
+ * @property {number} size - Final file size
+ * @property {number} resumedFrom - Offset the download resumed from (0 for a fresh download)
+ * @property {string} [checksum] - Verified `algorithm:hex` digest
+ */
+
+/**
+ * Check whether options select download mode
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {boolean} True when the body should be streamed to options.output
+ * @throws {Error} When a download option is used without -o
+ */
+export function isDownload(options = {}) {
+  const requested = Boolean(options.stream || options.continueAt !== undefined || options.checksum);
+  if (requested && !options.output) {
+    throw new Error('--stream, --continue-at and --checksum need an output file: add -o <file>');
+  }
+  if (options.continueAt !== undefined && options.output === '-') {
+    throw new Error('--continue-at needs a file to resume, not --output -');
+  }
+  if (options.continueAt !== undefined && options.compressed) {
+    throw new Error(
+      '--continue-at cannot be combined with --compressed: the range would count encoded bytes',
+    );
+  }
+  return requested;
+}
+
+/**
+ * Parse a `--checksum algorithm:hex` value
+ * @param {string} spec - Checksum spec
+ * @returns {{ algorithm: string, digest: string }} Hash algorithm and expected lowercase hex digest
+ * @throws {Error} When the spec or algorithm is invalid
+ */
+export function parseChecksum(spec) {
+  const match = String(spec).match(/^([\w-]+):([0-9a-fA-F]+)$/);
+  if (!match) {
+    throw new Error(`Invalid --checksum "${spec}". Expected algorithm:hex, e.g. sha256:9f86d0...`);
+  }
+
+  const algorithm = match[1].toLowerCase();
+  if (!crypto.getHashes().includes(algorithm)) {
+    throw new Error(`Unsupported checksum algorithm "${algorithm}". Try sha256, sha512 or md5`);
+  }
+  return { algorithm, digest: match[2].toLowerCase() };
+}
+
+/**
+ * Resolve the byte offset to resume from
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {Promise<number>} Offset (0 when not resuming or the file does not exist yet)
+ * @throws {Error} For invalid --continue-at values or offsets the local file cannot back
+ */
+export async function resolveResumeOffset(options = {}) {
+  if (options.continueAt === undefined) {
+    return 0;
+  }
+
+  const offset = options.continueAt === '-' ? undefined : Number(options.continueAt);
+  if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+    throw new Error(`Invalid --continue-at "${options.continueAt}". Use - or a byte offset`);
+  }
+
+  let size = 0;
+  try {
+    size = (await fs.promises.stat(options.output)).size;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    if (offset) {
+      throw new Error(
+        `Cannot resume ${options.output} at byte ${offset}: the file does not exist. Use --continue-at - to start it`,
+      );
+    }
+  }
+
+  // Resuming past the end would leave a gap of zero bytes in the file
+  if (offset > size) {
+    throw new Error(
+      `--continue-at ${offset} is past the end of ${options.output} (${size} bytes). Use --continue-at - to resume from the end`,
+    );
+  }
+  return offset ?? size;
+}
+
+/**
+ * Format a byte count for humans
+ * @param {number} bytes - Byte count
+ * @returns {string} Size such as `4.2 MB`
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Render one progress line
+ * @param {number} done - Bytes of the file on disk so far
+ * @param {number} [total] - Expected file size when known
+ * @param {number} rate - Bytes per second
+ * @returns {string} Progress line
+ */
+export function formatProgress(done, total, rate) {
+  const speed = `${formatBytes(rate)}/s`;
+  if (!total) {
+    return `${formatBytes(done)} ${speed}`;
+  }
+
+  const ratio = Math.min(done / total, 1);
+  const filled = Math.round(ratio * PROGRESS_WIDTH);
+  const bar = `${'#'.repeat(filled)}${'.'.repeat(PROGRESS_WIDTH - filled)}`;
+  const percent = `${Math.floor(ratio * 100)}%`.padStart(4);
+  return `[${bar}] ${percent} ${formatBytes(done)}/${formatBytes(total)} ${speed}`;
+}
+
+/**
+ * Create a progress reporter that redraws a single stderr line
+ * @param {number} offset - Bytes already on disk
+ * @param {number} [total] - Expected final size
+ * @param {boolean} enabled - Whether to draw at all
+ * @returns {{ update: (bytes: number) => void, finish: () => void }} Reporter
+ */
+function createProgress(offset, total, enabled) {
+  const startedAt = Date.now();
+  let lastDraw = 0;
+  let received = 0;
+
+  const draw = () => {
+    const seconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+    process.stderr.write(`\r${formatProgress(offset + received, total, received / seconds)}\x1b[K`);
+  };
+
+  return {
+    update(bytes) {
+      received += bytes;
+      if (enabled && Date.now() - lastDraw >= PROGRESS_INTERVAL) {
+        lastDraw = Date.now();
+        draw();
+      }
+    },
+    finish() {
+      if (enabled) {
+        draw();
+        process.stderr.write('\n');
+      }
+    },
+  };
+}
+
+/**
+ * Feed an existing file into a hash (used when resuming with --checksum)
+ * @param {string} file - File path
+ * @param {crypto.Hash} hash - Hash to update
+ * @param {number} length - Bytes to read from the start of the file
+ * @returns {Promise<void>}
+ */
+async function hashExisting(file, hash, length) {
+  if (length === 0) {
+    return;
+  }
+  for await (const chunk of fs.createReadStream(file, { end: length - 1 })) {
+    hash.update(chunk);
+  }
+}
+
+/**
+ * Parse the total size from a `Content-Range: bytes a-b/total` header
+ * @param {string} [contentRange] - Header value
+ * @returns {{ start?: number, total?: number }} Range start and total size
+ */
+function parseContentRange(contentRange) {
+  const match = String(contentRange || '').match(/^bytes\s+(?:(\d+)-\d+|\*)\/(\d+|\*)/i);
+  if (!match) {
+    return {};
+  }
+  return {
+    start: match[1] === undefined ? undefined : Number(match[1]),
+    total: match[2] === '*' ? undefined : Number(match[2]),
+  };
+}
+
+/**
+ * Stream a response body to the output file
+ * @param {Object} response - undici response
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @param {number} offset - Offset requested with Range (0 for a fresh download)
+ * @returns {Promise<DownloadResult>} Download summary
+ * @throws {Error} On HTTP errors, mismatched ranges or checksum failures
+ */
+export async function saveDownload(response, options, offset = 0) {
+  const { statusCode, headers } = response;
+  const file = options.output;
+  const contentRange = parseContentRange(getHeader(headers, 'content-range'));
+
+  // Nothing left to fetch: the server reports the file is already complete
+  if (statusCode === 416 && offset > 0 && contentRange.total === offset) {
+    await response.body.dump();
+    if (options.verbose) {
+      console.log(`[ncurl] ${file} is already complete (${formatBytes(offset)})`);
+    }
+    return finishDownload(file, options, { bytes: 0, size: offset, resumedFrom: offset });
+  }
+
+  if (statusCode >= 400) {
+    await response.body.dump();
+    throw new Error(`Download failed with HTTP ${statusCode}; ${file} was not written`);
+  }
+
+  let resumedFrom = 0;
+  if (offset > 0 && statusCode === 206) {
+    if (contentRange.start !== offset) {
+      await response.body.dump();
+      throw new Error(
+        `Server resumed at byte ${contentRange.start} instead of ${offset}. Retry without --continue-at`,
+      );
+    }
+    resumedFrom = offset;
+  } else if (offset > 0 && !options.silent) {
+    console.error('[ncurl] Server ignored the Range request, restarting the download from byte 0');
+  }
+
+  // With --compressed the file size differs from content-length, so progress shows bytes only
+  const decoders = createDecoders(headers, options);
+  const length = Number(getHeader(headers, 'content-length'));
+  const total = decoders.length
+    ? undefined
+    : (contentRange.total ?? (Number.isFinite(length) ? resumedFrom + length : undefined));
+  const checksum = options.checksum ? parseChecksum(options.checksum) : null;
+  const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+  if (hash) {
+    await hashExisting(file, hash, resumedFrom);
+  }
+
+  const progress = createProgress(
+    resumedFrom,
+    total,
+    Boolean(process.stderr.isTTY) && !options.silent,
+  );
+  let bytes = 0;
+  const tap = new Transform({
+    transform(chunk, _encoding, callback) {
+      bytes += chunk.length;
+      hash?.update(chunk);
+      progress.update(chunk.length);
+      callback(null, chunk);
+    },
+  });
+
+  // Drop anything past the resume point so a shorter --continue-at offset cannot leave stale bytes
+  if (resumedFrom > 0) {
+    await fs.promises.truncate(file, resumedFrom);
+  }
+  if (file === '-') {
+    await pipeline(response.body, ...decoders, tap, process.stdout, { end: false });
+  } else {
+    await pipeline(
+      response.body,
+      ...decoders,
+      tap,
+      fs.createWriteStream(file, { flags: resumedFrom > 0 ? 'a' : 'w' }),
+    );
+  }
+  progress.finish();
+
+  return finishDownload(
+    file,
+    options,
+    { bytes, size: resumedFrom + bytes, resumedFrom },
+    hash && { ...checksum, actual: hash.digest('hex') },
+  );
+}
+
+/**
+ * Verify the checksum (hashing the file when it was not streamed) and build the summary
+ * @param {string} file - Destination path
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @param {{ bytes: number, size: number, resumedFrom: number }} summary - Transfer summary
+ * @param {{ algorithm: string, digest: string, actual: string }} [computed] - Digest computed while streaming
+ * @returns {Promise<DownloadResult>} Download summary
+ * @throws {Error} When the checksum does not match (the file is removed)
+ */
+async function finishDownload(file, options, summary, computed) {
+  const result = { file, ...summary };
+  if (!options.checksum) {
+    return result;
+  }
+
+  let verified = computed;
+  if (!verified) {
+    const checksum = parseChecksum(options.checksum);
+    const hash = crypto.createHash(checksum.algorithm);
+    await hashExisting(file, hash, summary.size);
+    verified = { ...checksum, actual: hash.digest('hex') };
+  }
+
+  if (verified.actual !== verified.digest) {
+    const mismatch = `Checksum mismatch for ${file}: expected ${verified.algorithm}:${verified.digest}, got ${verified.algorithm}:${verified.actual}`;
+    if (file === '-') {
+      throw new Error(mismatch);
+    }
+    await fs.promises.rm(file, { force: true });
+    throw new Error(`${mismatch}. The file was removed`);
+  }
+  return { ...result, checksum: `${verified.algorithm}:${verified.actual}` };
+}
@@ -0,0 +1,237 @@
+/**
+ * nCurl Encoding - Binary-Safe Response Bodies, Content Decoding and Charsets
+ *
+ * @context Response decoding layer between undici and the output formatters
+ * @purpose Keeps binary bodies as Buffers, undoes gzip/deflate/br with --compressed and honors the charset parameter
+ * @integration executeRequest decodes buffered bodies with decodeResponseBody; download mode pipes through createDecoders
+ * @workflow Undo content-encoding → classify the content-type → keep bytes, or decode text with its charset
+ *
+ * Classification:
+ * - text/*, JSON, XML, JavaScript, YAML, CSV, form data and GraphQL types are text
+ * - Every other declared type (images, protobuf, octet-stream, ...) is binary
+ * - Without a content-type the first bytes are sniffed for NUL bytes and invalid UTF-8
+ *
+ * @example
+ * const { data, binary } = decodeResponseBody(buffer, { 'content-type': 'text/plain; charset=iso-8859-1' });
+ * // => { data: 'café', binary: false }
+ */
+
+import { Transform } from 'stream';
+import { TextDecoder } from 'util';
+import zlib from 'zlib';
+import { getHeader } from './headers.js';
+
+/**
+ * Encodings advertised with --compressed
+ */
+export const ACCEPT_ENCODING = 'gzip, deflate, br';
+
+/**
+ * Content-type patterns that are always text
+ */
+const TEXT_TYPES = [
+  /^text\//,
+  /[/+]json$/,
+  /[/+]xml$/,
+  /^application\/(x-)?(javascript|ecmascript|yaml|ndjson|graphql|x-www-form-urlencoded)$/,
+  /^application\/(csv|sql)$/,
+];
+
+/**
+ * Bytes sniffed when a response has no content-type
+ */
+const SNIFF_LENGTH = 1024;
+
+/**
+ * Parse the media type and charset of a content-type header
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {{ mediaType: string, charset?: string }} Lowercase media type and charset
+ */
+export function parseContentType(contentType = '') {
+  const [mediaType, ...parameters] = String(contentType).split(';');
+  const charset = parameters
+    .map(parameter => parameter.trim().match(/^charset\s*=\s*"?([^";]+)"?$/i))
+    .find(Boolean);
+  return { mediaType: mediaType.trim().toLowerCase(), charset: charset?.[1].toLowerCase() };
+}
+
+/**
+ * Check whether a content-type describes binary content
+ * @param {string} [contentType] - Content-Type header value
+ * @param {Buffer} [sample] - Body bytes to sniff when the type is missing
+ * @returns {boolean} True for binary content
+ */
+export function isBinaryContent(contentType, sample) {
+  const { mediaType } = parseContentType(contentType);
+  if (mediaType) {
+    return !TEXT_TYPES.some(pattern => pattern.test(mediaType));
+  }
+  if (!sample?.length) {
+    return false;
+  }
+
+  const head = sample.subarray(0, SNIFF_LENGTH);
+  if (head.includes(0)) {
+    return true;
+  }
+  try {
+    // stream: a multi-byte character cut at the sniff boundary is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * List the content-encodings of a response in the order they must be undone
+ * @param {Object} headers - Response headers
+ * @returns {string[]} Encodings, outermost first
+ */
+function listEncodings(headers) {
+  return String(getHeader(headers, 'content-encoding') || '')
+    .split(',')
+    .map(encoding => encoding.trim().toLowerCase())
+    .filter(encoding => encoding && encoding !== 'identity')
+    .reverse();
+}
+
+/**
+ * Check whether deflate bytes lack the zlib (or gzip) header, i.e. are raw RFC 1951 data
+ * @param {Buffer} bytes - First bytes of the body (at least two)
+ * @returns {boolean} True for raw deflate
+ */
+function isRawDeflate(bytes) {
+  const gzip = bytes[0] === 0x1f && bytes[1] === 0x8b;
+  const wrapped = (bytes[0] & 0x0f) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0;
+  return !gzip && !wrapped;
+}
+
+/**
+ * Inflate a deflate body, retrying as raw deflate when the zlib header check fails
+ * @param {Buffer} bytes - Compressed body
+ * @returns {Buffer} Inflated body
+ */
+function inflateSync(bytes) {
+  try {
+    return zlib.unzipSync(bytes);
+  } catch (error) {
+    if (!/incorrect header check/.test(error.message)) {
+      throw error;
+    }
+    return zlib.inflateRawSync(bytes);
+  }
+}
+
+/**
+ * Create a deflate stream decoder that picks zlib or raw inflate from the first two bytes
+ * @returns {Transform} Decoder
+ */
+function createInflate() {
+  let pending = Buffer.alloc(0);
+  let inflate;
+
+  const start = decoder => {
+    inflate = isRawDeflate(pending) ? zlib.createInflateRaw() : zlib.createUnzip();
+    inflate.on('data', chunk => decoder.push(chunk));
+    inflate.on('error', error => decoder.destroy(error));
+    inflate.write(pending);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (inflate) {
+        inflate.write(chunk, () => callback());
+        return;
+      }
+      pending = Buffer.concat([pending, chunk]);
+      if (pending.length >= 2) {
+        start(this);
+      }
+      callback();
+    },
+    flush(callback) {
+      if (!inflate) {
+        start(this);
+      }
+      inflate.once('end', () => callback());
+      inflate.end();
+    },
+  });
+}
+
+/**
+ * Look up the zlib decoder for a content-encoding
+ * @param {string} encoding - Content-encoding token
+ * @returns {{ sync: Function, stream: Function }} Buffer and stream decoders
+ * @throws {Error} For unsupported encodings
+ */
+function getDecoder(encoding) {
+  const decoders = {
+    gzip: { sync: zlib.gunzipSync, stream: zlib.createGunzip },
+    'x-gzip': { sync: zlib.gunzipSync, stream: zlib.createGunzip },
+    // Some servers send raw deflate instead of zlib-wrapped data, which unzip rejects
+    deflate: { sync: inflateSync, stream: createInflate },
+    br: { sync: zlib.brotliDecompressSync, stream: zlib.createBrotliDecompress },
+  };
+  if (!decoders[encoding]) {
+    throw new Error(`Unsupported content-encoding "${encoding}"`);
+  }
+  return decoders[encoding];
+}
+
+/**
+ * Create streaming decoders for a response (used in download mode)
+ * @param {Object} headers - Response headers
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {import('stream').Transform[]} Decoders to pipe through (empty without --compressed)
+ */
+export function createDecoders(headers, options = {}) {
+  if (!options.compressed) {
+    return [];
+  }
+  return listEncodings(headers).map(encoding => getDecoder(encoding).stream());
+}
+
+/**
+ * Decode a buffered response body
+ * @param {Buffer} buffer - Raw body bytes
+ * @param {Object} headers - Response headers
+ * @param {import('./index.js').HTTPOptions} [options] - Command options
+ * @returns {{ data: string|Buffer, binary: boolean }} Text for textual content, the bytes otherwise
+ * @throws {Error} When a compressed body cannot be decoded
+ */
+export function decodeResponseBody(buffer, headers, options = {}) {
+  let bytes = buffer;
+  const encodings = listEncodings(headers);
+  if (encodings.length && !options.compressed) {
+    // Still compressed: the bytes are not text whatever the content-type says
+    return { data: bytes, binary: true };
+  }
+  if (encodings.length) {
+    for (const encoding of encodings) {
+      try {
+        bytes = getDecoder(encoding).sync(bytes);
+      } catch (error) {
+        throw new Error(`Could not decode ${encoding} response body: ${error.message}`);
+      }
+    }
+  }
+
+  const contentType = getHeader(headers, 'content-type');
+  if (isBinaryContent(contentType, bytes)) {
+    return { data: bytes, binary: true };
+  }
+
+  const { charset = 'utf-8' } = parseContentType(contentType);
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch {
+    if (options.verbose) {
+      console.log(`[ncurl] Unknown charset "${charset}", decoding as UTF-8`);
+    }
+    decoder = new TextDecoder('utf-8');
+  }
+  return { data: decoder.decode(bytes), binary: false };
+}
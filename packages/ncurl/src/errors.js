@@ -0,0 +1,89 @@
+/**
+ * nCurl Errors - Structured Error Class for Embedding ncurl
+ *
+ * @context Error contract of the nCurl library API used by other DAWLabs tools
+ * @purpose Carries a machine-readable code, an actionable suggestion, the request and any partial response
+ * @integration executeRequest throws NcurlError; the CLI prints message and suggestion, callers branch on `code`
+ * @workflow Catch low-level error → normalize the code → attach suggestion, request and response → throw
+ *
+ * Error Codes:
+ * - Network and TLS codes from Node/undici (`ENOTFOUND`, `ECONNREFUSED`, `ETIMEDOUT`, `ECONNRESET`, `CERT_HAS_EXPIRED`, ...)
+ * - `ENOENT` for missing request body files
+ * - `HTTP_ERROR` for 4xx/5xx responses when the client uses `throwHttpErrors`
+ * - `GRAPHQL_ERROR` when a GraphQL response carries `errors[]`
+ * - `REPLAY_MISS` when no --replay fixture matches a request
+ * - `SCHEMA_VIOLATION` when parameters or a request body break the --spec schemas
+ * - `ERR_NCURL` for everything else (invalid options, decoding failures, checksum mismatches)
+ *
+ * @example
+ * try {
+ *   await client.get('/users');
+ * } catch (error) {
+ *   if (error instanceof NcurlError && error.code === 'ECONNREFUSED') retryLater(error.suggestion);
+ * }
+ */
+
+/**
+ * @typedef {Object} NcurlErrorRequest
+ * @property {string} method - HTTP method
+ * @property {string} url - Request URL (credentials redacted)
+ * @property {Object} [headers] - Request headers (credentials redacted)
+ */
+
+/**
+ * @typedef {Object} NcurlErrorResponse
+ * @property {number} status - Response status
+ * @property {string} [statusText] - Status text
+ * @property {Object} headers - Response headers
+ * @property {*} [data] - Response body when it was read
+ */
+
+/**
+ * Error thrown by the ncurl library API
+ */
+export class NcurlError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [details] - Structured details
+   * @param {string} [details.code='ERR_NCURL'] - Machine-readable code
+   * @param {string} [details.suggestion] - What the user can do about it
+   * @param {NcurlErrorRequest} [details.request] - Request that failed
+   * @param {NcurlErrorResponse} [details.response] - Response received before the failure
+   * @param {number} [details.attempts] - Attempts made (with --retry)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { code, suggestion, request, response, attempts, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'NcurlError';
+    this.code = code || 'ERR_NCURL';
+    this.suggestion = suggestion;
+    this.request = request;
+    this.response = response;
+    this.attempts = attempts;
+  }
+
+  /**
+   * Serialize for logs and JSON output
+   * @returns {Object} Plain object with the message and structured details
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      code: this.code,
+      suggestion: this.suggestion,
+      request: this.request,
+      response: this.response,
+      attempts: this.attempts,
+    };
+  }
+}
+
+/**
+ * Format an error for the terminal, with its suggestion on a second line
+ * @param {Error} error - Any error
+ * @returns {string} Message, plus `[suggestion] ...` when there is one
+ */
+export function formatError(error) {
+  return error.suggestion ? `${error.message}\n[suggestion] ${error.suggestion}` : error.message;
+}
@@ -0,0 +1,403 @@
+/**
+ * nCurl Events - Server-Sent Events and NDJSON Streaming
+ *
+ * @context Streaming mode of the nCurl HTTP client for LLM, log and event APIs that never "finish" a body
+ * @purpose Hands each event or line to the caller as it arrives instead of waiting for the whole body
+ * @integration executeRequest switches to streamEvents when the response is text/event-stream or NDJSON
+ * @workflow Detect stream type → split the body into events → print/collect → stop (--max-events, --until) or reconnect
+ *
+ * Streaming Rules:
+ * - `text/event-stream` is parsed per the SSE spec (`data:`, `event:`, `id:`, `retry:`, `:` comments)
+ * - `application/x-ndjson` (also `application/ndjson`, `application/jsonl`) yields one event per non-empty line
+ * - `--parse-json` parses each event's data as JSON (events that are not JSON, such as `[DONE]`, stay text)
+ * - `--until` stops after the first event whose data or event name matches (`/regex/` for a pattern)
+ * - `--reconnect <n>` reopens a dropped SSE stream up to n times, sending `Last-Event-ID` and waiting `retry:` ms
+ *
+ * @example
+ * // ncurl post https://api.example.com/v1/chat --json '{"stream":true}' --parse-json --until '[DONE]'
+ * // ncurl get https://api.example.com/events --max-events 10 --reconnect 3
+ */
+
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { TextDecoder } from 'util';
+import { createDecoders, parseContentType } from './encoding.js';
+import { getHeader } from './headers.js';
+import { evaluateQuery } from './query.js';
+
+/**
+ * Media types streamed event by event
+ */
+export const STREAM_MEDIA_TYPES = {
+  'text/event-stream': 'sse',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+};
+
+/**
+ * Reconnection delay when the server sends no `retry:` field and --retry-delay is not set
+ */
+const DEFAULT_RECONNECT_DELAY = 3000;
+
+/**
+ * @typedef {Object} StreamEvent
+ * @property {string} type - SSE event name (`message` by default, `line` for NDJSON)
+ * @property {*} data - Event data (text, or parsed JSON with --parse-json)
+ * @property {string} [id] - SSE event id
+ */
+
+/**
+ * @typedef {Object} StreamSummary
+ * @property {string} format - `sse` or `ndjson`
+ * @property {number} count - Events delivered
+ * @property {number} bytes - Body bytes received over all connections
+ * @property {number} reconnects - Reconnections made
+ * @property {string} [lastEventId] - Last SSE event id seen
+ * @property {number} [retry] - Reconnection time requested by the server (`retry:`) in milliseconds
+ * @property {string} stoppedBy - `max-events`, `until` or `end`
+ */
+
+/**
+ * Detect a streamed response
+ * @param {Object} headers - Response headers
+ * @returns {string|null} `sse`, `ndjson`, or null for ordinary bodies
+ */
+export function getStreamFormat(headers = {}) {
+  const { mediaType } = parseContentType(getHeader(headers, 'content-type'));
+  return STREAM_MEDIA_TYPES[mediaType] || null;
+}
+
+/**
+ * Create an incremental Server-Sent Events parser
+ * @returns {{ push: (text: string) => StreamEvent[], retry?: number }} Parser; push returns the events completed by the text, `retry` holds the last `retry:` value
+ */
+export function createSseParser() {
+  let buffer = '';
+  let data = [];
+  let type = '';
+  let id;
+
+  const dispatch = events => {
+    if (data.length) {
+      const event = { type: type || 'message', data: data.join('\n') };
+      if (id !== undefined) {
+        event.id = id;
+      }
+      events.push(event);
+    }
+    data = [];
+    type = '';
+  };
+
+  return {
+    retry: undefined,
+    push(text) {
+      buffer += text;
+      const events = [];
+      // A trailing \r may be the first half of \r\n, so wait for the next chunk before using it
+      const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line === '') {
+          dispatch(events);
+          continue;
+        }
+        if (line.startsWith(':')) {
+          continue;
+        }
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'data') {
+          data.push(value);
+        } else if (field === 'event') {
+          type = value;
+        } else if (field === 'id' && !value.includes('\0')) {
+          id = value;
+        } else if (field === 'retry' && /^\d+$/.test(value)) {
+          // Applies right away, even without a following event
+          this.retry = Number(value);
+        }
+      }
+      return events;
+    },
+  };
+}
+
+/**
+ * Create an incremental NDJSON line splitter
+ * @returns {{ push: (text: string) => StreamEvent[], flush: () => StreamEvent[] }} Splitter
+ */
+export function createLineParser() {
+  let buffer = '';
+  const toEvents = lines =>
+    lines.filter(line => line.trim()).map(line => ({ type: 'line', data: line }));
+
+  return {
+    push(text) {
+      buffer += text;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      return toEvents(lines);
+    },
+    // NDJSON streams may omit the final newline
+    flush() {
+      const rest = buffer;
+      buffer = '';
+      return toEvents([rest]);
+    },
+  };
+}
+
+/**
+ * Build the --until stop condition
+ * @param {string} [spec] - Exact data or event name, or `/regex/flags`
+ * @returns {((event: StreamEvent) => boolean)|null} Predicate, or null without --until
+ * @throws {Error} For an invalid regular expression
+ */
+export function parseUntil(spec) {
+  if (spec === undefined || spec === '') {
+    return null;
+  }
+  const match = /^\/(.+)\/([a-z]*)$/.exec(spec);
+  if (!match) {
+    return event => event.type === spec || textOf(event.data) === spec;
+  }
+  let pattern;
+  try {
+    pattern = new RegExp(match[1], match[2]);
+  } catch (error) {
+    throw new Error(`Invalid --until pattern ${spec}: ${error.message}`);
+  }
+  return event => pattern.test(event.type) || pattern.test(textOf(event.data));
+}
+
+/**
+ * Get the text form of event data
+ * @param {*} data - Event data
+ * @returns {string} Text as sent (JSON for parsed data)
+ */
+function textOf(data) {
+  return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+/**
+ * Parse event data as JSON when possible
+ * @param {string} data - Event data
+ * @returns {*} Parsed value, or the text when it is not JSON
+ */
+function parseData(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+/**
+ * Format an event for printing
+ * @param {StreamEvent} event - Event
+ * @param {import('./index.js').HTTPOptions} options - Command options (`query`, `raw`)
+ * @returns {string|null} One line per output (compact JSON), or null when --query has nothing to say
+ */
+export function formatEvent(event, options = {}) {
+  if (!options.query) {
+    return textOf(event.data);
+  }
+  // --query only applies to JSON events; markers such as [DONE] are skipped
+  const data = typeof event.data === 'string' ? parseData(event.data) : event.data;
+  if (typeof data === 'string') {
+    return null;
+  }
+  return evaluateQuery(data, options.query)
+    .map(value => (options.raw && typeof value === 'string' ? value : JSON.stringify(value)))
+    .join('\n');
+}
+
+/**
+ * Create a line printer for stdout, or the -o file (opened on the first line)
+ * @param {import('./index.js').HTTPOptions} options - Command options (`output`)
+ * @returns {{ write: (line: string) => void, close: () => Promise<void> }} Printer
+ */
+export function createLineWriter(options = {}) {
+  let file;
+  const target = options.output && options.output !== '-' ? options.output : null;
+
+  return {
+    write(line) {
+      if (!target) {
+        process.stdout.write(`${line}\n`);
+        return;
+      }
+      file = file || fs.createWriteStream(target);
+      file.write(`${line}\n`);
+    },
+    async close() {
+      if (file) {
+        await new Promise((resolve, reject) =>
+          file.end(error => (error ? reject(error) : resolve())),
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Create the CLI event printer (stdout, or the -o file)
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {{ write: (event: StreamEvent) => void, close: () => Promise<void> }} Printer
+ */
+export function createEventWriter(options = {}) {
+  const lines = createLineWriter(options);
+
+  return {
+    write(event) {
+      if (options.verbose) {
+        const id = event.id !== undefined ? ` (id ${event.id})` : '';
+        console.log(`[ncurl] Event: ${event.type}${id}`);
+      }
+      const line = formatEvent(event, options);
+      if (line !== null) {
+        lines.write(line);
+      }
+    },
+    close: lines.close,
+  };
+}
+
+/**
+ * Read one response body event by event
+ * @param {Object} response - undici response
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @param {StreamSummary} summary - Running summary, updated in place
+ * @param {(event: StreamEvent) => boolean} deliver - Receives each event; returns false to stop reading
+ * @returns {Promise<boolean>} True when reading stopped early
+ */
+async function readEvents(response, options, summary, deliver) {
+  const parser = summary.format === 'sse' ? createSseParser() : createLineParser();
+  const decoder = new TextDecoder('utf-8');
+  let stopped = false;
+
+  const take = events => {
+    for (const event of events) {
+      if (!deliver(event)) {
+        stopped = true;
+        return;
+      }
+    }
+  };
+
+  await pipeline(
+    response.body,
+    async function* (source) {
+      for await (const chunk of source) {
+        summary.bytes += chunk.length;
+        yield chunk;
+      }
+    },
+    ...createDecoders(response.headers, options),
+    async source => {
+      for await (const chunk of source) {
+        take(parser.push(decoder.decode(chunk, { stream: true })));
+        summary.retry = parser.retry ?? summary.retry;
+        if (stopped) {
+          return;
+        }
+      }
+      take(parser.push(decoder.decode()));
+      if (!stopped && parser.flush) {
+        take(parser.flush());
+      }
+    },
+  );
+  if (stopped) {
+    // Close the connection: the server would keep streaming otherwise
+    response.body.destroy();
+  }
+  return stopped;
+}
+
+/**
+ * Stream events from a response, reconnecting SSE streams with Last-Event-ID
+ * @param {Object} response - undici response with a streamed content-type
+ * @param {import('./index.js').HTTPOptions} options - Command options (`maxEvents`, `until`, `parseJson`, `reconnect`, `onEvent`)
+ * @param {(lastEventId?: string) => Promise<Object>} reconnect - Sends the request again
+ * @returns {Promise<{ summary: StreamSummary, events?: StreamEvent[] }>} Summary, plus the events when no onEvent callback was given
+ * @throws {Error} For compressed streams without --compressed, or when the stream fails and no reconnects are left
+ */
+export async function streamEvents(response, options, reconnect) {
+  const format = getStreamFormat(response.headers);
+  const encoding = getHeader(response.headers, 'content-encoding');
+  if (encoding && encoding !== 'identity' && !options.compressed) {
+    await response.body.dump();
+    throw new Error(`The event stream is ${encoding}-compressed: add --compressed to decode it`);
+  }
+
+  const maxEvents = options.maxEvents ? parseInt(options.maxEvents) : Infinity;
+  const until = parseUntil(options.until);
+  const reconnects = options.reconnect ? parseInt(options.reconnect) : 0;
+  const collected = options.onEvent ? undefined : [];
+  const summary = { format, count: 0, bytes: 0, reconnects: 0, stoppedBy: 'end' };
+  const retryDelay = options.retryDelay ? parseInt(options.retryDelay) : DEFAULT_RECONNECT_DELAY;
+
+  const deliver = event => {
+    if (event.id !== undefined) {
+      summary.lastEventId = event.id;
+    }
+    if (options.parseJson) {
+      event.data = parseData(event.data);
+    }
+    summary.count += 1;
+    if (collected) {
+      collected.push(event);
+    } else {
+      options.onEvent(event);
+    }
+    if (summary.count >= maxEvents) {
+      summary.stoppedBy = 'max-events';
+    } else if (until?.(event)) {
+      summary.stoppedBy = 'until';
+    }
+    return summary.stoppedBy === 'end';
+  };
+
+  let current = response;
+  for (;;) {
+    try {
+      if (await readEvents(current, options, summary, deliver)) {
+        break;
+      }
+    } catch (error) {
+      if (format !== 'sse' || summary.reconnects >= reconnects) {
+        throw error;
+      }
+      if (options.verbose) {
+        console.log(`[ncurl] Event stream failed: ${error.message}`);
+      }
+    }
+    if (format !== 'sse' || summary.reconnects >= reconnects) {
+      break;
+    }
+
+    summary.reconnects += 1;
+    const delay = summary.retry ?? retryDelay;
+    if (options.verbose) {
+      const from = summary.lastEventId ? ` with Last-Event-ID ${summary.lastEventId}` : '';
+      console.log(`[ncurl] Reconnecting${from} in ${delay}ms`);
+    }
+    await sleep(delay);
+    current = await reconnect(summary.lastEventId);
+    // 204 (or any non-stream answer) tells the client to stop reconnecting
+    if (current.statusCode >= 300 || !getStreamFormat(current.headers)) {
+      await current.body.dump();
+      if (options.verbose) {
+        console.log(`[ncurl] Server ended the event stream with HTTP ${current.statusCode}`);
+      }
+      break;
+    }
+  }
+
+  return { summary, events: collected };
+}
@@ -0,0 +1,285 @@
+/**
+ * nCurl Fixtures - Record and Replay Request/Response Pairs for Hermetic Tests
+ *
+ * @context Test support of the nCurl HTTP client for integration suites that should run offline
+ * @purpose Saves real exchanges as fixture files and serves them back without touching the network
+ * @integration executeRequest serves --replay matches before sending and writes --record fixtures after buffered responses
+ * @workflow Record: send → save request + response as JSON | Replay: build the match key → find a fixture → serve it, or fail
+ *
+ * Matching (`--match`, default `method,url`):
+ * - `method`, `url` (after credentials are redacted) and `body` compare the request parts
+ * - `header:<name>` compares one request header (repeat for several, e.g. `header:x-tenant`)
+ *
+ * Fixtures:
+ * - One JSON file per exchange, named after the method and path, so they diff well in code review
+ * - Credentials are redacted from the stored URL, request headers and text request bodies, and Set-Cookie values from the response; bodies are stored as text, or base64 when binary
+ * - The random multipart boundary is replaced by a fixed one, so `--match body` and re-recording see the same request
+ * - Unmatched requests in replay mode throw NcurlError `REPLAY_MISS` instead of reaching the network
+ *
+ * @example
+ * // ncurl get https://api.example.com/users --record test/fixtures
+ * // ncurl get https://api.example.com/users --replay test/fixtures --match method,url,header:accept
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { collectSecrets, redactHeaders, redactSetCookies, redactText, redactUrl } from './auth.js';
+import { NcurlError } from './errors.js';
+import { findHeaderKey, getHeader } from './headers.js';
+
+/**
+ * Fields matched when --match is not given
+ */
+const DEFAULT_MATCH = ['method', 'url'];
+
+/**
+ * Boundary stored in place of the random one generated for each multipart body
+ */
+const FIXTURE_BOUNDARY = '----ncurlFormBoundaryFixture';
+
+/**
+ * @typedef {Object} FixtureRequest
+ * @property {string} method - HTTP method
+ * @property {string} url - Request URL (credentials redacted)
+ * @property {Object} headers - Request headers (credentials redacted)
+ * @property {Buffer} [body] - Request body (fixed multipart boundary, credentials redacted)
+ */
+
+/**
+ * @typedef {Object} Fixture
+ * @property {string} file - Fixture file path
+ * @property {{ method: string, url: string, headers: Object, body?: string, bodyEncoding?: string }} request - Recorded request
+ * @property {{ status: number, headers: Object, body: string, bodyEncoding?: string }} response - Recorded response
+ */
+
+/**
+ * Parse a --match value
+ * @param {string|string[]} [spec] - Comma-separated fields
+ * @returns {string[]} Fields (`header:` names lowercased)
+ * @throws {Error} For unknown fields
+ */
+export function parseMatch(spec) {
+  if (!spec || spec.length === 0) {
+    return DEFAULT_MATCH;
+  }
+  const fields = (Array.isArray(spec) ? spec : [spec])
+    .flatMap(value => value.split(','))
+    .map(field => field.trim())
+    .filter(Boolean);
+  for (const field of fields) {
+    if (!['method', 'url', 'body'].includes(field) && !/^header:.+/i.test(field)) {
+      throw new Error(`Unknown --match field "${field}". Use method, url, body or header:<name>`);
+    }
+  }
+  return fields.map(field => (/^header:/i.test(field) ? field.toLowerCase() : field));
+}
+
+/**
+ * Encode a body for a fixture file (text when it survives a UTF-8 round trip)
+ * @param {Buffer} [buffer] - Body bytes
+ * @returns {{ body?: string, bodyEncoding?: string }} Stored fields
+ */
+function encodeBody(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return {};
+  }
+  const text = buffer.toString('utf8');
+  return Buffer.from(text, 'utf8').equals(buffer)
+    ? { body: text }
+    : { body: buffer.toString('base64'), bodyEncoding: 'base64' };
+}
+
+/**
+ * Decode a body stored in a fixture file
+ * @param {{ body?: string, bodyEncoding?: string }} stored - Stored fields
+ * @returns {Buffer} Body bytes
+ */
+function decodeBody(stored) {
+  return Buffer.from(stored.body ?? '', stored.bodyEncoding === 'base64' ? 'base64' : 'utf8');
+}
+
+/**
+ * Convert a request body to bytes for recording and matching
+ * @param {string|Buffer|undefined} body - Request body
+ * @returns {Buffer|undefined} Body bytes
+ */
+export function toBodyBuffer(body) {
+  if (body === undefined || body === null) {
+    return undefined;
+  }
+  return Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+}
+
+/**
+ * Describe a request for fixture matching
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers
+ * @param {Buffer} [body] - Request body
+ * @param {import('./index.js').HTTPOptions} options - Command options (for redaction)
+ * @returns {FixtureRequest} Redacted request with a fixed multipart boundary
+ */
+export function describeRequest(method, url, headers, body, options = {}) {
+  const redacted = redactHeaders(headers, options);
+  let bytes = body;
+
+  // A fresh boundary per run would change the body hash and break --match body
+  const contentTypeKey = findHeaderKey(redacted, 'content-type');
+  const boundary = String(redacted[contentTypeKey] || '').match(/boundary="?([^";]+)"?/i)?.[1];
+  if (boundary && bytes?.length) {
+    redacted[contentTypeKey] = redacted[contentTypeKey].replace(boundary, FIXTURE_BOUNDARY);
+    bytes = Buffer.from(bytes.toString('latin1').split(boundary).join(FIXTURE_BOUNDARY), 'latin1');
+  }
+
+  // Text bodies can carry the same secrets as the headers (login forms, token exchanges)
+  const text = bytes?.toString('utf8');
+  if (text && Buffer.from(text, 'utf8').equals(bytes)) {
+    bytes = Buffer.from(redactText(text, collectSecrets(options)), 'utf8');
+  }
+
+  return {
+    method,
+    url: redactUrl(url, options),
+    headers: redacted,
+    body: bytes,
+  };
+}
+
+/**
+ * Check whether a recorded request matches a request on the --match fields
+ * @param {Object} recorded - Request stored in a fixture
+ * @param {FixtureRequest} request - Request being sent
+ * @param {string[]} fields - Fields from parseMatch
+ * @returns {boolean} True on match
+ */
+export function matchesFixture(recorded, request, fields) {
+  return fields.every(field => {
+    if (field === 'method') {
+      return recorded.method === request.method;
+    }
+    if (field === 'url') {
+      return recorded.url === request.url;
+    }
+    if (field === 'body') {
+      return decodeBody(recorded).equals(request.body || Buffer.alloc(0));
+    }
+    const name = field.slice('header:'.length);
+    return (
+      String(getHeader(recorded.headers || {}, name) ?? '') ===
+      String(getHeader(request.headers, name) ?? '')
+    );
+  });
+}
+
+/**
+ * Build the fixture file name of a request
+ * @param {FixtureRequest} request - Request
+ * @returns {string} File name like `GET_api.example.com_users-1a2b3c4d.json`
+ */
+export function fixtureName(request) {
+  const { host, pathname } = new URL(request.url);
+  const slug = `${host}${pathname}`
+    .replace(/[^a-zA-Z0-9.-]+/g, '_')
+    .replace(/_+$/, '')
+    .slice(0, 80);
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${request.method} ${request.url}\n`)
+    .update(request.body || '')
+    .digest('hex')
+    .slice(0, 8);
+  return `${request.method}_${slug}-${hash}.json`;
+}
+
+/**
+ * Read every fixture of a directory
+ * @param {string} dir - Fixture directory
+ * @returns {Promise<Fixture[]>} Fixtures sorted by file name
+ * @throws {Error} When the directory is missing or a fixture is not valid JSON
+ */
+export async function loadFixtures(dir) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(
+        `--replay directory ${dir} does not exist. Record fixtures with --record ${dir}`,
+      );
+    }
+    throw error;
+  }
+  const fixtures = [];
+  for (const name of names.filter(entry => entry.endsWith('.json')).sort()) {
+    const file = path.join(dir, name);
+    try {
+      fixtures.push({ file, ...JSON.parse(await fs.promises.readFile(file, 'utf8')) });
+    } catch (error) {
+      throw new Error(`Invalid fixture ${file}: ${error.message}`);
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * Find the fixture that answers a request (--replay)
+ * @param {FixtureRequest} request - Request being sent
+ * @param {import('./index.js').HTTPOptions} options - Command options (`replay`, `match`)
+ * @returns {Promise<{ file: string, status: number, headers: Object, body: Buffer }>} Recorded response
+ * @throws {NcurlError} REPLAY_MISS when no fixture matches
+ */
+export async function replayFixture(request, options) {
+  const fields = parseMatch(options.match);
+  const fixtures = await loadFixtures(options.replay);
+  const fixture = fixtures.find(candidate => matchesFixture(candidate.request, request, fields));
+  if (!fixture) {
+    // Point at a fixture for the same endpoint when only the other fields differ
+    const near = fixtures.find(candidate =>
+      matchesFixture(candidate.request, request, ['method', 'url']),
+    );
+    throw new NcurlError(
+      `No fixture in ${options.replay} matches ${request.method} ${request.url} (--match ${fields.join(',')})`,
+      {
+        code: 'REPLAY_MISS',
+        suggestion: near
+          ? `${near.file} has the same method and URL but differs in ${fields.filter(field => !matchesFixture(near.request, request, [field])).join(', ')}`
+          : `Record it with --record ${options.replay}, or loosen --match`,
+        request: { method: request.method, url: request.url, headers: request.headers },
+      },
+    );
+  }
+  return {
+    file: fixture.file,
+    status: fixture.response.status,
+    headers: fixture.response.headers,
+    body: decodeBody(fixture.response),
+  };
+}
+
+/**
+ * Save an exchange as a fixture (--record)
+ * @param {FixtureRequest} request - Request that was sent
+ * @param {{ status: number, headers: Object, body: Buffer }} response - Response received
+ * @param {import('./index.js').HTTPOptions} options - Command options (`record`)
+ * @returns {Promise<string>} Fixture file path
+ */
+export async function recordFixture(request, response, options) {
+  const file = path.join(options.record, fixtureName(request));
+  const fixture = {
+    request: {
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      ...encodeBody(request.body),
+    },
+    response: {
+      status: response.status,
+      headers: redactSetCookies(response.headers),
+      ...encodeBody(response.body),
+    },
+  };
+  await fs.promises.mkdir(options.record, { recursive: true });
+  await fs.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  return file;
+}
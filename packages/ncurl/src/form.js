@@ -0,0 +1,178 @@
+/**
+ * nCurl Form - multipart/form-data and urlencoded Body Builder
+ *
+ * @context Form body layer of the nCurl HTTP client, used alongside body.js
+ * @purpose Builds curl-style `-F` multipart bodies and `--form-urlencoded` bodies for upload and form endpoints
+ * @integration Called from resolveBody so form payloads flow through the same content-type and verbose handling
+ * @workflow Parses field specs, stats file parts up front for an exact content-length, then streams the parts
+ *
+ * Field Syntax (curl compatible):
+ * - `name=value` sends a text field
+ * - `name=@path` uploads a file part (content-type inferred from the extension)
+ * - `name=@path;type=image/png;filename=avatar.png` overrides the part content-type and filename
+ * - `name=<path` sends the file content as a text field value
+ * - `--form-string name=value` always sends a text field, even when the value starts with `@` or `<`
+ *
+ * @example
+ * const payload = await buildMultipartBody(['title=Holiday', 'photo=@beach.png;type=image/png']);
+ * // payload.contentType => 'multipart/form-data; boundary=----ncurlFormBoundary...'
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { URLSearchParams } from 'url';
+import { inferContentType } from './body.js';
+
+const CRLF = '\r\n';
+
+/**
+ * @typedef {Object} FormField
+ * @property {string} name - Field name
+ * @property {string} [value] - Text value for plain fields
+ * @property {string} [file] - Path of an uploaded file part
+ * @property {string} [filename] - Filename reported to the server
+ * @property {string} [type] - Part content-type
+ * @property {boolean} [inline] - Send file content as a text value (`name=<path`)
+ */
+
+/**
+ * Parse a curl-style `-F` field spec
+ * @param {string} spec - Field spec such as `file=@photo.png;type=image/png`
+ * @param {boolean} [literal=false] - Treat the value as text (`--form-string`), never as a file
+ * @returns {FormField} Parsed field
+ * @throws {Error} When the spec has no `name=` prefix
+ */
+export function parseFormField(spec, literal = false) {
+  const separator = spec.indexOf('=');
+  if (separator <= 0) {
+    throw new Error(`Invalid form field "${spec}". Expected name=value or name=@file`);
+  }
+
+  const name = spec.slice(0, separator);
+  const value = spec.slice(separator + 1);
+
+  if (literal || (!value.startsWith('@') && !value.startsWith('<'))) {
+    return { name, value };
+  }
+
+  const [file, ...attributes] = value.slice(1).split(';');
+  const field = { name, file };
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split('=');
+    if (key.trim() === 'type' || key.trim() === 'filename') {
+      field[key.trim()] = rest.join('=').trim();
+    }
+  }
+
+  // `<file` sends file content as a plain text value
+  if (value.startsWith('<')) {
+    field.inline = true;
+  } else {
+    field.filename = field.filename || path.basename(file);
+    field.type = field.type || inferContentType(file) || 'application/octet-stream';
+  }
+
+  return field;
+}
+
+/**
+ * Escape a value for a quoted Content-Disposition parameter
+ * @param {string} value - Raw parameter value
+ * @returns {string} Escaped value
+ */
+function escapeQuoted(value) {
+  return value.replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * Build a multipart/form-data body from `-F` field specs
+ * @param {string[]} specs - Field specs
+ * @param {string[]} [literals=[]] - `--form-string` text fields, appended after `specs`
+ * @returns {Promise<import('./body.js').ResolvedBody>} Streamed multipart payload
+ */
+export async function buildMultipartBody(specs, literals = []) {
+  const boundary = `----ncurlFormBoundary${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [];
+  const summary = [];
+  let length = 0;
+
+  const fields = [
+    ...specs.map(spec => parseFormField(spec)),
+    ...literals.map(spec => parseFormField(spec, true)),
+  ];
+  for (const field of fields) {
+    let disposition = `form-data; name="${escapeQuoted(field.name)}"`;
+    let content;
+    let size;
+
+    if (field.file && !field.inline) {
+      size = (await fs.promises.stat(field.file)).size;
+      disposition += `; filename="${escapeQuoted(field.filename)}"`;
+      summary.push(`${field.name}=@${field.file} (${field.type}, ${size} bytes)`);
+    } else {
+      content = field.inline
+        ? await fs.promises.readFile(field.file)
+        : Buffer.from(field.value, 'utf8');
+      size = content.length;
+      summary.push(field.inline ? `${field.name}=<${field.file}` : `${field.name}=${field.value}`);
+    }
+
+    let head = `--${boundary}${CRLF}Content-Disposition: ${disposition}${CRLF}`;
+    if (field.type) {
+      head += `Content-Type: ${field.type}${CRLF}`;
+    }
+    head += CRLF;
+
+    const headBuffer = Buffer.from(head, 'utf8');
+    parts.push({ head: headBuffer, content, file: content ? undefined : field.file });
+    length += headBuffer.length + size + CRLF.length;
+  }
+
+  const closing = Buffer.from(`--${boundary}--${CRLF}`, 'utf8');
+  length += closing.length;
+
+  async function* generate() {
+    for (const part of parts) {
+      yield part.head;
+      if (part.file) {
+        yield* fs.createReadStream(part.file);
+      } else {
+        yield part.content;
+      }
+      yield Buffer.from(CRLF);
+    }
+    yield closing;
+  }
+
+  // Resends (retries, Digest, 307/308) must reuse the boundary already sent in the content-type
+  return {
+    body: Readable.from(generate()),
+    reopen: () => Readable.from(generate()),
+    contentType: `multipart/form-data; boundary=${boundary}`,
+    length,
+    description: `<multipart/form-data, ${length} bytes>\n  ${summary.join('\n  ')}`,
+  };
+}
+
+/**
+ * Build an application/x-www-form-urlencoded body from `key=value` pairs
+ * @param {string[]} pairs - Key/value pairs
+ * @returns {import('./body.js').ResolvedBody} Urlencoded payload
+ */
+export function buildUrlencodedBody(pairs) {
+  const params = new URLSearchParams();
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid form pair "${pair}". Expected key=value`);
+    }
+    params.append(pair.slice(0, separator), pair.slice(separator + 1));
+  }
+
+  return {
+    body: params.toString(),
+    contentType: 'application/x-www-form-urlencoded',
+  };
+}
@@ -0,0 +1,288 @@
+/**
+ * nCurl GraphQL - Queries, Mutations and Schema Summaries
+ *
+ * @context GraphQL mode of the nCurl HTTP client for APIs that expose a single /graphql endpoint
+ * @purpose Builds the POST envelope, turns `errors[]` into a failing exit and summarizes introspected schemas
+ * @integration Powers the `ncurl graphql <url>` command; requests go through executeRequest like every other command
+ * @workflow Load the document (--query / --query-file) → add variables and operationName → POST → print data or fail on errors
+ *
+ * Behavior:
+ * - Prints `data` on success; any `errors[]` entry (even next to partial data) fails with readable messages
+ * - `--variables` takes JSON or `@file.json`, `--operation-name` selects one operation of a multi-operation document
+ * - `--introspect` runs the standard introspection query and prints a compact SDL-like summary
+ *
+ * @example
+ * // ncurl graphql https://api.example.com/graphql --query 'query($id: ID!) { user(id: $id) { name } }' --variables '{"id": 1}'
+ * // ncurl graphql https://api.example.com/graphql --introspect
+ */
+
+import fs from 'fs';
+import { toCurlCommand } from './curl.js';
+import { NcurlError } from './errors.js';
+import { executeRequest } from './index.js';
+import { applyProfile, resolveProfileUrl } from './profile.js';
+
+/**
+ * Introspection query (types, fields, arguments and enum values; no descriptions or directives)
+ */
+export const INTROSPECTION_QUERY = `query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    subscriptionType { name }
+    types {
+      kind
+      name
+      fields(includeDeprecated: true) { name args { name type { ...TypeRef } } type { ...TypeRef } }
+      inputFields { name type { ...TypeRef } }
+      interfaces { name }
+      enumValues(includeDeprecated: true) { name }
+      possibleTypes { name }
+    }
+  }
+}
+
+fragment TypeRef on __Type {
+  kind
+  name
+  ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } }
+}`;
+
+/**
+ * Scalars every schema has (left out of summaries)
+ */
+const BUILT_IN_SCALARS = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+
+/**
+ * @typedef {Object} GraphqlOptions
+ * @property {string} [query] - GraphQL document
+ * @property {string} [queryFile] - File containing the document
+ * @property {string} [variables] - Variables as JSON or `@file.json`
+ * @property {string} [operationName] - Operation to run
+ * @property {boolean} [introspect=false] - Print a schema summary instead of running a document
+ */
+
+/**
+ * Read a `@file` reference or return the inline value
+ * @param {string} value - Inline value or `@file`
+ * @returns {Promise<string>} Content
+ */
+async function readInline(value) {
+  return value.startsWith('@') ? fs.promises.readFile(value.slice(1), 'utf8') : value;
+}
+
+/**
+ * Build the GraphQL POST envelope from command options
+ * @param {GraphqlOptions} options - Command options
+ * @returns {Promise<{ query: string, variables?: Object, operationName?: string }>} Request body
+ * @throws {Error} When no document or invalid variables are given
+ */
+export async function buildGraphqlBody(options = {}) {
+  if (options.introspect) {
+    return { query: INTROSPECTION_QUERY, operationName: 'IntrospectionQuery' };
+  }
+  if (options.query && options.queryFile) {
+    throw new Error('Use either --query or --query-file, not both');
+  }
+  if (!options.query && !options.queryFile) {
+    throw new Error(
+      "A GraphQL document is required: --query '{ viewer { login } }', --query-file q.graphql or --introspect",
+    );
+  }
+
+  const body = {
+    query: options.queryFile
+      ? await fs.promises.readFile(options.queryFile, 'utf8')
+      : options.query,
+  };
+  if (options.variables) {
+    try {
+      body.variables = JSON.parse(await readInline(options.variables));
+    } catch (error) {
+      throw new Error(`Invalid --variables: ${error.message}. Pass a JSON object or @file.json`);
+    }
+    if (
+      typeof body.variables !== 'object' ||
+      body.variables === null ||
+      Array.isArray(body.variables)
+    ) {
+      throw new Error('Invalid --variables: expected a JSON object, e.g. \'{"id": 1}\'');
+    }
+  }
+  if (options.operationName) {
+    body.operationName = options.operationName;
+  }
+  return body;
+}
+
+/**
+ * Format GraphQL errors for the terminal
+ * @param {Array<{ message: string, locations?: Array<{ line: number, column: number }>, path?: Array<string|number>, extensions?: Object }>} errors - `errors[]` from the response
+ * @returns {string} One line per error
+ */
+export function formatGraphqlErrors(errors) {
+  return errors
+    .map(error => {
+      const details = [];
+      if (error.path?.length) {
+        details.push(`path ${error.path.join('.')}`);
+      }
+      if (error.locations?.length) {
+        details.push(
+          `at ${error.locations.map(({ line, column }) => `${line}:${column}`).join(', ')}`,
+        );
+      }
+      if (error.extensions?.code) {
+        details.push(error.extensions.code);
+      }
+      const suffix = details.length ? ` (${details.join(', ')})` : '';
+      return `  ✗ ${error.message ?? JSON.stringify(error)}${suffix}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Render a type reference such as `[User!]!`
+ * @param {Object} type - Introspection type reference
+ * @returns {string} Type in SDL notation
+ */
+function typeName(type) {
+  if (type.kind === 'NON_NULL') {
+    return `${typeName(type.ofType)}!`;
+  }
+  if (type.kind === 'LIST') {
+    return `[${typeName(type.ofType)}]`;
+  }
+  return type.name;
+}
+
+/**
+ * Render a field with its arguments
+ * @param {Object} field - Introspection field
+ * @returns {string} `name(arg: Type): Type`
+ */
+function fieldSignature(field) {
+  const args = field.args?.length
+    ? `(${field.args.map(arg => `${arg.name}: ${typeName(arg.type)}`).join(', ')})`
+    : '';
+  return `${field.name}${args}: ${typeName(field.type)}`;
+}
+
+/**
+ * Summarize an introspection result as compact SDL-like text
+ * @param {Object} data - `data` of an introspection response
+ * @returns {string} Schema summary (root types first, then the rest alphabetically)
+ * @throws {Error} When the data is not an introspection result
+ */
+export function summarizeSchema(data) {
+  const schema = data?.__schema;
+  if (!schema?.types) {
+    throw new Error('The response is not an introspection result (introspection may be disabled)');
+  }
+
+  const roots = [schema.queryType, schema.mutationType, schema.subscriptionType]
+    .filter(Boolean)
+    .map(type => type.name);
+  const types = schema.types
+    .filter(type => !type.name.startsWith('__') && !BUILT_IN_SCALARS.includes(type.name))
+    .sort((a, b) => {
+      const rank = type => (roots.includes(type.name) ? roots.indexOf(type.name) : roots.length);
+      return rank(a) - rank(b) || a.name.localeCompare(b.name);
+    });
+
+  const blocks = types.map(type => {
+    switch (type.kind) {
+      case 'SCALAR':
+        return `scalar ${type.name}`;
+      case 'ENUM':
+        return `enum ${type.name} = ${type.enumValues.map(value => value.name).join(' | ')}`;
+      case 'UNION':
+        return `union ${type.name} = ${type.possibleTypes.map(member => member.name).join(' | ')}`;
+      case 'INPUT_OBJECT':
+        return [`input ${type.name}`, ...type.inputFields.map(f => `  ${fieldSignature(f)}`)].join(
+          '\n',
+        );
+      default: {
+        const keyword = type.kind === 'INTERFACE' ? 'interface' : 'type';
+        const implemented = type.interfaces?.length
+          ? ` implements ${type.interfaces.map(i => i.name).join(' & ')}`
+          : '';
+        return [
+          `${keyword} ${type.name}${implemented}`,
+          ...(type.fields || []).map(field => `  ${fieldSignature(field)}`),
+        ].join('\n');
+      }
+    }
+  });
+  return blocks.join('\n\n');
+}
+
+/**
+ * Run a GraphQL command
+ * @param {string} url - GraphQL endpoint
+ * @param {import('./index.js').HTTPOptions & GraphqlOptions} options - Command options
+ * @returns {Promise<string>} Text to print (data as JSON, a schema summary, or a curl command)
+ * @throws {NcurlError} With code GRAPHQL_ERROR when the response has errors, HTTP_ERROR for non-GraphQL failures
+ */
+export async function runGraphql(url, options = {}) {
+  const body = await buildGraphqlBody(options);
+  const {
+    query: _query,
+    queryFile: _queryFile,
+    variables: _variables,
+    operationName: _operationName,
+    introspect: _introspect,
+    ...rest
+  } = await applyProfile(options);
+  const requestOptions = {
+    ...rest,
+    url: resolveProfileUrl(url, rest.baseUrl),
+    method: 'POST',
+    json: true,
+    dataRaw: JSON.stringify(body),
+  };
+
+  if (options.toCurl) {
+    return toCurlCommand(requestOptions);
+  }
+
+  const result = await executeRequest(requestOptions);
+  const response = {
+    status: result.status,
+    statusText: result.statusText,
+    headers: result.headers,
+    data: result.data,
+  };
+  const request = { method: 'POST', url: result.url };
+
+  const envelope = typeof result.data === 'object' && result.data !== null ? result.data : null;
+  if (envelope?.errors?.length) {
+    const count = envelope.errors.length;
+    const partial = envelope.data ? ' (partial data was returned)' : '';
+    throw new NcurlError(
+      `GraphQL request failed with ${count} error${count === 1 ? '' : 's'}${partial}:\n${formatGraphqlErrors(envelope.errors)}`,
+      { code: 'GRAPHQL_ERROR', request, response },
+    );
+  }
+  if (result.status >= 400 || !envelope || !('data' in envelope)) {
+    const preview = Buffer.isBuffer(result.data)
+      ? `${result.data.length} bytes`
+      : String(typeof result.data === 'string' ? result.data : JSON.stringify(result.data)).slice(
+          0,
+          200,
+        );
+    throw new NcurlError(
+      `Not a GraphQL response (HTTP ${result.status} ${result.statusText || ''}): ${preview}`,
+      {
+        code: result.status >= 400 ? 'HTTP_ERROR' : 'ERR_NCURL',
+        suggestion: 'Check that the URL points at the GraphQL endpoint (often /graphql)',
+        request,
+        response,
+      },
+    );
+  }
+
+  return options.introspect
+    ? summarizeSchema(envelope.data)
+    : JSON.stringify(envelope.data, null, 2);
+}
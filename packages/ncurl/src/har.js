@@ -0,0 +1,269 @@
+/**
+ * nCurl HAR - Export Exchanges to HAR 1.2 and Replay Requests from HAR Files
+ *
+ * @context Interop layer of the nCurl HTTP client with browser DevTools, where failing requests are handed over as HAR
+ * @purpose Logs every exchange with timings into a HAR file, and re-issues the requests of a HAR through executeRequest
+ * @integration executeRequest appends an entry when --har is set; `ncurl har replay` turns entries into batch specs
+ * @workflow Export: exchange → redact → HAR entry → append to log | Replay: load HAR → filter entries → run them in order
+ *
+ * Export:
+ * - `--har <file>` creates the file or appends to its `log.entries`, so a whole script run ends up in one log
+ * - Credentials are redacted from URLs, request headers, Set-Cookie values and bodies
+ * - Timings map onto HAR phases: dns, connect (including ssl), ssl, wait and receive
+ *
+ * Replay filters (`--filter`, repeatable, all must match):
+ * - `url~/api/` (regular expression, `/pattern/flags` also works), `method=POST`, `status=500`
+ *
+ * @example
+ * // ncurl get https://api.example.com/users --har session.har
+ * // ncurl har replay bug-report.har --filter 'url~/api/' --bearer env:TOKEN
+ */
+
+import fs from 'fs';
+import { REDACTED, collectSecrets, redactSetCookies, redactText } from './auth.js';
+import { runBatch } from './batch.js';
+import { getHeader } from './headers.js';
+
+/**
+ * Creator recorded in new HAR logs
+ */
+const CREATOR = { name: 'ncurl', version: '0.0.1' };
+
+/**
+ * Request headers that belong to the original connection and are not replayed
+ */
+const HOP_HEADERS = [
+  'host',
+  'content-length',
+  'connection',
+  'keep-alive',
+  'transfer-encoding',
+  'upgrade',
+  'te',
+  'proxy-connection',
+  'accept-encoding',
+];
+
+/**
+ * Pending writes per HAR file, so concurrent requests (batch) append one after another
+ */
+const pendingWrites = new Map();
+
+/**
+ * Convert a header map to HAR name/value pairs
+ * @param {Object} headers - Header map (array values become one pair each)
+ * @returns {{ name: string, value: string }[]} HAR headers
+ */
+export function toHarHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    (Array.isArray(value) ? value : [value]).map(item => ({ name, value: String(item) })),
+  );
+}
+
+/**
+ * Describe a response body as HAR content
+ * @param {*} data - Result data (text, parsed JSON, a Buffer, or undefined for downloads and streams)
+ * @param {Object} headers - Response headers
+ * @param {string[]} secrets - Secrets to scrub from text
+ * @returns {Object} HAR content
+ */
+function toHarContent(data, headers, secrets) {
+  const mimeType = String(getHeader(headers, 'content-type') || '');
+  if (data === undefined) {
+    return { size: 0, mimeType, comment: 'Body not captured (download or event stream)' };
+  }
+  if (Buffer.isBuffer(data)) {
+    return { size: data.length, mimeType, text: data.toString('base64'), encoding: 'base64' };
+  }
+  const text = redactText(typeof data === 'string' ? data : JSON.stringify(data), secrets);
+  return { size: Buffer.byteLength(text), mimeType, text };
+}
+
+/**
+ * Build a HAR entry for an exchange
+ * @param {import('./fixtures.js').FixtureRequest} request - Redacted request (method, url, headers, body)
+ * @param {import('./index.js').NcurlResult} result - Result of the request
+ * @param {Date} startedAt - When the request started
+ * @param {import('./index.js').HTTPOptions} [options] - Command options (for secret redaction)
+ * @returns {Object} HAR 1.2 entry
+ */
+export function createHarEntry(request, result, startedAt, options = {}) {
+  const secrets = collectSecrets(options);
+  const timings = result.timings || {};
+  const url = new URL(request.url);
+  const entry = {
+    startedDateTime: startedAt.toISOString(),
+    time: timings.total ?? 0,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(request.headers),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: request.body ? request.body.length : 0,
+    },
+    response: {
+      status: result.status,
+      statusText: result.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(redactSetCookies(result.headers)),
+      content: toHarContent(result.data, result.headers || {}, secrets),
+      redirectURL: String(getHeader(result.headers || {}, 'location') || ''),
+      headersSize: -1,
+      bodySize: result.size ?? -1,
+    },
+    cache: {},
+    timings: {
+      dns: timings.dns ?? -1,
+      // HAR counts the TLS handshake in both connect and ssl
+      connect: (timings.connect ?? 0) + (timings.tls ?? 0),
+      ssl: timings.tls > 0 ? timings.tls : -1,
+      send: 0,
+      wait: timings.wait ?? 0,
+      receive: timings.transfer ?? 0,
+    },
+  };
+  if (request.body) {
+    entry.request.postData = {
+      mimeType: String(getHeader(request.headers, 'content-type') || ''),
+      text: redactText(request.body.toString('utf8'), secrets),
+    };
+  }
+  if (result.remoteAddress) {
+    entry.serverIPAddress = result.remoteAddress;
+  }
+  return entry;
+}
+
+/**
+ * Read a HAR file
+ * @param {string} file - HAR file path
+ * @returns {Promise<Object>} Parsed HAR
+ * @throws {Error} When the file is not a HAR log
+ */
+export async function readHar(file) {
+  const har = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  if (!Array.isArray(har?.log?.entries)) {
+    throw new Error(`${file} is not a HAR file (no log.entries)`);
+  }
+  return har;
+}
+
+/**
+ * Append an entry to a HAR file, creating the log when the file does not exist
+ * @param {string} file - HAR file path
+ * @param {Object} entry - HAR entry from createHarEntry
+ * @returns {Promise<void>}
+ */
+export async function appendHarEntry(file, entry) {
+  const write = async () => {
+    let har;
+    try {
+      har = await readHar(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      har = { log: { version: '1.2', creator: CREATOR, pages: [], entries: [] } };
+    }
+    har.log.entries.push(entry);
+    await fs.promises.writeFile(file, `${JSON.stringify(har, null, 2)}\n`);
+  };
+
+  const previous = pendingWrites.get(file) || Promise.resolve();
+  const next = previous.catch(() => {}).then(write);
+  pendingWrites.set(file, next);
+  try {
+    await next;
+  } finally {
+    if (pendingWrites.get(file) === next) {
+      pendingWrites.delete(file);
+    }
+  }
+}
+
+/**
+ * Parse a `--filter` expression for HAR replay
+ * @param {string} spec - `field~pattern` or `field=value` with field url, method or status
+ * @returns {(entry: Object) => boolean} Entry predicate
+ * @throws {Error} For malformed filters
+ */
+export function parseHarFilter(spec) {
+  const match = /^(url|method|status)(~|=)(.*)$/.exec(String(spec));
+  if (!match) {
+    throw new Error(
+      `Invalid --filter "${spec}". Use url~<regex>, method=<METHOD> or status=<code>, e.g. 'url~/api/'`,
+    );
+  }
+  const [, field, operator, value] = match;
+  const read = entry =>
+    String(field === 'status' ? (entry.response?.status ?? '') : (entry.request?.[field] ?? ''));
+
+  if (operator === '=') {
+    return entry =>
+      field === 'method'
+        ? read(entry).toUpperCase() === value.toUpperCase()
+        : read(entry) === value;
+  }
+  const delimited = /^\/(.+)\/([a-z]*)$/.exec(value);
+  let pattern;
+  try {
+    pattern = delimited ? new RegExp(delimited[1], delimited[2]) : new RegExp(value);
+  } catch (error) {
+    throw new Error(`Invalid --filter pattern "${value}": ${error.message}`);
+  }
+  return entry => pattern.test(read(entry));
+}
+
+/**
+ * Turn the entries of a HAR log into batch specs
+ * @param {Object} har - Parsed HAR
+ * @param {string[]} [filters] - --filter expressions
+ * @returns {import('./batch.js').BatchSpec[]} Specs in log order (`line` is the entry number)
+ */
+export function harToSpecs(har, filters = []) {
+  const predicates = filters.map(parseHarFilter);
+  return har.log.entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => predicates.every(predicate => predicate(entry)))
+    .map(({ entry, index }) => {
+      const headers = {};
+      for (const { name, value } of entry.request.headers || []) {
+        const lower = name.toLowerCase();
+        // Pseudo-headers, hop-by-hop headers and redacted credentials are not replayed
+        if (!lower.startsWith(':') && !HOP_HEADERS.includes(lower) && !value.includes(REDACTED)) {
+          headers[lower] = value;
+        }
+      }
+      const spec = { line: index + 1, method: entry.request.method, url: entry.request.url };
+      if (Object.keys(headers).length > 0) {
+        spec.headers = headers;
+      }
+      if (entry.request.postData?.text !== undefined) {
+        spec.dataRaw = entry.request.postData.text;
+      }
+      return spec;
+    });
+}
+
+/**
+ * Re-issue the requests of a HAR file
+ * @param {string} file - HAR file path
+ * @param {import('./index.js').HTTPOptions & { filter?: string[], concurrency?: string, onResult?: Function }} options - Options shared by every request
+ * @returns {Promise<{ results: import('./batch.js').BatchResult[], summary: import('./batch.js').BatchSummary }>} Results and summary
+ * @throws {Error} When the file is not a HAR log or no entry matches the filters
+ */
+export async function replayHar(file, options = {}) {
+  const { filter, ...rest } = options;
+  const specs = harToSpecs(await readHar(file), filter);
+  if (specs.length === 0) {
+    throw new Error(
+      `No entries in ${file} match ${filter?.length ? filter.join(' and ') : 'the log'}`,
+    );
+  }
+  // Recorded sessions usually depend on their order, so requests run one at a time by default
+  return runBatch(specs, { ...rest, concurrency: rest.concurrency || 1 });
+}
@@ -0,0 +1,39 @@
+/**
+ * nCurl Headers - Case-Insensitive Header Map Helpers
+ *
+ * @context Shared utilities for the plain-object header maps passed to undici
+ * @purpose Lets every module look up user-supplied headers regardless of how they were capitalised
+ * @integration Used by the request pipeline and the feature modules that add or inspect headers
+ */
+
+/**
+ * Find the actual key used for a header in a header map
+ * @param {Object} headers - Header map
+ * @param {string} name - Header name (any case)
+ * @returns {string|undefined} Matching key or undefined when absent
+ */
+export function findHeaderKey(headers = {}, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(headers).find(key => key.toLowerCase() === lower);
+}
+
+/**
+ * Case-insensitive header presence check
+ * @param {Object} headers - Header map
+ * @param {string} name - Header name (any case)
+ * @returns {boolean} True when the header is set
+ */
+export function hasHeader(headers, name) {
+  return findHeaderKey(headers, name) !== undefined;
+}
+
+/**
+ * Case-insensitive header lookup
+ * @param {Object} headers - Header map
+ * @param {string} name - Header name (any case)
+ * @returns {string|string[]|undefined} Header value
+ */
+export function getHeader(headers, name) {
+  const key = findHeaderKey(headers, name);
+  return key === undefined ? undefined : headers[key];
+}
@@ -0,0 +1,457 @@
+/**
+ * nCurl HTTP Files - REST Client Style `.http` Request File Runner
+ *
+ * @context Scripting layer of the nCurl HTTP client for request collections kept in repositories
+ * @purpose Parses `.http` files into requests, interpolates variables and earlier responses, and runs them in order
+ * @integration Powers the `ncurl file <path>` command; every request goes through executeRequest
+ * @workflow Parse blocks → resolve `{{...}}` against variables and named responses → execute → record the response
+ *
+ * File Syntax:
+ * - `###` separates requests (text after it is a display title)
+ * - `@name = value` declares a file variable, `# @name login` names the following request
+ * - `METHOD URL [HTTP/1.1]` request line (method defaults to GET), then headers, a blank line and the body
+ * - `< ./payload.json` as the body sends a file relative to the `.http` file
+ * - Lines starting with `#` or `//` before the body are comments
+ *
+ * Interpolation:
+ * - `{{var}}` file or `--var` variables (variables may reference each other)
+ * - `{{login.response.body.token}}`, `{{login.response.body.$.items[0].id}}`, `{{login.response.headers.X-Token}}`
+ * - `{{$processEnv HOME}}`, `{{$guid}}`, `{{$timestamp}}`
+ *
+ * @example
+ * await runHttpFile('requests.http', { name: 'me' });
+ * // runs `login` first when `me` references {{login.response.body.token}}
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { URLSearchParams } from 'url';
+import {
+  evaluateAssertions,
+  formatAssertionReport,
+  hasAssertions,
+  validateAssertions,
+} from './assert.js';
+import { collectSecrets, redactText } from './auth.js';
+import { toCurlCommand } from './curl.js';
+import { getHeader } from './headers.js';
+import { executeRequest } from './index.js';
+import { describeBinaryResult, formatResult } from './output.js';
+import { applyProfile, resolveProfileUrl } from './profile.js';
+
+const HTTP_METHODS = [
+  'GET',
+  'POST',
+  'PUT',
+  'PATCH',
+  'DELETE',
+  'HEAD',
+  'OPTIONS',
+  'TRACE',
+  'CONNECT',
+];
+
+/**
+ * Variables may reference each other; deeper chains are treated as cycles
+ */
+const MAX_VARIABLE_DEPTH = 10;
+
+/**
+ * @typedef {Object} HttpFileRequest
+ * @property {string} [name] - Name from `# @name`, used for response references
+ * @property {string} [title] - Text after the `###` separator
+ * @property {string} method - HTTP method
+ * @property {string} url - Request URL (may contain `{{...}}`)
+ * @property {Object<string, string>} headers - Request headers (values may contain `{{...}}`)
+ * @property {string} [body] - Inline request body
+ * @property {string} [bodyFile] - Body file path from `< ./file`
+ * @property {number} line - 1-based line of the request line
+ */
+
+/**
+ * @typedef {Object} HttpFile
+ * @property {Object<string, string>} variables - File variables
+ * @property {HttpFileRequest[]} requests - Requests in file order
+ */
+
+/**
+ * Parse the content of a `.http` file
+ * @param {string} content - File content
+ * @returns {HttpFile} Variables and requests
+ * @throws {Error} When a request line is malformed
+ */
+export function parseHttpFile(content) {
+  const variables = {};
+  const requests = [];
+  const lines = content.split(/\r?\n/);
+
+  let block = { lines: [] };
+  const blocks = [block];
+  lines.forEach((text, index) => {
+    const separator = text.match(/^###(.*)$/);
+    if (separator) {
+      block = { title: separator[1].trim() || undefined, lines: [] };
+      blocks.push(block);
+    } else {
+      block.lines.push({ text, line: index + 1 });
+    }
+  });
+
+  for (const { title, lines: blockLines } of blocks) {
+    let request = null;
+    let name;
+    let inBody = false;
+    const body = [];
+
+    for (const { text, line } of blockLines) {
+      if (inBody) {
+        body.push(text);
+        continue;
+      }
+
+      const trimmed = text.trim();
+      if (!request) {
+        const variable = trimmed.match(/^@([\w.-]+)\s*=\s*(.*)$/);
+        const nameTag = trimmed.match(/^(?:#|\/\/)\s*@name\s+([\w-]+)/);
+        if (variable) {
+          variables[variable[1]] = variable[2].trim();
+        } else if (nameTag) {
+          name = nameTag[1];
+        } else if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('//')) {
+          request = parseRequestLine(trimmed, line);
+          request.name = name;
+          request.title = title;
+        }
+      } else if (!trimmed) {
+        inBody = true;
+      } else if (/^[?&]/.test(trimmed)) {
+        // Query parameters split across lines
+        request.url += trimmed;
+      } else if (!trimmed.startsWith('#') && !trimmed.startsWith('//')) {
+        const separator = trimmed.indexOf(':');
+        if (separator <= 0) {
+          throw new Error(`Invalid header "${trimmed}" on line ${line}. Expected "Name: value"`);
+        }
+        request.headers[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+      }
+    }
+
+    if (!request) {
+      continue;
+    }
+
+    while (body.length && !body[body.length - 1].trim()) {
+      body.pop();
+    }
+    const fileReference = body.length === 1 && body[0].match(/^<\s+(.+)$/);
+    if (fileReference) {
+      request.bodyFile = fileReference[1].trim();
+    } else if (body.length) {
+      request.body = body.join('\n');
+    }
+
+    requests.push(request);
+  }
+
+  return { variables, requests };
+}
+
+/**
+ * Parse a `METHOD URL [HTTP/x]` request line
+ * @param {string} text - Trimmed request line
+ * @param {number} line - Line number for error messages
+ * @returns {HttpFileRequest} Request without headers or body
+ */
+function parseRequestLine(text, line) {
+  const parts = text.split(/\s+/);
+  if (/^HTTP\/[\d.]+$/i.test(parts[parts.length - 1])) {
+    parts.pop();
+  }
+
+  let method = 'GET';
+  if (HTTP_METHODS.includes(parts[0].toUpperCase()) && parts.length > 1) {
+    method = parts.shift().toUpperCase();
+  }
+  if (parts.length !== 1) {
+    throw new Error(`Invalid request line "${text}" on line ${line}. Expected "METHOD URL"`);
+  }
+
+  return { method, url: parts[0], headers: {}, line };
+}
+
+/**
+ * Read a dotted/bracketed path (`items[0].id`, `$.items[0].id`) from a value
+ * @param {*} value - Root value
+ * @param {string} expression - Path expression
+ * @returns {*} Selected value, or undefined when missing
+ */
+function readPath(value, expression) {
+  const segments = expression
+    .replace(/^\$\.?/, '')
+    .split(/\.|\[(\d+)\]/)
+    .filter(segment => segment !== undefined && segment !== '');
+
+  return segments.reduce(
+    (current, segment) =>
+      current === undefined || current === null ? undefined : current[segment],
+    value,
+  );
+}
+
+/**
+ * Evaluate one `{{...}}` expression
+ * @param {string} expression - Trimmed expression
+ * @param {Object} context - Interpolation context
+ * @param {number} depth - Variable nesting depth
+ * @returns {string|undefined} Value, or undefined when it cannot be resolved
+ */
+function evaluateExpression(expression, context, depth) {
+  const [system, ...args] = expression.split(/\s+/);
+  if (system === '$processEnv') {
+    return process.env[args[0]] ?? '';
+  }
+  if (system === '$guid') {
+    return crypto.randomUUID();
+  }
+  if (system === '$timestamp') {
+    return String(Math.floor(Date.now() / 1000));
+  }
+
+  const reference = expression.match(/^([\w-]+)\.(request|response)\.(body|headers)(?:\.(.+))?$/);
+  if (reference) {
+    const [, name, part, section, selector] = reference;
+    const exchange = context.responses[name];
+    if (!exchange) {
+      return undefined;
+    }
+    const source = exchange[part];
+    if (section === 'headers') {
+      return selector ? getHeader(source.headers, selector) : undefined;
+    }
+    const selected = selector && selector !== '*' ? readPath(source.body, selector) : source.body;
+    return typeof selected === 'object' && selected !== null
+      ? JSON.stringify(selected)
+      : selected === undefined
+        ? undefined
+        : String(selected);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(context.variables, expression)) {
+    return interpolate(context.variables[expression], context, depth + 1);
+  }
+  return undefined;
+}
+
+/**
+ * Replace `{{...}}` placeholders in a string
+ * @param {string} text - Text with placeholders
+ * @param {Object} context - `{ variables, responses, keepUnresolved }`
+ * @param {number} [depth=0] - Variable nesting depth
+ * @returns {string} Interpolated text
+ * @throws {Error} For unknown variables, missing responses and variable cycles
+ */
+export function interpolate(text, context, depth = 0) {
+  if (depth > MAX_VARIABLE_DEPTH) {
+    throw new Error(`Variables nested more than ${MAX_VARIABLE_DEPTH} levels (is there a cycle?)`);
+  }
+
+  return text.replace(/\{\{\s*(.+?)\s*\}\}/g, (placeholder, expression) => {
+    const value = evaluateExpression(expression, context, depth);
+    if (value !== undefined) {
+      return value;
+    }
+    if (context.keepUnresolved) {
+      return placeholder;
+    }
+
+    const reference = expression.match(/^([\w-]+)\.(request|response)\./);
+    if (reference && !context.responses[reference[1]]) {
+      throw new Error(`Request "${reference[1]}" has not run, so ${placeholder} is unavailable`);
+    }
+    throw new Error(`Unknown variable ${placeholder}`);
+  });
+}
+
+/**
+ * List the named requests a request refers to through `{{name.response...}}`
+ * @param {HttpFileRequest} request - Parsed request
+ * @returns {string[]} Referenced request names
+ */
+function findDependencies(request) {
+  const text = [request.url, ...Object.values(request.headers), request.body || ''].join('\n');
+  const names = [...text.matchAll(/\{\{\s*([\w-]+)\.(?:request|response)\./g)].map(
+    match => match[1],
+  );
+  return [...new Set(names)];
+}
+
+/**
+ * Describe a request for progress and error output
+ * @param {HttpFileRequest} request - Parsed request
+ * @param {number} index - Position in the file
+ * @returns {string} Label such as `login` or `#2`
+ */
+function describeRequest(request, index) {
+  return request.name || request.title || `#${index + 1}`;
+}
+
+/**
+ * Run the requests of a `.http` file sequentially
+ * @param {string} file - Path to the `.http` file
+ * @param {import('./index.js').HTTPOptions & { name?: string, var?: string[] }} [options] - Shared request options, `name` to run one request and `var` overrides
+ * @returns {Promise<Array<{ name: string, result: Object }>>} Executed requests and their results
+ * @throws {Error} When the file is invalid, a request fails or an assertion does not hold
+ */
+export async function runHttpFile(file, options = {}) {
+  const { name: selectedName, var: overrides = [], ...cliOptions } = options;
+  const requestOptions = await applyProfile(cliOptions);
+  validateAssertions(requestOptions);
+  const { variables, requests } = parseHttpFile(await fs.promises.readFile(file, 'utf8'));
+  const baseDir = path.dirname(path.resolve(file));
+
+  for (const pair of overrides) {
+    const [name, ...value] = pair.split('=');
+    variables[name.trim()] = value.join('=');
+  }
+
+  const context = { variables, responses: {}, keepUnresolved: Boolean(options.toCurl) };
+  const byName = new Map(requests.filter(request => request.name).map(r => [r.name, r]));
+  const executed = [];
+  const outputs = [];
+  const running = new Set();
+  const failedAssertions = [];
+
+  let selected = requests;
+  if (selectedName) {
+    const match =
+      byName.get(selectedName) ||
+      requests.find(request => request.title?.toLowerCase() === selectedName.toLowerCase());
+    if (!match) {
+      const available = requests.map(describeRequest).join(', ');
+      throw new Error(`No request named "${selectedName}" in ${file}. Available: ${available}`);
+    }
+    selected = [match];
+  }
+
+  async function run(request) {
+    const label = describeRequest(request, requests.indexOf(request));
+    if (running.has(request)) {
+      throw new Error(`Request "${label}" references itself through its dependencies`);
+    }
+    running.add(request);
+
+    // Named requests referenced by this one run first (once), so --name works on its own
+    if (!options.toCurl) {
+      for (const dependency of findDependencies(request)) {
+        if (!context.responses[dependency] && byName.has(dependency)) {
+          await run(byName.get(dependency));
+        }
+      }
+    }
+
+    let httpOptions;
+    try {
+      const headers = {};
+      for (const [key, value] of Object.entries(request.headers)) {
+        headers[key] = interpolate(value, context);
+      }
+      httpOptions = {
+        ...requestOptions,
+        method: request.method,
+        url: resolveProfileUrl(interpolate(request.url, context), requestOptions.baseUrl),
+        headers,
+      };
+      if (request.bodyFile) {
+        httpOptions.dataBinary = `@${path.resolve(baseDir, interpolate(request.bodyFile, context))}`;
+      } else if (request.body !== undefined) {
+        httpOptions.dataRaw = interpolate(request.body, context);
+      }
+    } catch (error) {
+      throw new Error(`${error.message} (request "${label}", line ${request.line})`);
+    }
+
+    if (options.toCurl) {
+      const header = [
+        ...(httpOptions.header || []),
+        ...Object.entries(httpOptions.headers).map(([key, value]) => `${key}: ${value}`),
+      ];
+      outputs.push(toCurlCommand({ ...httpOptions, headers: undefined, header }));
+      running.delete(request);
+      return;
+    }
+
+    let result;
+    try {
+      result = await executeRequest(httpOptions);
+    } catch (error) {
+      // Keep the NcurlError code, suggestion and partial response for callers
+      error.message = `Request "${label}" failed: ${error.message}`;
+      throw error;
+    }
+
+    if (request.name) {
+      context.responses[request.name] = {
+        request: { headers: httpOptions.headers, body: parseBody(httpOptions.dataRaw) },
+        response: { status: result.status, headers: result.headers, body: result.data },
+      };
+    }
+    executed.push({ name: label, result });
+    outputs.push(
+      `### ${label}: ${result.method} ${result.url} → ${result.status} ${result.statusText}`,
+    );
+    outputs.push(
+      Buffer.isBuffer(result.data) ? describeBinaryResult(result) : formatResult(result),
+      '',
+    );
+
+    // --expect-* options are checked against every request in the run
+    if (hasAssertions(requestOptions)) {
+      const assertions = evaluateAssertions(result, requestOptions);
+      if (assertions.some(assertion => !assertion.passed)) {
+        failedAssertions.push(label);
+      }
+      console.error(`### ${label}\n${formatAssertionReport(assertions)}`);
+    }
+    running.delete(request);
+  }
+
+  for (const request of selected) {
+    if (!request.name || !context.responses[request.name]) {
+      await run(request);
+    }
+  }
+
+  const output = outputs.join('\n').trimEnd();
+  if (options.output) {
+    await fs.promises.writeFile(options.output, redactText(output, collectSecrets(options)));
+    if (!options.silent) {
+      console.log(`Responses saved to: ${options.output}`);
+    }
+  } else {
+    console.log(output);
+  }
+
+  if (failedAssertions.length) {
+    throw new Error(`Assertions failed for: ${failedAssertions.join(', ')}`);
+  }
+  return executed;
+}
+
+/**
+ * Parse a request body for `{{name.request.body...}}` references
+ * @param {string} [body] - Raw body
+ * @returns {*} Parsed JSON, form fields or the raw string
+ */
+function parseBody(body) {
+  if (body === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    return /^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(body)
+      ? Object.fromEntries(new URLSearchParams(body))
+      : body;
+  }
+}
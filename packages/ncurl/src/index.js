@@ -45,59 +45,213 @@
  * });
  */
 
+import { STATUS_CODES } from 'http';
+import { Readable } from 'stream';
+import { buffer } from 'stream/consumers';
 import { request } from 'undici';
+import {
+  applyAuth,
+  createDigestAuthorization,
+  getDigestChallenge,
+  parseUserCredentials,
+  redactHeaders,
+  redactUrl,
+  setAuthorization,
+} from './auth.js';
+import { hasBodyOption, resolveBody } from './body.js';
+import {
+  evaluateAssertions,
+  formatAssertionReport,
+  hasAssertions,
+  validateAssertions,
+} from './assert.js';
+import {
+  addConditionalHeaders,
+  isCacheEnabled,
+  lookupCache,
+  refreshEntry,
+  storeResponse,
+} from './cache.js';
+import { applyCookies, persistCookies, setCookieHeader } from './cookies.js';
+import { formatBytes, isDownload, resolveResumeOffset, saveDownload } from './download.js';
+import { ACCEPT_ENCODING, decodeResponseBody, parseContentType } from './encoding.js';
+import { NcurlError, formatError } from './errors.js';
+import { createEventWriter, createLineWriter, getStreamFormat, streamEvents } from './events.js';
+import { describeRequest, recordFixture, replayFixture, toBodyBuffer } from './fixtures.js';
+import { appendHarEntry, createHarEntry } from './har.js';
+import {
+  assertNoViolations,
+  formatViolationReport,
+  getRequestMediaType,
+  inferSpecMethod,
+  loadSpec,
+  matchOperation,
+  resolveOperation,
+  validateRequestBody,
+  validateResponse,
+} from './openapi.js';
+import { applyProfile, resolveProfileUrl } from './profile.js';
+import { toCurlCommand } from './curl.js';
+import { createDispatcher, getRedirect } from './dispatcher.js';
+import { getHeader, hasHeader } from './headers.js';
+import { formatResult } from './output.js';
+import { formatPageLines, paginate } from './paginate.js';
+import { evaluateQuery, formatQueryOutput } from './query.js';
+import { createRetryPolicy, normalizeErrorCode, withRetry } from './retry.js';
+import { createTimer, formatTimings, formatWriteOut, loadWriteOutTemplate } from './timing.js';
 
 /**
  * @typedef {Object} HTTPOptions
  * @property {string} [method='GET'] - HTTP method
  * @property {string} [url] - Target URL
  * @property {Object} [headers={}] - HTTP headers
- * @property {string|Object} [data] - Request body data
+ * @property {string|Object} [data] - Request body data (`@file` reads a file, `@-` reads stdin)
+ * @property {string|Buffer} [dataBinary] - Request body sent untouched (`@file` and `@-` supported)
+ * @property {string} [dataRaw] - Request body sent literally (no `@file` interpretation)
+ * @property {string[]} [form] - multipart/form-data fields (`name=value`, `name=@file;type=...`)
+ * @property {string[]} [formString] - multipart/form-data text fields never read as files
+ * @property {string[]} [formUrlencoded] - application/x-www-form-urlencoded `key=value` pairs
  * @property {boolean} [verbose=false] - Enable verbose output
  * @property {boolean} [json=false] - Automatically handle JSON content-type
  * @property {string} [output] - Output file path
- * @property {boolean} [followRedirects=true] - Follow HTTP redirects
+ * @property {boolean} [redirect=true] - Follow HTTP redirects (`--no-redirect` sets false)
  * @property {number} [timeout=30000] - Request timeout in milliseconds
+ * @property {string} [user] - `user:password` credentials for Basic (or Digest) authentication
+ * @property {boolean} [digest=false] - Use HTTP Digest instead of Basic for --user
+ * @property {string} [bearer] - Bearer token or `env:VAR` reference
+ * @property {string} [apiKey] - API key spec: `header:Name=value` or `query:name=value`
+ * @property {number} [retry=0] - Number of retries for transient failures
+ * @property {number} [retryDelay=1000] - Base backoff delay in milliseconds
+ * @property {string} [retryOn] - Comma-separated status and error codes to retry (default 429,502,503,504,ECONNRESET)
+ * @property {boolean} [retryUnsafe=false] - Also retry non-idempotent methods such as POST
+ * @property {string} [cookieJar] - Cookie jar file (Netscape format, or JSON for *.json) read and updated per request
+ * @property {string} [cookieFile] - Cookie file read for the request but never written (curl `-b <file>`)
+ * @property {string[]} [cookie] - Ad-hoc `name=value` cookies to send
+ * @property {string} [expectStatus] - Expected status codes (`2xx`, `200,201`)
+ * @property {string[]} [expectHeader] - Header assertions (`name`, `!name`, `name=value`, `name~regex`)
+ * @property {string[]} [expectJson] - JSON assertions (`$.data.length > 0`)
+ * @property {number} [expectTime] - Maximum total response time in milliseconds
+ * @property {string} [query] - JSONPath (`$.a[0]`) or jq-style (`.a | length`) filter applied before printing
+ * @property {boolean} [raw=false] - Print string results without JSON quotes
+ * @property {boolean} [compressed=false] - Request gzip/deflate/br and decode the response
+ * @property {boolean} [stream=false] - Stream the body to --output instead of buffering it
+ * @property {string} [continueAt] - Resume a download: `-` for the current file size, or a byte offset
+ * @property {string} [checksum] - Expected `algorithm:hex` digest of the downloaded file
+ * @property {number} [maxEvents] - Stop an event stream after this many events
+ * @property {string} [until] - Stop an event stream after an event whose data or name matches (`/regex/` allowed)
+ * @property {boolean} [parseJson=false] - Parse event stream data as JSON
+ * @property {number} [reconnect=0] - Reconnect a dropped SSE stream up to this many times (sends Last-Event-ID)
+ * @property {string} [record] - Save each request/response pair as a fixture file in this directory
+ * @property {string} [replay] - Serve responses from the fixtures in this directory instead of the network
+ * @property {string|string[]} [match='method,url'] - Fixture match fields: method, url, body, header:<name>
+ * @property {string} [har] - Append every exchange to this HAR 1.2 file
+ * @property {string} [spec] - OpenAPI 3 spec (YAML or JSON) that decides the method and validates bodies
+ * @property {boolean} [validate=true] - Check requests and responses against --spec (`--no-validate` sets false)
+ * @property {string} [operationId] - Spec operation to call instead of a URL (`ncurl op`)
+ * @property {string[]} [param] - `name=value` parameters of the operation (path, query, header, cookie)
+ * @property {import('undici').Dispatcher} [dispatcher] - Shared dispatcher whose connection pool outlives the request (used by batch runs)
+ * @property {boolean} [cache=false] - Cache GET/HEAD responses on disk and revalidate them with ETag/Last-Modified
+ * @property {string} [cacheDir] - Cache directory (implies cache; default `$XDG_CACHE_HOME/ncurl` or `~/.cache/ncurl`)
+ * @property {boolean|string} [paginate] - Follow pages: `link` (default), `cursor`, `page` or `offset`
+ * @property {string} [cursorPath] - JSONPath of the next cursor (implies the cursor strategy)
+ * @property {string} [cursorParam='cursor'] - Query parameter the cursor is sent in
+ * @property {string} [pageParam] - Query parameter for the page strategy (`page`) or offset strategy (`offset`)
+ * @property {string} [items] - JSONPath of the array concatenated across pages
+ * @property {number} [maxPages=100] - Stop paginating after this many pages
+ * @property {boolean} [ndjson=false] - Print pages (or items) as JSON lines as they arrive
+ * @property {(event: import('./events.js').StreamEvent) => void} [onEvent] - Receives stream events as they arrive (they are collected in `data` otherwise)
+ * @property {string} [proxy] - Proxy URL (defaults to HTTPS_PROXY / http_proxy / ALL_PROXY minus NO_PROXY)
+ * @property {string} [cacert] - PEM file with extra CA certificates to trust
+ * @property {string} [cert] - PEM client certificate for mutual TLS
+ * @property {string} [key] - PEM private key for --cert (defaults to the certificate file)
+ * @property {boolean} [insecure=false] - Skip TLS certificate verification
+ * @property {string[]} [resolve] - `host:port:address` entries that bypass DNS
+ * @property {string} [profile] - `.ncurlrc` profile to apply (also NCURL_PROFILE)
+ * @property {string} [baseUrl] - Base URL that `/path` URLs resolve against (usually from a profile)
+ * @property {string} [writeOut] - curl-style `--write-out` template (`%{http_code} %{time_total}`, `%{json}`, `@file`)
+ * @property {boolean} [toCurl=false] - Print the equivalent curl command instead of sending the request
+ * @property {Array<string|MethodPattern>} [methodPatterns] - Extra `pattern=METHOD` rules for method inference
  */
 
+/**
+ * @typedef {Object} MethodPattern
+ * @property {RegExp|string} pattern - URL pattern (strings are compiled case-insensitively)
+ * @property {string} method - HTTP method implied by the pattern
+ */
+
+/**
+ * Default URL patterns that imply an HTTP method (first match wins)
+ * @type {MethodPattern[]}
+ */
+export const DEFAULT_METHOD_PATTERNS = [
+  { pattern: /\/(create|new|add)$/i, method: 'POST' },
+  { pattern: /\/(delete|remove)$/i, method: 'DELETE' },
+  { pattern: /\/(update|edit|modify)$/i, method: 'PUT' },
+  { pattern: /\/patch$/i, method: 'PATCH' },
+  { pattern: /\/(submit|send|post)$/i, method: 'POST' },
+];
+
+/**
+ * Parse a `pattern=METHOD` rule (e.g. from --method-pattern)
+ * @param {string|MethodPattern} rule - Rule string or ready-made pattern entry
+ * @returns {MethodPattern} Pattern entry with a compiled RegExp
+ * @throws {Error} When the rule has no method or an invalid pattern
+ */
+function parseMethodPattern(rule) {
+  if (typeof rule === 'string') {
+    const separator = rule.lastIndexOf('=');
+    if (separator <= 0 || separator === rule.length - 1) {
+      throw new Error(
+        `Invalid method pattern "${rule}". Example: --method-pattern "/archive$=DELETE"`,
+      );
+    }
+    rule = { pattern: rule.slice(0, separator), method: rule.slice(separator + 1) };
+  }
+
+  if (rule.pattern instanceof RegExp) {
+    return { pattern: rule.pattern, method: rule.method.toUpperCase() };
+  }
+
+  try {
+    return { pattern: new RegExp(rule.pattern, 'i'), method: rule.method.toUpperCase() };
+  } catch {
+    throw new Error(
+      `Invalid method pattern "${rule.pattern}". Use a regular expression like "/archive$"`,
+    );
+  }
+}
+
 /**
  * Intelligent HTTP method detection based on LLM cognitive patterns
  * @param {string} url - Target URL
  * @param {HTTPOptions} options - Command options
+ * @param {Object} [spec] - Loaded --spec
  * @returns {string} Inferred HTTP method
  */
-function inferMethod(url, options = {}) {
+function inferMethod(url, options = {}, spec = undefined) {
   if (options.method) {
     return options.method.toUpperCase();
   }
 
+  // Spec truth: a path that documents one fitting method settles it before any guessing
+  const documented = spec && inferSpecMethod(spec, url, hasBodyOption(options), options.baseUrl);
+  if (documented) {
+    return documented;
+  }
+
   // LLM Pattern: If data is provided, assume POST unless specified
-  if (options.data) {
+  if (hasBodyOption(options)) {
     return 'POST';
   }
 
-  // LLM Pattern: Common API endpoints often imply actions
-  const actionPatterns = [
-    /\/(create|new|add)$/i,
-    /\/(delete|remove)$/i,
-    /\/(update|edit|modify)$/i,
-    /\/(submit|send|post)$/i,
-  ];
-
-  const urlLower = url.toLowerCase();
-  for (const pattern of actionPatterns) {
-    if (pattern.test(urlLower)) {
-      if (pattern.source.includes('delete') || pattern.source.includes('remove')) {
-        return 'DELETE';
-      }
-      if (
-        pattern.source.includes('update') ||
-        pattern.source.includes('edit') ||
-        pattern.source.includes('modify')
-      ) {
-        return 'PUT';
-      }
-      return 'POST';
+  // LLM Pattern: Common API endpoints often imply actions (custom patterns take precedence)
+  const patterns = [...(options.methodPatterns || []), ...DEFAULT_METHOD_PATTERNS].map(
+    parseMethodPattern,
+  );
+
+  for (const { pattern, method } of patterns) {
+    if (pattern.test(url)) {
+      return method;
     }
   }
 
@@ -110,7 +264,7 @@ function inferMethod(url, options = {}) {
  * @param {HTTPOptions} options - Command options
  * @returns {Object} Inferred headers
  */
-function inferHeaders(options = {}) {
+export function inferHeaders(options = {}) {
   const headers = {};
 
   // Process header array from commander
@@ -150,17 +304,24 @@ function inferHeaders(options = {}) {
 /**
  * Smart URL validation and LLM-friendly error messages
  * @param {string} url - URL to validate
+ * @param {boolean} [quiet=false] - Do not report the assumed protocol
+ * @param {string} [baseUrl] - Base URL for `/path` URLs
  * @throws {Error} User-friendly error with LLM guidance
  */
-function validateURL(url) {
+export function validateURL(url, quiet = false, baseUrl = undefined) {
   if (!url) {
     throw new Error('URL is required. Example: ncurl https://api.example.com/data');
   }
 
+  // Profiles: `/users` is a path on the profile's base URL, not a hostname
+  url = resolveProfileUrl(url, baseUrl);
+
   // LLM Pattern: Add protocol if missing (common LLM assumption)
   if (!url.startsWith('http://') && !url.startsWith('https://')) {
     url = `https://${url}`;
-    console.log(`[ncurl] Assuming HTTPS protocol: ${url}`);
+    if (!quiet) {
+      console.log(`[ncurl] Assuming HTTPS protocol: ${url}`);
+    }
   }
 
   try {
@@ -172,99 +333,536 @@ function validateURL(url) {
   return url;
 }
 
+/**
+ * Resolve the request body and the headers it implies
+ * @param {HTTPOptions} options - Command options
+ * @param {Object} headers - Request headers (content-type/length added when missing)
+ * @returns {Promise<{ body: *, payload: import('./body.js').ResolvedBody }>} Body ready to send
+ */
+async function prepareBody(options, headers) {
+  // Prepare request body (inline, @file or @- for stdin)
+  const payload = await resolveBody(options);
+  let body = payload.body;
+  if (options.json && typeof body === 'string') {
+    // If JSON flag is set and data is string, parse it first
+    try {
+      body = JSON.stringify(JSON.parse(body));
+    } catch {
+      // Keep as string if parsing fails
+    }
+  }
+
+  // LLM Pattern: Infer content-type from the payload file extension
+  if (payload.contentType && !hasHeader(headers, 'content-type')) {
+    headers['content-type'] = payload.contentType;
+  }
+  if (payload.length !== undefined && !hasHeader(headers, 'content-length')) {
+    headers['content-length'] = String(payload.length);
+  }
+
+  return { body, payload };
+}
+
+/**
+ * Add size, per-phase timings and the remote address to a result
+ * @param {Object} result - Result without timing information
+ * @param {ReturnType<typeof createTimer>} timer - Request timer
+ * @param {number} size - Bytes received in the body (before decoding)
+ * @returns {Object} Result with `size`, `timings`, `duration`, `remoteAddress` and `remotePort`
+ */
+function withTimings(result, timer, size) {
+  const timings = timer.summary();
+  return {
+    ...result,
+    size,
+    timings,
+    duration: timings.total,
+    remoteAddress: timer.remote.address,
+    remotePort: timer.remote.port,
+  };
+}
+
+/**
+ * Decode a buffered response body (from the network or the cache) into a result
+ * @param {{ method: string, url: string, status: number, headers: Object, rawBody: Buffer, fromCache?: boolean, replayed?: boolean }} response - Response parts (URL already redacted) and result flags
+ * @param {HTTPOptions} options - Command options
+ * @param {ReturnType<typeof createTimer>} timer - Request timer
+ * @param {import('./openapi.js').Operation} [operation] - Spec operation the response is validated against
+ * @returns {NcurlResult} Result with the decoded body
+ */
+function toBufferedResult(
+  { method, url, status, headers, rawBody, ...flags },
+  options,
+  timer,
+  operation = undefined,
+) {
+  let { data } = decodeResponseBody(rawBody, headers, options);
+  const { mediaType } = parseContentType(headers['content-type']);
+
+  // LLM Pattern: Auto-parse JSON if response suggests it
+  if (/[/+]json$/.test(mediaType) && typeof data === 'string' && data) {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      // Keep as text if parsing fails
+    }
+  }
+
+  const result = withTimings(
+    {
+      method,
+      status,
+      statusText: STATUS_CODES[status],
+      headers,
+      data,
+      url,
+      ...flags,
+    },
+    timer,
+    rawBody.length,
+  );
+  if (operation && options.validate !== false) {
+    result.validation = validateResponse(operation, result);
+  }
+
+  if (options.verbose) {
+    console.log(`[ncurl] Response: ${status} ${result.statusText}`);
+    console.log(`[ncurl] Response Headers:`, headers);
+    console.log(`[ncurl] Timing: ${formatTimings(result.timings)}`);
+  }
+
+  return result;
+}
+
+/**
+ * @typedef {Object} NcurlResult
+ * @property {string} method - HTTP method sent
+ * @property {number} status - Response status
+ * @property {string} statusText - Status text for the code
+ * @property {Object} headers - Response headers
+ * @property {*} [data] - Parsed JSON, decoded text, or a Buffer for binary bodies (absent in download mode; the events of a stream without onEvent)
+ * @property {import('./download.js').DownloadResult} [download] - Download summary in download mode
+ * @property {import('./events.js').StreamSummary} [stream] - Event count and stop reason for SSE/NDJSON responses
+ * @property {string} url - Request URL (credentials redacted)
+ * @property {boolean} [fromCache] - True when the body came from the --cache (fresh or revalidated with 304)
+ * @property {boolean} [replayed] - True when the response was served from a --replay fixture
+ * @property {import('./openapi.js').ResponseValidation} [validation] - Schema check of a buffered response against --spec
+ * @property {number} size - Body bytes received
+ * @property {import('./timing.js').RequestTimings} timings - Per-phase timings in milliseconds
+ * @property {number} duration - Total time in milliseconds
+ * @property {string} [remoteAddress] - IP address of the server (or proxy)
+ * @property {number} [remotePort] - Port of the server (or proxy)
+ */
+
 /**
  * Intelligent request execution with LLM-friendly output
  * @param {HTTPOptions} options - Command options
- * @returns {Promise<Object>} Response data
+ * @returns {Promise<NcurlResult>} Response data
+ * @throws {NcurlError} With a code, suggestion, the request and any partial response
  */
 export async function executeRequest(options = {}) {
+  const timer = createTimer();
+  let transport;
+  let requestInfo;
+  let responseInfo;
   try {
-    const url = validateURL(options.url);
-    const method = inferMethod(url, options);
+    let url = validateURL(options.url, options.silent, options.baseUrl);
+    const spec = options.spec ? await loadSpec(options.spec) : undefined;
+    const method = inferMethod(url, options, spec);
+    const operation = spec && matchOperation(spec, url, method, options.baseUrl);
+    if (spec && !operation && options.verbose) {
+      console.log(`[ncurl] Spec: no operation documents ${method} ${redactUrl(url, options)}`);
+    }
+    requestInfo = { method, url: redactUrl(url, options) };
     const headers = inferHeaders(options);
+    url = applyAuth(url, headers, options);
+    const explicitCookie = hasHeader(headers, 'cookie');
+    const jar = await applyCookies(url, headers, options);
 
-    // Prepare request body
-    let body;
-    if (options.data) {
-      if (options.json && typeof options.data === 'string') {
-        // If JSON flag is set and data is string, parse it first
-        try {
-          const parsed = JSON.parse(options.data);
-          body = JSON.stringify(parsed);
-        } catch {
-          body = options.data; // Keep as string if parsing fails
-        }
-      } else if (typeof options.data === 'string') {
-        body = options.data;
-      } else if (typeof options.data === 'object') {
-        body = JSON.stringify(options.data);
+    if (options.compressed && !hasHeader(headers, 'accept-encoding')) {
+      headers['accept-encoding'] = ACCEPT_ENCODING;
+    }
+
+    // Download mode: resume partial files with a Range request
+    const download = isDownload(options);
+    const offset = download ? await resolveResumeOffset(options) : 0;
+    if (offset > 0 && !hasHeader(headers, 'range')) {
+      headers.range = `bytes=${offset}-`;
+    }
+
+    const prepared = await prepareBody(options, headers);
+    const { payload } = prepared;
+    let { body } = prepared;
+    const mediaType = operation && getRequestMediaType(operation);
+    if (body && mediaType && !hasHeader(headers, 'content-type')) {
+      headers['content-type'] = mediaType;
+    }
+
+    // Record/replay, HAR export and JSON schema checks need the request body as bytes, so streamed bodies are buffered
+    const validateBody = operation?.requestBody && options.validate !== false;
+    const jsonBody = /[/+]json\b/.test(getHeader(headers, 'content-type') || '');
+    if (
+      (options.record || options.replay || options.har || (validateBody && jsonBody)) &&
+      body instanceof Readable
+    ) {
+      body = await buffer(body);
+    }
+    if (validateBody) {
+      assertNoViolations(
+        `Request body does not match ${operation.operationId}`,
+        validateRequestBody(operation, body, headers),
+        { ...requestInfo, headers: redactHeaders(headers, options) },
+      );
+    }
+    let exchange;
+    if (options.record || options.replay || options.har) {
+      exchange = describeRequest(method, url, headers, toBodyBuffer(body), options);
+    }
+    if (options.replay) {
+      if (download) {
+        throw new Error('--replay cannot serve downloads (--stream, --continue-at, --checksum)');
+      }
+      const replayed = await replayFixture(exchange, options);
+      timer.start();
+      timer.mark('end');
+      if (options.verbose) {
+        console.log(`[ncurl] Replay: ${method} ${exchange.url} from ${replayed.file}`);
       }
+      return toBufferedResult(
+        {
+          method,
+          url: exchange.url,
+          status: replayed.status,
+          headers: replayed.headers,
+          rawBody: replayed.body,
+          replayed: true,
+        },
+        options,
+        timer,
+        operation,
+      );
     }
 
+    // HTTP cache: fresh entries are served without a request, stale ones are revalidated
+    const cached =
+      !download && !body && isCacheEnabled(method, options)
+        ? await lookupCache(method, url, headers, options)
+        : null;
+    if (cached?.fresh) {
+      timer.start();
+      timer.mark('end');
+      if (options.verbose) {
+        console.log(`[ncurl] Cache: fresh (age ${cached.age}s), no request sent`);
+      }
+      return toBufferedResult(
+        {
+          method,
+          url: redactUrl(url, options),
+          status: cached.entry.status,
+          headers: cached.entry.headers,
+          rawBody: Buffer.from(cached.entry.body, 'base64'),
+          fromCache: true,
+        },
+        options,
+        timer,
+        operation,
+      );
+    }
+    const revalidating = cached?.entry ? addConditionalHeaders(headers, cached.entry) : false;
+
     const requestOptions = {
       method,
       headers,
-      body,
       headersTimeout: options.timeout ? parseInt(options.timeout) : 30000,
       bodyTimeout: options.timeout ? parseInt(options.timeout) : 30000,
-      followRedirects: options.followRedirects !== false,
     };
+    requestInfo.headers = redactHeaders(headers, options);
+    transport = await createDispatcher(url, options, timer);
+    requestOptions.dispatcher = transport.dispatcher;
 
     if (options.verbose) {
-      console.log(`[ncurl] Request: ${method} ${url}`);
-      console.log(`[ncurl] Headers:`, headers);
-      if (body) {
+      console.log(`[ncurl] Request: ${method} ${redactUrl(url, options)}`);
+      console.log(`[ncurl] Headers:`, redactHeaders(headers, options));
+      if (payload.description) {
+        console.log(`[ncurl] Body:`, payload.description);
+      } else if (body) {
         console.log(`[ncurl] Body:`, body);
       }
     }
 
-    const response = await request(url, requestOptions);
-    const responseBody = await response.body.text();
+    // Streamed bodies are consumed by each attempt, so resolve them again before resending
+    const followRedirects = options.redirect !== false && options.followRedirects !== false;
+    let responseUrl = url;
+    let sent = false;
+    const nextBody = async () => {
+      if (sent && body instanceof Readable) {
+        body = payload.reopen ? payload.reopen() : (await prepareBody(options, headers)).body;
+      }
+      sent = true;
+      return body;
+    };
 
-    // Smart response handling
-    let responseData = responseBody;
-    const contentType = response.headers['content-type'] || '';
+    const send = async () => {
+      let sentHeaders = { ...headers };
+      let response = await request(url, {
+        ...requestOptions,
+        headers: sentHeaders,
+        body: await nextBody(),
+      });
+
+      // HTTP Digest: every attempt answers its own challenge (fresh nonce) with the --user credentials
+      const challenge = getDigestChallenge(response.statusCode, response.headers, headers, options);
+      if (challenge) {
+        await response.body.dump();
+        const { username, password } = parseUserCredentials(options.user);
+        sentHeaders = { ...headers };
+        setAuthorization(
+          sentHeaders,
+          createDigestAuthorization(challenge, { method, url, username, password }),
+        );
+        if (options.verbose) {
+          console.log(`[ncurl] Answering Digest challenge for realm "${challenge.realm}"`);
+        }
+        response = await request(url, {
+          ...requestOptions,
+          headers: sentHeaders,
+          body: await nextBody(),
+        });
+      }
 
-    // LLM Pattern: Auto-parse JSON if response suggests it
-    if (contentType.includes('application/json') && responseBody) {
-      try {
-        responseData = JSON.parse(responseBody);
-      } catch {
-        // Keep as text if parsing fails
+      // Redirects are followed here rather than in the dispatcher so every hop's cookies are kept
+      let hop = { url, method, headers: sentHeaders, origin: new URL(url).origin, hops: 0 };
+      let redirect;
+      while (
+        followRedirects &&
+        (redirect = getRedirect(response.statusCode, response.headers, hop, options))
+      ) {
+        await response.body.dump();
+        await persistCookies(jar, response.headers, hop.url, options);
+        // Cookies generated from the jar are recomputed for the next hop's host and path
+        if (!explicitCookie) {
+          delete redirect.headers.cookie;
+        }
+        setCookieHeader(
+          jar,
+          redirect.url,
+          redirect.headers,
+          redirect.crossOrigin ? [] : options.cookie,
+        );
+        if (options.verbose) {
+          console.log(
+            `[ncurl] Redirect: ${response.statusCode} → ${redactUrl(redirect.url, options)}`,
+          );
+        }
+        hop = { ...hop, ...redirect, hops: hop.hops + 1 };
+        response = await request(hop.url, {
+          ...requestOptions,
+          method: hop.method,
+          headers: hop.headers,
+          body: redirect.dropBody ? undefined : await nextBody(),
+        });
       }
-    }
+      responseUrl = hop.url;
 
-    const result = {
+      timer.mark('firstByte');
+      return response;
+    };
+
+    // HAR export: every exchange that went over the network is appended to the log
+    const startedAt = new Date();
+    const logExchange = async result => {
+      if (options.har) {
+        await appendHarEntry(options.har, createHarEntry(exchange, result, startedAt, options));
+      }
+    };
+
+    timer.start();
+    const policy = createRetryPolicy(options, method);
+    const response = await withRetry(send, policy);
+    responseInfo = {
       status: response.statusCode,
-      statusText: response.statusMessage,
+      statusText: STATUS_CODES[response.statusCode],
       headers: response.headers,
-      data: responseData,
-      url: response.url,
     };
+    await persistCookies(jar, response.headers, responseUrl, options);
+
+    if (revalidating && response.statusCode === 304) {
+      await response.body.dump();
+      const refreshed = await refreshEntry(cached.file, headers, cached.entry, response.headers);
+      timer.mark('end');
+      if (options.verbose) {
+        console.log(`[ncurl] Cache: revalidated (304 Not Modified), using the cached body`);
+      }
+      const result = toBufferedResult(
+        {
+          method,
+          url: redactUrl(url, options),
+          status: refreshed.status,
+          headers: refreshed.headers,
+          rawBody: refreshed.body,
+          fromCache: true,
+        },
+        options,
+        timer,
+        operation,
+      );
+      await logExchange(result);
+      return result;
+    }
 
-    if (options.verbose) {
-      console.log(`[ncurl] Response: ${response.statusCode} ${response.statusMessage}`);
-      console.log(`[ncurl] Response Headers:`, response.headers);
+    // Event streams (SSE, NDJSON) are handed over event by event instead of being buffered
+    if (!download && response.statusCode < 300 && getStreamFormat(response.headers)) {
+      if (options.verbose) {
+        console.log(
+          `[ncurl] Response: ${response.statusCode} ${STATUS_CODES[response.statusCode]}`,
+        );
+        console.log(`[ncurl] Response Headers:`, response.headers);
+      }
+      const { summary, events } = await streamEvents(response, options, lastEventId => {
+        if (lastEventId) {
+          headers['last-event-id'] = lastEventId;
+        }
+        return withRetry(send, policy);
+      });
+      timer.mark('end');
+      const result = withTimings(
+        {
+          method,
+          status: response.statusCode,
+          statusText: STATUS_CODES[response.statusCode],
+          headers: response.headers,
+          data: events,
+          url: redactUrl(url, options),
+          stream: summary,
+        },
+        timer,
+        summary.bytes,
+      );
+      if (options.verbose) {
+        console.log(
+          `[ncurl] Stream: ${summary.count} events, stopped by ${summary.stoppedBy}, ${summary.reconnects} reconnects`,
+        );
+        console.log(`[ncurl] Timing: ${formatTimings(result.timings)}`);
+      }
+      await logExchange({ ...result, data: undefined });
+      return result;
+    }
+
+    if (download) {
+      const saved = await saveDownload(response, options, offset);
+      timer.mark('end');
+      const result = withTimings(
+        {
+          method,
+          status: response.statusCode,
+          statusText: STATUS_CODES[response.statusCode],
+          headers: response.headers,
+          url: redactUrl(url, options),
+          download: saved,
+        },
+        timer,
+        saved.bytes,
+      );
+      await logExchange(result);
+      return result;
     }
 
+    // Binary-safe: read bytes, then decode text with its charset (binary stays a Buffer)
+    const rawBody = Buffer.from(await response.body.arrayBuffer());
+    timer.mark('end');
+    if (
+      cached &&
+      (await storeResponse(cached.file, headers, {
+        status: response.statusCode,
+        headers: response.headers,
+        body: rawBody,
+      })) &&
+      options.verbose
+    ) {
+      console.log(`[ncurl] Cache: stored in ${cached.file}`);
+    }
+    if (options.record) {
+      const file = await recordFixture(
+        exchange,
+        { status: response.statusCode, headers: response.headers, body: rawBody },
+        options,
+      );
+      if (options.verbose) {
+        console.log(`[ncurl] Recorded ${file}`);
+      }
+    }
+    const result = toBufferedResult(
+      {
+        method,
+        url: redactUrl(url, options),
+        status: response.statusCode,
+        headers: response.headers,
+        rawBody,
+      },
+      options,
+      timer,
+      operation,
+    );
+    await logExchange(result);
     return result;
   } catch (error) {
+    if (error instanceof NcurlError) {
+      throw error;
+    }
+
     // LLM-friendly error messages with helpful suggestions
-    const errorMessage = error.message;
+    const errorMessage =
+      error.attempts > 1 ? `${error.message} (after ${error.attempts} attempts)` : error.message;
+    const code = normalizeErrorCode(error);
     let suggestion = '';
 
-    if (error.code === 'ENOTFOUND') {
+    if (code === 'ENOTFOUND') {
       suggestion = 'Check the domain name and your internet connection';
-    } else if (error.code === 'ECONNREFUSED') {
+    } else if (code === 'ECONNREFUSED') {
       suggestion = 'The server is not accepting connections - check if the service is running';
-    } else if (error.code === 'ETIMEDOUT') {
+    } else if (code === 'ETIMEDOUT') {
       suggestion = 'Request timed out - try increasing timeout with --timeout';
-    } else if (error.code === 'ECONNRESET') {
-      suggestion = 'Connection was reset - the server may be overloaded';
+    } else if (code === 'ECONNRESET') {
+      suggestion = 'Connection was reset - the server may be overloaded; try --retry 3';
+    } else if (code === 'ENOENT') {
+      suggestion = 'Check the file path given with --data @<file> or --data-binary @<file>';
+    } else if (/CERT|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)/.test(code || '')) {
+      suggestion =
+        'Trust a private CA with --cacert <file> (only use --insecure for throwaway tests)';
+    }
+
+    if (error.retryRefused) {
+      suggestion = 'Non-idempotent requests are not retried - add --retry-unsafe to allow it';
     }
 
-    const fullError = suggestion ? `${errorMessage}\n[suggestion] ${suggestion}` : errorMessage;
-    throw new Error(fullError);
+    throw new NcurlError(errorMessage, {
+      code,
+      suggestion: suggestion || undefined,
+      request: requestInfo,
+      response: responseInfo,
+      attempts: error.attempts,
+      cause: error,
+    });
+  } finally {
+    await transport?.close();
+  }
+}
+
+/**
+ * Get the parsed JSON body of a result for --query, parsing text bodies that were not labelled as JSON
+ * @param {Object} result - Result from executeRequest
+ * @returns {*} Parsed JSON
+ * @throws {Error} When the body is not JSON
+ */
+function parseJsonData(result) {
+  if (typeof result.data !== 'string') {
+    return result.data;
+  }
+  try {
+    return JSON.parse(result.data);
+  } catch {
+    const contentType = result.headers['content-type'] || 'no content-type';
+    throw new Error(`--query needs a JSON response, got ${contentType}`);
   }
 }
 
@@ -279,7 +877,7 @@ export async function main(options = {}) {
       options.url = options.args[0];
     }
 
-    if (!options.url) {
+    if (!options.url && !options.operationId) {
       console.log('ncurl - A curl clone optimized for LLM cognitive patterns\n');
       console.log('Usage: ncurl [options] <url>');
       console.log('Examples:');
@@ -295,31 +893,129 @@ export async function main(options = {}) {
       return;
     }
 
-    const result = await executeRequest(options);
+    // Merge the .ncurlrc profile (--profile, NCURL_PROFILE or the file's default)
+    options = await applyProfile(options);
 
-    // Smart output formatting
-    if (options.output) {
-      const fs = await import('fs');
-      if (typeof result.data === 'object') {
-        await fs.promises.writeFile(options.output, JSON.stringify(result.data, null, 2));
-      } else {
-        await fs.promises.writeFile(options.output, result.data);
+    // OpenAPI: `ncurl op <operationId>` becomes a method, URL and parameters from the spec
+    if (options.operationId) {
+      options = { ...options, ...(await resolveOperation(options)) };
+    }
+
+    // Print the equivalent curl command without sending anything
+    if (options.toCurl) {
+      const url = validateURL(options.url, true, options.baseUrl);
+      const spec = options.spec ? await loadSpec(options.spec) : undefined;
+      console.log(toCurlCommand({ ...options, url, method: inferMethod(url, options, spec) }));
+      return;
+    }
+
+    // Load --write-out and check --expect-* before sending so a bad template or assertion fails fast
+    validateAssertions(options);
+    const writeOut = options.writeOut ? await loadWriteOutTemplate(options.writeOut) : undefined;
+    const events = createEventWriter(options);
+    const pageLines = options.ndjson ? createLineWriter(options) : null;
+    let result;
+    try {
+      result = options.paginate
+        ? await paginate({
+            ...options,
+            onPage: pageLines && (page => formatPageLines(page, options).forEach(pageLines.write)),
+          })
+        : await executeRequest({ ...options, onEvent: events.write });
+    } finally {
+      await events.close();
+      await pageLines?.close();
+    }
+
+    if (result.stream || pageLines) {
+      // Events and NDJSON pages were printed as they arrived
+      if (options.output && options.output !== '-' && !options.silent) {
+        const saved = result.stream
+          ? `${result.stream.count} events`
+          : `${result.pagination.pages} pages`;
+        console.log(`Saved ${saved} to ${options.output}`);
       }
-      if (options.verbose || !options.silent) {
-        console.log(`Response saved to: ${options.output}`);
+    } else if (result.download) {
+      const { file, bytes, size, resumedFrom, checksum } = result.download;
+      if (!options.silent) {
+        // Keep stdout clean when the download itself went to stdout
+        const log = file === '-' ? console.error : console.log;
+        const resumed = resumedFrom ? ` (resumed at ${formatBytes(resumedFrom)})` : '';
+        const target = file === '-' ? 'stdout' : file;
+        log(`Downloaded ${formatBytes(bytes)} to ${target}${resumed}, ${formatBytes(size)} total`);
+        if (checksum) {
+          log(`Checksum verified: ${checksum}`);
+        }
       }
     } else {
-      // Pretty-print JSON responses
-      if (typeof result.data === 'object') {
-        console.log(JSON.stringify(result.data, null, 2));
+      // Smart output formatting (method-aware: HEAD/OPTIONS print headers, others the body)
+      const output = options.query
+        ? formatQueryOutput(evaluateQuery(parseJsonData(result), options.query), options.raw)
+        : formatResult(result);
+
+      const binary = Buffer.isBuffer(output);
+
+      if (options.output && options.output !== '-') {
+        const fs = await import('fs');
+        // The saved response is the payload as received; only logs and displays are redacted
+        await fs.promises.writeFile(options.output, output);
+        if (options.verbose || !options.silent) {
+          console.log(`Response saved to: ${options.output}`);
+        }
+      } else if (!binary) {
+        console.log(output);
+      } else if (options.output === '-' || !process.stdout.isTTY) {
+        process.stdout.write(output);
       } else {
-        console.log(result.data);
+        // Binary bytes would garble the terminal
+        const contentType = result.headers['content-type'] || 'unknown type';
+        throw new Error(
+          `Binary response (${contentType}, ${formatBytes(output.length)}) not printed to the terminal. Save it with -o <file>, or use --output - to print it anyway`,
+        );
+      }
+    }
+
+    if (writeOut) {
+      const { stdout, stderr } = formatWriteOut(writeOut, result);
+      process.stdout.write(stdout);
+      process.stderr.write(stderr);
+    }
+
+    // OpenAPI: a response that breaks the spec fails the command like a failed assertion
+    const violations = result.validation?.violations || [];
+    if (violations.length) {
+      console.error(
+        formatViolationReport(
+          `Response ${result.status} does not match ${result.validation.operationId}`,
+          violations,
+        ),
+      );
+    } else if (result.validation && options.verbose) {
+      console.error(`[ncurl] Response matches ${result.validation.operationId}`);
+    }
+
+    // Smoke-test assertions: report on stderr so stdout stays the response
+    if (hasAssertions(options)) {
+      const assertions = evaluateAssertions(result, options);
+      const failed = assertions.filter(assertion => !assertion.passed);
+      if (failed.length || !options.silent) {
+        console.error(formatAssertionReport(failed.length && options.silent ? failed : assertions));
+      }
+      if (failed.length) {
+        process.exit(1);
       }
     }
+    if (violations.length) {
+      process.exit(1);
+    }
   } catch (error) {
-    console.error(`[ncurl] Error: ${error.message}`);
+    console.error(`[ncurl] Error: ${formatError(error)}`);
     process.exit(1);
   }
 }
 
+export { createClient } from './client.js';
+export { NcurlError } from './errors.js';
+export { paginate } from './paginate.js';
+
 export default main;
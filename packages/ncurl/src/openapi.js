@@ -0,0 +1,1014 @@
+/**
+ * nCurl OpenAPI - Spec-Aware Requests and Schema Validation
+ *
+ * @context Contract layer of the nCurl HTTP client for services that publish an OpenAPI 3 spec
+ * @purpose Resolves operationIds to method, path and query, and checks requests and responses against the spec's schemas
+ * @integration main() resolves `ncurl op`, executeRequest asks the spec for the method and validates bodies when --spec is set
+ * @workflow Load spec → find the operation (by id, or by URL and method) → build or check the request → send → check the response
+ *
+ * Operations (`ncurl op <operationId> --spec openapi.yaml`):
+ * - `--param name=value` fills path, query, header and cookie parameters (repeat a name for array values)
+ * - Unknown and missing required parameters fail before anything is sent
+ * - The base URL is --server, else the profile's baseUrl, else the spec's first server (variables take their defaults)
+ *
+ * Validation (on by default with --spec, `--no-validate` turns it off):
+ * - Parameters and JSON request bodies that break the schema fail with NcurlError `SCHEMA_VIOLATION`
+ * - Buffered responses are checked against the schema documented for their status and content type
+ * - Violations name the exact location (`$.items[2].id: expected integer, got "7"`)
+ * - Supported keywords: type, nullable, enum, const, format, string/number/array/object bounds,
+ *   required, properties, additionalProperties, items, allOf/anyOf/oneOf (with discriminator), not, local $refs
+ *
+ * @example
+ * // ncurl op getUser --param id=5 --spec openapi.yaml
+ * // ncurl op createUser --spec openapi.yaml -d '{"name": "John"}'
+ * // ncurl run https://api.example.com/users/5 --spec openapi.yaml -d '{"name": "Jo"}'   (PUT from the spec)
+ */
+
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { URLSearchParams } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { parse as parseYamlDocument } from 'yaml';
+import { parseContentType } from './encoding.js';
+import { NcurlError } from './errors.js';
+import { getHeader } from './headers.js';
+
+/**
+ * HTTP methods an OpenAPI path item can define
+ */
+const PATH_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Methods that carry a request body (used to pick among several operations on one path)
+ */
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * Methods a request without a body may take from the spec, in order of preference
+ */
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Loaded specs by absolute path, so batch runs and pagination parse a spec once
+ */
+const loadedSpecs = new Map();
+
+/**
+ * Operations of each spec
+ */
+const operationCache = new WeakMap();
+
+/**
+ * Checks for the string formats that are validated (other formats are accepted as-is)
+ */
+const FORMATS = {
+  'date-time': value =>
+    /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})$/.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  ipv4: value => net.isIPv4(value),
+  ipv6: value => net.isIPv6(value),
+};
+
+/**
+ * @typedef {Object} Operation
+ * @property {string} operationId - operationId (or `METHOD /path` when the spec has none)
+ * @property {string} method - HTTP method
+ * @property {string} path - Path template, e.g. `/users/{id}`
+ * @property {string} [summary] - Summary from the spec
+ * @property {boolean} [deprecated] - Whether the spec marks the operation deprecated
+ * @property {Object[]} parameters - Path-level and operation parameters ($refs resolved)
+ * @property {Object} [requestBody] - Request body object ($ref resolved)
+ * @property {Object} responses - Responses by status code
+ * @property {Object} spec - Spec the operation belongs to
+ */
+
+/**
+ * @typedef {Object} SchemaViolation
+ * @property {string} path - Location of the value (`$.items[0].id`, `query parameter limit`)
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * @typedef {Object} ResponseValidation
+ * @property {string} operationId - Operation the response was checked against
+ * @property {SchemaViolation[]} violations - Violations (empty when the response matches)
+ */
+
+/**
+ * Parse the content of a spec file (JSON when it starts with `{` or the file ends in .json, YAML otherwise)
+ * @param {string} content - File content
+ * @param {string} file - File path (for error messages)
+ * @returns {Object} OpenAPI document
+ * @throws {Error} When the file cannot be parsed or is not an OpenAPI 3 document
+ */
+export function parseSpec(content, file) {
+  let spec;
+  try {
+    spec =
+      file.endsWith('.json') || content.trimStart().startsWith('{')
+        ? JSON.parse(content)
+        : parseYamlDocument(content);
+  } catch (error) {
+    throw new Error(`Invalid OpenAPI spec ${file}: ${error.message}`);
+  }
+
+  if (spec?.swagger) {
+    throw new Error(
+      `${file} is a Swagger ${spec.swagger} document. Convert it to OpenAPI 3 (e.g. with swagger2openapi)`,
+    );
+  }
+  if (!/^3\./.test(String(spec?.openapi ?? '')) || typeof spec.paths !== 'object') {
+    throw new Error(`${file} is not an OpenAPI 3 spec (expected "openapi: 3.x" and "paths")`);
+  }
+  return spec;
+}
+
+/**
+ * Load a spec file (cached per path)
+ * @param {string} file - Spec file (.yaml, .yml or .json)
+ * @returns {Promise<Object>} OpenAPI document
+ * @throws {Error} When no file is given, or it cannot be read or parsed
+ */
+export async function loadSpec(file) {
+  if (!file) {
+    throw new Error(
+      'An OpenAPI spec is required: --spec openapi.yaml (or spec in a .ncurlrc profile)',
+    );
+  }
+  const key = path.resolve(file);
+  if (!loadedSpecs.has(key)) {
+    const loading = fs.promises.readFile(key, 'utf8').then(content => parseSpec(content, file));
+    loadedSpecs.set(key, loading);
+    // Failed loads are not cached, so a fixed file is picked up by the next request
+    loading.catch(() => loadedSpecs.delete(key));
+  }
+  return loadedSpecs.get(key);
+}
+
+/**
+ * Follow local `$ref`s (`#/components/schemas/User`) to the object they point at
+ * @param {Object} spec - OpenAPI document
+ * @param {*} node - Any spec node
+ * @returns {*} The node, or the object its $ref chain ends at
+ * @throws {Error} For external or dangling references
+ */
+export function resolveRef(spec, node) {
+  const seen = new Set();
+  while (node && typeof node === 'object' && typeof node.$ref === 'string') {
+    const ref = node.$ref;
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local $refs are supported, got "${ref}"`);
+    }
+    if (seen.has(ref)) {
+      throw new Error(`Circular $ref "${ref}"`);
+    }
+    seen.add(ref);
+    node = ref
+      .slice(2)
+      .split('/')
+      .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((target, part) => target?.[part], spec);
+    if (node === undefined) {
+      throw new Error(`$ref "${ref}" does not point at anything in the spec`);
+    }
+  }
+  return node;
+}
+
+/**
+ * List the operations of a spec
+ * @param {Object} spec - OpenAPI document
+ * @returns {Operation[]} Operations in spec order
+ */
+export function listOperations(spec) {
+  if (operationCache.has(spec)) {
+    return operationCache.get(spec);
+  }
+  const operations = [];
+  for (const [template, rawItem] of Object.entries(spec.paths || {})) {
+    const item = resolveRef(spec, rawItem) || {};
+    const shared = (item.parameters || []).map(parameter => resolveRef(spec, parameter));
+    for (const method of PATH_METHODS) {
+      const operation = item[method];
+      if (!operation) {
+        continue;
+      }
+      // Operation parameters override path-level ones with the same name and location
+      const own = (operation.parameters || []).map(parameter => resolveRef(spec, parameter));
+      const parameters = [
+        ...shared.filter(
+          parameter =>
+            !own.some(other => other.name === parameter.name && other.in === parameter.in),
+        ),
+        ...own,
+      ];
+      operations.push({
+        operationId: operation.operationId || `${method.toUpperCase()} ${template}`,
+        method: method.toUpperCase(),
+        path: template,
+        summary: operation.summary,
+        deprecated: operation.deprecated,
+        parameters,
+        requestBody: resolveRef(spec, operation.requestBody),
+        responses: operation.responses || {},
+        spec,
+      });
+    }
+  }
+  operationCache.set(spec, operations);
+  return operations;
+}
+
+/**
+ * Count the single-character edits between two strings (Levenshtein distance)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find an operation by operationId
+ * @param {Object} spec - OpenAPI document
+ * @param {string} operationId - operationId (case-insensitive fallback)
+ * @returns {Operation} Operation
+ * @throws {Error} When the spec has no such operation (with close matches)
+ */
+export function findOperation(spec, operationId) {
+  const operations = listOperations(spec);
+  const operation =
+    operations.find(candidate => candidate.operationId === operationId) ||
+    operations.find(candidate => candidate.operationId.toLowerCase() === operationId.toLowerCase());
+  if (operation) {
+    return operation;
+  }
+  const needle = operationId.toLowerCase();
+  const similar = operations
+    .map(candidate => candidate.operationId)
+    .filter(id => {
+      const lower = id.toLowerCase();
+      return lower.includes(needle) || needle.includes(lower) || editDistance(lower, needle) <= 2;
+    })
+    .slice(0, 5);
+  throw new Error(
+    `Unknown operation "${operationId}".${similar.length ? ` Did you mean: ${similar.join(', ')}?` : ''} List them with: ncurl op --spec <file>`,
+  );
+}
+
+/**
+ * Format the operations of a spec as an aligned list
+ * @param {Object} spec - OpenAPI document
+ * @returns {string} One `operationId  METHOD /path  summary` line per operation
+ */
+export function formatOperationList(spec) {
+  const operations = listOperations(spec);
+  if (operations.length === 0) {
+    return '(no operations)';
+  }
+  const idWidth = Math.max(...operations.map(operation => operation.operationId.length));
+  const pathWidth = Math.max(...operations.map(operation => operation.path.length));
+  return operations
+    .map(operation =>
+      [
+        operation.operationId.padEnd(idWidth),
+        operation.method.padEnd(7),
+        operation.path.padEnd(pathWidth),
+        `${operation.summary || ''}${operation.deprecated ? ' (deprecated)' : ''}`,
+      ]
+        .join('  ')
+        .trimEnd(),
+    )
+    .join('\n');
+}
+
+/**
+ * Get the base URL of the spec's first server (server variables take their defaults)
+ * @param {Object} spec - OpenAPI document
+ * @returns {string} Server URL (may be relative, e.g. `/v1`)
+ */
+function getServerUrl(spec) {
+  const server = spec.servers?.[0] || { url: '/' };
+  return server.url.replace(
+    /\{([^}]+)\}/g,
+    (placeholder, name) => server.variables?.[name]?.default ?? placeholder,
+  );
+}
+
+/**
+ * Get the base paths requests can be sent under (spec servers and the profile base URL)
+ * @param {Object} spec - OpenAPI document
+ * @param {string} [baseUrl] - --server or profile base URL
+ * @returns {string[]} Path prefixes without trailing slashes, longest first
+ */
+function getBasePaths(spec, baseUrl) {
+  const urls = [...(spec.servers || []).map(server => server.url), baseUrl].filter(Boolean);
+  // Server URLs may hold variables (`http://localhost:{port}/v1`), so the path is cut out by hand
+  const prefixes = urls.map(url =>
+    url
+      .replace(/^[a-z][a-z\d+.-]*:\/\/[^/]*/i, '')
+      .split(/[?#]/)[0]
+      .replace(/\/+$/, ''),
+  );
+  return [...new Set([...prefixes, ''])].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Compile a path template into a regular expression
+ * @param {string} template - Path template, e.g. `/users/{id}`
+ * @returns {RegExp} Anchored expression
+ */
+function compileTemplate(template) {
+  const source = template
+    .split(/(\{[^}]+\})/)
+    .map(part => (part.startsWith('{') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source.replace(/\/+$/, '')}/?$`);
+}
+
+/**
+ * Find the operations documented for a URL
+ * @param {Object} spec - OpenAPI document
+ * @param {string} url - Request URL
+ * @param {string} [baseUrl] - --server or profile base URL
+ * @returns {Operation[]} Operations of the matching path (concrete paths win over templated ones)
+ */
+export function findPathOperations(spec, url, baseUrl) {
+  const { pathname } = new URL(url);
+  const operations = listOperations(spec);
+  // `/users/me` is matched before `/users/{id}`
+  const templates = [...new Set(operations.map(operation => operation.path))].sort(
+    (a, b) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length,
+  );
+
+  for (const prefix of getBasePaths(spec, baseUrl)) {
+    if (prefix && pathname !== prefix && !pathname.startsWith(`${prefix}/`)) {
+      continue;
+    }
+    const rest = pathname.slice(prefix.length) || '/';
+    const template = templates.find(candidate => compileTemplate(candidate).test(rest));
+    if (template) {
+      return operations.filter(operation => operation.path === template);
+    }
+  }
+  return [];
+}
+
+/**
+ * Find the operation a request corresponds to
+ * @param {Object} spec - OpenAPI document
+ * @param {string} url - Request URL
+ * @param {string} method - HTTP method
+ * @param {string} [baseUrl] - --server or profile base URL
+ * @returns {Operation|undefined} Operation
+ */
+export function matchOperation(spec, url, method, baseUrl) {
+  return findPathOperations(spec, url, baseUrl).find(operation => operation.method === method);
+}
+
+/**
+ * Take the HTTP method from the spec when the path documents a fitting one
+ *
+ * A bare URL only ever gets a safe method (GET, else HEAD); DELETE, PUT and PATCH are never
+ * inferred without a body, since a spec from a profile would otherwise turn a read into a write.
+ * @param {Object} spec - OpenAPI document
+ * @param {string} url - Request URL
+ * @param {boolean} hasBody - Whether the request carries a body
+ * @param {string} [baseUrl] - --server or profile base URL
+ * @returns {string|undefined} Method, or undefined when the spec does not decide
+ */
+export function inferSpecMethod(spec, url, hasBody, baseUrl) {
+  const methods = findPathOperations(spec, url, baseUrl).map(operation => operation.method);
+  if (hasBody) {
+    const bodyMethods = methods.filter(method => BODY_METHODS.includes(method));
+    return bodyMethods.length === 1 ? bodyMethods[0] : undefined;
+  }
+  return SAFE_METHODS.find(method => methods.includes(method));
+}
+
+/**
+ * Parse `--param name=value` options (repeated names collect into arrays)
+ * @param {string|string[]} [params] - `name=value` pairs
+ * @returns {Object<string, string|string[]>} Values by name
+ * @throws {Error} For pairs without `=`
+ */
+export function parseParams(params = []) {
+  const values = {};
+  for (const pair of Array.isArray(params) ? params : [params]) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid --param "${pair}". Use name=value, e.g. --param id=5`);
+    }
+    const name = pair.slice(0, separator);
+    const value = pair.slice(separator + 1);
+    values[name] = name in values ? [values[name], value].flat() : value;
+  }
+  return values;
+}
+
+/**
+ * Get the first type a schema allows
+ * @param {Object} [schema] - Schema ($ref resolved)
+ * @returns {string|undefined} Type
+ */
+function primaryType(schema) {
+  return Array.isArray(schema?.type)
+    ? schema.type.find(type => type !== 'null')
+    : (schema?.type ?? (schema?.items ? 'array' : undefined));
+}
+
+/**
+ * Convert a command-line parameter value to the type its schema expects
+ * @param {string|string[]} value - Value from --param
+ * @param {Object} [schema] - Parameter schema ($ref resolved)
+ * @param {Object} spec - OpenAPI document
+ * @returns {*} Typed value (left as a string when it does not convert)
+ */
+function coerceParam(value, schema, spec) {
+  const type = primaryType(schema);
+  if (Array.isArray(value) || type === 'array') {
+    const items = Array.isArray(value) ? value : value.split(',');
+    return items.map(item => coerceParam(item, resolveRef(spec, schema?.items), spec));
+  }
+  if ((type === 'integer' || type === 'number') && value.trim() && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Build the request of an operation from --param values
+ * @param {Operation} operation - Operation
+ * @param {Object<string, string|string[]>} params - Values from parseParams
+ * @param {Object} [options] - Build options
+ * @param {string} [options.baseUrl] - Base URL (default: the spec's first server)
+ * @param {boolean} [options.validate=true] - Check parameter values against their schemas
+ * @returns {{ method: string, url: string, header: string[], cookie: string[] }} Request parts (`header` and `cookie` in CLI form)
+ * @throws {Error} For unknown or missing parameters and relative server URLs
+ * @throws {NcurlError} SCHEMA_VIOLATION when a value breaks its schema
+ */
+export function buildOperationRequest(operation, params, { baseUrl, validate = true } = {}) {
+  const { spec, parameters, operationId } = operation;
+  const describe = parameter =>
+    `${parameter.name} (${parameter.in}${parameter.required ? ', required' : ''})`;
+
+  for (const name of Object.keys(params)) {
+    if (!parameters.some(parameter => parameter.name === name)) {
+      throw new Error(
+        `Unknown parameter "${name}" for ${operationId}. Parameters: ${parameters.map(describe).join(', ') || '(none)'}`,
+      );
+    }
+  }
+  const missing = parameters.filter(parameter => parameter.required && !(parameter.name in params));
+  if (missing.length) {
+    throw new Error(
+      `Missing required parameter${missing.length > 1 ? 's' : ''} for ${operationId}: ${missing.map(describe).join(', ')}. Pass ${missing.map(parameter => `--param ${parameter.name}=<value>`).join(' ')}`,
+    );
+  }
+
+  let base = baseUrl || getServerUrl(spec);
+  if (!/^https?:\/\//.test(base)) {
+    throw new Error(
+      `The spec's server URL "${base}" is relative. Pass --server https://host, or set baseUrl in a .ncurlrc profile`,
+    );
+  }
+  base = base.replace(/\/+$/, '');
+
+  let pathname = operation.path;
+  const query = new URLSearchParams();
+  const header = [];
+  const cookie = [];
+  const violations = [];
+  for (const parameter of parameters) {
+    if (!(parameter.name in params)) {
+      continue;
+    }
+    const value = params[parameter.name];
+    const schema = resolveRef(spec, parameter.schema);
+    if (validate && schema) {
+      violations.push(
+        ...validateSchema(coerceParam(value, schema, spec), schema, spec, {
+          path: `${parameter.in} parameter ${parameter.name}`,
+          direction: 'request',
+        }),
+      );
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (parameter.in === 'path') {
+      pathname = pathname.replace(
+        `{${parameter.name}}`,
+        values.map(item => encodeURIComponent(item)).join(','),
+      );
+    } else if (parameter.in === 'query') {
+      // Arrays repeat the name (form style, explode) unless the spec sets explode: false
+      if (parameter.explode === false) {
+        query.append(parameter.name, values.join(','));
+      } else {
+        values.forEach(item => query.append(parameter.name, item));
+      }
+    } else if (parameter.in === 'header') {
+      header.push(`${parameter.name}: ${values.join(',')}`);
+    } else if (parameter.in === 'cookie') {
+      cookie.push(`${parameter.name}=${values.join(',')}`);
+    }
+  }
+  assertNoViolations(`Parameters do not match ${operationId}`, violations, {
+    method: operation.method,
+    url: `${base}${operation.path}`,
+  });
+
+  const search = query.toString();
+  return {
+    method: operation.method,
+    url: `${base}${pathname}${search ? `?${search}` : ''}`,
+    header,
+    cookie,
+  };
+}
+
+/**
+ * Find the media type entry that describes a content type
+ * @param {Object} [content] - `content` map of a request body or response
+ * @param {string} mediaType - Media type of the body (without parameters)
+ * @returns {[string, Object]|undefined} Media type range and its entry
+ */
+function findMediaType(content = {}, mediaType) {
+  const [type] = mediaType.split('/');
+  return Object.entries(content).find(
+    ([range]) =>
+      range.split(';')[0].trim().toLowerCase() === mediaType ||
+      range === `${type}/*` ||
+      range === '*/*',
+  );
+}
+
+/**
+ * Get the media type a request body should be sent as
+ * @param {Operation} operation - Operation
+ * @returns {string|undefined} First media type of the request body (JSON preferred)
+ */
+export function getRequestMediaType(operation) {
+  const types = Object.keys(operation.requestBody?.content || {});
+  return types.find(type => /[/+]json$/.test(type)) || types[0];
+}
+
+/**
+ * Parse a JSON body for validation
+ * @param {*} body - Body (string, Buffer or already-parsed value)
+ * @returns {{ value?: *, error?: string }} Parsed value, or why it is not JSON
+ */
+function parseJsonBody(body) {
+  if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    return { value: body };
+  }
+  try {
+    return { value: JSON.parse(body.toString()) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Check a request body against the operation's request body schema
+ * @param {Operation} operation - Operation
+ * @param {string|Buffer|undefined} body - Body as it will be sent (streams must be buffered first)
+ * @param {Object} headers - Request headers (content-type picks the media type)
+ * @returns {SchemaViolation[]} Violations
+ */
+export function validateRequestBody(operation, body, headers) {
+  const { requestBody, spec } = operation;
+  if (!requestBody) {
+    return [];
+  }
+  if (body === undefined || body === null || body.length === 0) {
+    return requestBody.required ? [{ path: '$', message: 'request body is required' }] : [];
+  }
+
+  const { mediaType } = parseContentType(getHeader(headers, 'content-type'));
+  const entry = findMediaType(requestBody.content, mediaType || getRequestMediaType(operation));
+  if (!entry) {
+    return [
+      {
+        path: '$',
+        message: `content-type ${mediaType || '(none)'} is not accepted (expected ${Object.keys(requestBody.content || {}).join(', ')})`,
+      },
+    ];
+  }
+  const [range, { schema } = {}] = entry;
+  if (!schema || !/[/+]json$/.test(mediaType || range)) {
+    return [];
+  }
+  const { value, error } = parseJsonBody(body);
+  if (error) {
+    return [{ path: '$', message: `body is not valid JSON (${error})` }];
+  }
+  return validateSchema(value, schema, spec, { direction: 'request' });
+}
+
+/**
+ * Check a response against the schema documented for its status and content type
+ * @param {Operation} operation - Operation
+ * @param {{ status: number, headers: Object, data: * }} result - Buffered result
+ * @returns {ResponseValidation} Validation outcome
+ */
+export function validateResponse(operation, result) {
+  const { responses, spec, operationId } = operation;
+  const violations = [];
+  const key =
+    [String(result.status), `${String(result.status)[0]}XX`, 'default'].find(
+      candidate => responses[candidate] || responses[candidate.toLowerCase()],
+    ) || '';
+  const response = resolveRef(spec, responses[key] || responses[key.toLowerCase()]);
+
+  if (!response) {
+    violations.push({
+      path: 'status',
+      message: `${result.status} is not documented (documented: ${Object.keys(responses).join(', ')})`,
+    });
+    return { operationId, violations };
+  }
+
+  const { mediaType } = parseContentType(getHeader(result.headers || {}, 'content-type'));
+  const empty =
+    result.data === undefined ||
+    result.data === '' ||
+    (Buffer.isBuffer(result.data) && result.data.length === 0);
+  if (!response.content || empty) {
+    return { operationId, violations };
+  }
+  const entry = findMediaType(response.content, mediaType);
+  if (!entry) {
+    violations.push({
+      path: 'content-type',
+      message: `${mediaType || '(none)'} is not documented for ${key} (documented: ${Object.keys(response.content).join(', ')})`,
+    });
+    return { operationId, violations };
+  }
+  const [range, { schema } = {}] = entry;
+  if (schema && /[/+]json$/.test(mediaType || range)) {
+    const { value, error } = parseJsonBody(result.data);
+    violations.push(
+      ...(error
+        ? [{ path: '$', message: `body is not valid JSON (${error})` }]
+        : validateSchema(value, schema, spec, { direction: 'response' })),
+    );
+  }
+  return { operationId, violations };
+}
+
+/**
+ * Describe a value for a violation message
+ * @param {*} value - Value
+ * @returns {string} Short description
+ */
+function preview(value) {
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (value && typeof value === 'object') {
+    return 'an object';
+  }
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Format a count with its noun
+ * @param {number} value - Count
+ * @param {string} noun - Singular noun (`item`, `character`, `property`)
+ * @returns {string} E.g. `1 item`, `3 items`, `2 properties`
+ */
+function count(value, noun) {
+  if (value === 1) {
+    return `1 ${noun}`;
+  }
+  return `${value} ${noun.endsWith('y') ? `${noun.slice(0, -1)}ies` : `${noun}s`}`;
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Value
+ * @returns {string} `null`, `array`, `integer`, `number`, `string`, `boolean` or `object`
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+/**
+ * Append a property name to a value path
+ * @param {string} at - Path of the object
+ * @param {string} key - Property name
+ * @returns {string} Path of the property
+ */
+function childPath(at, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value
+ * @param {Object|boolean} schema - Schema (may be a $ref)
+ * @param {Object} spec - OpenAPI document ($ref target)
+ * @param {Object} [context] - Validation context
+ * @param {string} [context.path='$'] - Path of the value in violation messages
+ * @param {'request'|'response'} [context.direction='response'] - readOnly properties are not required in requests, writeOnly ones not in responses
+ * @returns {SchemaViolation[]} Violations
+ */
+export function validateSchema(
+  value,
+  schema,
+  spec,
+  { path: at = '$', direction = 'response' } = {},
+) {
+  const violations = [];
+  checkSchema(value, schema, spec, at, direction, violations);
+  return violations;
+}
+
+/**
+ * Collect the violations of a value (see validateSchema)
+ * @param {*} value - Value
+ * @param {Object|boolean} rawSchema - Schema
+ * @param {Object} spec - OpenAPI document
+ * @param {string} at - Path of the value
+ * @param {'request'|'response'} direction - Request or response
+ * @param {SchemaViolation[]} violations - Violations collected so far
+ */
+function checkSchema(value, rawSchema, spec, at, direction, violations) {
+  const schema = resolveRef(spec, rawSchema);
+  if (schema === false) {
+    violations.push({ path: at, message: 'no value is allowed here' });
+    return;
+  }
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+  const add = message => violations.push({ path: at, message });
+  const check = (subschema, target = value, where = at) => {
+    const found = [];
+    checkSchema(target, subschema, spec, where, direction, found);
+    return found;
+  };
+
+  for (const subschema of schema.allOf || []) {
+    violations.push(...check(subschema));
+  }
+
+  const branches = schema.oneOf || schema.anyOf;
+  if (branches) {
+    const keyword = schema.oneOf ? 'oneOf' : 'anyOf';
+    const discriminator = schema.discriminator?.propertyName;
+    if (discriminator && value && typeof value === 'object' && value[discriminator] !== undefined) {
+      // The discriminator picks the branch, so loosely defined branches cannot all match
+      const tag = value[discriminator];
+      const target = schema.discriminator.mapping?.[tag] || `/${tag}`;
+      const branch = branches.find(candidate => candidate.$ref?.endsWith(target));
+      if (branch) {
+        violations.push(...check(branch));
+      } else {
+        violations.push({
+          path: childPath(at, discriminator),
+          message: `${preview(tag)} does not select any of the ${keyword} schemas`,
+        });
+      }
+    } else {
+      const results = branches.map(branch => check(branch));
+      const matches = results.filter(found => found.length === 0).length;
+      if (matches === 0) {
+        const closest = results.reduce((best, found) =>
+          found.length < best.length ? found : best,
+        );
+        add(
+          `does not match any of the ${branches.length} ${keyword} schemas (closest: ${closest[0].path}: ${closest[0].message})`,
+        );
+      } else if (keyword === 'oneOf' && matches > 1) {
+        add(`matches ${matches} of the oneOf schemas, expected exactly one`);
+      }
+    }
+  }
+
+  if (schema.not && check(schema.not).length === 0) {
+    add('must not match the "not" schema');
+  }
+
+  const types = [schema.type].flat().filter(Boolean);
+  if (value === null) {
+    if (types.length && !schema.nullable && !types.includes('null')) {
+      add(`expected ${types.join(' or ')}, got null`);
+    }
+    return;
+  }
+  const actual = typeOf(value);
+  if (
+    types.length &&
+    !types.some(type => type === actual || (type === 'number' && actual === 'integer'))
+  ) {
+    add(`expected ${types.join(' or ')}, got ${preview(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.some(option => isDeepStrictEqual(option, value))) {
+    add(`expected one of ${schema.enum.map(preview).join(', ')}, got ${preview(value)}`);
+  }
+  if ('const' in schema && !isDeepStrictEqual(schema.const, value)) {
+    add(`expected ${preview(schema.const)}, got ${preview(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      add(`expected at least ${count(schema.minLength, 'character')}, got ${length}`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      add(`expected at most ${count(schema.maxLength, 'character')}, got ${length}`);
+    }
+    if (schema.pattern) {
+      // JSON Schema patterns are ECMA-262 with the u flag; a pattern that breaks under it is a spec bug
+      let pattern;
+      try {
+        pattern = new RegExp(schema.pattern, 'u');
+      } catch (error) {
+        add(`cannot check pattern /${schema.pattern}/: invalid in the spec (${error.message})`);
+      }
+      if (pattern && !pattern.test(value)) {
+        add(`expected to match /${schema.pattern}/, got ${preview(value)}`);
+      }
+    }
+    if (FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      add(`expected format "${schema.format}", got ${preview(value)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    // OpenAPI 3.0 uses boolean exclusiveMinimum/Maximum, 3.1 (JSON Schema) uses numbers
+    const exclusiveMinimum =
+      typeof schema.exclusiveMinimum === 'number'
+        ? schema.exclusiveMinimum
+        : schema.exclusiveMinimum
+          ? schema.minimum
+          : undefined;
+    const exclusiveMaximum =
+      typeof schema.exclusiveMaximum === 'number'
+        ? schema.exclusiveMaximum
+        : schema.exclusiveMaximum
+          ? schema.maximum
+          : undefined;
+    if (exclusiveMinimum !== undefined && value <= exclusiveMinimum) {
+      add(`expected > ${exclusiveMinimum}, got ${value}`);
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      add(`expected >= ${schema.minimum}, got ${value}`);
+    }
+    if (exclusiveMaximum !== undefined && value >= exclusiveMaximum) {
+      add(`expected < ${exclusiveMaximum}, got ${value}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      add(`expected <= ${schema.maximum}, got ${value}`);
+    }
+    if (schema.multipleOf && !Number.isInteger(Number((value / schema.multipleOf).toFixed(9)))) {
+      add(`expected a multiple of ${schema.multipleOf}, got ${value}`);
+    }
+    if (schema.format === 'int32' && (value < -(2 ** 31) || value > 2 ** 31 - 1)) {
+      add(`expected format "int32", got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add(`expected at least ${count(schema.minItems, 'item')}, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      add(`expected at most ${count(schema.maxItems, 'item')}, got ${value.length}`);
+    }
+    if (schema.uniqueItems) {
+      const duplicate = value.findIndex((item, index) =>
+        value.slice(0, index).some(other => isDeepStrictEqual(other, item)),
+      );
+      if (duplicate !== -1) {
+        add(`expected unique items, [${duplicate}] repeats an earlier item`);
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        violations.push(...check(schema.items, item, `${at}[${index}]`)),
+      );
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    const keys = Object.keys(value);
+    const hidden = direction === 'request' ? 'readOnly' : 'writeOnly';
+    for (const name of schema.required || []) {
+      if (!(name in value) && !resolveRef(spec, properties[name])?.[hidden]) {
+        add(`missing required property "${name}"`);
+      }
+    }
+    for (const key of keys) {
+      if (properties[key]) {
+        violations.push(...check(properties[key], value[key], childPath(at, key)));
+      } else if (schema.additionalProperties === false) {
+        violations.push({
+          path: childPath(at, key),
+          message: 'unexpected property (additionalProperties is false)',
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        violations.push(...check(schema.additionalProperties, value[key], childPath(at, key)));
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      add(`expected at least ${count(schema.minProperties, 'property')}, got ${keys.length}`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      add(`expected at most ${count(schema.maxProperties, 'property')}, got ${keys.length}`);
+    }
+  }
+}
+
+/**
+ * Format schema violations for the terminal
+ * @param {string} title - What was checked, e.g. `Response 200 does not match getUser`
+ * @param {SchemaViolation[]} violations - Violations
+ * @returns {string} Title, one `✗ path: message` line per violation and a count
+ */
+export function formatViolationReport(title, violations) {
+  const noun = violations.length === 1 ? 'schema violation' : 'schema violations';
+  return [
+    `${title}:`,
+    ...violations.map(({ path: at, message }) => `✗ ${at}: ${message}`),
+    `${violations.length} ${noun}`,
+  ].join('\n');
+}
+
+/**
+ * Throw when a request breaks the spec
+ * @param {string} title - What was checked
+ * @param {SchemaViolation[]} violations - Violations
+ * @param {import('./errors.js').NcurlErrorRequest} [request] - Request for the error
+ * @throws {NcurlError} SCHEMA_VIOLATION when there are violations
+ */
+export function assertNoViolations(title, violations, request) {
+  if (violations.length) {
+    throw new NcurlError(formatViolationReport(title, violations), {
+      code: 'SCHEMA_VIOLATION',
+      suggestion: 'Fix the request to match the spec, or send it anyway with --no-validate',
+      request,
+    });
+  }
+}
+
+/**
+ * Turn `ncurl op` options into a method, URL, headers and cookies
+ * @param {import('./index.js').HTTPOptions} options - Command options (`operationId`, `param`, `spec`, `baseUrl`, `validate`)
+ * @returns {Promise<{ method: string, url: string, header: string[], cookie: string[] }>} Options to merge into the request
+ * @throws {Error} When the spec, operation or parameters do not fit
+ */
+export async function resolveOperation(options) {
+  const spec = await loadSpec(options.spec);
+  const operation = findOperation(spec, options.operationId);
+  if (operation.deprecated && !options.silent) {
+    console.error(`[ncurl] Warning: ${operation.operationId} is deprecated`);
+  }
+  const request = buildOperationRequest(operation, parseParams(options.param), {
+    baseUrl: options.baseUrl,
+    validate: options.validate !== false,
+  });
+  return {
+    method: request.method,
+    url: request.url,
+    header: [...(options.header || []), ...request.header],
+    cookie: [...(options.cookie || []), ...request.cookie],
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * nCurl Output - Method-Aware Response Formatting
+ *
+ * @context Presentation layer used by main() to turn request results into terminal output
+ * @purpose Formats responses according to what the HTTP method is useful for
+ * @integration main() picks a formatter per result; all formatters return strings so -o can save them too
+ * @workflow HEAD prints the status line and headers, OPTIONS summarises capabilities, everything else prints the body
+ *
+ * @example
+ * console.log(formatResult({ method: 'HEAD', status: 200, headers: { 'content-length': '42' } }));
+ * // HTTP 200
+ * // content-length: 42
+ */
+
+/**
+ * CORS response headers summarised for OPTIONS requests, with their display labels
+ */
+const CORS_HEADERS = [
+  ['access-control-allow-origin', 'Allow-Origin'],
+  ['access-control-allow-methods', 'Allow-Methods'],
+  ['access-control-allow-headers', 'Allow-Headers'],
+  ['access-control-allow-credentials', 'Allow-Credentials'],
+  ['access-control-expose-headers', 'Expose-Headers'],
+  ['access-control-max-age', 'Max-Age'],
+];
+
+/**
+ * Format the HTTP status line
+ * @param {Object} result - Result from executeRequest
+ * @returns {string} Status line such as `HTTP 200 OK`
+ */
+function formatStatusLine(result) {
+  return `HTTP ${result.status}${result.statusText ? ` ${result.statusText}` : ''}`;
+}
+
+/**
+ * Format a header map as `name: value` lines (repeated headers are printed once per value)
+ * @param {Object} headers - Response headers
+ * @returns {string[]} Header lines
+ */
+function formatHeaderLines(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    (Array.isArray(value) ? value : [value]).map(item => `${name}: ${item}`),
+  );
+}
+
+/**
+ * Format a HEAD response: status line and headers only
+ * @param {Object} result - Result from executeRequest
+ * @returns {string} Formatted output
+ */
+export function formatHeadResult(result) {
+  return [formatStatusLine(result), ...formatHeaderLines(result.headers)].join('\n');
+}
+
+/**
+ * Format an OPTIONS response: the allowed methods and CORS policy
+ * @param {Object} result - Result from executeRequest
+ * @returns {string} Formatted output
+ */
+export function formatOptionsResult(result) {
+  const headers = result.headers || {};
+  const lines = [formatStatusLine(result)];
+
+  const allow = headers['allow'];
+  lines.push(`Allow: ${allow || '(not provided)'}`);
+
+  const cors = CORS_HEADERS.filter(([name]) => headers[name] !== undefined);
+  if (cors.length > 0) {
+    lines.push('CORS:');
+    for (const [name, label] of cors) {
+      lines.push(`  ${label}: ${headers[name]}`);
+    }
+  } else {
+    lines.push('CORS: no access-control-* headers returned');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Describe a binary body in one line, for outputs that cannot carry raw bytes
+ * @param {Object} result - Result from executeRequest with a Buffer body
+ * @returns {string} Summary such as `[binary body: image/png, 2048 bytes]`
+ */
+export function describeBinaryResult(result) {
+  const contentType = result.headers?.['content-type'] || 'unknown type';
+  return `[binary body: ${contentType}, ${result.data.length} bytes]`;
+}
+
+/**
+ * Format a result for printing or saving, based on the request method
+ * @param {Object} result - Result from executeRequest
+ * @returns {string|Buffer} Formatted output (binary bodies are returned as their bytes)
+ */
+export function formatResult(result) {
+  if (result.method === 'HEAD') {
+    return formatHeadResult(result);
+  }
+  if (result.method === 'OPTIONS') {
+    return formatOptionsResult(result);
+  }
+  if (Buffer.isBuffer(result.data)) {
+    return result.data;
+  }
+
+  // Pretty-print JSON responses
+  if (typeof result.data === 'object' && result.data !== null) {
+    return JSON.stringify(result.data, null, 2);
+  }
+  return result.data;
+}
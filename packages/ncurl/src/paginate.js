@@ -0,0 +1,283 @@
+/**
+ * nCurl Pagination - Follow Paginated Listing Endpoints
+ *
+ * @context Pagination mode of the nCurl HTTP client for APIs that split listings across pages
+ * @purpose Fetches every page and stitches the items together instead of paging by hand
+ * @integration main() calls paginate when --paginate is given; each page goes through executeRequest
+ * @workflow Request page → collect items → find the next page (Link, cursor, page number or offset) → repeat or stop
+ *
+ * Strategies:
+ * - `link` (default): follow `Link: <...>; rel="next"` headers
+ * - `cursor`: read the next cursor with `--cursor-path $.next_cursor` and send it as `--cursor-param` (default `cursor`)
+ * - `page`: increment `--page-param` (default `page`, starting at the URL's value or 1) until a page is empty
+ * - `offset`: advance `--page-param` (default `offset`) by the items received until a page is empty
+ *
+ * Output:
+ * - `--items $.data` concatenates that array from every page (top-level arrays are concatenated by default)
+ * - `--ndjson` prints each page, or each item with --items, as one JSON line as it arrives
+ * - `--max-pages` (default 100) guards against endless pagination
+ * - A next page on another origin stops pagination, so credentials never follow a `Link` header off-site
+ *
+ * @example
+ * // ncurl get https://api.example.com/users --paginate --items '$.data'
+ * // ncurl get https://api.example.com/events --paginate --cursor-path '$.meta.next' --ndjson
+ */
+
+import { redactUrl } from './auth.js';
+import { NcurlError } from './errors.js';
+import { executeRequest, validateURL } from './index.js';
+import { evaluateQuery, queryJsonPath } from './query.js';
+
+/**
+ * Pagination strategies
+ */
+export const STRATEGIES = ['link', 'cursor', 'page', 'offset'];
+
+/**
+ * Page limit when --max-pages is not given
+ */
+const DEFAULT_MAX_PAGES = 100;
+
+/**
+ * @typedef {Object} PaginationSummary
+ * @property {string} strategy - Strategy used
+ * @property {number} pages - Pages fetched
+ * @property {number} [items] - Items collected (when pages contain arrays)
+ * @property {string} stoppedBy - `last-page`, `max-pages` or `cross-origin`
+ */
+
+/**
+ * Resolve the strategy from the pagination options
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {string} Strategy name
+ * @throws {Error} For unknown strategies or a cursor strategy without --cursor-path
+ */
+export function resolveStrategy(options = {}) {
+  const strategy =
+    typeof options.paginate === 'string'
+      ? options.paginate
+      : options.cursorPath
+        ? 'cursor'
+        : 'link';
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown --paginate strategy "${strategy}". Use ${STRATEGIES.join(', ')}`);
+  }
+  if (strategy === 'cursor' && !options.cursorPath) {
+    throw new Error("--paginate cursor needs --cursor-path, e.g. --cursor-path '$.next_cursor'");
+  }
+  return strategy;
+}
+
+/**
+ * Find the rel="next" target of a Link header
+ * @param {string|string[]} [link] - Link header value(s)
+ * @param {string} base - URL the header came from (relative targets resolve against it)
+ * @returns {string|null} Next page URL
+ */
+export function parseLinkNext(link, base) {
+  const value = Array.isArray(link) ? link.join(', ') : link;
+  if (!value) {
+    return null;
+  }
+  for (const part of value.split(/,\s*(?=<)/)) {
+    const match = /^\s*<([^>]*)>(.*)$/s.exec(part);
+    const rel = match && /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(match[2]);
+    if (rel && rel[1].toLowerCase().split(/\s+/).includes('next')) {
+      return new URL(match[1], base).toString();
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a JSONPath option value from a page
+ * @param {*} data - Page body
+ * @param {string} path - JSONPath starting with `$`
+ * @param {string} option - Option name for errors
+ * @returns {*} Value at the path
+ * @throws {Error} When the path is not a JSONPath or the page is not JSON
+ */
+function readPath(data, path, option) {
+  if (!path.trim().startsWith('$')) {
+    throw new Error(`${option} takes a JSONPath starting with $, e.g. '$.data'`);
+  }
+  if (typeof data !== 'object' || data === null) {
+    throw new Error(
+      `${option} needs JSON pages, got ${typeof data === 'string' ? 'text' : 'no body'}`,
+    );
+  }
+  return queryJsonPath(data, path);
+}
+
+/**
+ * Get the items of a page
+ * @param {*} data - Page body
+ * @param {import('./index.js').HTTPOptions} options - Command options (`items`)
+ * @returns {Array|null} Items, or null when the page has no array to collect
+ * @throws {Error} When --items does not point at an array
+ */
+export function getPageItems(data, options = {}) {
+  if (!options.items) {
+    return Array.isArray(data) ? data : null;
+  }
+  const items = readPath(data, options.items, '--items');
+  if (items === undefined || items === null) {
+    return [];
+  }
+  if (!Array.isArray(items)) {
+    throw new Error(`--items ${options.items} is not an array on this page`);
+  }
+  return items;
+}
+
+/**
+ * Compute the URL of the next page
+ * @param {string} strategy - Pagination strategy
+ * @param {string} url - Current page URL
+ * @param {Object} result - Current page result
+ * @param {Array|null} items - Items on the current page
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @returns {string|null} Next page URL, or null on the last page
+ */
+export function nextPageUrl(strategy, url, result, items, options = {}) {
+  if (strategy === 'link') {
+    return parseLinkNext(result.headers.link, url);
+  }
+
+  const target = new URL(url);
+  if (strategy === 'cursor') {
+    const cursor = readPath(result.data, options.cursorPath, '--cursor-path');
+    const param = options.cursorParam || 'cursor';
+    if (cursor === undefined || cursor === null || cursor === '' || cursor === false) {
+      return null;
+    }
+    // A repeated cursor would loop forever
+    if (target.searchParams.get(param) === String(cursor)) {
+      return null;
+    }
+    target.searchParams.set(param, String(cursor));
+    return target.toString();
+  }
+
+  if (items === null) {
+    throw new Error(
+      `--paginate ${strategy} needs to know when a page is empty: add --items with the array path`,
+    );
+  }
+  if (items.length === 0) {
+    return null;
+  }
+  const param = options.pageParam || strategy;
+  const current = Number(target.searchParams.get(param) ?? (strategy === 'page' ? 1 : 0));
+  target.searchParams.set(
+    param,
+    String(strategy === 'page' ? current + 1 : current + items.length),
+  );
+  return target.toString();
+}
+
+/**
+ * Format a page as NDJSON lines (--ndjson)
+ * @param {{ data: *, items: Array|null }} page - Page passed to onPage
+ * @param {import('./index.js').HTTPOptions} options - Command options (`query`, `raw`)
+ * @returns {string[]} One line per item (or one for the page), after --query when given
+ */
+export function formatPageLines(page, options = {}) {
+  const values = page.items ?? [page.data];
+  if (!options.query) {
+    return values.map(value => JSON.stringify(value));
+  }
+  return values.flatMap(value =>
+    evaluateQuery(value, options.query).map(output =>
+      options.raw && typeof output === 'string' ? output : JSON.stringify(output),
+    ),
+  );
+}
+
+/**
+ * Fetch every page of a listing
+ * @param {import('./index.js').HTTPOptions} options - Command options (`paginate`, `cursorPath`, `cursorParam`, `pageParam`, `items`, `maxPages`, `onPage`)
+ * @returns {Promise<import('./index.js').NcurlResult & { pagination: PaginationSummary }>} Last page result whose `data` holds every item (or every page)
+ * @throws {NcurlError} When a page fails or returns an HTTP error
+ */
+export async function paginate(options = {}) {
+  const strategy = resolveStrategy(options);
+  const maxPages = options.maxPages ? parseInt(options.maxPages) : DEFAULT_MAX_PAGES;
+  let url = validateURL(options.url, options.silent, options.baseUrl);
+  const origin = new URL(url).origin;
+  const collected = [];
+  const pages = [];
+  let collectsItems = Boolean(options.items);
+  let result;
+  let fetched = 0;
+  let stoppedBy = 'last-page';
+
+  for (let page = 1; ; page += 1) {
+    if (options.verbose) {
+      console.log(`[ncurl] Page ${page}: ${redactUrl(url, options)}`);
+    }
+    result = await executeRequest({ ...options, url, baseUrl: undefined });
+    fetched = page;
+    if (result.status >= 400) {
+      throw new NcurlError(
+        `Page ${page} failed with HTTP ${result.status} ${result.statusText || ''}`.trim(),
+        {
+          code: 'HTTP_ERROR',
+          request: { method: result.method, url: result.url },
+          response: {
+            status: result.status,
+            statusText: result.statusText,
+            headers: result.headers,
+            data: result.data,
+          },
+        },
+      );
+    }
+
+    const items = getPageItems(result.data, options);
+    // Without --items, pages are collected whole unless every page is a top-level array
+    collectsItems = collectsItems || (page === 1 && items !== null);
+    if (collectsItems) {
+      collected.push(...(items || []));
+    } else {
+      pages.push(result.data);
+    }
+    options.onPage?.({ page, data: result.data, items: collectsItems ? items || [] : null });
+
+    const next = nextPageUrl(strategy, url, result, items, options);
+    if (!next) {
+      break;
+    }
+    if (page >= maxPages) {
+      stoppedBy = 'max-pages';
+      if (!options.silent) {
+        console.error(
+          `[ncurl] Stopped after ${page} pages (--max-pages ${maxPages}); more pages are available`,
+        );
+      }
+      break;
+    }
+    // --bearer, --user and --api-key are re-applied to every page, so they must not leave the first origin
+    if (new URL(next).origin !== origin) {
+      stoppedBy = 'cross-origin';
+      if (!options.silent) {
+        console.error(
+          `[ncurl] Stopped after ${page} pages: the next page is on another origin (${new URL(next).origin})`,
+        );
+      }
+      break;
+    }
+    url = next;
+  }
+
+  return {
+    ...result,
+    data: collectsItems ? collected : pages,
+    pagination: {
+      strategy,
+      pages: fetched,
+      items: collectsItems ? collected.length : undefined,
+      stoppedBy,
+    },
+  };
+}
@@ -0,0 +1,309 @@
+/**
+ * nCurl Profiles - Named Environments from `.ncurlrc`
+ *
+ * @context Configuration layer of the nCurl HTTP client for hitting the same API in dev, staging and prod
+ * @purpose Loads `.ncurlrc` profiles (base URL, default headers, timeout, auth, transport) and merges them into options
+ * @integration main() and the .http file runner call applyProfile; executeRequest resolves `/paths` against `baseUrl`
+ * @workflow Find rc files (cwd upwards, then home) → parse JSON or YAML → pick the profile → merge under the CLI options
+ *
+ * Profile Selection:
+ * - `--profile staging`, else the NCURL_PROFILE environment variable, else the file's `default` key
+ * - A project `.ncurlrc` (nearest one up from the working directory) overrides profiles of the same name in `~/.ncurlrc`
+ * - Files: `.ncurlrc` (JSON or YAML), `.ncurlrc.json`, `.ncurlrc.yaml`, `.ncurlrc.yml`
+ *
+ * Precedence:
+ * - Command-line options always win; `-H` replaces a profile header of the same name
+ * - Secrets should use `env:VAR` references (`bearer: env:STAGING_TOKEN`) so the file can be committed
+ *
+ * Project Files:
+ * - File settings (`cacert`, `cert`, `key`, `cookieJar`, `spec`) are relative to the rc file, not the working directory
+ * - A project file's `default` profile that sets `baseUrl`, `proxy` or `insecure` prints a warning, since any cloned repository can ship one
+ * - A project profile that replaces a home profile of the same name and changes those keys always warns, even with `--profile`
+ *
+ * @example
+ * // .ncurlrc
+ * // default: dev
+ * // profiles:
+ * //   staging:
+ * //     baseUrl: https://staging.example.com/api
+ * //     headers:
+ * //       x-team: payments
+ * //     bearer: env:STAGING_TOKEN
+ * //
+ * // ncurl get /users --profile staging  →  GET https://staging.example.com/api/users
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parse as parseYamlDocument } from 'yaml';
+
+/**
+ * File names searched in each directory, in order
+ */
+const CONFIG_FILES = ['.ncurlrc', '.ncurlrc.json', '.ncurlrc.yaml', '.ncurlrc.yml'];
+
+/**
+ * Profile keys and the HTTPOptions they set (everything else is rejected)
+ */
+const PROFILE_KEYS = [
+  'baseUrl',
+  'headers',
+  'timeout',
+  'user',
+  'digest',
+  'bearer',
+  'apiKey',
+  'cookieJar',
+  'retry',
+  'retryDelay',
+  'compressed',
+  'proxy',
+  'cacert',
+  'cert',
+  'key',
+  'insecure',
+  'spec',
+];
+
+/**
+ * Profile keys holding file paths, resolved against the directory of the rc file
+ */
+const PATH_KEYS = ['cacert', 'cert', 'key', 'cookieJar', 'spec'];
+
+/**
+ * Profile keys that change where traffic goes or how it is trusted, flagged when a project file sets them
+ */
+const PROJECT_WARNING_KEYS = ['baseUrl', 'proxy', 'insecure'];
+
+/**
+ * @typedef {Object} NcurlConfig
+ * @property {string} [default] - Profile used when none is selected
+ * @property {Object<string, Object>} profiles - Profiles by name
+ * @property {Object<string, string>} [sources] - rc file each merged profile came from
+ */
+
+/**
+ * Parse the content of an rc file (JSON when it starts with `{` or the file ends in .json, YAML otherwise)
+ * @param {string} content - File content
+ * @param {string} file - File path (for error messages)
+ * @returns {NcurlConfig} Parsed configuration
+ * @throws {Error} When the file cannot be parsed or has no `profiles` map
+ */
+export function parseConfig(content, file) {
+  let config;
+  try {
+    config =
+      file.endsWith('.json') || content.trimStart().startsWith('{')
+        ? JSON.parse(content)
+        : (parseYamlDocument(content) ?? {});
+  } catch (error) {
+    throw new Error(`Invalid ${file}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${file}: expected an object with a "profiles" map`);
+  }
+  const profiles = config.profiles ?? {};
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`Invalid ${file}: "profiles" must map profile names to settings`);
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    const unknown = Object.keys(profile || {}).filter(key => !PROFILE_KEYS.includes(key));
+    if (unknown.length) {
+      throw new Error(
+        `Invalid ${file}: unknown setting "${unknown[0]}" in profile "${name}". Supported: ${PROFILE_KEYS.join(', ')}`,
+      );
+    }
+  }
+  return { default: config.default, profiles };
+}
+
+/**
+ * Find the first rc file in a directory
+ * @param {string} directory - Directory to look in
+ * @returns {string|undefined} File path
+ */
+function findInDirectory(directory) {
+  return CONFIG_FILES.map(name => path.join(directory, name)).find(file => fs.existsSync(file));
+}
+
+/**
+ * Find the rc files that apply to a working directory
+ * @param {string} [cwd=process.cwd()] - Directory to search up from
+ * @param {string} [home=os.homedir()] - Home directory
+ * @returns {string[]} Files, lowest precedence first (home, then the nearest project file)
+ */
+export function findConfigFiles(cwd = process.cwd(), home = os.homedir()) {
+  const files = [];
+  const homeFile = home ? findInDirectory(home) : undefined;
+  if (homeFile) {
+    files.push(homeFile);
+  }
+
+  let directory = path.resolve(cwd);
+  while (true) {
+    const file = findInDirectory(directory);
+    if (file) {
+      if (file !== homeFile) {
+        files.push(file);
+      }
+      break;
+    }
+    const parent = path.dirname(directory);
+    if (parent === directory) {
+      break;
+    }
+    directory = parent;
+  }
+  return files;
+}
+
+/**
+ * Resolve the file settings of a profile against the directory of its rc file
+ * @param {Object} profile - Profile settings
+ * @param {string} directory - Directory of the rc file
+ * @returns {Object} Profile with absolute file paths
+ */
+function resolveProfilePaths(profile, directory) {
+  const resolved = { ...profile };
+  for (const key of PATH_KEYS) {
+    if (typeof resolved[key] === 'string') {
+      resolved[key] = path.resolve(directory, resolved[key]);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Load and merge the rc files that apply to a working directory
+ * @param {Object} [context] - Search context
+ * @param {string} [context.cwd] - Directory to search up from
+ * @param {string} [context.home] - Home directory
+ * @returns {Promise<NcurlConfig & { files: string[], shadowed: Object<string, { profile: Object, source: string }> }>} Merged configuration, the files it came from and the profiles a later file replaced
+ */
+export async function loadConfig({ cwd, home } = {}) {
+  const files = findConfigFiles(cwd, home);
+  const merged = { default: undefined, profiles: {}, sources: {}, shadowed: {}, files };
+  for (const file of files) {
+    const config = parseConfig(await fs.promises.readFile(file, 'utf8'), file);
+    merged.default = config.default ?? merged.default;
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      if (merged.profiles[name]) {
+        merged.shadowed[name] = { profile: merged.profiles[name], source: merged.sources[name] };
+      }
+      merged.profiles[name] = resolveProfilePaths(profile || {}, path.dirname(file));
+      merged.sources[name] = file;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge a profile into command options (command-line values win)
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @param {Object} profile - Profile settings
+ * @returns {import('./index.js').HTTPOptions} Merged options
+ */
+export function mergeProfile(options, profile) {
+  const { headers = {}, ...settings } = profile;
+  const merged = { ...options };
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (merged[key] === undefined && value !== null) {
+      merged[key] = value;
+    }
+  }
+
+  // Profile headers go first so a -H with the same name replaces them
+  const cliHeaders = options.header || [];
+  const overridden = new Set(cliHeaders.map(header => header.split(':')[0].trim().toLowerCase()));
+  const profileHeaders = Object.entries(headers || {})
+    .filter(([name]) => !overridden.has(name.toLowerCase()))
+    .map(([name, value]) => `${name}: ${value}`);
+  if (profileHeaders.length) {
+    merged.header = [...profileHeaders, ...cliHeaders];
+  }
+  return merged;
+}
+
+/**
+ * Apply the selected `.ncurlrc` profile to command options
+ * @param {import('./index.js').HTTPOptions & { profile?: string }} options - Command options
+ * @param {Object} [context] - Search context
+ * @param {string} [context.cwd] - Directory to search up from
+ * @param {string} [context.home] - Home directory
+ * @param {Object} [context.env=process.env] - Environment (NCURL_PROFILE)
+ * @returns {Promise<import('./index.js').HTTPOptions>} Options with the profile merged in
+ * @throws {Error} When the selected profile does not exist
+ */
+export async function applyProfile(
+  options = {},
+  { cwd, home = os.homedir(), env = process.env } = {},
+) {
+  const config = await loadConfig({ cwd, home });
+  const name = options.profile || env.NCURL_PROFILE || config.default;
+  if (!name) {
+    return options;
+  }
+
+  const profile = config.profiles[name];
+  if (!profile) {
+    const available = Object.keys(config.profiles);
+    if (!config.files.length) {
+      throw new Error(
+        `Profile "${name}" not found: no .ncurlrc in ${path.resolve(cwd || process.cwd())}, its parents or the home directory`,
+      );
+    }
+    throw new Error(
+      `Profile "${name}" not found in ${config.files.join(', ')}. Available: ${available.join(', ') || '(none)'}`,
+    );
+  }
+
+  if (options.verbose) {
+    console.log(`[ncurl] Using profile "${name}"`);
+  }
+
+  // A project file's default profile comes with whatever repository is checked out, so say when it reroutes or untrusts traffic
+  const source = config.sources[name];
+  const implicit = !options.profile && !env.NCURL_PROFILE;
+  const fromProject = !home || path.dirname(source) !== path.resolve(home);
+  const flagged = PROJECT_WARNING_KEYS.filter(key => profile[key] && options[key] === undefined);
+  // Replacing a home profile keeps its name (and `env:VAR` secrets) while pointing them elsewhere, so warn even when selected
+  const shadowed = config.shadowed[name];
+  const changed = shadowed
+    ? PROJECT_WARNING_KEYS.filter(
+        key => profile[key] !== shadowed.profile[key] && options[key] === undefined,
+      )
+    : [];
+  if (changed.length) {
+    console.error(
+      `[ncurl] WARNING: profile "${name}" from ${source} replaces the one in ${shadowed.source} and changes ${changed.join(', ')}. Check this project file if you did not write it`,
+    );
+  } else if (implicit && fromProject && flagged.length) {
+    console.error(
+      `[ncurl] WARNING: profile "${name}" from ${source} sets ${flagged.join(', ')}. Check this project file if you did not write it`,
+    );
+  }
+  return mergeProfile(options, profile);
+}
+
+/**
+ * Resolve a `/path` against a profile base URL
+ * @param {string} url - URL or path from the command line
+ * @param {string} [baseUrl] - Base URL of the active profile
+ * @returns {string} Absolute URL (unchanged when url is not a path)
+ * @throws {Error} When url is a path and there is no base URL
+ */
+export function resolveProfileUrl(url, baseUrl) {
+  if (!url?.startsWith('/')) {
+    return url;
+  }
+  if (!baseUrl) {
+    throw new Error(
+      `"${url}" is a path without a host. Add --profile <name> with a baseUrl in .ncurlrc, or use a full URL`,
+    );
+  }
+  return `${baseUrl.replace(/\/+$/, '')}${url}`;
+}
@@ -0,0 +1,534 @@
+/**
+ * nCurl Query - Built-in JSONPath and jq-Style Filters for JSON Responses
+ *
+ * @context Post-processing layer for CI images that do not ship jq
+ * @purpose Selects and reshapes parsed JSON responses with `--query` before they are printed
+ * @integration main() applies evaluateQuery to result.data; assertions reuse queryJsonPath for `$` paths
+ * @workflow Detect the syntax (`$...` JSONPath, otherwise jq) → parse → evaluate → format the outputs
+ *
+ * JSONPath (`$`-prefixed):
+ * - `$.a.b`, `$['a']`, `$.items[0]`, `$.items[-1]`, `$.items[*].id`, `$..id`, `$.items[?(@.price < 10)]`
+ * - `.length` on arrays and strings returns their length
+ * - Wildcards, `..` and filters return an array of matches; plain paths return the value itself
+ *
+ * jq Subset:
+ * - `.`, `.a.b`, `.["a"]`, `.[0]`, `.[-1]`, `.[]`, pipes `|`, `,`, `[ ... ]` collection
+ * - `map(f)`, `select(f)`, `length`, `keys`, `not`, comparisons and `and` / `or`
+ *
+ * @example
+ * evaluateQuery({ users: [{ name: 'Ada', admin: true }] }, '.users | map(select(.admin)) | length');
+ * // => [1]
+ */
+
+/**
+ * Tokens of the jq subset: strings, numbers, keywords/identifiers, operators and punctuation
+ */
+const JQ_TOKEN =
+  /\s*(?:("(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([A-Za-z_][\w]*)|(==|!=|>=|<=|\.\.|[.[\](),|<>]))/y;
+
+/**
+ * Tokenize a jq expression
+ * @param {string} expression - jq expression
+ * @returns {Array<{ type: string, value: * }>} Tokens
+ * @throws {Error} On unexpected characters
+ */
+function tokenizeJq(expression) {
+  const tokens = [];
+  JQ_TOKEN.lastIndex = 0;
+
+  while (JQ_TOKEN.lastIndex < expression.length) {
+    if (!expression.slice(JQ_TOKEN.lastIndex).trim()) {
+      break;
+    }
+    const position = JQ_TOKEN.lastIndex;
+    const match = JQ_TOKEN.exec(expression);
+    if (!match) {
+      throw new Error(`unexpected "${expression.slice(position).trim()[0]}" at ${position}`);
+    }
+
+    const [, string, number, word, symbol] = match;
+    if (string !== undefined) {
+      tokens.push({ type: 'literal', value: JSON.parse(string) });
+    } else if (number !== undefined) {
+      tokens.push({ type: 'literal', value: Number(number) });
+    } else if (word !== undefined) {
+      const literals = { true: true, false: false, null: null };
+      tokens.push(
+        word in literals
+          ? { type: 'literal', value: literals[word] }
+          : { type: 'word', value: word },
+      );
+    } else {
+      tokens.push({ type: 'symbol', value: symbol });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser for the jq subset
+ * @param {string} expression - jq expression
+ * @returns {Object} Expression tree
+ * @throws {Error} On syntax errors
+ */
+function parseJq(expression) {
+  const tokens = tokenizeJq(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isSymbol = value => peek()?.type === 'symbol' && peek().value === value;
+  const isWord = value => peek()?.type === 'word' && peek().value === value;
+  const expect = value => {
+    if (!isSymbol(value)) {
+      throw new Error(`expected "${value}"${peek() ? ` but found "${peek().value}"` : ' at end'}`);
+    }
+    position++;
+  };
+
+  function parsePipe() {
+    let node = parseComma();
+    while (isSymbol('|')) {
+      position++;
+      node = { type: 'pipe', left: node, right: parseComma() };
+    }
+    return node;
+  }
+
+  function parseComma() {
+    let node = parseOr();
+    while (isSymbol(',')) {
+      position++;
+      node = { type: 'comma', left: node, right: parseOr() };
+    }
+    return node;
+  }
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isWord('or')) {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseComparison();
+    while (isWord('and')) {
+      position++;
+      node = { type: 'and', left: node, right: parseComparison() };
+    }
+    return node;
+  }
+
+  function parseComparison() {
+    const node = parsePostfix();
+    const operator = peek();
+    if (
+      operator?.type === 'symbol' &&
+      ['==', '!=', '>', '>=', '<', '<='].includes(operator.value)
+    ) {
+      position++;
+      return { type: 'compare', operator: operator.value, left: node, right: parsePostfix() };
+    }
+    return node;
+  }
+
+  // `.name`, `.["name"]`, `[0]` and `[]` suffixes after a term
+  function parseSuffixes(node) {
+    for (;;) {
+      if (isSymbol('.') && tokens[position + 1]?.type === 'word') {
+        position++;
+        node = { type: 'field', target: node, name: tokens[position++].value };
+      } else if (isSymbol('.') && tokens[position + 1]?.value === '[') {
+        position++;
+      } else if (isSymbol('[')) {
+        position++;
+        if (isSymbol(']')) {
+          position++;
+          node = { type: 'iterate', target: node };
+        } else {
+          const index = parsePipe();
+          expect(']');
+          node = { type: 'index', target: node, index };
+        }
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parsePostfix() {
+    const token = peek();
+    if (!token) {
+      throw new Error('unexpected end of expression');
+    }
+
+    if (token.type === 'literal') {
+      position++;
+      return parseSuffixes({ type: 'literal', value: token.value });
+    }
+
+    if (token.type === 'word') {
+      position++;
+      let argument;
+      if (isSymbol('(')) {
+        position++;
+        argument = parsePipe();
+        expect(')');
+      }
+      return parseSuffixes({ type: 'call', name: token.value, argument });
+    }
+
+    if (isSymbol('.')) {
+      position++;
+      const next = peek();
+      if (next?.type === 'word') {
+        position++;
+        return parseSuffixes({ type: 'field', target: { type: 'identity' }, name: next.value });
+      }
+      if (next?.type === 'literal' && typeof next.value === 'string') {
+        position++;
+        return parseSuffixes({ type: 'field', target: { type: 'identity' }, name: next.value });
+      }
+      return parseSuffixes({ type: 'identity' });
+    }
+
+    if (isSymbol('(')) {
+      position++;
+      const node = parsePipe();
+      expect(')');
+      return parseSuffixes(node);
+    }
+
+    if (isSymbol('[')) {
+      position++;
+      if (isSymbol(']')) {
+        position++;
+        return parseSuffixes({ type: 'literal', value: [] });
+      }
+      const body = parsePipe();
+      expect(']');
+      return parseSuffixes({ type: 'collect', body });
+    }
+
+    throw new Error(`unexpected "${token.value}"`);
+  }
+
+  const tree = parsePipe();
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${peek().value}"`);
+  }
+  return tree;
+}
+
+/**
+ * jq truthiness: everything except false and null is true
+ * @param {*} value - Any value
+ * @returns {boolean} Truthiness
+ */
+function isTruthy(value) {
+  return value !== false && value !== null && value !== undefined;
+}
+
+/**
+ * Describe a value's JSON type for error messages
+ * @param {*} value - Any value
+ * @returns {string} jq type name
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Compare two values with a jq comparison operator
+ * @param {string} operator - Comparison operator
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {boolean} Comparison result
+ */
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==':
+      return JSON.stringify(left) === JSON.stringify(right);
+    case '!=':
+      return JSON.stringify(left) !== JSON.stringify(right);
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    case '<':
+      return left < right;
+    default:
+      return left <= right;
+  }
+}
+
+/**
+ * Evaluate a jq expression tree against an input
+ * @param {Object} node - Expression tree
+ * @param {*} input - Input value
+ * @returns {Array<*>} Output stream
+ * @throws {Error} On type errors such as indexing a number
+ */
+function evaluateJq(node, input) {
+  switch (node.type) {
+    case 'identity':
+      return [input];
+    case 'literal':
+      return [node.value];
+    case 'pipe':
+      return evaluateJq(node.left, input).flatMap(value => evaluateJq(node.right, value));
+    case 'comma':
+      return [...evaluateJq(node.left, input), ...evaluateJq(node.right, input)];
+    case 'collect':
+      return [evaluateJq(node.body, input)];
+    case 'field':
+      return evaluateJq(node.target, input).map(target => {
+        if (target === null || target === undefined) {
+          return null;
+        }
+        if (typeOf(target) !== 'object') {
+          throw new Error(`cannot index ${typeOf(target)} with "${node.name}"`);
+        }
+        return target[node.name] ?? null;
+      });
+    case 'index':
+      return evaluateJq(node.target, input).flatMap(target =>
+        evaluateJq(node.index, input).map(index => {
+          if (target === null || target === undefined) {
+            return null;
+          }
+          if (Array.isArray(target) && typeof index === 'number') {
+            return target[index < 0 ? target.length + index : index] ?? null;
+          }
+          if (typeOf(target) === 'object' && typeof index === 'string') {
+            return target[index] ?? null;
+          }
+          throw new Error(`cannot index ${typeOf(target)} with ${typeOf(index)}`);
+        }),
+      );
+    case 'iterate':
+      return evaluateJq(node.target, input).flatMap(target => {
+        if (Array.isArray(target)) {
+          return target;
+        }
+        if (typeOf(target) === 'object') {
+          return Object.values(target);
+        }
+        throw new Error(`cannot iterate over ${typeOf(target)}`);
+      });
+    case 'compare':
+      return evaluateJq(node.left, input).flatMap(left =>
+        evaluateJq(node.right, input).map(right => compare(node.operator, left, right)),
+      );
+    case 'and':
+    case 'or':
+      return evaluateJq(node.left, input).flatMap(left => {
+        if (node.type === 'and' ? !isTruthy(left) : isTruthy(left)) {
+          return [node.type === 'or'];
+        }
+        return evaluateJq(node.right, input).map(isTruthy);
+      });
+    default:
+      return callFunction(node, input);
+  }
+}
+
+/**
+ * Evaluate a built-in function call
+ * @param {Object} node - Call node
+ * @param {*} input - Input value
+ * @returns {Array<*>} Output stream
+ * @throws {Error} For unknown functions and type errors
+ */
+function callFunction(node, input) {
+  const needsArgument = ['map', 'select'].includes(node.name);
+  if (needsArgument !== Boolean(node.argument)) {
+    throw new Error(
+      needsArgument ? `${node.name} needs an argument` : `${node.name} takes no argument`,
+    );
+  }
+
+  switch (node.name) {
+    case 'length':
+      if (input === null || input === undefined) {
+        return [0];
+      }
+      if (typeof input === 'number') {
+        return [Math.abs(input)];
+      }
+      if (typeof input === 'boolean') {
+        throw new Error('boolean has no length');
+      }
+      return [
+        typeof input === 'object' && !Array.isArray(input)
+          ? Object.keys(input).length
+          : input.length,
+      ];
+    case 'keys':
+      if (Array.isArray(input)) {
+        return [input.map((_, index) => index)];
+      }
+      if (typeOf(input) !== 'object') {
+        throw new Error(`${typeOf(input)} has no keys`);
+      }
+      return [Object.keys(input).sort()];
+    case 'not':
+      return [!isTruthy(input)];
+    case 'map':
+      if (!Array.isArray(input)) {
+        throw new Error(`cannot map over ${typeOf(input)}`);
+      }
+      return [input.flatMap(item => evaluateJq(node.argument, item))];
+    case 'select':
+      return evaluateJq(node.argument, input).some(isTruthy) ? [input] : [];
+    default:
+      throw new Error(`unknown function "${node.name}"`);
+  }
+}
+
+/**
+ * Split a JSONPath into segments
+ * @param {string} path - JSONPath starting with `$`
+ * @returns {Array<Object>} Segments: `{ type: 'member'|'index'|'wildcard'|'filter', recursive, ... }`
+ * @throws {Error} On syntax errors
+ */
+function parseJsonPath(path) {
+  const segments = [];
+  let position = 1;
+
+  while (position < path.length) {
+    const rest = path.slice(position);
+    const recursive = rest.startsWith('..');
+    const afterDots = recursive ? rest.slice(2) : rest.startsWith('.') ? rest.slice(1) : rest;
+    const consumed = rest.length - afterDots.length;
+
+    let match;
+    if ((match = afterDots.match(/^\*/)) && consumed) {
+      segments.push({ type: 'wildcard', recursive });
+    } else if ((match = afterDots.match(/^[A-Za-z_$][\w$-]*/)) && consumed) {
+      segments.push({ type: 'member', name: match[0], recursive });
+    } else if ((match = afterDots.match(/^\[\s*(-?\d+)\s*\]/))) {
+      segments.push({ type: 'index', index: Number(match[1]), recursive });
+    } else if ((match = afterDots.match(/^\[\s*\*\s*\]/))) {
+      segments.push({ type: 'wildcard', recursive });
+    } else if ((match = afterDots.match(/^\[\s*(?:'([^']*)'|"([^"]*)")\s*\]/))) {
+      segments.push({ type: 'member', name: match[1] ?? match[2], recursive });
+    } else if ((match = afterDots.match(/^\[\?\((.*?)\)\]/))) {
+      // Filters are evaluated as jq: `@.price` becomes `.price`, 'single' quotes become "double"
+      const filter = match[1]
+        .replace(/'([^']*)'/g, (_, text) => JSON.stringify(text))
+        .replace(/@\.?/g, '.');
+      segments.push({ type: 'filter', filter: parseJq(filter), recursive });
+    } else {
+      throw new Error(`unexpected "${rest}"`);
+    }
+
+    position += consumed + match[0].length;
+  }
+
+  return segments;
+}
+
+/**
+ * List a value and all of its descendants (for `..`)
+ * @param {*} value - Root value
+ * @returns {Array<*>} Value followed by descendants in document order
+ */
+function descendants(value) {
+  if (value === null || typeof value !== 'object') {
+    return [value];
+  }
+  return [value, ...Object.values(value).flatMap(descendants)];
+}
+
+/**
+ * Apply one JSONPath segment to a single value
+ * @param {Object} segment - Parsed segment
+ * @param {*} value - Current value
+ * @returns {Array<*>} Matches
+ */
+function applySegment(segment, value) {
+  const children = value !== null && typeof value === 'object' ? Object.values(value) : [];
+
+  switch (segment.type) {
+    case 'member':
+      if (value !== null && typeof value === 'object' && Object.hasOwn(value, segment.name)) {
+        return [value[segment.name]];
+      }
+      // `.length` works on arrays and strings, like in JavaScript
+      if (segment.name === 'length' && (Array.isArray(value) || typeof value === 'string')) {
+        return [value.length];
+      }
+      return [];
+    case 'index': {
+      if (!Array.isArray(value)) {
+        return [];
+      }
+      const index = segment.index < 0 ? value.length + segment.index : segment.index;
+      return index in value ? [value[index]] : [];
+    }
+    case 'wildcard':
+      return children;
+    default:
+      return children.filter(child => evaluateJq(segment.filter, child).some(isTruthy));
+  }
+}
+
+/**
+ * Evaluate a JSONPath expression
+ * @param {*} data - Parsed JSON
+ * @param {string} path - JSONPath starting with `$`
+ * @returns {*} The value for plain paths (undefined when missing), an array of matches otherwise
+ * @throws {Error} On syntax errors
+ */
+export function queryJsonPath(data, path) {
+  const segments = parseJsonPath(path.trim());
+  let matches = [data];
+
+  for (const segment of segments) {
+    const sources = segment.recursive ? matches.flatMap(descendants) : matches;
+    matches = sources.flatMap(value => applySegment(segment, value));
+  }
+
+  const definite = segments.every(
+    segment => ['member', 'index'].includes(segment.type) && !segment.recursive,
+  );
+  return definite ? matches[0] : matches;
+}
+
+/**
+ * Evaluate a `--query` expression (JSONPath when it starts with `$`, jq otherwise)
+ * @param {*} data - Parsed JSON
+ * @param {string} expression - Query expression
+ * @returns {Array<*>} Output values (jq filters may produce several)
+ * @throws {Error} With the offending expression on syntax or type errors
+ */
+export function evaluateQuery(data, expression) {
+  try {
+    if (expression.trim().startsWith('$')) {
+      const value = queryJsonPath(data, expression);
+      return [value === undefined ? null : value];
+    }
+    return evaluateJq(parseJq(expression), data);
+  } catch (error) {
+    throw new Error(`Invalid --query "${expression}": ${error.message}`);
+  }
+}
+
+/**
+ * Format query outputs one per line, like jq
+ * @param {Array<*>} values - Query outputs
+ * @param {boolean} [raw=false] - Print strings without quotes (`--raw`)
+ * @returns {string} Formatted output
+ */
+export function formatQueryOutput(values, raw = false) {
+  return values
+    .map(value => (raw && typeof value === 'string' ? value : JSON.stringify(value, null, 2)))
+    .join('\n');
+}
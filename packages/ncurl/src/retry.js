@@ -0,0 +1,192 @@
+/**
+ * nCurl Retry - Exponential Backoff with Retry-After Awareness
+ *
+ * @context Resilience layer wrapped around each request attempt in executeRequest
+ * @purpose Retries transient failures (429/5xx statuses, connection resets) instead of failing on the first one
+ * @integration executeRequest hands its send function to withRetry together with a policy built from the CLI options
+ * @workflow Runs an attempt, classifies the outcome, waits (Retry-After or jittered backoff) and tries again
+ *
+ * Retry Rules:
+ * - Only outcomes listed in `--retry-on` are retried (status codes and error codes)
+ * - Non-idempotent methods (POST, PATCH) are never retried unless `--retry-unsafe` is given
+ * - A `Retry-After` header (seconds or HTTP date) overrides the computed backoff
+ * - Backoff doubles per attempt from `--retry-delay`, with jitter, capped at MAX_BACKOFF
+ *
+ * @example
+ * const policy = createRetryPolicy({ retry: 3, retryDelay: 500 }, 'GET');
+ * const response = await withRetry(() => request(url), policy);
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+
+/**
+ * Outcomes retried when `--retry-on` is not given
+ */
+export const DEFAULT_RETRY_ON = '429,502,503,504,ECONNRESET';
+
+/**
+ * Upper bound for the computed backoff (Retry-After is honored as sent)
+ */
+const MAX_BACKOFF = 30000;
+
+/**
+ * Methods that are safe to repeat without side effects piling up
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+/**
+ * undici error codes mapped to the classic network error codes users pass to --retry-on
+ */
+const ERROR_CODE_ALIASES = {
+  UND_ERR_SOCKET: 'ECONNRESET',
+  UND_ERR_CONNECT_TIMEOUT: 'ETIMEDOUT',
+  UND_ERR_HEADERS_TIMEOUT: 'ETIMEDOUT',
+  UND_ERR_BODY_TIMEOUT: 'ETIMEDOUT',
+};
+
+/**
+ * Normalise an error code so undici and Node network errors can be matched alike
+ * @param {Error & { code?: string }} error - Request error
+ * @returns {string|undefined} Normalised error code
+ */
+export function normalizeErrorCode(error) {
+  return ERROR_CODE_ALIASES[error?.code] || error?.code;
+}
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} retries - Maximum number of retries after the first attempt
+ * @property {number} delay - Base backoff delay in milliseconds
+ * @property {Set<number>} statuses - Status codes that trigger a retry
+ * @property {Set<string>} codes - Error codes that trigger a retry
+ * @property {string} method - HTTP method of the request
+ * @property {boolean} allowed - False when the method is non-idempotent and --retry-unsafe is missing
+ * @property {boolean} verbose - Report each attempt
+ */
+
+/**
+ * Build a retry policy from command options
+ * @param {import('./index.js').HTTPOptions} options - Command options
+ * @param {string} method - HTTP method of the request
+ * @returns {RetryPolicy} Retry policy
+ * @throws {Error} When --retry or --retry-delay is not a non-negative number
+ */
+export function createRetryPolicy(options = {}, method = 'GET') {
+  const retries = options.retry === undefined ? 0 : Number(options.retry);
+  const delay = options.retryDelay === undefined ? 1000 : Number(options.retryDelay);
+
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`Invalid --retry value "${options.retry}". Use a whole number such as 3`);
+  }
+  if (!Number.isFinite(delay) || delay < 0) {
+    throw new Error(`Invalid --retry-delay value "${options.retryDelay}". Use milliseconds`);
+  }
+
+  const statuses = new Set();
+  const codes = new Set();
+  for (const entry of String(options.retryOn || DEFAULT_RETRY_ON).split(',')) {
+    const value = entry.trim();
+    if (/^\d{3}$/.test(value)) {
+      statuses.add(Number(value));
+    } else if (value) {
+      codes.add(value.toUpperCase());
+    }
+  }
+
+  return {
+    retries,
+    delay,
+    statuses,
+    codes,
+    method,
+    allowed: IDEMPOTENT_METHODS.includes(method) || Boolean(options.retryUnsafe),
+    verbose: Boolean(options.verbose),
+  };
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string|string[]} [value] - Header value (delay in seconds or an HTTP date)
+ * @param {number} [now=Date.now()] - Current time, for date values
+ * @returns {number|undefined} Delay in milliseconds or undefined when absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  const header = Array.isArray(value) ? value[0] : value;
+  if (!header) {
+    return undefined;
+  }
+
+  if (/^\s*\d+\s*$/.test(header)) {
+    return Number(header) * 1000;
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Compute a jittered exponential backoff
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @param {number} delay - Base delay in milliseconds
+ * @param {() => number} [random=Math.random] - Random source, injectable for tests
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, delay, random = Math.random) {
+  const exponential = Math.min(MAX_BACKOFF, delay * 2 ** (attempt - 1));
+  // Equal jitter: keep half the delay, randomise the other half
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+/**
+ * Run an operation, retrying transient failures according to the policy
+ * @param {() => Promise<Object>} operation - Sends one attempt and resolves with the undici response
+ * @param {RetryPolicy} policy - Retry policy
+ * @returns {Promise<Object>} The last response
+ * @throws {Error} The last error, annotated with `attempts`, when every attempt failed
+ */
+export async function withRetry(operation, policy) {
+  const attempts = policy.retries + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    let outcome;
+    let wait;
+
+    try {
+      const response = await operation();
+      if (!policy.statuses.has(response.statusCode)) {
+        return response;
+      }
+      outcome = `HTTP ${response.statusCode}`;
+      wait = parseRetryAfter(response.headers['retry-after']);
+
+      if (attempt >= attempts || !policy.allowed) {
+        if (policy.retries > 0 && !policy.allowed && policy.verbose) {
+          console.log(
+            `[ncurl] Not retrying ${policy.method} (not idempotent) - add --retry-unsafe to allow it`,
+          );
+        }
+        return response;
+      }
+      await response.body.dump();
+    } catch (error) {
+      error.attempts = attempt;
+      const code = normalizeErrorCode(error);
+      if (!policy.codes.has(code) || attempt >= attempts) {
+        throw error;
+      }
+      if (!policy.allowed) {
+        error.retryRefused = true;
+        throw error;
+      }
+      outcome = code;
+    }
+
+    const delay = wait ?? computeBackoff(attempt, policy.delay);
+    if (policy.verbose) {
+      console.log(
+        `[ncurl] Attempt ${attempt}/${attempts} failed (${outcome}) - retrying in ${delay}ms`,
+      );
+    }
+    await sleep(delay);
+  }
+}
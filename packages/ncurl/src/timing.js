@@ -0,0 +1,218 @@
+/**
+ * nCurl Timing - Per-Phase Request Timing and curl-Compatible --write-out Templates
+ *
+ * @context Diagnostics layer of the nCurl HTTP client for finding where a slow request spends its time
+ * @purpose Measures DNS, connect, TLS, server wait and transfer phases and renders them with `--write-out`
+ * @integration The dispatcher reports socket events to the timer; executeRequest adds `timings` to every result
+ * @workflow Start timer → watch new sockets (lookup, connect, secureConnect) → mark first byte and end → summarize
+ *
+ * Phases (milliseconds, they add up to `total`):
+ * - `dns`: until the hostname was resolved (includes request preparation)
+ * - `connect`: TCP handshake, `tls`: TLS handshake (0 for http:// and reused connections)
+ * - `wait`: request sent until the response headers arrived (server time)
+ * - `transfer`: reading the response body
+ *
+ * Write-Out Variables (curl names, times in seconds since the start like curl):
+ * - `%{http_code}` `%{method}` `%{url}` `%{content_type}` `%{size_download}` `%{speed_download}`
+ * - `%{remote_ip}` `%{remote_port}` `%{time_namelookup}` `%{time_connect}` `%{time_appconnect}`
+ * - `%{time_pretransfer}` `%{time_starttransfer}` `%{time_total}`
+ * - `%{from_cache}`: true when the body came from the --cache
+ * - `%{header{name}}`, `%{json}` (all variables), `%{header_json}`, `%{stderr}` / `%{stdout}` to switch streams
+ *
+ * @example
+ * // ncurl get https://api.example.com/users -o /dev/null -w '%{http_code} %{time_total}\n'
+ * // ncurl get https://api.example.com/users -s -w '%{json}'
+ */
+
+import fs from 'fs';
+import { performance } from 'perf_hooks';
+import { getHeader } from './headers.js';
+
+/**
+ * @typedef {Object} RequestTimings
+ * @property {number} dns - Until the hostname was resolved
+ * @property {number} connect - TCP connect
+ * @property {number} tls - TLS handshake
+ * @property {number} wait - Waiting for the response headers
+ * @property {number} transfer - Reading the body
+ * @property {number} total - Whole request
+ */
+
+/**
+ * Create a timer for one request
+ * @returns {{ start: Function, watch: Function, mark: Function, summary: Function, remote: Object }} Timer
+ */
+export function createTimer() {
+  const marks = {};
+  const remote = {};
+
+  return {
+    remote,
+    /** Start (or restart) the clock */
+    start() {
+      marks.start = performance.now();
+    },
+    /**
+     * Record the connection phases of a new socket (the last connection wins)
+     * @param {import('net').Socket} socket - Socket being connected
+     */
+    watch(socket) {
+      marks.socket = performance.now();
+      delete marks.lookup;
+      delete marks.connect;
+      delete marks.secure;
+      socket.once('lookup', () => {
+        marks.lookup = performance.now();
+      });
+      socket.once('connect', () => {
+        marks.connect = performance.now();
+        remote.address = socket.remoteAddress;
+        remote.port = socket.remotePort;
+      });
+      socket.once('secureConnect', () => {
+        marks.secure = performance.now();
+      });
+    },
+    /**
+     * Record a point in time
+     * @param {'firstByte'|'end'} name - Mark name
+     */
+    mark(name) {
+      marks[name] = performance.now();
+    },
+    /**
+     * Compute the phase durations
+     * @returns {RequestTimings} Phases in milliseconds
+     */
+    summary() {
+      const start = marks.start ?? marks.socket ?? performance.now();
+      const end = marks.end ?? performance.now();
+      const firstByte = marks.firstByte ?? end;
+      // Only sockets opened after the start belong to this request (a reused connection has none)
+      const fresh =
+        marks.socket !== undefined && marks.socket >= start && marks.connect !== undefined;
+      const resolved = fresh ? (marks.lookup ?? marks.socket) : start;
+      const connected = fresh ? marks.connect : start;
+      const ready = fresh ? (marks.secure ?? marks.connect) : start;
+
+      return {
+        dns: resolved - start,
+        connect: connected - resolved,
+        tls: ready - connected,
+        wait: firstByte - ready,
+        transfer: end - firstByte,
+        total: end - start,
+      };
+    },
+  };
+}
+
+/**
+ * Format timings for --verbose output
+ * @param {RequestTimings} timings - Phase durations
+ * @returns {string} One-line breakdown
+ */
+export function formatTimings(timings) {
+  return ['dns', 'connect', 'tls', 'wait', 'transfer', 'total']
+    .map(phase => `${phase} ${timings[phase].toFixed(1)}ms`)
+    .join(', ');
+}
+
+/**
+ * Convert milliseconds to curl's seconds format
+ * @param {number} ms - Milliseconds
+ * @returns {number} Seconds with microsecond precision
+ */
+function seconds(ms) {
+  return Number((ms / 1000).toFixed(6));
+}
+
+/**
+ * Build the --write-out variables of a result
+ * @param {Object} result - Result from executeRequest
+ * @returns {Object} Variables by curl name
+ */
+export function getWriteOutVariables(result) {
+  const timings = result.timings || {};
+  const namelookup = timings.dns || 0;
+  const connect = namelookup + (timings.connect || 0);
+  const pretransfer = connect + (timings.tls || 0);
+  const starttransfer = pretransfer + (timings.wait || 0);
+  const total = timings.total ?? result.duration ?? 0;
+  const size = result.size ?? 0;
+
+  return {
+    http_code: result.status,
+    response_code: result.status,
+    method: result.method,
+    url: result.url,
+    content_type: getHeader(result.headers || {}, 'content-type') || '',
+    size_download: size,
+    speed_download: total > 0 ? Math.round(size / (total / 1000)) : 0,
+    remote_ip: result.remoteAddress || '',
+    remote_port: result.remotePort || '',
+    time_namelookup: seconds(namelookup),
+    time_connect: seconds(connect),
+    time_appconnect: timings.tls ? seconds(pretransfer) : 0,
+    time_pretransfer: seconds(pretransfer),
+    time_starttransfer: seconds(starttransfer),
+    time_total: seconds(total),
+    from_cache: Boolean(result.fromCache),
+  };
+}
+
+/**
+ * Render a --write-out template
+ * @param {string} template - Template with `%{variable}` placeholders and `\n` / `\t` escapes
+ * @param {Object} result - Result from executeRequest
+ * @returns {{ stdout: string, stderr: string }} Text for each stream
+ * @throws {Error} For unknown variables
+ */
+export function formatWriteOut(template, result) {
+  const variables = getWriteOutVariables(result);
+  const output = { stdout: '', stderr: '' };
+  let stream = 'stdout';
+
+  const pattern = /%%|%\{header\{([^}]+)\}\}|%\{([a-z_]+)\}|\\([nrt\\])/g;
+  let last = 0;
+  for (const match of template.matchAll(pattern)) {
+    output[stream] += template.slice(last, match.index);
+    last = match.index + match[0].length;
+
+    const [token, header, name, escape] = match;
+    if (token === '%%') {
+      output[stream] += '%';
+    } else if (escape) {
+      output[stream] += { n: '\n', r: '\r', t: '\t', '\\': '\\' }[escape];
+    } else if (header) {
+      const value = getHeader(result.headers || {}, header);
+      output[stream] += Array.isArray(value) ? value.join(', ') : (value ?? '');
+    } else if (name === 'stdout' || name === 'stderr') {
+      stream = name;
+    } else if (name === 'json') {
+      output[stream] += JSON.stringify(variables);
+    } else if (name === 'header_json') {
+      output[stream] += JSON.stringify(result.headers || {});
+    } else if (name in variables) {
+      output[stream] += String(variables[name] ?? '');
+    } else {
+      throw new Error(
+        `Unknown --write-out variable %{${name}}. Available: ${Object.keys(variables).join(', ')}, json, header_json, header{name}`,
+      );
+    }
+  }
+  output[stream] += template.slice(last);
+  return output;
+}
+
+/**
+ * Load and validate a --write-out template (`@file` reads it from a file, like curl)
+ * @param {string} spec - Template or `@file`
+ * @returns {Promise<string>} Template text
+ * @throws {Error} When the template uses unknown variables
+ */
+export async function loadWriteOutTemplate(spec) {
+  const template = spec.startsWith('@') ? await fs.promises.readFile(spec.slice(1), 'utf8') : spec;
+  formatWriteOut(template, {});
+  return template;
+}
@@ -0,0 +1,450 @@
+/**
+ * nCurl WebSocket - Scriptable WebSocket Sessions
+ *
+ * @context WebSocket client of the nCurl HTTP client for poking realtime endpoints from the same tool
+ * @purpose Connects with the usual headers, auth, cookies, profiles and TLS options, sends messages and prints frames
+ * @integration Powers the `ncurl ws <url>` command; the handshake goes through the same dispatcher as HTTP requests
+ * @workflow Build the handshake (headers, auth, dispatcher) → connect → send messages → print frames → check --expect → close
+ *
+ * Session Rules:
+ * - Messages come from arguments and `--file` (one per line); without them, stdin lines are sent (interactive or piped)
+ * - Received frames print with a UTC timestamp, JSON pretty-printed; `>` marks sent and `<` received frames
+ * - The session closes when the server closes, after `--max-messages`, once every `--expect` matched,
+ *   or `--wait` ms after the last message was sent (when there is nothing to wait for)
+ * - `--timeout` limits the handshake and the whole session (default: 30s, no session limit when interactive)
+ * - `--expect` takes exact text, `/regex/`, or a JSON assertion such as `$.type == "pong"`
+ *
+ * @example
+ * // ncurl ws wss://echo.example.com '{"type":"ping"}' --expect '$.type == "pong"' --timeout 5000
+ * // ncurl ws wss://chat.example.com --bearer env:TOKEN   (interactive: type messages, Ctrl-D to quit)
+ */
+
+import fs from 'fs';
+import { STATUS_CODES } from 'http';
+import readline from 'readline';
+import { clearTimeout, setTimeout } from 'timers';
+import { WebSocket } from 'undici';
+import { checkJson } from './assert.js';
+import { applyAuth, redactHeaders, redactUrl } from './auth.js';
+import { applyCookies } from './cookies.js';
+import { createDispatcher } from './dispatcher.js';
+import { NcurlError } from './errors.js';
+import { inferHeaders } from './index.js';
+import { applyProfile, resolveProfileUrl } from './profile.js';
+
+/**
+ * Handshake and scripted-session time limit when --timeout is not given
+ */
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Time to keep listening after the last scripted message when --wait is not given
+ */
+const DEFAULT_WAIT = 2000;
+
+/**
+ * @typedef {Object} WebSocketOptions
+ * @property {string[]} [messages] - Messages to send in order
+ * @property {string} [file] - File with one message per line
+ * @property {string[]} [subprotocol] - Subprotocols to offer (Sec-WebSocket-Protocol)
+ * @property {string[]} [expect] - Expectations every session must meet
+ * @property {number} [maxMessages] - Close after this many received messages
+ * @property {number} [wait=2000] - Milliseconds to keep listening after the last sent message
+ * @property {NodeJS.ReadableStream|false} [stdin] - Input for messages when none are given (false disables it)
+ */
+
+/**
+ * @typedef {Object} WebSocketResult
+ * @property {string} url - Connected URL (credentials redacted)
+ * @property {string} protocol - Negotiated subprotocol ('' when none)
+ * @property {number} sent - Messages sent
+ * @property {number} received - Messages received
+ * @property {number} closeCode - Close code (1000 for a normal close)
+ * @property {string} closeReason - Close reason sent by the server
+ * @property {import('./assert.js').AssertionResult[]} assertions - --expect results
+ */
+
+/**
+ * Normalize a URL to ws:// or wss:// (http(s) URLs are converted, a bare host gets wss://)
+ * @param {string} url - URL from the command line
+ * @param {string} [baseUrl] - Base URL for `/path` URLs
+ * @returns {string} WebSocket URL
+ * @throws {Error} When the URL is missing or invalid
+ */
+export function toWebSocketUrl(url, baseUrl = undefined) {
+  if (!url) {
+    throw new Error('URL is required. Example: ncurl ws wss://echo.example.com');
+  }
+  let target = resolveProfileUrl(url, baseUrl);
+  if (/^https?:\/\//i.test(target)) {
+    target = target.replace(/^http/i, 'ws');
+  } else if (!/^wss?:\/\//i.test(target)) {
+    target = `wss://${target}`;
+  }
+  try {
+    return new URL(target).toString();
+  } catch {
+    throw new Error(
+      'Invalid URL format. Please use: wss://example.com/socket or ws://localhost:8080',
+    );
+  }
+}
+
+/**
+ * Build an --expect matcher
+ * @param {string} spec - Exact text, `/regex/flags`, or a `$.path op value` JSON assertion
+ * @returns {{ assertion: string, test: (text: string) => boolean }} Matcher
+ * @throws {Error} For an invalid pattern or JSON assertion
+ */
+export function parseExpectation(spec) {
+  if (spec.trim().startsWith('$')) {
+    // Validate the expression up front so a typo fails before connecting
+    try {
+      checkJson({}, spec);
+    } catch (error) {
+      throw new Error(error.message.replace('--expect-json', '--expect'));
+    }
+    return {
+      assertion: `message ${spec}`,
+      test: text => {
+        try {
+          return checkJson(JSON.parse(text), spec).passed;
+        } catch {
+          return false;
+        }
+      },
+    };
+  }
+  const match = /^\/(.+)\/([a-z]*)$/.exec(spec);
+  if (match) {
+    let pattern;
+    try {
+      pattern = new RegExp(match[1], match[2]);
+    } catch (error) {
+      throw new Error(`Invalid --expect pattern ${spec}: ${error.message}`);
+    }
+    return { assertion: `message ~ ${spec}`, test: text => pattern.test(text) };
+  }
+  return { assertion: `message == ${JSON.stringify(spec)}`, test: text => text === spec };
+}
+
+/**
+ * Format a frame for the transcript
+ * @param {string|Buffer} data - Frame payload
+ * @param {'<'|'>'} direction - `<` received, `>` sent
+ * @param {Date} [date] - Time of the frame
+ * @returns {string} `HH:MM:SS.mmm < payload` (JSON pretty-printed, binary summarized)
+ */
+export function formatFrame(data, direction, date = new Date()) {
+  const time = date.toISOString().slice(11, 23);
+  if (Buffer.isBuffer(data)) {
+    const preview = data.subarray(0, 32).toString('hex');
+    const more = data.length > 32 ? '...' : '';
+    return `${time} ${direction} (binary, ${data.length} bytes) ${preview}${more}`;
+  }
+  let text = data;
+  try {
+    const parsed = JSON.parse(data);
+    if (typeof parsed === 'object' && parsed !== null) {
+      text = JSON.stringify(parsed, null, 2);
+    }
+  } catch {
+    // Not JSON: print as sent
+  }
+  return `${time} ${direction} ${text}`;
+}
+
+/**
+ * Collect scripted messages from arguments and --file
+ * @param {WebSocketOptions} options - Command options
+ * @returns {Promise<string[]>} Messages in send order
+ */
+async function loadMessages(options) {
+  const messages = [...(options.messages || [])];
+  if (options.file) {
+    const content = await fs.promises.readFile(options.file, 'utf8');
+    messages.push(...content.split(/\r?\n/).filter(line => line.trim()));
+  }
+  return messages;
+}
+
+/**
+ * Record the handshake status (the WebSocket API hides why an upgrade failed)
+ * @param {import('undici').Dispatcher} dispatcher - Dispatcher for the handshake
+ * @returns {{ dispatcher: import('undici').Dispatcher, handshake: { status?: number } }} Observed dispatcher and the recorded status
+ */
+function watchHandshake(dispatcher) {
+  const handshake = {};
+  const observed = dispatcher.compose(
+    dispatch => (opts, handler) =>
+      dispatch(
+        opts,
+        new Proxy(handler, {
+          get(target, property) {
+            const value = target[property];
+            if (typeof value !== 'function') {
+              return value;
+            }
+            // Handlers keep private state, so methods must run against the real handler
+            if (property !== 'onResponseStart') {
+              return value.bind(target);
+            }
+            return (controller, statusCode, ...rest) => {
+              handshake.status = statusCode;
+              return value.call(target, controller, statusCode, ...rest);
+            };
+          },
+        }),
+      ),
+  );
+  return { dispatcher: observed, handshake };
+}
+
+/**
+ * Explain a failed WebSocket handshake
+ * @param {string} url - WebSocket URL (redacted)
+ * @param {number} [status] - HTTP status the server answered instead of 101
+ * @returns {NcurlError} Error with a suggestion
+ */
+function handshakeError(url, status) {
+  const request = { method: 'GET', url };
+  if (!status) {
+    return new NcurlError(`Could not open a WebSocket connection to ${url}`, {
+      suggestion:
+        'Check the host, port and scheme (ws:// or wss://), and that the server is running',
+      request,
+    });
+  }
+  return new NcurlError(
+    `WebSocket upgrade to ${url} was rejected with HTTP ${status} ${STATUS_CODES[status] || ''}`.trim(),
+    {
+      code: 'HTTP_ERROR',
+      suggestion:
+        status === 401 || status === 403
+          ? 'Check the credentials (bearer, user, apiKey or cookies)'
+          : 'The server must answer with 101 Switching Protocols - check the URL path',
+      request,
+      response: { status, statusText: STATUS_CODES[status], headers: {} },
+    },
+  );
+}
+
+/**
+ * Run a WebSocket session
+ * @param {string} url - ws://, wss:// or http(s):// URL
+ * @param {import('./index.js').HTTPOptions & WebSocketOptions} options - Command options
+ * @returns {Promise<WebSocketResult>} Session summary
+ * @throws {NcurlError} When the handshake fails, the session times out, or options are invalid
+ */
+export async function runWebSocket(url, options = {}) {
+  options = await applyProfile(options);
+  if (options.toCurl) {
+    throw new Error('--to-curl is not available for WebSocket sessions');
+  }
+
+  const target = toWebSocketUrl(url, options.baseUrl);
+  // Auth, cookies and the dispatcher work on the http(s) form of the URL
+  let httpUrl = target.replace(/^ws/i, 'http');
+  const headers = inferHeaders(options);
+  httpUrl = applyAuth(httpUrl, headers, options);
+  await applyCookies(httpUrl, headers, options);
+  const socketUrl = httpUrl.replace(/^http/i, 'ws');
+  const shownUrl = redactUrl(socketUrl, options);
+
+  const expectations = (options.expect || []).map(parseExpectation);
+  const matched = expectations.map(() => false);
+  const maxMessages = options.maxMessages ? parseInt(options.maxMessages) : Infinity;
+  const wait = options.wait !== undefined ? parseInt(options.wait) : DEFAULT_WAIT;
+  const messages = await loadMessages(options);
+  const input =
+    messages.length === 0 && options.stdin !== false ? options.stdin || process.stdin : null;
+  const interactive = Boolean(input?.isTTY);
+  const handshakeTimeout = options.timeout ? parseInt(options.timeout) : DEFAULT_TIMEOUT;
+  const sessionTimeout = options.timeout
+    ? parseInt(options.timeout)
+    : interactive
+      ? Infinity
+      : DEFAULT_TIMEOUT;
+
+  const transport = await createDispatcher(httpUrl, options);
+  const { dispatcher, handshake } = watchHandshake(transport.dispatcher);
+  const log = message => {
+    if (!options.silent) {
+      console.error(`[ncurl] ${message}`);
+    }
+  };
+  const toFile = options.output && options.output !== '-';
+  if (toFile) {
+    await fs.promises.writeFile(options.output, '');
+  }
+  const print = line => {
+    if (toFile) {
+      fs.appendFileSync(options.output, `${line}\n`);
+    } else {
+      console.log(line);
+    }
+  };
+
+  if (options.verbose) {
+    console.log(`[ncurl] Request: GET ${shownUrl} (WebSocket upgrade)`);
+    console.log(`[ncurl] Headers:`, redactHeaders(headers, options));
+  }
+
+  const summary = {
+    url: shownUrl,
+    protocol: '',
+    sent: 0,
+    received: 0,
+    closeCode: 1005,
+    closeReason: '',
+  };
+  let timedOut = false;
+
+  try {
+    await new Promise((resolve, reject) => {
+      const socket = new WebSocket(socketUrl, {
+        protocols: options.subprotocol || [],
+        headers,
+        dispatcher,
+      });
+      socket.binaryType = 'arraybuffer';
+
+      let opened = false;
+      let finished = false;
+      let reader;
+      let waitTimer;
+      let failure;
+      const timers = [];
+
+      const finish = () => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        socket.close(1000);
+      };
+      const expectationsMet = () => expectations.length > 0 && matched.every(Boolean);
+      const hasStopCondition = expectations.length > 0 || maxMessages !== Infinity;
+
+      const send = message => {
+        if (finished) {
+          return;
+        }
+        socket.send(message);
+        summary.sent += 1;
+        if (!interactive && !options.silent) {
+          print(formatFrame(message, '>'));
+        }
+      };
+      // Nothing left to send: close after --wait unless an --expect or --max-messages is pending
+      const inputDone = () => {
+        if (!hasStopCondition) {
+          waitTimer = setTimeout(finish, wait);
+          timers.push(waitTimer);
+        }
+      };
+
+      timers.push(
+        setTimeout(() => {
+          if (!opened) {
+            failure = new NcurlError(`WebSocket handshake timed out after ${handshakeTimeout}ms`, {
+              code: 'ETIMEDOUT',
+              suggestion: 'Check the URL, or increase the limit with --timeout',
+              request: { method: 'GET', url: shownUrl },
+            });
+            finished = true;
+            socket.close();
+          }
+        }, handshakeTimeout),
+      );
+      if (sessionTimeout !== Infinity) {
+        timers.push(
+          setTimeout(() => {
+            if (!finished) {
+              timedOut = true;
+              finish();
+            }
+          }, sessionTimeout),
+        );
+      }
+
+      socket.addEventListener('open', () => {
+        opened = true;
+        summary.protocol = socket.protocol;
+        const protocol = socket.protocol ? ` (subprotocol ${socket.protocol})` : '';
+        log(`Connected to ${shownUrl}${protocol}`);
+        if (messages.length) {
+          messages.forEach(send);
+          inputDone();
+        } else if (input) {
+          if (interactive) {
+            log('Type a message and press Enter to send it; Ctrl-D closes the connection');
+          }
+          reader = readline.createInterface({ input, terminal: false });
+          reader.on('line', line => {
+            if (line.trim()) {
+              clearTimeout(waitTimer);
+              send(line);
+            }
+          });
+          reader.on('close', () => (interactive ? finish() : inputDone()));
+        } else {
+          inputDone();
+        }
+      });
+
+      socket.addEventListener('message', event => {
+        const data =
+          typeof event.data === 'string' ? event.data : Buffer.from(new Uint8Array(event.data));
+        summary.received += 1;
+        print(formatFrame(data, '<'));
+        const text = typeof data === 'string' ? data : data.toString('utf8');
+        expectations.forEach((expectation, index) => {
+          matched[index] = matched[index] || expectation.test(text);
+        });
+        if (summary.received >= maxMessages || expectationsMet()) {
+          finish();
+        }
+      });
+
+      socket.addEventListener('close', event => {
+        timers.forEach(clearTimeout);
+        reader?.close();
+        summary.closeCode = event.code;
+        summary.closeReason = event.reason;
+        if (failure) {
+          reject(failure);
+          return;
+        }
+        if (!opened) {
+          reject(handshakeError(shownUrl, handshake.status));
+          return;
+        }
+        const reason = event.reason ? `: ${event.reason}` : '';
+        log(`Closed (code ${event.code}${reason})`);
+        resolve();
+      });
+    });
+  } finally {
+    await transport.close();
+  }
+
+  summary.assertions = expectations.map(({ assertion }, index) => ({
+    assertion,
+    passed: matched[index],
+    expected: 'a matching message',
+    actual: matched[index] ? 'matched' : `no match in ${summary.received} messages`,
+  }));
+
+  if (timedOut && !expectations.length && summary.received < maxMessages) {
+    throw new NcurlError(
+      `Timed out after ${sessionTimeout}ms with ${summary.received} of ${maxMessages} messages`,
+      {
+        code: 'ETIMEDOUT',
+        suggestion: 'Increase the limit with --timeout',
+        request: { method: 'GET', url: shownUrl },
+      },
+    );
+  }
+  return summary;
+}
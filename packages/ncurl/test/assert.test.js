@@ -0,0 +1,151 @@
+import { describe, it, expect, jest, beforeAll, afterAll, afterEach } from '@jest/globals';
+import http from 'http';
+import {
+  evaluateAssertions,
+  formatAssertionReport,
+  hasAssertions,
+  validateAssertions,
+} from '../src/assert.js';
+import { main } from '../src/index.js';
+
+const RESULT = {
+  method: 'GET',
+  status: 200,
+  headers: { 'content-type': 'application/json; charset=utf-8', etag: '"v1"' },
+  data: { data: [{ id: 1, name: 'Ada' }], total: 1, ok: true },
+  duration: 120,
+};
+
+const passed = options => evaluateAssertions(RESULT, options).map(result => result.passed);
+
+describe('evaluateAssertions', () => {
+  it('should match exact and class status codes', () => {
+    expect(passed({ expectStatus: '2xx' })).toEqual([true]);
+    expect(passed({ expectStatus: '201,3xx' })).toEqual([false]);
+    expect(passed({ expectStatus: '200' })).toEqual([true]);
+    expect(() => passed({ expectStatus: 'ok' })).toThrow('Invalid --expect-status');
+  });
+
+  it('should check header presence, absence, value and pattern', () => {
+    expect(
+      passed({
+        expectHeader: ['ETag', '!x-debug', 'etag="v1"', 'content-type~json', 'content-type~xml'],
+      }),
+    ).toEqual([true, true, true, true, false]);
+  });
+
+  it('should compare JSON paths', () => {
+    expect(
+      passed({
+        expectJson: [
+          '$.data.length > 0',
+          '$.data[0].name == "Ada"',
+          "$.data[0].name == 'Ada'",
+          '$.total >= 2',
+          '$.ok',
+          '$.missing != null',
+          '$.data[0].name ~ ^A',
+        ],
+      }),
+    ).toEqual([true, true, true, false, true, false, true]);
+    expect(() => passed({ expectJson: ['$.data[0].name ~ ('] })).toThrow(
+      'Invalid pattern in --expect-json "$.data[0].name ~ ("',
+    );
+  });
+
+  it('should fail JSON assertions on non-JSON bodies', () => {
+    const [result] = evaluateAssertions({ ...RESULT, data: '<html>' }, { expectJson: ['$.ok'] });
+
+    expect(result).toMatchObject({ passed: false, expected: 'a JSON response' });
+  });
+
+  it('should check the response time', () => {
+    expect(passed({ expectTime: '200' })).toEqual([true]);
+    expect(passed({ expectTime: '100' })).toEqual([false]);
+  });
+});
+
+describe('formatAssertionReport', () => {
+  it('should show expected and actual values for failures', () => {
+    const report = formatAssertionReport(
+      evaluateAssertions(RESULT, { expectStatus: '2xx', expectJson: ['$.total == 3'] }),
+    );
+
+    expect(report).toBe(
+      [
+        '✓ status 2xx',
+        '✗ json $.total == 3',
+        '    expected: == 3',
+        '    actual:   1',
+        '1 of 2 assertions failed',
+      ].join('\n'),
+    );
+  });
+});
+
+describe('hasAssertions', () => {
+  it('should ignore empty assertion lists', () => {
+    expect(hasAssertions({ expectHeader: [] })).toBe(false);
+    expect(hasAssertions({ expectTime: '500' })).toBe(true);
+  });
+});
+
+describe('validateAssertions', () => {
+  it('should reject malformed assertions', () => {
+    expect(() => validateAssertions({ expectStatus: '2xx,abc' })).toThrow(
+      'Invalid --expect-status "abc"',
+    );
+    expect(() => validateAssertions({ expectHeader: ['etag~('] })).toThrow(
+      'Invalid --expect-header pattern',
+    );
+    expect(() => validateAssertions({ expectJson: ['data > 1'] })).toThrow('Invalid --expect-json');
+    expect(() => validateAssertions({ expectTime: 'soon' })).toThrow('Invalid --expect-time');
+  });
+
+  it('should accept well-formed assertions', () => {
+    expect(() =>
+      validateAssertions({
+        expectStatus: '200,3xx',
+        expectHeader: ['!x-debug', 'etag=a~b', 'content-type~json'],
+        expectJson: ['$.ok', '$.name ~ ^A'],
+        expectTime: '500',
+      }),
+    ).not.toThrow();
+  });
+});
+
+describe('main with malformed assertions', () => {
+  let server;
+  let requests = 0;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests++;
+      res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should fail before sending the request', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await main({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      method: 'POST',
+      data: 'x',
+      expectTime: 'soon',
+      silent: true,
+    });
+
+    expect(requests).toBe(0);
+    expect(exit).toHaveBeenCalledWith(1);
+    expect(error.mock.calls[0][0]).toContain('Invalid --expect-time "soon"');
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, afterEach, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {
+  applyAuth,
+  collectSecrets,
+  createDigestAuthorization,
+  getDigestChallenge,
+  parseApiKey,
+  parseDigestChallenge,
+  redactHeaders,
+  redactText,
+  redactUrl,
+} from '../src/auth.js';
+import { main } from '../src/index.js';
+
+const md5 = value => crypto.createHash('md5').update(value).digest('hex');
+
+describe('applyAuth', () => {
+  afterEach(() => {
+    delete process.env.NCURL_TEST_TOKEN;
+  });
+
+  it('should add Basic credentials from --user', () => {
+    const headers = {};
+    applyAuth('https://api.example.com', headers, { user: 'john:secret' });
+
+    expect(headers.authorization).toBe(`Basic ${Buffer.from('john:secret').toString('base64')}`);
+  });
+
+  it('should read bearer tokens from the environment', () => {
+    process.env.NCURL_TEST_TOKEN = 'abc-123';
+    const headers = {};
+    applyAuth('https://api.example.com', headers, { bearer: 'env:NCURL_TEST_TOKEN' });
+
+    expect(headers.authorization).toBe('Bearer abc-123');
+  });
+
+  it('should fail when the referenced environment variable is missing', () => {
+    expect(() =>
+      applyAuth('https://api.example.com', {}, { bearer: 'env:NCURL_TEST_TOKEN' }),
+    ).toThrow('NCURL_TEST_TOKEN is not set');
+  });
+
+  it('should never override an explicit authorization header', () => {
+    const headers = { Authorization: 'Token custom' };
+    applyAuth('https://api.example.com', headers, { bearer: 'abc' });
+
+    expect(headers).toEqual({ Authorization: 'Token custom' });
+  });
+
+  it('should not send Basic credentials in Digest mode', () => {
+    const headers = {};
+    applyAuth('https://api.example.com', headers, { user: 'john:secret', digest: true });
+
+    expect(headers.authorization).toBeUndefined();
+  });
+
+  it('should place API keys in headers or the query string', () => {
+    const headers = {};
+    expect(applyAuth('https://api.example.com/a', headers, { apiKey: 'X-API-Key=k1' })).toBe(
+      'https://api.example.com/a',
+    );
+    expect(headers['X-API-Key']).toBe('k1');
+
+    expect(applyAuth('https://api.example.com/a?b=1', {}, { apiKey: 'query:api_key=k2' })).toBe(
+      'https://api.example.com/a?b=1&api_key=k2',
+    );
+  });
+});
+
+describe('parseApiKey', () => {
+  it('should reject specs without a value', () => {
+    expect(() => parseApiKey('query:api_key')).toThrow('Invalid --api-key value');
+  });
+});
+
+describe('redaction', () => {
+  const options = { user: 'john:secret', apiKey: 'query:api_key=key-999' };
+
+  it('should redact credential headers but keep the scheme', () => {
+    expect(
+      redactHeaders({ authorization: 'Basic am9objpzZWNyZXQ=', accept: 'application/json' }),
+    ).toEqual({ authorization: 'Basic [REDACTED]', accept: 'application/json' });
+  });
+
+  it('should redact the API key query parameter', () => {
+    expect(redactUrl('https://api.example.com/?api_key=key-999', options)).toBe(
+      'https://api.example.com/?api_key=[REDACTED]',
+    );
+  });
+
+  it('should scrub secret values from text', () => {
+    const text = '{"auth":"Basic am9objpzZWNyZXQ=","key":"key-999"}';
+
+    expect(redactText(text, collectSecrets(options))).toBe(
+      '{"auth":"Basic [REDACTED]","key":"[REDACTED]"}',
+    );
+  });
+});
+
+describe('Digest authentication', () => {
+  it('should parse challenges', () => {
+    expect(
+      parseDigestChallenge('Digest realm="api", qop="auth,auth-int", nonce="n1", opaque="o1"'),
+    ).toEqual({ realm: 'api', qop: 'auth,auth-int', nonce: 'n1', opaque: 'o1' });
+    expect(parseDigestChallenge('Basic realm="api"')).toBeNull();
+  });
+
+  it('should compute the RFC 7616 response', () => {
+    const challenge = { realm: 'api', nonce: 'n1', qop: 'auth', opaque: 'o1' };
+    const header = createDigestAuthorization(challenge, {
+      method: 'GET',
+      url: 'https://api.example.com/items?page=2',
+      username: 'john',
+      password: 'secret',
+      cnonce: 'c1',
+    });
+
+    const ha1 = md5('john:api:secret');
+    const ha2 = md5('GET:/items?page=2');
+    const expected = md5(`${ha1}:n1:00000001:c1:auth:${ha2}`);
+
+    expect(header).toBe(
+      `Digest username="john", realm="api", nonce="n1", uri="/items?page=2", algorithm=MD5, ` +
+        `response="${expected}", qop=auth, nc=00000001, cnonce="c1", opaque="o1"`,
+    );
+  });
+
+  it('should only answer challenges for --digest without an explicit header', () => {
+    const challenge = { 'www-authenticate': 'Digest realm="api", nonce="n1"' };
+    const options = { user: 'john:secret', digest: true };
+    expect(getDigestChallenge(401, challenge, {}, options)).toMatchObject({ realm: 'api' });
+    expect(getDigestChallenge(401, challenge, {}, { user: 'john:secret' })).toBeNull();
+    expect(
+      getDigestChallenge(401, challenge, { Authorization: 'Basic am9objpzZWNyZXQ=' }, options),
+    ).toBeNull();
+  });
+});
+
+describe('Digest with retries and saved responses', () => {
+  let server;
+  let baseUrl;
+  let dir;
+  let nonce = 0;
+  const received = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const answered = (req.headers.authorization || '').match(/nonce="(n\d+)"/)?.[1];
+      received.push(answered || 'none');
+      if (!answered || answered !== `n${nonce}`) {
+        nonce += 1;
+        res.writeHead(401, { 'www-authenticate': `Digest realm="api", nonce="n${nonce}"` });
+        res.end();
+      } else if (nonce === 1) {
+        res.writeHead(503);
+        res.end();
+      } else {
+        res.writeHead(200, { 'content-type': 'text/plain' });
+        res.end('password is secret');
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-auth-'));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should answer a fresh challenge on every attempt and save the body as received', async () => {
+    const output = path.join(dir, 'body.txt');
+    await main({
+      url: `${baseUrl}/me`,
+      user: 'john:secret',
+      digest: true,
+      retry: '1',
+      retryDelay: '0',
+      output,
+      silent: true,
+    });
+
+    expect(received).toEqual(['none', 'n1', 'none', 'n2']);
+    expect(fs.readFileSync(output, 'utf8')).toBe('password is secret');
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import {
+  formatBatchLine,
+  formatBatchSummary,
+  parseBatchFile,
+  parseCsvLine,
+  parseRate,
+  runBatch,
+} from '../src/batch.js';
+
+describe('parseBatchFile', () => {
+  it('should read URL lists with optional methods and NDJSON specs', () => {
+    const specs = parseBatchFile(
+      [
+        '# health checks',
+        'https://api.io/health',
+        '',
+        'delete https://api.io/users/9',
+        '{"id": "u1", "url": "/users/1", "method": "patch", "data": {"name": "x"}, "extra": 1}',
+      ].join('\n'),
+    );
+    expect(specs).toEqual([
+      { line: 2, url: 'https://api.io/health' },
+      { line: 4, method: 'DELETE', url: 'https://api.io/users/9' },
+      { line: 5, id: 'u1', url: '/users/1', method: 'PATCH', data: { name: 'x' } },
+    ]);
+  });
+
+  it('should read CSV files with a url column', () => {
+    expect(
+      parseBatchFile('id,url,method\na,https://api.io/a,\nb,"https://api.io/b?x=1,2",POST'),
+    ).toEqual([
+      { line: 2, id: 'a', url: 'https://api.io/a' },
+      { line: 3, id: 'b', url: 'https://api.io/b?x=1,2', method: 'POST' },
+    ]);
+  });
+
+  it('should report the line of malformed entries', () => {
+    expect(() => parseBatchFile('https://api.io\n{"url": ')).toThrow('Batch line 2');
+    expect(() => parseBatchFile('{"method": "GET"}')).toThrow('Batch line 1: missing "url"');
+  });
+});
+
+describe('parseCsvLine', () => {
+  it('should handle quoted fields', () => {
+    expect(parseCsvLine('a, "b,c" ,"say ""hi"""')).toEqual(['a', 'b,c', 'say "hi"']);
+  });
+});
+
+describe('parseRate', () => {
+  it('should convert rates to requests per second', () => {
+    expect(parseRate('10/s')).toBe(10);
+    expect(parseRate('120/m')).toBe(2);
+    expect(parseRate('4')).toBe(4);
+    expect(parseRate(undefined)).toBe(Infinity);
+    expect(() => parseRate('fast')).toThrow('Invalid --rate');
+  });
+});
+
+describe('formatBatchLine', () => {
+  const result = {
+    index: 1,
+    line: 3,
+    id: 'u1',
+    method: 'GET',
+    url: 'https://api.io/a',
+    status: 200,
+    time: 42,
+    size: 10,
+    ok: true,
+  };
+
+  it('should print text or JSON lines', () => {
+    expect(formatBatchLine(result)).toBe('200      42ms  [u1] GET https://api.io/a');
+    expect(JSON.parse(formatBatchLine(result, { ndjson: true }))).toEqual({
+      index: 1,
+      line: 3,
+      id: 'u1',
+      method: 'GET',
+      url: 'https://api.io/a',
+      status: 200,
+      time: 42,
+      size: 10,
+    });
+  });
+
+  it('should summarize status counts', () => {
+    expect(
+      formatBatchSummary({
+        total: 3,
+        ok: 1,
+        failed: 2,
+        statuses: { 404: 1, 200: 1, ECONNREFUSED: 1 },
+        duration: 1250,
+      }),
+    ).toBe('[ncurl] Batch: 3 requests, 1 ok, 2 failed in 1.3s (200: 1, 404: 1, ECONNREFUSED: 1)');
+  });
+});
+
+describe('runBatch', () => {
+  let server;
+  let baseUrl;
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const sockets = new Set();
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      sockets.add(req.socket);
+      setTimeout(() => {
+        inFlight -= 1;
+        res.writeHead(req.url === '/missing' ? 404 : 200, { 'content-type': 'text/plain' });
+        res.end(req.method);
+      }, 20);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should run requests within the concurrency limit and report failures', async () => {
+    const specs = [
+      ...Array.from({ length: 6 }, (_, i) => ({ line: i + 1, url: `${baseUrl}/ok/${i}` })),
+      { line: 7, url: `${baseUrl}/missing`, method: 'DELETE' },
+      { line: 8, url: 'http://127.0.0.1:1/refused' },
+    ];
+    const seen = [];
+    const { results, summary } = await runBatch(specs, {
+      concurrency: 2,
+      onResult: result => seen.push(result.index),
+    });
+    expect(maxInFlight).toBeLessThanOrEqual(2);
+    expect(seen.sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(results[6]).toMatchObject({ method: 'DELETE', status: 404, ok: false });
+    expect(results[7]).toMatchObject({ code: 'ECONNREFUSED', ok: false });
+    expect(summary).toMatchObject({
+      total: 8,
+      ok: 6,
+      failed: 2,
+      statuses: { 200: 6, 404: 1, ECONNREFUSED: 1 },
+    });
+    // Keep-alive connections are reused instead of opening one per request
+    expect(sockets.size).toBeLessThan(7);
+  });
+
+  it('should space out request starts with --rate', async () => {
+    const started = Date.now();
+    const specs = Array.from({ length: 3 }, (_, i) => ({ line: i + 1, url: `${baseUrl}/r${i}` }));
+    await runBatch(specs, { concurrency: 3, rate: '20/s' });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveBody, inferContentType } from '../src/body.js';
+
+describe('resolveBody', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-body-'));
+    fs.writeFileSync(path.join(dir, 'payload.json'), '{\n  "name": "John"\n}\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should return an empty payload without data', async () => {
+    expect(await resolveBody({})).toEqual({});
+  });
+
+  it('should send inline strings as-is', async () => {
+    expect(await resolveBody({ data: 'name=John' })).toEqual({ body: 'name=John' });
+  });
+
+  it('should serialise object data to JSON', async () => {
+    expect(await resolveBody({ data: { name: 'John' } })).toEqual({ body: '{"name":"John"}' });
+  });
+
+  it('should read @file and strip newlines for --data', async () => {
+    const payload = await resolveBody({ data: `@${path.join(dir, 'payload.json')}` });
+
+    expect(payload.body).toBe('{  "name": "John"}');
+    expect(payload.contentType).toBe('application/json');
+  });
+
+  it('should keep file bytes untouched for --data-binary', async () => {
+    const payload = await resolveBody({ dataBinary: `@${path.join(dir, 'payload.json')}` });
+
+    expect(Buffer.isBuffer(payload.body)).toBe(true);
+    expect(payload.body.toString()).toBe('{\n  "name": "John"\n}\n');
+    expect(payload.length).toBe(21);
+    expect(payload.description).toContain('21 bytes');
+  });
+
+  it('should reject missing files', async () => {
+    await expect(resolveBody({ data: `@${path.join(dir, 'missing.txt')}` })).rejects.toThrow(
+      'ENOENT',
+    );
+  });
+});
+
+describe('inferContentType', () => {
+  it('should map known extensions', () => {
+    expect(inferContentType('photo.PNG')).toBe('image/png');
+    expect(inferContentType('data.csv')).toBe('text/csv');
+  });
+
+  it('should return undefined for unknown extensions', () => {
+    expect(inferContentType('archive.bin')).toBeUndefined();
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {
+  getFreshnessLifetime,
+  isStorable,
+  lookupCache,
+  parseCacheControl,
+  storeResponse,
+} from '../src/cache.js';
+import { executeRequest } from '../src/index.js';
+
+describe('parseCacheControl', () => {
+  it('should parse directives with and without values', () => {
+    expect(parseCacheControl('public, max-age=60, no-cache="set-cookie"')).toEqual({
+      public: true,
+      'max-age': '60',
+      'no-cache': 'set-cookie',
+    });
+    expect(parseCacheControl(undefined)).toEqual({});
+  });
+});
+
+describe('freshness and storability', () => {
+  it('should use max-age unless the response must be revalidated', () => {
+    expect(getFreshnessLifetime({ 'cache-control': 'max-age=60' })).toBe(60);
+    expect(getFreshnessLifetime({ 'cache-control': 'no-cache, max-age=60' })).toBe(0);
+    expect(getFreshnessLifetime({ etag: '"v1"' })).toBe(0);
+  });
+
+  it('should store 200 responses with a lifetime or a validator', () => {
+    expect(isStorable(200, { etag: '"v1"' })).toBe(true);
+    expect(isStorable(200, { 'cache-control': 'max-age=5' })).toBe(true);
+    expect(isStorable(200, {})).toBe(false);
+    expect(isStorable(404, { etag: '"v1"' })).toBe(false);
+    expect(isStorable(200, { etag: '"v1"', 'cache-control': 'no-store' })).toBe(false);
+    expect(isStorable(200, { etag: '"v1"', vary: '*' })).toBe(false);
+  });
+});
+
+describe('lookupCache', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-cache-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should match Vary variants and expire entries after max-age', async () => {
+    const options = { cacheDir: dir };
+    const url = 'https://api.io/report';
+    const { file } = await lookupCache('GET', url, {}, options);
+    const response = body => ({
+      status: 200,
+      headers: { 'cache-control': 'max-age=60', vary: 'Accept-Language' },
+      body: Buffer.from(body),
+    });
+    await storeResponse(file, { 'accept-language': 'en' }, response('hello'), 0);
+    await storeResponse(file, { 'Accept-Language': 'de' }, response('hallo'), 0);
+
+    const german = await lookupCache('GET', url, { 'accept-language': 'de' }, options, 30_000);
+    expect(Buffer.from(german.entry.body, 'base64').toString()).toBe('hallo');
+    expect(german).toMatchObject({ fresh: true, age: 30 });
+    expect((await lookupCache('GET', url, { 'accept-language': 'fr' }, options)).entry).toBeNull();
+
+    const stale = await lookupCache('GET', url, { 'accept-language': 'en' }, options, 61_000);
+    expect(stale).toMatchObject({ fresh: false, age: 61 });
+    const forced = await lookupCache(
+      'GET',
+      url,
+      { 'accept-language': 'en', 'cache-control': 'no-cache' },
+      options,
+      0,
+    );
+    expect(forced.fresh).toBe(false);
+    expect(await lookupCache('GET', url, { 'cache-control': 'no-store' }, options)).toBeNull();
+  });
+});
+
+describe('executeRequest with --cache', () => {
+  let server;
+  let baseUrl;
+  let dir;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+      if (req.url === '/fresh' || req.url === '/private') {
+        res.writeHead(200, { 'content-type': 'application/json', 'cache-control': 'max-age=60' });
+        res.end(JSON.stringify({ n: requests.length }));
+        return;
+      }
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304, { etag: '"v1"' });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'application/json', etag: '"v1"' });
+      res.end(JSON.stringify({ report: 'slow' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-cache-'));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should serve fresh responses without a request', async () => {
+    const options = { url: `${baseUrl}/fresh`, cacheDir: dir, silent: true };
+    const first = await executeRequest(options);
+    const second = await executeRequest(options);
+    expect(first.fromCache).toBeUndefined();
+    expect(second).toMatchObject({ status: 200, data: { n: 1 }, fromCache: true });
+    expect(requests.filter(request => request.url === '/fresh')).toHaveLength(1);
+  });
+
+  it('should revalidate with If-None-Match and use the cached body on 304', async () => {
+    const options = { url: `${baseUrl}/report`, cache: true, cacheDir: dir, silent: true };
+    await executeRequest(options);
+    const result = await executeRequest(options);
+    expect(result).toMatchObject({ status: 200, data: { report: 'slow' }, fromCache: true });
+    expect(requests.filter(request => request.url === '/report')).toEqual([
+      { url: '/report', ifNoneMatch: undefined },
+      { url: '/report', ifNoneMatch: '"v1"' },
+    ]);
+  });
+
+  it('should not cache unsafe methods', async () => {
+    const before = requests.length;
+    await executeRequest({ url: `${baseUrl}/fresh`, method: 'POST', cacheDir: dir, silent: true });
+    expect(requests.length).toBe(before + 1);
+  });
+
+  it('should keep responses for different credentials apart', async () => {
+    const options = { url: `${baseUrl}/private`, cacheDir: dir, silent: true };
+    const alice = await executeRequest({ ...options, bearer: 'alice-token' });
+    const bob = await executeRequest({ ...options, bearer: 'bob-token' });
+    const session = await executeRequest({ ...options, cookie: ['sid=carol'] });
+    const again = await executeRequest({ ...options, bearer: 'alice-token' });
+
+    expect(bob.fromCache).toBeUndefined();
+    expect(session.fromCache).toBeUndefined();
+    expect(again).toMatchObject({ data: alice.data, fromCache: true });
+    expect(requests.filter(request => request.url === '/private')).toHaveLength(3);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import { createClient, mergeOptions } from '../src/client.js';
+import { NcurlError, formatError } from '../src/errors.js';
+
+describe('mergeOptions', () => {
+  it('should merge headers and let per-call options win', () => {
+    expect(
+      mergeOptions(
+        { baseUrl: 'https://api.io', timeout: 5000, headers: { a: '1', b: '1' } },
+        { timeout: 100, headers: { b: '2' } },
+      ),
+    ).toEqual({
+      silent: true,
+      baseUrl: 'https://api.io',
+      timeout: 100,
+      headers: { a: '1', b: '2' },
+    });
+  });
+});
+
+describe('createClient', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        res.writeHead(req.url === '/api/missing' ? 404 : 200, {
+          'content-type': 'application/json',
+        });
+        res.end(
+          JSON.stringify({ method: req.method, url: req.url, team: req.headers['x-team'], body }),
+        );
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should return results with client defaults applied', async () => {
+    const client = createClient({ baseUrl, headers: { 'x-team': 'payments' } });
+
+    const result = await client.get('/users');
+    expect(result.status).toBe(200);
+    expect(result.data).toEqual({ method: 'GET', url: '/api/users', team: 'payments', body: '' });
+    expect(result.timings.total).toBeGreaterThanOrEqual(0);
+
+    const created = await client.post('/users', { data: { name: 'John' } });
+    expect(created.data).toMatchObject({ method: 'POST', body: '{"name":"John"}' });
+  });
+
+  it('should return 4xx results unless throwHttpErrors is set', async () => {
+    const client = createClient({ baseUrl });
+    expect((await client.get('/missing')).status).toBe(404);
+
+    const error = await client.get('/missing', { throwHttpErrors: true }).catch(e => e);
+    expect(error).toBeInstanceOf(NcurlError);
+    expect(error).toMatchObject({
+      code: 'HTTP_ERROR',
+      request: { method: 'GET' },
+      response: { status: 404, data: { url: '/api/missing' } },
+    });
+  });
+
+  it('should throw structured errors for network failures', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const error = await createClient()
+      .request({ url: `http://127.0.0.1:${port}/health` })
+      .catch(e => e);
+    expect(error).toBeInstanceOf(NcurlError);
+    expect(error.code).toBe('ECONNREFUSED');
+    expect(error.suggestion).toMatch(/not accepting connections/);
+    expect(error.request).toMatchObject({ method: 'GET', url: `http://127.0.0.1:${port}/health` });
+    expect(formatError(error)).toContain('\n[suggestion] ');
+  });
+});
@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { CookieJar, applyCookies, parseCookieOption, parseSetCookie } from '../src/cookies.js';
+import { executeRequest } from '../src/index.js';
+
+const NOW = Date.parse('2026-10-19T10:00:00Z');
+
+describe('parseSetCookie', () => {
+  it('should default to a host-only cookie on the request directory', () => {
+    expect(parseSetCookie('sid=abc; HttpOnly', 'https://api.example.com/auth/login')).toEqual({
+      name: 'sid',
+      value: 'abc',
+      domain: 'api.example.com',
+      hostOnly: true,
+      path: '/auth',
+      secure: false,
+      httpOnly: true,
+      expires: 0,
+    });
+  });
+
+  it('should prefer Max-Age over Expires', () => {
+    const cookie = parseSetCookie(
+      'a=1; Expires=Wed, 21 Oct 2037 07:28:00 GMT; Max-Age=60',
+      'https://example.com/',
+      NOW,
+    );
+
+    expect(cookie.expires).toBe(NOW / 1000 + 60);
+  });
+
+  it('should reject cookies for foreign domains', () => {
+    expect(parseSetCookie('a=1; Domain=evil.com', 'https://example.com/')).toBeNull();
+  });
+
+  it('should reject public suffix domains and Domain on IP hosts', () => {
+    expect(parseSetCookie('a=1; Domain=com', 'https://example.com/')).toBeNull();
+    expect(parseSetCookie('a=1; Domain=co.uk', 'https://shop.co.uk/')).toBeNull();
+    expect(parseSetCookie('a=1; Domain=0.0.1', 'http://10.0.0.1/')).toBeNull();
+    expect(parseSetCookie('a=1; Domain=10.0.0.1', 'http://10.0.0.1/')).toMatchObject({
+      domain: '10.0.0.1',
+      hostOnly: true,
+    });
+    expect(parseSetCookie('a=1; Domain=localhost', 'http://localhost/')).toMatchObject({
+      hostOnly: true,
+    });
+  });
+});
+
+describe('CookieJar', () => {
+  it('should match domain, path, expiry and secure attributes', () => {
+    const jar = new CookieJar();
+    jar.setCookies(
+      [
+        'root=1; Path=/',
+        'api=2; Path=/api',
+        'wide=3; Domain=example.com; Path=/',
+        'secure=4; Path=/; Secure',
+        'old=5; Path=/; Max-Age=0',
+      ],
+      'https://www.example.com/login',
+      NOW,
+    );
+
+    const names = url => jar.getCookies(url, NOW).map(cookie => cookie.name);
+
+    expect(names('https://www.example.com/api/users')).toEqual(['api', 'root', 'wide', 'secure']);
+    expect(names('http://www.example.com/apix')).toEqual(['root', 'wide']);
+    expect(names('https://cdn.example.com/')).toEqual(['wide']);
+  });
+
+  it('should replace cookies with the same name, domain and path', () => {
+    const jar = new CookieJar();
+    jar.setCookies('sid=old; Path=/', 'https://example.com/', NOW);
+    jar.setCookies('sid=new; Path=/', 'https://example.com/', NOW);
+
+    expect(jar.getCookieHeader('https://example.com/')).toBe('sid=new');
+  });
+
+  describe('persistence', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-cookies-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should round-trip the Netscape format', async () => {
+      const file = path.join(dir, 'cookies.txt');
+      const jar = new CookieJar();
+      jar.setCookies(
+        ['sid=abc; Path=/; HttpOnly', 'wide=1; Domain=example.com'],
+        'https://example.com/',
+      );
+      await jar.save(file);
+
+      const content = fs.readFileSync(file, 'utf8');
+      expect(content).toContain('#HttpOnly_example.com\tFALSE\t/\tFALSE\t0\tsid\tabc');
+      expect(content).toContain('.example.com\tTRUE\t/\tFALSE\t0\twide\t1');
+
+      const loaded = await CookieJar.load(file);
+      expect(loaded.cookies).toEqual(jar.cookies);
+    });
+
+    it('should round-trip the JSON format', async () => {
+      const file = path.join(dir, 'cookies.json');
+      const jar = await CookieJar.load(file);
+      jar.setCookies('sid=abc', 'https://example.com/');
+      await jar.save(file);
+
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))[0]).toMatchObject({ name: 'sid' });
+      expect((await CookieJar.load(file)).getCookieHeader('https://example.com/')).toBe('sid=abc');
+    });
+  });
+});
+
+describe('applyCookies', () => {
+  it('should send ad-hoc cookies', async () => {
+    const headers = {};
+    await applyCookies('https://example.com/', headers, { cookie: ['a=1; b=2', 'c=3'] });
+
+    expect(headers.cookie).toBe('a=1; b=2; c=3');
+  });
+
+  it('should leave an explicit cookie header alone', async () => {
+    const headers = { Cookie: 'x=1' };
+    await applyCookies('https://example.com/', headers, { cookie: ['a=1'] });
+
+    expect(headers).toEqual({ Cookie: 'x=1' });
+  });
+});
+
+describe('parseCookieOption', () => {
+  it('should ignore values without a name', () => {
+    expect(parseCookieOption(['flag', 'a=b=c'])).toEqual([{ name: 'a', value: 'b=c' }]);
+  });
+});
+
+describe('cookies across redirects', () => {
+  let server;
+  let port;
+  let dir;
+  const received = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      received.push(
+        `${req.method} ${req.headers.host.split(':')[0]}${req.url} ${req.headers.cookie}`,
+      );
+      if (req.url === '/login') {
+        res.writeHead(302, { location: '/home', 'set-cookie': 'sid=abc; Path=/' });
+      } else if (req.url === '/home') {
+        res.writeHead(302, { location: `http://localhost:${port}/away` });
+      } else {
+        res.writeHead(200, { 'set-cookie': `seen=${req.headers.authorization ? 'auth' : 'none'}` });
+      }
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-redirect-'));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should keep cookies from every hop under the host that set them', async () => {
+    const cookieJar = path.join(dir, 'cookies.txt');
+    const result = await executeRequest({
+      url: `http://127.0.0.1:${port}/login`,
+      method: 'POST',
+      data: { user: 'ann' },
+      bearer: 'secret',
+      cookieJar,
+      silent: true,
+    });
+
+    expect(result.status).toBe(200);
+    expect(received).toEqual([
+      'POST 127.0.0.1/login undefined',
+      'GET 127.0.0.1/home sid=abc',
+      'GET localhost/away undefined',
+    ]);
+    const jar = await CookieJar.load(cookieJar);
+    expect(jar.getCookieHeader(`http://127.0.0.1:${port}/`)).toBe('sid=abc');
+    expect(jar.getCookieHeader(`http://localhost:${port}/`)).toBe('seen=none');
+  });
+
+  it('should send a cookie file without writing to it', async () => {
+    const cookieFile = path.join(dir, 'read-only.txt');
+    const content = CookieJar.toNetscape([
+      {
+        name: 'token',
+        value: 't1',
+        domain: '127.0.0.1',
+        hostOnly: true,
+        path: '/',
+        secure: false,
+        httpOnly: false,
+        expires: 0,
+      },
+    ]);
+    fs.writeFileSync(cookieFile, content);
+    received.length = 0;
+
+    const result = await executeRequest({
+      url: `http://127.0.0.1:${port}/login`,
+      cookieFile,
+      silent: true,
+    });
+
+    expect(result.status).toBe(200);
+    expect(received.slice(0, 2)).toEqual([
+      'GET 127.0.0.1/login token=t1',
+      'GET 127.0.0.1/home token=t1; sid=abc',
+    ]);
+    expect(fs.readFileSync(cookieFile, 'utf8')).toBe(content);
+  });
+});
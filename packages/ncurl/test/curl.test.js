@@ -0,0 +1,175 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseCurlCommand,
+  shellQuote,
+  toCurlCommand,
+  toNcurlCommand,
+  tokenizeShell,
+} from '../src/curl.js';
+import { resolveBody } from '../src/body.js';
+
+describe('tokenizeShell', () => {
+  it('should honor quotes, escapes and line continuations', () => {
+    const command = `curl 'https://a.io/x' \\\n  -H "X-Name: \\"q\\"" -d $'it\\'s\\n' plain\\ word`;
+
+    expect(tokenizeShell(command)).toEqual([
+      'curl',
+      'https://a.io/x',
+      '-H',
+      'X-Name: "q"',
+      '-d',
+      "it's\n",
+      'plain word',
+    ]);
+  });
+
+  it('should reject unterminated quotes', () => {
+    expect(() => tokenizeShell(`curl 'https://a.io`)).toThrow('Unterminated single quote');
+  });
+});
+
+describe('parseCurlCommand', () => {
+  it('should map a devtools copy to ncurl options', () => {
+    const { options, ignored } = parseCurlCommand(
+      `curl 'https://api.example.com/users' -H 'accept: application/json' --data-raw '{"name":"John"}' --compressed --fail`,
+    );
+
+    expect(options).toEqual({
+      url: 'https://api.example.com/users',
+      header: ['accept: application/json'],
+      dataRaw: '{"name":"John"}',
+      compressed: true,
+      redirect: false,
+    });
+    expect(ignored).toEqual(['--fail']);
+  });
+
+  it('should map proxy and TLS flags', () => {
+    const { options, ignored } = parseCurlCommand(
+      'curl -x http://proxy:3128 --cacert ca.pem -E client.pem --key key.pem -k --resolve a.io:443:10.0.0.1 https://a.io',
+    );
+
+    expect(options).toMatchObject({
+      proxy: 'http://proxy:3128',
+      cacert: 'ca.pem',
+      cert: 'client.pem',
+      key: 'key.pem',
+      insecure: true,
+      resolve: ['a.io:443:10.0.0.1'],
+    });
+    expect(ignored).toEqual([]);
+    expect(toCurlCommand({ ...options, method: 'GET' })).toBe(
+      'curl --proxy http://proxy:3128 --cacert ca.pem --cert client.pem --key key.pem -k --resolve a.io:443:10.0.0.1 https://a.io',
+    );
+  });
+
+  it('should expand clustered and attached short flags', () => {
+    const { options } = parseCurlCommand(['curl', '-sSLXPUT', '-uuser:pw', 'example.com']);
+
+    expect(options).toMatchObject({
+      silent: true,
+      redirect: true,
+      method: 'PUT',
+      user: 'user:pw',
+      url: 'example.com',
+    });
+  });
+
+  it('should join repeated data values like curl', () => {
+    const { options } = parseCurlCommand(`curl https://a.io -d a=1 --data-urlencode 'b=x y'`);
+
+    expect(options.dataRaw).toBe('a=1&b=x%20y');
+  });
+
+  it('should move data into the query string with -G', () => {
+    const { options } = parseCurlCommand(`curl -G https://a.io/search?x=1 -d q=hello`);
+
+    expect(options.url).toBe('https://a.io/search?x=1&q=hello');
+    expect(options.method).toBe('GET');
+  });
+
+  it('should distinguish cookie values from cookie files', () => {
+    const { options } = parseCurlCommand(
+      `curl https://a.io -b 'a=1' -b in.txt -c out.txt -A bot -m 2.5`,
+    );
+
+    expect(options).toMatchObject({
+      cookie: ['a=1'],
+      cookieFile: 'in.txt',
+      cookieJar: 'out.txt',
+      header: ['user-agent: bot'],
+      timeout: '2500',
+    });
+  });
+
+  it('should send --form-string values as text without reading files', async () => {
+    const { options } = parseCurlCommand(`curl https://a.io --form-string 'x=@/etc/passwd'`);
+
+    expect(options.form).toBeUndefined();
+    expect(options.formString).toEqual(['x=@/etc/passwd']);
+
+    const payload = await resolveBody(options);
+    const chunks = [];
+    for await (const chunk of payload.body) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks).toString('utf8');
+    expect(body).toContain('name="x"\r\n\r\n@/etc/passwd\r\n');
+    expect(body).not.toContain('filename=');
+    expect(body.length).toBe(payload.length);
+    expect(toCurlCommand(options)).toBe('curl --form-string x=@/etc/passwd https://a.io');
+  });
+
+  it('should require a URL', () => {
+    expect(() => parseCurlCommand('curl -X GET')).toThrow('No URL found');
+  });
+});
+
+describe('toCurlCommand', () => {
+  it('should render headers, body and auth', () => {
+    const command = toCurlCommand({
+      method: 'POST',
+      url: 'https://api.example.com/users',
+      json: true,
+      data: `{"name":"O'Brien"}`,
+      bearer: 'env:API_TOKEN',
+      timeout: '30000',
+    });
+
+    expect(command).toBe(
+      `curl -X POST -H 'content-type: application/json' -H 'accept: application/json' -H "authorization: Bearer $API_TOKEN" --data '{"name":"O'\\''Brien"}' -L https://api.example.com/users`,
+    );
+  });
+
+  it('should round-trip through parseCurlCommand', () => {
+    const original = {
+      method: 'PUT',
+      url: 'https://a.io/items/1',
+      header: ['x-trace: 1'],
+      dataBinary: '@item.json',
+      cookie: ['a=1'],
+      redirect: false,
+    };
+
+    expect(parseCurlCommand(toCurlCommand(original)).options).toEqual(original);
+  });
+});
+
+describe('toNcurlCommand', () => {
+  it('should pick the method command', () => {
+    expect(toNcurlCommand({ url: 'https://a.io', data: 'a=1', redirect: true })).toBe(
+      'ncurl post https://a.io --data a=1',
+    );
+    expect(toNcurlCommand({ url: 'https://a.io', method: 'GET', dataRaw: 'x' })).toBe(
+      'ncurl run https://a.io -X GET --data-raw x',
+    );
+  });
+});
+
+describe('shellQuote', () => {
+  it('should leave safe words bare', () => {
+    expect(shellQuote('https://a.io/x?y=1')).toBe(`'https://a.io/x?y=1'`);
+    expect(shellQuote('a=1')).toBe('a=1');
+    expect(shellQuote('')).toBe(`''`);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, expect, it } from '@jest/globals';
+import { getGlobalDispatcher } from 'undici';
+import {
+  createDispatcher,
+  getRedirect,
+  isNoProxy,
+  parseResolve,
+  resolveProxy,
+} from '../src/dispatcher.js';
+
+describe('parseResolve', () => {
+  it('should parse host:port:address entries', () => {
+    expect(parseResolve('API.example.com:443:10.0.0.5')).toEqual({
+      host: 'api.example.com',
+      port: '443',
+      address: '10.0.0.5',
+    });
+    expect(parseResolve('v6.local:8443:[::1]')).toMatchObject({ address: '::1' });
+  });
+
+  it('should reject malformed entries', () => {
+    expect(() => parseResolve('api.example.com:10.0.0.5')).toThrow('Invalid --resolve');
+    expect(() => parseResolve('api.example.com:443:not-an-ip')).toThrow('Invalid --resolve');
+  });
+});
+
+describe('isNoProxy', () => {
+  const url = new URL('https://api.corp.example:8443/users');
+
+  it('should match exact hosts, domain suffixes and wildcards', () => {
+    expect(isNoProxy(url, 'api.corp.example')).toBe(true);
+    expect(isNoProxy(url, 'localhost, .corp.example')).toBe(true);
+    expect(isNoProxy(url, 'corp.example')).toBe(true);
+    expect(isNoProxy(url, '*')).toBe(true);
+    expect(isNoProxy(url, 'example.org,orp.example')).toBe(false);
+    expect(isNoProxy(url, '')).toBe(false);
+  });
+
+  it('should honor ports', () => {
+    expect(isNoProxy(url, 'api.corp.example:8443')).toBe(true);
+    expect(isNoProxy(url, 'api.corp.example:443')).toBe(false);
+    expect(isNoProxy(new URL('https://a.io/'), 'a.io:443')).toBe(true);
+  });
+});
+
+describe('resolveProxy', () => {
+  const https = new URL('https://api.example.com/');
+  const http = new URL('http://api.example.com/');
+
+  it('should prefer --proxy over the environment', () => {
+    expect(
+      resolveProxy(https, { proxy: 'http://cli:3128' }, { HTTPS_PROXY: 'http://env:3128' }),
+    ).toBe('http://cli:3128');
+  });
+
+  it('should pick the variable matching the URL scheme', () => {
+    const env = { HTTPS_PROXY: 'http://secure:3128', http_proxy: 'plain:8080' };
+    expect(resolveProxy(https, {}, env)).toBe('http://secure:3128');
+    expect(resolveProxy(http, {}, env)).toBe('http://plain:8080');
+    expect(resolveProxy(http, {}, { HTTP_PROXY: 'http://cgi:1' })).toBeUndefined();
+    expect(resolveProxy(http, {}, { ALL_PROXY: 'http://all:1' })).toBe('http://all:1');
+  });
+
+  it('should skip hosts listed in NO_PROXY', () => {
+    const env = { HTTPS_PROXY: 'http://secure:3128', NO_PROXY: '.example.com' };
+    expect(resolveProxy(https, {}, env)).toBeUndefined();
+    expect(resolveProxy(https, { proxy: 'http://cli:3128' }, env)).toBeUndefined();
+  });
+});
+
+describe('createDispatcher', () => {
+  it('should reuse the global dispatcher without transport options', async () => {
+    const transport = await createDispatcher('http://localhost/', {});
+    expect(transport.dispatcher).toBe(getGlobalDispatcher());
+    await transport.close();
+  });
+
+  it('should use a private agent when timing connections', async () => {
+    const transport = await createDispatcher('http://localhost/', {}, { watch: () => {} });
+    expect(transport.dispatcher).not.toBe(getGlobalDispatcher());
+    await transport.close();
+  });
+
+  it('should require --cert with --key', async () => {
+    await expect(createDispatcher('https://localhost/', { key: 'key.pem' })).rejects.toThrow(
+      '--key needs a client certificate',
+    );
+  });
+});
+
+describe('getRedirect', () => {
+  const hop = {
+    url: 'https://api.example.com/login',
+    method: 'POST',
+    headers: { authorization: 'Bearer t', 'content-type': 'application/json', accept: '*/*' },
+    origin: 'https://api.example.com',
+    hops: 0,
+  };
+
+  it('should switch to GET and drop credentials when leaving the origin', () => {
+    expect(getRedirect(302, { location: 'https://sso.example.com/next' }, hop)).toEqual({
+      url: 'https://sso.example.com/next',
+      method: 'GET',
+      headers: { accept: '*/*' },
+      dropBody: true,
+      crossOrigin: true,
+    });
+    expect(getRedirect(307, { location: '/v2/login' }, hop)).toMatchObject({
+      url: 'https://api.example.com/v2/login',
+      method: 'POST',
+      headers: hop.headers,
+    });
+    expect(getRedirect(304, { location: '/x' }, hop)).toBeNull();
+    expect(() => getRedirect(301, { location: '/x' }, { ...hop, hops: 20 })).toThrow(
+      'Stopped after 20 redirects',
+    );
+  });
+
+  it('should drop every credential header, including the --api-key header, across origins', () => {
+    const headers = {
+      ...hop.headers,
+      cookie: 'sid=1',
+      'X-Api-Key': 'k1',
+      'X-Tenant-Key': 'k2',
+      'Proxy-Authorization': 'Basic x',
+    };
+    const redirect = getRedirect(
+      307,
+      { location: 'https://cdn.example.net/login' },
+      { ...hop, headers },
+      { apiKey: 'header:X-Tenant-Key=k2' },
+    );
+
+    expect(redirect.headers).toEqual({ 'content-type': 'application/json', accept: '*/*' });
+  });
+
+  it('should keep the body dropped on later 307/308 hops', () => {
+    const first = getRedirect(302, { location: '/step' }, hop);
+    const next = { ...hop, ...first, hops: 1 };
+
+    expect(getRedirect(307, { location: '/final' }, next)).toMatchObject({
+      method: 'GET',
+      dropBody: true,
+    });
+    expect(getRedirect(308, { location: '/final' }, next).headers).not.toHaveProperty(
+      'content-type',
+    );
+  });
+});
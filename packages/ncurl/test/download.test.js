@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import {
+  formatBytes,
+  formatProgress,
+  isDownload,
+  parseChecksum,
+  resolveResumeOffset,
+  saveDownload,
+} from '../src/download.js';
+
+const CONTENT = Buffer.from('0123456789abcdefghij');
+const SHA256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+function fakeResponse(statusCode, headers, chunk = Buffer.alloc(0)) {
+  const body = Readable.from([chunk]);
+  body.dump = async () => {};
+  return { statusCode, headers, body };
+}
+
+describe('isDownload', () => {
+  it('should require an output file', () => {
+    expect(isDownload({})).toBe(false);
+    expect(isDownload({ stream: true, output: 'a.bin' })).toBe(true);
+    expect(() => isDownload({ checksum: 'sha256:00' })).toThrow('add -o <file>');
+    expect(() => isDownload({ continueAt: '-', output: 'a.bin', compressed: true })).toThrow(
+      'cannot be combined with --compressed',
+    );
+  });
+});
+
+describe('parseChecksum', () => {
+  it('should parse algorithm and digest', () => {
+    expect(parseChecksum('SHA256:ABCD')).toEqual({ algorithm: 'sha256', digest: 'abcd' });
+    expect(() => parseChecksum('abcd')).toThrow('Expected algorithm:hex');
+    expect(() => parseChecksum('nope:abcd')).toThrow('Unsupported checksum algorithm');
+  });
+});
+
+describe('formatting', () => {
+  it('should format sizes and progress', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatProgress(512, 1024, 1024)).toBe(
+      '[###############...............]  50% 512 B/1.0 KB 1.0 KB/s',
+    );
+    expect(formatProgress(2048, undefined, 0)).toBe('2.0 KB 0 B/s');
+  });
+});
+
+describe('downloads', () => {
+  let dir;
+  let file;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-download-'));
+    file = path.join(dir, 'artifact.bin');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should resolve the resume offset from the existing file', async () => {
+    expect(await resolveResumeOffset({ continueAt: '-', output: file })).toBe(0);
+    fs.writeFileSync(file, CONTENT.subarray(0, 8));
+    expect(await resolveResumeOffset({ continueAt: '-', output: file })).toBe(8);
+    expect(await resolveResumeOffset({ continueAt: '5', output: file })).toBe(5);
+    await expect(resolveResumeOffset({ continueAt: 'x', output: file })).rejects.toThrow(
+      'Invalid --continue-at',
+    );
+    await expect(resolveResumeOffset({ continueAt: '9', output: file })).rejects.toThrow(
+      '--continue-at 9 is past the end',
+    );
+    await expect(
+      resolveResumeOffset({ continueAt: '5', output: path.join(dir, 'missing.bin') }),
+    ).rejects.toThrow('the file does not exist');
+  });
+
+  it('should append a 206 response and verify the whole file', async () => {
+    fs.writeFileSync(file, CONTENT.subarray(0, 8));
+    const response = fakeResponse(
+      206,
+      { 'content-range': `bytes 8-19/${CONTENT.length}`, 'content-length': '12' },
+      CONTENT.subarray(8),
+    );
+
+    const result = await saveDownload(
+      response,
+      { output: file, silent: true, checksum: `sha256:${SHA256}` },
+      8,
+    );
+
+    expect(result).toEqual({
+      file,
+      bytes: 12,
+      size: 20,
+      resumedFrom: 8,
+      checksum: `sha256:${SHA256}`,
+    });
+    expect(fs.readFileSync(file)).toEqual(CONTENT);
+  });
+
+  it('should restart when the server ignores the Range request', async () => {
+    fs.writeFileSync(file, Buffer.from('stale-data'));
+    const response = fakeResponse(200, { 'content-length': '20' }, CONTENT);
+
+    const result = await saveDownload(response, { output: file, silent: true }, 10);
+
+    expect(result.resumedFrom).toBe(0);
+    expect(fs.readFileSync(file)).toEqual(CONTENT);
+  });
+
+  it('should treat 416 on a complete file as done', async () => {
+    fs.writeFileSync(file, CONTENT);
+    const response = fakeResponse(416, { 'content-range': `bytes */${CONTENT.length}` });
+
+    const result = await saveDownload(
+      response,
+      { output: file, checksum: `sha256:${SHA256}` },
+      CONTENT.length,
+    );
+
+    expect(result).toMatchObject({ bytes: 0, size: 20, checksum: `sha256:${SHA256}` });
+  });
+
+  it('should remove the file on checksum mismatch', async () => {
+    const response = fakeResponse(200, {}, CONTENT);
+
+    await expect(
+      saveDownload(response, { output: file, checksum: 'sha256:00' }, 0),
+    ).rejects.toThrow('Checksum mismatch');
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  it('should not write error responses', async () => {
+    await expect(saveDownload(fakeResponse(404, {}), { output: file }, 0)).rejects.toThrow(
+      'HTTP 404',
+    );
+    expect(fs.existsSync(file)).toBe(false);
+  });
+});
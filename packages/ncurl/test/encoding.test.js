@@ -0,0 +1,135 @@
+import { describe, it, expect } from '@jest/globals';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import {
+  createDecoders,
+  decodeResponseBody,
+  isBinaryContent,
+  parseContentType,
+} from '../src/encoding.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+
+describe('parseContentType', () => {
+  it('should split the media type and charset', () => {
+    expect(parseContentType('Text/HTML; Charset="ISO-8859-1"')).toEqual({
+      mediaType: 'text/html',
+      charset: 'iso-8859-1',
+    });
+    expect(parseContentType(undefined)).toEqual({ mediaType: '', charset: undefined });
+  });
+});
+
+describe('isBinaryContent', () => {
+  it('should classify declared types', () => {
+    expect(isBinaryContent('application/json')).toBe(false);
+    expect(isBinaryContent('application/problem+json')).toBe(false);
+    expect(isBinaryContent('image/svg+xml')).toBe(false);
+    expect(isBinaryContent('text/csv; charset=utf-8')).toBe(false);
+    expect(isBinaryContent('image/png')).toBe(true);
+    expect(isBinaryContent('application/x-protobuf')).toBe(true);
+    expect(isBinaryContent('application/octet-stream')).toBe(true);
+  });
+
+  it('should sniff bodies without a content-type', () => {
+    expect(isBinaryContent(undefined, PNG)).toBe(true);
+    expect(isBinaryContent(undefined, Buffer.from([0xc3, 0x28]))).toBe(true);
+    expect(isBinaryContent(undefined, Buffer.from('héllo'))).toBe(false);
+  });
+});
+
+describe('decodeResponseBody', () => {
+  const json = JSON.stringify({ msg: 'café' });
+
+  it('should keep binary bodies as Buffers', () => {
+    const { data, binary } = decodeResponseBody(PNG, { 'content-type': 'image/png' });
+
+    expect(binary).toBe(true);
+    expect(data).toEqual(PNG);
+  });
+
+  it('should honor the charset parameter', () => {
+    const body = Buffer.from('café', 'latin1');
+
+    expect(
+      decodeResponseBody(body, { 'content-type': 'text/plain; charset=ISO-8859-1' }).data,
+    ).toBe('café');
+    expect(decodeResponseBody(body, { 'content-type': 'text/plain; charset=bogus' }).data).toBe(
+      'caf�',
+    );
+  });
+
+  it('should decode gzip, deflate and br with --compressed', () => {
+    const encoders = {
+      gzip: zlib.gzipSync,
+      deflate: zlib.deflateSync,
+      br: zlib.brotliCompressSync,
+    };
+
+    for (const [encoding, encode] of Object.entries(encoders)) {
+      const headers = { 'content-type': 'application/json', 'content-encoding': encoding };
+      expect(decodeResponseBody(encode(json), headers, { compressed: true }).data).toBe(json);
+    }
+  });
+
+  it('should decode raw deflate bodies without a zlib header', () => {
+    const headers = { 'content-type': 'application/json', 'content-encoding': 'deflate' };
+
+    expect(decodeResponseBody(zlib.deflateRawSync(json), headers, { compressed: true }).data).toBe(
+      json,
+    );
+  });
+
+  it('should undo stacked encodings in reverse order', () => {
+    const body = zlib.brotliCompressSync(zlib.gzipSync(json));
+    const headers = { 'content-type': 'application/json', 'content-encoding': 'gzip, br' };
+
+    expect(decodeResponseBody(body, headers, { compressed: true }).data).toBe(json);
+  });
+
+  it('should treat compressed bodies as binary without --compressed', () => {
+    const headers = { 'content-type': 'application/json', 'content-encoding': 'gzip' };
+
+    expect(decodeResponseBody(zlib.gzipSync(json), headers).binary).toBe(true);
+  });
+
+  it('should report unsupported and corrupt encodings', () => {
+    expect(() =>
+      decodeResponseBody(Buffer.from('x'), { 'content-encoding': 'zstd' }, { compressed: true }),
+    ).toThrow('Unsupported content-encoding "zstd"');
+    expect(() =>
+      decodeResponseBody(Buffer.from('x'), { 'content-encoding': 'gzip' }, { compressed: true }),
+    ).toThrow('Could not decode gzip response body');
+  });
+});
+
+describe('createDecoders', () => {
+  it('should only decode with --compressed', () => {
+    const headers = { 'content-encoding': 'gzip' };
+
+    expect(createDecoders(headers)).toEqual([]);
+    expect(createDecoders(headers, { compressed: true })).toHaveLength(1);
+  });
+
+  it('should stream zlib-wrapped and raw deflate bodies', async () => {
+    const text = 'ncurl '.repeat(5000);
+    for (const encode of [zlib.deflateSync, zlib.deflateRawSync]) {
+      const body = encode(text);
+      const chunks = [];
+      const [decoder] = createDecoders({ 'content-encoding': 'deflate' }, { compressed: true });
+      // Split the body so the header check sees one byte at a time
+      await pipeline(
+        Readable.from([body.subarray(0, 1), body.subarray(1, 2), body.subarray(2)]),
+        decoder,
+        async function* (source) {
+          for await (const chunk of source) {
+            chunks.push(chunk);
+          }
+        },
+      );
+
+      expect(Buffer.concat(chunks).toString()).toBe(text);
+    }
+  });
+});
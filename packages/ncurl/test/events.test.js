@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import {
+  createLineParser,
+  createSseParser,
+  formatEvent,
+  getStreamFormat,
+  parseUntil,
+} from '../src/events.js';
+import { executeRequest } from '../src/index.js';
+
+describe('getStreamFormat', () => {
+  it('should detect SSE and NDJSON responses', () => {
+    expect(getStreamFormat({ 'content-type': 'text/event-stream; charset=utf-8' })).toBe('sse');
+    expect(getStreamFormat({ 'content-type': 'application/x-ndjson' })).toBe('ndjson');
+    expect(getStreamFormat({ 'content-type': 'application/json' })).toBeNull();
+    expect(getStreamFormat({})).toBeNull();
+  });
+});
+
+describe('createSseParser', () => {
+  it('should parse events split across chunks', () => {
+    const parser = createSseParser();
+    expect(parser.push(': comment\n\nevent: delta\nid: 7\ndata: {"a"')).toEqual([]);
+    expect(parser.push(':1}\r\n\r\ndata: one\ndata: two\n\ndata:no-space\n')).toEqual([
+      { type: 'delta', id: '7', data: '{"a":1}' },
+      { type: 'message', id: '7', data: 'one\ntwo' },
+    ]);
+    expect(parser.push('\n')).toEqual([{ type: 'message', id: '7', data: 'no-space' }]);
+  });
+
+  it('should apply retry without waiting for an event', () => {
+    const parser = createSseParser();
+    expect(parser.push('retry: 250\n\nretry: soon\n\n')).toEqual([]);
+    expect(parser.retry).toBe(250);
+  });
+});
+
+describe('createLineParser', () => {
+  it('should split lines and flush the last one', () => {
+    const parser = createLineParser();
+    expect(parser.push('{"n":1}\n\n{"n"')).toEqual([{ type: 'line', data: '{"n":1}' }]);
+    expect(parser.push(':2}\r\n{"n":3}')).toEqual([{ type: 'line', data: '{"n":2}' }]);
+    expect(parser.flush()).toEqual([{ type: 'line', data: '{"n":3}' }]);
+  });
+});
+
+describe('parseUntil', () => {
+  it('should match exact data or event names', () => {
+    const until = parseUntil('[DONE]');
+    expect(until({ type: 'message', data: '[DONE]' })).toBe(true);
+    expect(until({ type: 'message', data: 'D' })).toBe(false);
+    expect(parseUntil('message_stop')({ type: 'message_stop', data: '{}' })).toBe(true);
+  });
+
+  it('should support /regex/ patterns', () => {
+    const until = parseUntil('/"done": ?true/i');
+    expect(until({ type: 'line', data: { DONE: true } })).toBe(true);
+    expect(until({ type: 'line', data: '{"done":false}' })).toBe(false);
+    expect(() => parseUntil('/(/')).toThrow('Invalid --until pattern');
+    expect(parseUntil(undefined)).toBeNull();
+  });
+});
+
+describe('formatEvent', () => {
+  it('should print data, or query results for JSON events', () => {
+    expect(formatEvent({ type: 'message', data: 'hi' })).toBe('hi');
+    expect(formatEvent({ type: 'message', data: { a: [1, 2] } })).toBe('{"a":[1,2]}');
+    expect(formatEvent({ type: 'message', data: '{"delta":"Hi"}' }, { query: '.delta' })).toBe(
+      '"Hi"',
+    );
+    expect(
+      formatEvent({ type: 'message', data: '{"delta":"Hi"}' }, { query: '.delta', raw: true }),
+    ).toBe('Hi');
+    expect(formatEvent({ type: 'message', data: '[DONE]' }, { query: '.delta' })).toBeNull();
+  });
+});
+
+describe('event streams', () => {
+  let server;
+  let baseUrl;
+  const lastEventIds = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/chat') {
+        res.writeHead(200, { 'content-type': 'text/event-stream' });
+        res.write('data: {"delta":"Hel"}\n\ndata: {"delta":"lo"}\n\ndata: [DONE]\n\n');
+        // Never ends: the client has to stop on its own
+        return;
+      }
+      if (req.url === '/ndjson') {
+        res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+        res.end('{"n":1}\n{"n":2}\n{"n":3}');
+        return;
+      }
+      const last = Number(req.headers['last-event-id'] || 0);
+      lastEventIds.push(req.headers['last-event-id']);
+      if (last >= 2) {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      res.end(`retry: 10\nid: ${last + 1}\ndata: event ${last + 1}\n\n`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should stop an endless stream with --until', async () => {
+    const events = [];
+    const result = await executeRequest({
+      url: `${baseUrl}/chat`,
+      silent: true,
+      parseJson: true,
+      until: '[DONE]',
+      onEvent: event => events.push(event.data),
+    });
+    expect(events).toEqual([{ delta: 'Hel' }, { delta: 'lo' }, '[DONE]']);
+    expect(result.stream).toMatchObject({ format: 'sse', count: 3, stoppedBy: 'until' });
+    expect(result.data).toBeUndefined();
+  });
+
+  it('should collect NDJSON lines up to --max-events', async () => {
+    const result = await executeRequest({ url: `${baseUrl}/ndjson`, silent: true, maxEvents: 2 });
+    expect(result.data).toEqual([
+      { type: 'line', data: '{"n":1}' },
+      { type: 'line', data: '{"n":2}' },
+    ]);
+    expect(result.stream.stoppedBy).toBe('max-events');
+  });
+
+  it('should reconnect with Last-Event-ID until the server answers 204', async () => {
+    const result = await executeRequest({ url: `${baseUrl}/feed`, silent: true, reconnect: 5 });
+    expect(result.data.map(event => event.data)).toEqual(['event 1', 'event 2']);
+    expect(lastEventIds).toEqual([undefined, '1', '2']);
+    expect(result.stream).toMatchObject({ count: 2, reconnects: 2, lastEventId: '2', retry: 10 });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { describeRequest, fixtureName, matchesFixture, parseMatch } from '../src/fixtures.js';
+import { executeRequest } from '../src/index.js';
+
+describe('parseMatch', () => {
+  it('should default to method and url and accept header fields', () => {
+    expect(parseMatch(undefined)).toEqual(['method', 'url']);
+    expect(parseMatch(['method,url', 'Header:X-Tenant'])).toEqual([
+      'method',
+      'url',
+      'header:x-tenant',
+    ]);
+    expect(() => parseMatch('query')).toThrow('Unknown --match field "query"');
+  });
+});
+
+describe('matchesFixture', () => {
+  const recorded = {
+    method: 'POST',
+    url: 'https://api.io/users',
+    headers: { 'x-tenant': 'a' },
+    body: '{"name":"a"}',
+  };
+  const request = (body, tenant = 'a') =>
+    describeRequest('POST', 'https://api.io/users', { 'X-Tenant': tenant }, Buffer.from(body));
+
+  it('should compare only the selected fields', () => {
+    expect(matchesFixture(recorded, request('{"name":"b"}'), ['method', 'url'])).toBe(true);
+    expect(matchesFixture(recorded, request('{"name":"b"}'), ['method', 'url', 'body'])).toBe(
+      false,
+    );
+    expect(matchesFixture(recorded, request('{"name":"a"}'), ['body', 'header:x-tenant'])).toBe(
+      true,
+    );
+    expect(matchesFixture(recorded, request('{"name":"a"}', 'b'), ['header:x-tenant'])).toBe(false);
+  });
+});
+
+describe('fixtureName', () => {
+  it('should name fixtures after the method and path', () => {
+    const name = fixtureName(describeRequest('GET', 'https://api.io/v1/users?page=2', {}));
+    expect(name).toMatch(/^GET_api\.io_v1_users-[0-9a-f]{8}\.json$/);
+    expect(fixtureName(describeRequest('GET', 'https://api.io/v1/users?page=3', {}))).not.toBe(
+      name,
+    );
+  });
+});
+
+describe('record and replay', () => {
+  let server;
+  let baseUrl;
+  let dir;
+  let hits = 0;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      hits += 1;
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        res.writeHead(201, {
+          'content-type': 'application/json',
+          'set-cookie': 'sid=s3cr3t; Path=/; HttpOnly',
+        });
+        const json = /json/.test(req.headers['content-type'] || '');
+        res.end(JSON.stringify({ created: json ? JSON.parse(body) : body.length }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-fixtures-'));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should record redacted fixtures and replay them without the network', async () => {
+    const options = {
+      url: `${baseUrl}/users`,
+      method: 'POST',
+      data: { name: 'a' },
+      bearer: 'secret-token',
+      silent: true,
+    };
+    await executeRequest({ ...options, record: dir });
+    const [file] = fs.readdirSync(dir);
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    expect(fixture.request).toMatchObject({
+      method: 'POST',
+      body: '{"name":"a"}',
+      headers: { authorization: 'Bearer [REDACTED]' },
+    });
+    expect(fixture.response).toMatchObject({
+      status: 201,
+      headers: { 'set-cookie': 'sid=[REDACTED]; Path=/; HttpOnly' },
+    });
+
+    const result = await executeRequest({ ...options, replay: dir, match: 'method,url,body' });
+    expect(result).toMatchObject({ status: 201, data: { created: { name: 'a' } }, replayed: true });
+    expect(hits).toBe(1);
+  });
+
+  it('should fail loudly on unmatched requests', async () => {
+    await expect(
+      executeRequest({
+        url: `${baseUrl}/users`,
+        method: 'POST',
+        data: { name: 'b' },
+        replay: dir,
+        match: ['method,url,body'],
+        silent: true,
+      }),
+    ).rejects.toMatchObject({
+      code: 'REPLAY_MISS',
+      suggestion: expect.stringContaining('differs in body'),
+    });
+    await expect(
+      executeRequest({ url: `${baseUrl}/other`, replay: dir, silent: true }),
+    ).rejects.toMatchObject({ code: 'REPLAY_MISS' });
+    expect(hits).toBe(1);
+  });
+
+  it('should record multipart bodies under a fixed boundary with secrets redacted', async () => {
+    const formDir = path.join(dir, 'form');
+    const options = {
+      url: `${baseUrl}/login`,
+      method: 'POST',
+      form: ['user=ann', 'password=secret-token'],
+      bearer: 'secret-token',
+      silent: true,
+    };
+    await executeRequest({ ...options, record: formDir });
+    await executeRequest({ ...options, record: formDir });
+
+    const files = fs.readdirSync(formDir);
+    expect(files).toHaveLength(1);
+    const { request } = JSON.parse(fs.readFileSync(path.join(formDir, files[0]), 'utf8'));
+    expect(request.headers['content-type']).toBe(
+      'multipart/form-data; boundary=----ncurlFormBoundaryFixture',
+    );
+    expect(request.body).toContain(
+      '------ncurlFormBoundaryFixture\r\nContent-Disposition: form-data; name="password"\r\n\r\n[REDACTED]\r\n',
+    );
+    expect(request.body).not.toContain('secret-token');
+
+    const result = await executeRequest({ ...options, replay: formDir, match: 'method,url,body' });
+    expect(result.replayed).toBe(true);
+    expect(hits).toBe(3);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { parseFormField, buildMultipartBody, buildUrlencodedBody } from '../src/form.js';
+import { executeRequest } from '../src/index.js';
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+describe('parseFormField', () => {
+  it('should parse text fields', () => {
+    expect(parseFormField('title=Hello=World')).toEqual({ name: 'title', value: 'Hello=World' });
+  });
+
+  it('should parse file fields with attributes', () => {
+    expect(parseFormField('photo=@dir/me.jpg;type=image/x-custom;filename=avatar.jpg')).toEqual({
+      name: 'photo',
+      file: 'dir/me.jpg',
+      type: 'image/x-custom',
+      filename: 'avatar.jpg',
+    });
+  });
+
+  it('should infer file part content-type and filename', () => {
+    expect(parseFormField('photo=@dir/me.png')).toMatchObject({
+      filename: 'me.png',
+      type: 'image/png',
+    });
+  });
+
+  it('should reject specs without a name', () => {
+    expect(() => parseFormField('=value')).toThrow('Invalid form field');
+  });
+});
+
+describe('buildMultipartBody', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-form-'));
+    fs.writeFileSync(path.join(dir, 'note.txt'), 'hello');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should stream parts with an exact content-length', async () => {
+    const payload = await buildMultipartBody(['title=Hi', `note=@${path.join(dir, 'note.txt')}`]);
+    const boundary = payload.contentType.split('boundary=')[1];
+    const body = (await collect(payload.body)).toString();
+
+    expect(payload.contentType).toMatch(/^multipart\/form-data; boundary=/);
+    expect(Buffer.byteLength(body)).toBe(payload.length);
+    expect(body).toContain(
+      `--${boundary}\r\nContent-Disposition: form-data; name="title"\r\n\r\nHi\r\n`,
+    );
+    expect(body).toContain('filename="note.txt"\r\nContent-Type: text/plain\r\n\r\nhello\r\n');
+    expect(body.endsWith(`--${boundary}--\r\n`)).toBe(true);
+  });
+
+  it('should describe parts instead of raw bytes', async () => {
+    const payload = await buildMultipartBody([`note=@${path.join(dir, 'note.txt')}`]);
+
+    expect(payload.description).toContain('(text/plain, 5 bytes)');
+    await collect(payload.body);
+  });
+});
+
+describe('resending -F bodies', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        received.push({ url: req.url, type: req.headers['content-type'], body });
+        res.writeHead(req.url === '/upload' ? 307 : 200, { location: '/upload/v2' });
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should keep the content-type boundary in step with the body', async () => {
+    await executeRequest({ url: `${baseUrl}/upload`, form: ['title=Hi'], silent: true });
+
+    expect(received.map(request => request.url)).toEqual(['/upload', '/upload/v2']);
+    for (const { type, body } of received) {
+      const boundary = type.split('boundary=')[1];
+      expect(body.startsWith(`--${boundary}\r\n`)).toBe(true);
+      expect(body.endsWith(`--${boundary}--\r\n`)).toBe(true);
+    }
+  });
+});
+
+describe('buildUrlencodedBody', () => {
+  it('should encode pairs', () => {
+    expect(buildUrlencodedBody(['q=a b', 'tag=&x'])).toEqual({
+      body: 'q=a+b&tag=%26x',
+      contentType: 'application/x-www-form-urlencoded',
+    });
+  });
+});
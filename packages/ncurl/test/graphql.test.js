@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import {
+  INTROSPECTION_QUERY,
+  buildGraphqlBody,
+  formatGraphqlErrors,
+  runGraphql,
+  summarizeSchema,
+} from '../src/graphql.js';
+
+const named = name => ({ kind: 'OBJECT', name, ofType: null });
+const scalar = name => ({ kind: 'SCALAR', name, ofType: null });
+const nonNull = ofType => ({ kind: 'NON_NULL', name: null, ofType });
+const list = ofType => ({ kind: 'LIST', name: null, ofType });
+
+const SCHEMA = {
+  __schema: {
+    queryType: { name: 'Query' },
+    mutationType: { name: 'Mutation' },
+    subscriptionType: null,
+    types: [
+      {
+        kind: 'OBJECT',
+        name: 'User',
+        fields: [
+          { name: 'id', args: [], type: nonNull(scalar('ID')) },
+          { name: 'role', args: [], type: { kind: 'ENUM', name: 'Role', ofType: null } },
+        ],
+        interfaces: [{ name: 'Node' }],
+      },
+      {
+        kind: 'OBJECT',
+        name: 'Query',
+        fields: [
+          {
+            name: 'users',
+            args: [{ name: 'first', type: scalar('Int') }],
+            type: nonNull(list(nonNull(named('User')))),
+          },
+        ],
+        interfaces: [],
+      },
+      {
+        kind: 'OBJECT',
+        name: 'Mutation',
+        fields: [{ name: 'ping', args: [], type: scalar('String') }],
+        interfaces: [],
+      },
+      { kind: 'ENUM', name: 'Role', enumValues: [{ name: 'ADMIN' }, { name: 'USER' }] },
+      { kind: 'SCALAR', name: 'String' },
+      { kind: 'OBJECT', name: '__Type', fields: [], interfaces: [] },
+    ],
+  },
+};
+
+describe('buildGraphqlBody', () => {
+  it('should build the POST envelope', async () => {
+    expect(
+      await buildGraphqlBody({
+        query: 'query A { a } query B { b }',
+        variables: '{"id": 1}',
+        operationName: 'B',
+      }),
+    ).toEqual({ query: 'query A { a } query B { b }', variables: { id: 1 }, operationName: 'B' });
+  });
+
+  it('should use the introspection query with --introspect', async () => {
+    expect(await buildGraphqlBody({ introspect: true })).toEqual({
+      query: INTROSPECTION_QUERY,
+      operationName: 'IntrospectionQuery',
+    });
+  });
+
+  it('should reject missing documents and invalid variables', async () => {
+    await expect(buildGraphqlBody({})).rejects.toThrow('A GraphQL document is required');
+    await expect(buildGraphqlBody({ query: '{ a }', variables: '[1]' })).rejects.toThrow(
+      'expected a JSON object',
+    );
+    await expect(buildGraphqlBody({ query: '{ a }', variables: '{oops' })).rejects.toThrow(
+      'Invalid --variables',
+    );
+  });
+});
+
+describe('formatGraphqlErrors', () => {
+  it('should show paths, locations and codes', () => {
+    expect(
+      formatGraphqlErrors([
+        {
+          message: 'Not allowed',
+          path: ['user', 0, 'email'],
+          locations: [{ line: 2, column: 3 }],
+          extensions: { code: 'FORBIDDEN' },
+        },
+        { message: 'Syntax error' },
+      ]),
+    ).toBe('  ✗ Not allowed (path user.0.email, at 2:3, FORBIDDEN)\n  ✗ Syntax error');
+  });
+});
+
+describe('summarizeSchema', () => {
+  it('should list root types first and skip built-ins', () => {
+    expect(summarizeSchema(SCHEMA)).toBe(
+      [
+        'type Query\n  users(first: Int): [User!]!',
+        'type Mutation\n  ping: String',
+        'enum Role = ADMIN | USER',
+        'type User implements Node\n  id: ID!\n  role: Role',
+      ].join('\n\n'),
+    );
+  });
+
+  it('should explain non-introspection data', () => {
+    expect(() => summarizeSchema({ users: [] })).toThrow('not an introspection result');
+  });
+});
+
+describe('runGraphql', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        const { query, variables } = JSON.parse(body);
+        res.writeHead(200, { 'content-type': 'application/json' });
+        if (query.includes('__schema')) {
+          res.end(JSON.stringify({ data: SCHEMA }));
+        } else if (query.includes('boom')) {
+          res.end(
+            JSON.stringify({ data: null, errors: [{ message: 'Cannot query field "boom"' }] }),
+          );
+        } else {
+          res.end(JSON.stringify({ data: { user: { id: variables.id } } }));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/graphql`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should print data', async () => {
+    const output = await runGraphql(url, {
+      query: 'query($id: ID!) { user(id: $id) { id } }',
+      variables: '{"id": "7"}',
+      silent: true,
+    });
+    expect(JSON.parse(output)).toEqual({ user: { id: '7' } });
+  });
+
+  it('should fail with readable GraphQL errors', async () => {
+    await expect(runGraphql(url, { query: '{ boom }', silent: true })).rejects.toMatchObject({
+      code: 'GRAPHQL_ERROR',
+      message: 'GraphQL request failed with 1 error:\n  ✗ Cannot query field "boom"',
+    });
+  });
+
+  it('should summarize the schema', async () => {
+    expect(await runGraphql(url, { introspect: true, silent: true })).toContain('type Query');
+  });
+});
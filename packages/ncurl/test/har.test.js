@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createHarEntry, harToSpecs, parseHarFilter, replayHar } from '../src/har.js';
+import { executeRequest } from '../src/index.js';
+
+describe('createHarEntry', () => {
+  it('should map the exchange, timings and redactions onto HAR 1.2', () => {
+    const entry = createHarEntry(
+      {
+        method: 'POST',
+        url: 'https://api.io/login?next=%2Fhome',
+        headers: { 'content-type': 'application/json', authorization: 'Bearer [REDACTED]' },
+        body: Buffer.from('{"password":"hunter22"}'),
+      },
+      {
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'application/json', 'set-cookie': ['sid=abc123; Path=/'] },
+        data: { ok: true },
+        size: 11,
+        timings: { dns: 1, connect: 2, tls: 3, wait: 10, transfer: 4, total: 20 },
+        remoteAddress: '10.0.0.5',
+      },
+      new Date('2024-01-01T00:00:00.000Z'),
+      { user: 'admin:hunter22' },
+    );
+    expect(entry).toMatchObject({
+      startedDateTime: '2024-01-01T00:00:00.000Z',
+      time: 20,
+      request: {
+        queryString: [{ name: 'next', value: '/home' }],
+        postData: { mimeType: 'application/json', text: '{"password":"[REDACTED]"}' },
+      },
+      response: {
+        status: 200,
+        headers: [
+          { name: 'content-type', value: 'application/json' },
+          { name: 'set-cookie', value: 'sid=[REDACTED]; Path=/' },
+        ],
+        content: { mimeType: 'application/json', text: '{"ok":true}' },
+      },
+      timings: { dns: 1, connect: 5, ssl: 3, send: 0, wait: 10, receive: 4 },
+      serverIPAddress: '10.0.0.5',
+    });
+  });
+});
+
+describe('parseHarFilter', () => {
+  const entry = {
+    request: { method: 'post', url: 'https://app.io/api/users' },
+    response: { status: 500 },
+  };
+
+  it('should match url patterns, methods and statuses', () => {
+    expect(parseHarFilter('url~/api/')(entry)).toBe(true);
+    expect(parseHarFilter('url~/ADMIN/i')(entry)).toBe(false);
+    expect(parseHarFilter('method=POST')(entry)).toBe(true);
+    expect(parseHarFilter('status=500')(entry)).toBe(true);
+    expect(() => parseHarFilter('host=app.io')).toThrow('Invalid --filter');
+  });
+});
+
+describe('harToSpecs', () => {
+  it('should drop pseudo, hop-by-hop and redacted headers', () => {
+    const har = {
+      log: {
+        entries: [
+          { request: { method: 'GET', url: 'https://app.io/', headers: [] } },
+          {
+            request: {
+              method: 'POST',
+              url: 'https://app.io/api/items',
+              headers: [
+                { name: ':authority', value: 'app.io' },
+                { name: 'Accept-Encoding', value: 'gzip' },
+                { name: 'Authorization', value: 'Bearer [REDACTED]' },
+                { name: 'X-Tenant', value: 'a' },
+              ],
+              postData: { mimeType: 'application/json', text: '{"n":1}' },
+            },
+          },
+        ],
+      },
+    };
+    expect(harToSpecs(har, ['url~/api/'])).toEqual([
+      {
+        line: 2,
+        method: 'POST',
+        url: 'https://app.io/api/items',
+        headers: { 'x-tenant': 'a' },
+        dataRaw: '{"n":1}',
+      },
+    ]);
+  });
+});
+
+describe('HAR export and replay', () => {
+  let server;
+  let baseUrl;
+  let dir;
+  const received = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        received.push(`${req.method} ${req.url} ${body}`);
+        res.writeHead(200, { 'content-type': 'text/plain' });
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-har-'));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should append exchanges to one log and replay them in order', async () => {
+    const har = path.join(dir, 'session.har');
+    await executeRequest({ url: `${baseUrl}/`, har, silent: true });
+    await executeRequest({
+      url: `${baseUrl}/api/items`,
+      method: 'POST',
+      data: { n: 1 },
+      har,
+      silent: true,
+    });
+    const log = JSON.parse(fs.readFileSync(har, 'utf8')).log;
+    expect(log).toMatchObject({ version: '1.2', creator: { name: 'ncurl' } });
+    expect(log.entries.map(entry => entry.request.method)).toEqual(['GET', 'POST']);
+    expect(log.entries[1].response.content.text).toBe('ok');
+
+    received.length = 0;
+    const { summary } = await replayHar(har, { silent: true });
+    expect(summary).toMatchObject({ total: 2, ok: 2 });
+    expect(received).toEqual(['GET / ', 'POST /api/items {"n":1}']);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from '@jest/globals';
+import { interpolate, parseHttpFile } from '../src/httpfile.js';
+
+const FILE = `@base = https://api.example.com
+@token = {{login.response.body.token}}
+
+### Log in
+# @name login
+POST {{base}}/login HTTP/1.1
+Content-Type: application/json
+
+{
+  "user": "john"
+}
+
+
+### Profile
+// @name me
+GET {{base}}/me
+  ?fields=name
+  &lang=en
+Authorization: Bearer {{token}}
+
+###
+{{base}}/health
+
+### Upload
+PUT {{base}}/files
+
+< ./payload.bin
+`;
+
+describe('parseHttpFile', () => {
+  it('should parse variables, names, headers and bodies', () => {
+    const { variables, requests } = parseHttpFile(FILE);
+
+    expect(variables).toEqual({
+      base: 'https://api.example.com',
+      token: '{{login.response.body.token}}',
+    });
+    expect(requests).toHaveLength(4);
+    expect(requests[0]).toEqual({
+      name: 'login',
+      title: 'Log in',
+      method: 'POST',
+      url: '{{base}}/login',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{\n  "user": "john"\n}',
+      line: 6,
+    });
+    expect(requests[1]).toMatchObject({
+      name: 'me',
+      url: '{{base}}/me?fields=name&lang=en',
+      headers: { Authorization: 'Bearer {{token}}' },
+    });
+    expect(requests[1].body).toBeUndefined();
+    expect(requests[2]).toMatchObject({ method: 'GET', url: '{{base}}/health' });
+    expect(requests[3]).toMatchObject({ method: 'PUT', bodyFile: './payload.bin' });
+  });
+
+  it('should report malformed headers with their line', () => {
+    expect(() => parseHttpFile('GET https://a.io\nnot a header\n')).toThrow('on line 2');
+  });
+});
+
+describe('interpolate', () => {
+  const context = {
+    variables: { base: 'https://a.io', api: '{{base}}/v1', loop: '{{loop}}' },
+    responses: {
+      login: {
+        request: { headers: {}, body: { user: 'john' } },
+        response: {
+          status: 200,
+          headers: { 'x-request-id': 'r-1' },
+          body: { token: 'abc', items: [{ id: 7 }] },
+        },
+      },
+    },
+  };
+
+  it('should resolve nested variables', () => {
+    expect(interpolate('{{ api }}/users', context)).toBe('https://a.io/v1/users');
+  });
+
+  it('should resolve earlier requests and responses', () => {
+    expect(interpolate('{{login.response.body.token}}', context)).toBe('abc');
+    expect(interpolate('{{login.response.body.$.items[0].id}}', context)).toBe('7');
+    expect(interpolate('{{login.response.body.items}}', context)).toBe('[{"id":7}]');
+    expect(interpolate('{{login.response.headers.X-Request-Id}}', context)).toBe('r-1');
+    expect(interpolate('{{login.request.body.user}}', context)).toBe('john');
+  });
+
+  it('should read the environment', () => {
+    process.env.NCURL_TEST_VALUE = 'from-env';
+    expect(interpolate('{{$processEnv NCURL_TEST_VALUE}}', context)).toBe('from-env');
+  });
+
+  it('should explain unresolved placeholders', () => {
+    expect(() => interpolate('{{missing}}', context)).toThrow('Unknown variable {{missing}}');
+    expect(() => interpolate('{{other.response.body.id}}', context)).toThrow(
+      'Request "other" has not run',
+    );
+    expect(() => interpolate('{{loop}}', context)).toThrow('is there a cycle?');
+    expect(interpolate('{{missing}}', { ...context, keepUnresolved: true })).toBe('{{missing}}');
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import { main } from '../src/index.js';
+
+describe('main', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should print usage without a URL', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await main();
+
+    expect(log).toHaveBeenCalledWith('Usage: ncurl [options] <url>');
+  });
+
+  it('should print the equivalent curl command with --to-curl', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await main({ url: 'https://api.example.com/users', data: '{"a":1}', toCurl: true });
+
+    expect(log).toHaveBeenCalledWith(
+      `curl -X POST --data '{"a":1}' -L https://api.example.com/users`,
+    );
+  });
+});
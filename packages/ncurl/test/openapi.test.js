@@ -0,0 +1,285 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {
+  buildOperationRequest,
+  findOperation,
+  inferSpecMethod,
+  parseParams,
+  parseSpec,
+  validateResponse,
+  validateSchema,
+} from '../src/openapi.js';
+import { executeRequest } from '../src/index.js';
+
+const SPEC = `openapi: 3.0.3
+info: { title: Users, version: '1' }
+servers:
+  - url: https://{env}.example.com/v1
+    variables:
+      env: { default: api }
+paths:
+  /users:
+    get:
+      operationId: listUsers
+      parameters:
+        - { name: limit, in: query, schema: { type: integer, maximum: 100 } }
+        - { name: tag, in: query, schema: { type: array, items: { type: string } } }
+        - { name: x-tenant, in: header, schema: { type: string } }
+      responses:
+        '200':
+          description: ok
+          content:
+            application/json:
+              schema: { type: array, items: { $ref: '#/components/schemas/User' } }
+    post:
+      operationId: createUser
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema: { $ref: '#/components/schemas/User' }
+      responses:
+        '201': { description: created }
+  /users/me:
+    get:
+      operationId: getMe
+      responses:
+        '200': { description: ok }
+  /users/{id}:
+    parameters:
+      - { name: id, in: path, required: true, schema: { type: integer } }
+    get:
+      operationId: getUser
+      responses:
+        '200':
+          description: ok
+          content:
+            application/json:
+              schema: { $ref: '#/components/schemas/User' }
+    put:
+      operationId: replaceUser
+      requestBody:
+        content:
+          application/json:
+            schema: { type: object }
+      responses:
+        '200': { description: replaced }
+  /users/{id}/archive:
+    parameters:
+      - { name: id, in: path, required: true, schema: { type: integer } }
+    post:
+      operationId: archiveUser
+      responses:
+        '204': { description: archived }
+components:
+  schemas:
+    User:
+      type: object
+      required: [id, name]
+      additionalProperties: false
+      properties:
+        id: { type: integer, readOnly: true }
+        name: { type: string, minLength: 1 }
+        email: { type: string, format: email, nullable: true }
+`;
+
+const spec = parseSpec(SPEC, 'api.yaml');
+
+describe('parseSpec', () => {
+  it('should reject documents that are not OpenAPI 3', () => {
+    expect(() => parseSpec('{"swagger": "2.0", "paths": {}}', 'old.json')).toThrow(
+      'old.json is a Swagger 2.0 document',
+    );
+    expect(() => parseSpec('name: x', 'other.yaml')).toThrow('is not an OpenAPI 3 spec');
+  });
+});
+
+describe('findOperation', () => {
+  it('should find operations by id and suggest close names', () => {
+    expect(findOperation(spec, 'getUser')).toMatchObject({ method: 'GET', path: '/users/{id}' });
+    expect(() => findOperation(spec, 'getUsr')).toThrow('Did you mean: getUser');
+  });
+});
+
+describe('buildOperationRequest', () => {
+  it('should fill path, query and header parameters', () => {
+    const baseUrl = 'http://localhost:3000/v1/';
+    expect(
+      buildOperationRequest(
+        findOperation(spec, 'listUsers'),
+        parseParams(['limit=5', 'tag=a', 'tag=b', 'x-tenant=acme']),
+      ),
+    ).toEqual({
+      method: 'GET',
+      url: 'https://api.example.com/v1/users?limit=5&tag=a&tag=b',
+      header: ['x-tenant: acme'],
+      cookie: [],
+    });
+    expect(
+      buildOperationRequest(findOperation(spec, 'getUser'), { id: '5' }, { baseUrl }).url,
+    ).toBe('http://localhost:3000/v1/users/5');
+  });
+
+  it('should reject unknown, missing and invalid parameters', () => {
+    const getUser = findOperation(spec, 'getUser');
+    expect(() => buildOperationRequest(getUser, {})).toThrow(
+      'Missing required parameter for getUser: id (path, required)',
+    );
+    expect(() => buildOperationRequest(getUser, { id: '5', page: '2' })).toThrow(
+      'Unknown parameter "page"',
+    );
+    expect(() => buildOperationRequest(getUser, { id: 'abc' })).toThrow(
+      'path parameter id: expected integer, got "abc"',
+    );
+    expect(buildOperationRequest(getUser, { id: 'abc' }, { validate: false }).url).toMatch(
+      /\/users\/abc$/,
+    );
+  });
+});
+
+describe('inferSpecMethod', () => {
+  it('should take the documented method for a URL', () => {
+    const url = 'https://api.example.com/v1/users';
+    expect(inferSpecMethod(spec, `${url}/me`, false)).toBe('GET');
+    expect(inferSpecMethod(spec, `${url}/7`, true)).toBe('PUT');
+    expect(inferSpecMethod(spec, url, true)).toBe('POST');
+    expect(inferSpecMethod(spec, url, false)).toBe('GET');
+  });
+
+  it('should never infer unsafe methods for a bare URL', () => {
+    const url = 'https://api.example.com/v1/users';
+    expect(inferSpecMethod(spec, `${url}/7/archive`, false)).toBeUndefined();
+    const deleteOnly = parseSpec(
+      'openapi: 3.0.3\npaths:\n  /users/{id}:\n    delete:\n      responses: {}',
+      'api.yaml',
+    );
+    expect(inferSpecMethod(deleteOnly, 'https://api.example.com/users/5', false)).toBeUndefined();
+    expect(inferSpecMethod(deleteOnly, 'https://api.example.com/users/5', true)).toBeUndefined();
+    expect(inferSpecMethod(spec, 'https://api.example.com/v2/other', false)).toBeUndefined();
+  });
+});
+
+describe('validateSchema', () => {
+  const user = { $ref: '#/components/schemas/User' };
+
+  it('should report precise violations', () => {
+    expect(
+      validateSchema([{ id: '7', name: '', email: 'nope', admin: true }], { items: user }, spec),
+    ).toEqual([
+      { path: '$[0].id', message: 'expected integer, got "7"' },
+      { path: '$[0].name', message: 'expected at least 1 character, got 0' },
+      { path: '$[0].email', message: 'expected format "email", got "nope"' },
+      { path: '$[0].admin', message: 'unexpected property (additionalProperties is false)' },
+    ]);
+  });
+
+  it('should report patterns the spec gets wrong', () => {
+    expect(validateSchema('a#', { type: 'string', pattern: '[\\w\\#]' }, spec)).toEqual([
+      {
+        path: '$',
+        message: expect.stringContaining('cannot check pattern /[\\w\\#]/: invalid in the spec'),
+      },
+    ]);
+  });
+
+  it('should honour nullable and readOnly', () => {
+    expect(
+      validateSchema({ name: 'a', email: null }, user, spec, { direction: 'request' }),
+    ).toEqual([]);
+    expect(validateSchema({ name: 'a' }, user, spec)).toEqual([
+      { path: '$', message: 'missing required property "id"' },
+    ]);
+  });
+
+  it('should pick oneOf branches by discriminator', () => {
+    const shapes = {
+      components: {
+        schemas: {
+          Circle: { type: 'object', required: ['radius'] },
+          Square: { type: 'object', required: ['side'] },
+        },
+      },
+    };
+    const shape = {
+      oneOf: [{ $ref: '#/components/schemas/Circle' }, { $ref: '#/components/schemas/Square' }],
+      discriminator: { propertyName: 'kind' },
+    };
+    expect(validateSchema({ kind: 'Circle', side: 1 }, shape, shapes)).toEqual([
+      { path: '$', message: 'missing required property "radius"' },
+    ]);
+    expect(validateSchema({ kind: 'Hexagon' }, shape, shapes)).toEqual([
+      { path: '$.kind', message: '"Hexagon" does not select any of the oneOf schemas' },
+    ]);
+  });
+});
+
+describe('validateResponse', () => {
+  it('should flag undocumented statuses', () => {
+    expect(
+      validateResponse(findOperation(spec, 'archiveUser'), { status: 500, headers: {}, data: '' })
+        .violations,
+    ).toEqual([{ path: 'status', message: '500 is not documented (documented: 204)' }]);
+  });
+});
+
+describe('requests with --spec', () => {
+  let server;
+  let baseUrl;
+  let dir;
+  let file;
+  const received = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      received.push(`${req.method} ${req.url}`);
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ id: 7, name: 'Ann', role: 'admin' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-openapi-'));
+    file = path.join(dir, 'api.yaml');
+    fs.writeFileSync(file, SPEC);
+  });
+
+  afterAll(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should take the method from the spec and validate the response', async () => {
+    const result = await executeRequest({ url: `${baseUrl}/users/7`, spec: file, silent: true });
+    expect(result.validation).toEqual({
+      operationId: 'getUser',
+      violations: [
+        { path: '$.role', message: 'unexpected property (additionalProperties is false)' },
+      ],
+    });
+
+    await executeRequest({
+      url: `${baseUrl}/users/7`,
+      data: '{"name": "Bo"}',
+      spec: file,
+      silent: true,
+    });
+    expect(received).toEqual(['GET /v1/users/7', 'PUT /v1/users/7']);
+  });
+
+  it('should not send request bodies that break the schema', async () => {
+    await expect(
+      executeRequest({
+        url: `${baseUrl}/users`,
+        data: '{"name": 1}',
+        spec: file,
+        silent: true,
+      }),
+    ).rejects.toMatchObject({
+      code: 'SCHEMA_VIOLATION',
+      message: expect.stringContaining('$.name: expected string, got 1'),
+    });
+    expect(received).toHaveLength(2);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  describeBinaryResult,
+  formatHeadResult,
+  formatOptionsResult,
+  formatResult,
+} from '../src/output.js';
+
+describe('formatHeadResult', () => {
+  it('should print the status line and headers only', () => {
+    const output = formatHeadResult({
+      method: 'HEAD',
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-length': '42', 'set-cookie': ['a=1', 'b=2'] },
+      data: '',
+    });
+
+    expect(output).toBe('HTTP 200 OK\ncontent-length: 42\nset-cookie: a=1\nset-cookie: b=2');
+  });
+});
+
+describe('formatOptionsResult', () => {
+  it('should summarise Allow and CORS headers', () => {
+    const output = formatOptionsResult({
+      method: 'OPTIONS',
+      status: 204,
+      headers: {
+        allow: 'GET, POST',
+        'access-control-allow-origin': '*',
+        'access-control-max-age': '600',
+      },
+    });
+
+    expect(output).toBe('HTTP 204\nAllow: GET, POST\nCORS:\n  Allow-Origin: *\n  Max-Age: 600');
+  });
+
+  it('should note missing Allow and CORS headers', () => {
+    const output = formatOptionsResult({ method: 'OPTIONS', status: 200, headers: {} });
+
+    expect(output).toContain('Allow: (not provided)');
+    expect(output).toContain('CORS: no access-control-* headers returned');
+  });
+});
+
+describe('formatResult', () => {
+  it('should pretty-print JSON bodies', () => {
+    expect(formatResult({ method: 'GET', data: { id: 1 } })).toBe('{\n  "id": 1\n}');
+  });
+
+  it('should dispatch on the request method', () => {
+    expect(formatResult({ method: 'HEAD', status: 404, headers: {} })).toBe('HTTP 404');
+  });
+
+  it('should return binary bodies untouched', () => {
+    const result = {
+      method: 'GET',
+      headers: { 'content-type': 'image/png' },
+      data: Buffer.from([0, 1]),
+    };
+
+    expect(formatResult(result)).toBe(result.data);
+    expect(describeBinaryResult(result)).toBe('[binary body: image/png, 2 bytes]');
+  });
+});
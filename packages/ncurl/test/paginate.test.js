@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import {
+  formatPageLines,
+  nextPageUrl,
+  paginate,
+  parseLinkNext,
+  resolveStrategy,
+} from '../src/paginate.js';
+
+describe('resolveStrategy', () => {
+  it('should default to link and infer cursor from --cursor-path', () => {
+    expect(resolveStrategy({ paginate: true })).toBe('link');
+    expect(resolveStrategy({ paginate: true, cursorPath: '$.next' })).toBe('cursor');
+    expect(resolveStrategy({ paginate: 'offset' })).toBe('offset');
+    expect(() => resolveStrategy({ paginate: 'scroll' })).toThrow('Unknown --paginate strategy');
+    expect(() => resolveStrategy({ paginate: 'cursor' })).toThrow('needs --cursor-path');
+  });
+});
+
+describe('parseLinkNext', () => {
+  it('should find rel="next" among several links', () => {
+    const link =
+      '<https://api.io/users?page=1>; rel="first", <https://api.io/users?page=3>; rel="next"';
+    expect(parseLinkNext(link, 'https://api.io/users?page=2')).toBe('https://api.io/users?page=3');
+    expect(parseLinkNext('</users?page=2>; rel=next', 'https://api.io/users')).toBe(
+      'https://api.io/users?page=2',
+    );
+    expect(parseLinkNext('<https://api.io/users?page=1>; rel="prev"', 'https://api.io')).toBeNull();
+    expect(parseLinkNext(undefined, 'https://api.io')).toBeNull();
+  });
+});
+
+describe('nextPageUrl', () => {
+  const url = 'https://api.io/items?limit=2';
+
+  it('should follow cursors until they run out or repeat', () => {
+    const options = { cursorPath: '$.meta.next' };
+    const page = cursor => ({ headers: {}, data: { meta: { next: cursor } } });
+    expect(nextPageUrl('cursor', url, page('abc'), null, options)).toBe(
+      'https://api.io/items?limit=2&cursor=abc',
+    );
+    expect(nextPageUrl('cursor', url, page(null), null, options)).toBeNull();
+    expect(nextPageUrl('cursor', `${url}&cursor=abc`, page('abc'), null, options)).toBeNull();
+  });
+
+  it('should advance page numbers and offsets until a page is empty', () => {
+    expect(nextPageUrl('page', url, {}, [1, 2], {})).toBe('https://api.io/items?limit=2&page=2');
+    expect(nextPageUrl('offset', `${url}&skip=4`, {}, [1, 2], { pageParam: 'skip' })).toBe(
+      'https://api.io/items?limit=2&skip=6',
+    );
+    expect(nextPageUrl('page', url, {}, [], {})).toBeNull();
+    expect(() => nextPageUrl('page', url, {}, null, {})).toThrow('add --items');
+  });
+});
+
+describe('formatPageLines', () => {
+  it('should print items, or whole pages, as JSON lines', () => {
+    expect(formatPageLines({ data: {}, items: [{ id: 1 }, { id: 2 }] })).toEqual([
+      '{"id":1}',
+      '{"id":2}',
+    ]);
+    expect(formatPageLines({ data: { ok: true }, items: null })).toEqual(['{"ok":true}']);
+    expect(
+      formatPageLines({ data: {}, items: [{ id: 1, name: 'a' }] }, { query: '.name', raw: true }),
+    ).toEqual(['a']);
+  });
+});
+
+describe('paginate', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, baseUrl);
+      const page = Number(url.searchParams.get('page') || 1);
+      res.setHeader('content-type', 'application/json');
+      if (url.pathname === '/users') {
+        // Three pages of two users, chained with Link headers
+        if (page < 3) {
+          res.setHeader('link', `</users?page=${page + 1}>; rel="next"`);
+        }
+        res.end(JSON.stringify({ data: [page * 2 - 1, page * 2] }));
+        return;
+      }
+      if (url.pathname === '/offsite') {
+        res.setHeader('link', '<https://evil.example/users?page=2>; rel="next"');
+        res.end(JSON.stringify({ data: [1] }));
+        return;
+      }
+      if (url.pathname === '/events') {
+        const cursor = Number(url.searchParams.get('cursor') || 0);
+        res.end(JSON.stringify({ events: [cursor], next_cursor: cursor < 2 ? cursor + 1 : null }));
+        return;
+      }
+      res.statusCode = 500;
+      res.end('{}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should concatenate --items across Link header pages', async () => {
+    const pages = [];
+    const result = await paginate({
+      url: `${baseUrl}/users`,
+      paginate: true,
+      items: '$.data',
+      silent: true,
+      onPage: page => pages.push(page.page),
+    });
+    expect(result.data).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(result.pagination).toEqual({
+      strategy: 'link',
+      pages: 3,
+      items: 6,
+      stoppedBy: 'last-page',
+    });
+    expect(pages).toEqual([1, 2, 3]);
+  });
+
+  it('should follow cursors and collect whole pages without --items', async () => {
+    const result = await paginate({
+      url: `${baseUrl}/events`,
+      paginate: true,
+      cursorPath: '$.next_cursor',
+      silent: true,
+    });
+    expect(result.data.map(page => page.events[0])).toEqual([0, 1, 2]);
+    expect(result.pagination).toMatchObject({
+      strategy: 'cursor',
+      pages: 3,
+      stoppedBy: 'last-page',
+    });
+  });
+
+  it('should stop at --max-pages', async () => {
+    const result = await paginate({
+      url: `${baseUrl}/users`,
+      paginate: 'link',
+      items: '$.data',
+      maxPages: '2',
+      silent: true,
+    });
+    expect(result.data).toEqual([1, 2, 3, 4]);
+    expect(result.pagination.stoppedBy).toBe('max-pages');
+  });
+
+  it('should not follow next links to another origin', async () => {
+    const result = await paginate({
+      url: `${baseUrl}/offsite`,
+      paginate: true,
+      items: '$.data',
+      bearer: 'secret',
+      silent: true,
+    });
+    expect(result.data).toEqual([1]);
+    expect(result.pagination.stoppedBy).toBe('cross-origin');
+  });
+
+  it('should fail on HTTP error pages', async () => {
+    await expect(
+      paginate({ url: `${baseUrl}/broken`, paginate: true, silent: true }),
+    ).rejects.toMatchObject({ code: 'HTTP_ERROR', response: { status: 500 } });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  applyProfile,
+  findConfigFiles,
+  mergeProfile,
+  parseConfig,
+  resolveProfileUrl,
+} from '../src/profile.js';
+
+describe('parseConfig', () => {
+  it('should parse YAML profiles', () => {
+    const yaml = [
+      '# profiles for the payments API',
+      'default: dev',
+      'profiles:',
+      '  dev:',
+      '    baseUrl: http://localhost:3000/api  # local',
+      '    timeout: 5000',
+      '    headers:',
+      "      x-note: 'a # not a comment'",
+    ].join('\n');
+
+    expect(parseConfig(yaml, '.ncurlrc')).toEqual({
+      default: 'dev',
+      profiles: {
+        dev: {
+          baseUrl: 'http://localhost:3000/api',
+          timeout: 5000,
+          headers: { 'x-note': 'a # not a comment' },
+        },
+      },
+    });
+    expect(parseConfig('', '.ncurlrc')).toEqual({ default: undefined, profiles: {} });
+    expect(() => parseConfig('profiles:\n  a: 1\n   b: 2', '.ncurlrc')).toThrow('Invalid .ncurlrc');
+  });
+
+  it('should accept JSON and reject unknown profile settings', () => {
+    const config = parseConfig('{"profiles":{"prod":{"baseUrl":"https://api.io"}}}', '.ncurlrc');
+    expect(config.profiles.prod.baseUrl).toBe('https://api.io');
+
+    expect(() =>
+      parseConfig('profiles:\n  prod:\n    baseURL: https://api.io', '.ncurlrc.yml'),
+    ).toThrow('unknown setting "baseURL" in profile "prod"');
+  });
+});
+
+describe('mergeProfile', () => {
+  it('should let command-line options and headers win', () => {
+    const merged = mergeProfile(
+      { url: '/users', timeout: '1000', header: ['X-Team: cli'] },
+      {
+        baseUrl: 'https://api.io',
+        timeout: 5000,
+        bearer: 'env:TOKEN',
+        headers: { 'x-team': 'p', a: 'b' },
+      },
+    );
+
+    expect(merged).toEqual({
+      url: '/users',
+      timeout: '1000',
+      baseUrl: 'https://api.io',
+      bearer: 'env:TOKEN',
+      header: ['a: b', 'X-Team: cli'],
+    });
+  });
+});
+
+describe('resolveProfileUrl', () => {
+  it('should join paths onto the base URL', () => {
+    expect(resolveProfileUrl('/users?page=2', 'https://api.io/v1/')).toBe(
+      'https://api.io/v1/users?page=2',
+    );
+    expect(resolveProfileUrl('https://other.io/x', 'https://api.io')).toBe('https://other.io/x');
+    expect(() => resolveProfileUrl('/users')).toThrow('is a path without a host');
+  });
+});
+
+describe('profile files', () => {
+  let root;
+  let home;
+  let project;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-profile-'));
+    home = path.join(root, 'home');
+    project = path.join(root, 'work', 'app', 'src');
+    fs.mkdirSync(home, { recursive: true });
+    fs.mkdirSync(project, { recursive: true });
+    fs.writeFileSync(
+      path.join(home, '.ncurlrc'),
+      'profiles:\n  staging:\n    baseUrl: https://home.example\n  prod:\n    baseUrl: https://prod.example\n',
+    );
+    fs.writeFileSync(
+      path.join(root, 'work', '.ncurlrc.json'),
+      JSON.stringify({
+        default: 'staging',
+        profiles: { staging: { baseUrl: 'https://staging.example', cacert: 'certs/ca.pem' } },
+      }),
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should find the home file and the nearest project file', () => {
+    expect(findConfigFiles(project, home)).toEqual([
+      path.join(home, '.ncurlrc'),
+      path.join(root, 'work', '.ncurlrc.json'),
+    ]);
+  });
+
+  it('should select profiles by option, environment and default', async () => {
+    const context = { cwd: project, home, env: {} };
+    const warn = jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await applyProfile({}, context)).baseUrl).toBe('https://staging.example');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('changes baseUrl'));
+    warn.mockRestore();
+    expect((await applyProfile({ profile: 'prod' }, context)).baseUrl).toBe('https://prod.example');
+    expect((await applyProfile({}, { ...context, env: { NCURL_PROFILE: 'prod' } })).baseUrl).toBe(
+      'https://prod.example',
+    );
+  });
+
+  it('should resolve file settings against the rc file directory', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const options = await applyProfile({ profile: 'staging' }, { cwd: project, home, env: {} });
+    expect(options.cacert).toBe(path.join(root, 'work', 'certs', 'ca.pem'));
+    jest.restoreAllMocks();
+  });
+
+  it('should warn when a project profile replaces a home profile, even when selected', async () => {
+    const warn = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const context = { cwd: project, home, env: {} };
+
+    await applyProfile({ profile: 'staging' }, context);
+    await applyProfile({}, { ...context, env: { NCURL_PROFILE: 'staging' } });
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(warn.mock.calls[0][0]).toBe(
+      `[ncurl] WARNING: profile "staging" from ${path.join(root, 'work', '.ncurlrc.json')} replaces the one in ${path.join(home, '.ncurlrc')} and changes baseUrl. Check this project file if you did not write it`,
+    );
+
+    warn.mockClear();
+    await applyProfile({ profile: 'staging', baseUrl: 'https://cli.example' }, context);
+    await applyProfile({ profile: 'prod' }, context);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('should list the available profiles for unknown names', async () => {
+    await expect(applyProfile({ profile: 'qa' }, { cwd: project, home, env: {} })).rejects.toThrow(
+      'Available: staging, prod',
+    );
+  });
+});
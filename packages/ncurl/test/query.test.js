@@ -0,0 +1,77 @@
+import { describe, it, expect } from '@jest/globals';
+import { evaluateQuery, formatQueryOutput, queryJsonPath } from '../src/query.js';
+
+const DATA = {
+  data: [
+    { id: 1, name: 'Ada', role: 'admin', price: 5 },
+    { id: 2, name: 'Grace', role: 'user', price: 15 },
+    { id: 3, name: 'Linus', role: 'admin', price: 25 },
+  ],
+  meta: { total: 3, 'next-page': null },
+};
+
+describe('queryJsonPath', () => {
+  it('should return the value of plain paths', () => {
+    expect(queryJsonPath(DATA, '$.data[0].name')).toBe('Ada');
+    expect(queryJsonPath(DATA, '$.data[-1].id')).toBe(3);
+    expect(queryJsonPath(DATA, "$.meta['next-page']")).toBeNull();
+    expect(queryJsonPath(DATA, '$.data.length')).toBe(3);
+    expect(queryJsonPath(DATA, '$.missing.deeper')).toBeUndefined();
+    expect(queryJsonPath(DATA, '$')).toBe(DATA);
+  });
+
+  it('should return arrays for wildcards, descendants and filters', () => {
+    expect(queryJsonPath(DATA, '$.data[*].id')).toEqual([1, 2, 3]);
+    expect(queryJsonPath(DATA, '$..total')).toEqual([3]);
+    expect(queryJsonPath(DATA, '$.data[?(@.price < 20)].name')).toEqual(['Ada', 'Grace']);
+    expect(queryJsonPath(DATA, "$.data[?(@.role == 'admin')].id")).toEqual([1, 3]);
+    expect(queryJsonPath(DATA, '$.data[?(@.role == "admin")].id')).toEqual([1, 3]);
+  });
+});
+
+describe('evaluateQuery', () => {
+  const jq = expression => evaluateQuery(DATA, expression);
+
+  it('should access fields and indexes', () => {
+    expect(jq('.meta.total')).toEqual([3]);
+    expect(jq('.data[1].name')).toEqual(['Grace']);
+    expect(jq('.data[-1]["name"]')).toEqual(['Linus']);
+    expect(jq('.nothing.here')).toEqual([null]);
+  });
+
+  it('should iterate, pipe and collect', () => {
+    expect(jq('.data[] | .id')).toEqual([1, 2, 3]);
+    expect(jq('[.data[] | .name]')).toEqual([['Ada', 'Grace', 'Linus']]);
+    expect(jq('.meta | .total, .["next-page"]')).toEqual([3, null]);
+  });
+
+  it('should support map, select, length and keys', () => {
+    expect(jq('.data | map(.price)')).toEqual([[5, 15, 25]]);
+    expect(jq('.data | map(select(.role == "admin" and .price > 10)) | map(.name)')).toEqual([
+      ['Linus'],
+    ]);
+    expect(jq('.data[] | select(.price >= 15 or .id == 1) | .id')).toEqual([1, 2, 3]);
+    expect(jq('.data | length')).toEqual([3]);
+    expect(jq('.meta | keys')).toEqual([['next-page', 'total']]);
+    expect(jq('.data[] | select(.role == "user" | not) | .id')).toEqual([1, 3]);
+  });
+
+  it('should dispatch $ expressions to JSONPath', () => {
+    expect(jq('$.data[1].role')).toEqual(['user']);
+    expect(jq('$.missing')).toEqual([null]);
+  });
+
+  it('should report syntax and type errors with the expression', () => {
+    expect(() => jq('.data[')).toThrow('Invalid --query ".data["');
+    expect(() => jq('.meta.total.x')).toThrow('cannot index number with "x"');
+    expect(() => jq('.data | frobnicate')).toThrow('unknown function "frobnicate"');
+  });
+});
+
+describe('formatQueryOutput', () => {
+  it('should print one value per line and unquote strings with raw', () => {
+    expect(formatQueryOutput(['a', 1])).toBe('"a"\n1');
+    expect(formatQueryOutput(['a', 1], true)).toBe('a\n1');
+    expect(formatQueryOutput([{ a: 1 }], true)).toBe('{\n  "a": 1\n}');
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  computeBackoff,
+  createRetryPolicy,
+  normalizeErrorCode,
+  parseRetryAfter,
+  withRetry,
+} from '../src/retry.js';
+
+function fakeResponse(statusCode, headers = {}) {
+  return { statusCode, headers, body: { dump: async () => {} } };
+}
+
+function networkError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+describe('createRetryPolicy', () => {
+  it('should parse status and error codes', () => {
+    const policy = createRetryPolicy({ retry: '2', retryOn: '503, econnreset' }, 'GET');
+
+    expect(policy.retries).toBe(2);
+    expect([...policy.statuses]).toEqual([503]);
+    expect([...policy.codes]).toEqual(['ECONNRESET']);
+    expect(policy.allowed).toBe(true);
+  });
+
+  it('should refuse non-idempotent methods unless --retry-unsafe is given', () => {
+    expect(createRetryPolicy({ retry: 2 }, 'POST').allowed).toBe(false);
+    expect(createRetryPolicy({ retry: 2, retryUnsafe: true }, 'POST').allowed).toBe(true);
+  });
+
+  it('should reject invalid retry counts', () => {
+    expect(() => createRetryPolicy({ retry: 'many' })).toThrow('Invalid --retry value');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should accept delta seconds and HTTP dates', () => {
+    const now = Date.parse('Mon, 19 Oct 2026 10:00:00 GMT');
+
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('Mon, 19 Oct 2026 10:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter('soon')).toBeUndefined();
+    expect(parseRetryAfter(undefined)).toBeUndefined();
+  });
+});
+
+describe('computeBackoff', () => {
+  it('should double the delay per attempt with jitter', () => {
+    expect(computeBackoff(1, 100, () => 0)).toBe(50);
+    expect(computeBackoff(3, 100, () => 1)).toBe(400);
+  });
+
+  it('should cap the backoff', () => {
+    expect(computeBackoff(20, 1000, () => 1)).toBe(30000);
+  });
+});
+
+describe('normalizeErrorCode', () => {
+  it('should map undici socket errors to ECONNRESET', () => {
+    expect(normalizeErrorCode(networkError('UND_ERR_SOCKET'))).toBe('ECONNRESET');
+    expect(normalizeErrorCode(networkError('ENOTFOUND'))).toBe('ENOTFOUND');
+  });
+});
+
+describe('withRetry', () => {
+  const policy = options => createRetryPolicy({ retry: 2, retryDelay: 0, ...options }, 'GET');
+
+  it('should retry listed statuses until success', async () => {
+    const responses = [
+      fakeResponse(503),
+      fakeResponse(429, { 'retry-after': '0' }),
+      fakeResponse(200),
+    ];
+    const response = await withRetry(async () => responses.shift(), policy());
+
+    expect(response.statusCode).toBe(200);
+  });
+
+  it('should return the last response when retries are exhausted', async () => {
+    const response = await withRetry(async () => fakeResponse(503), policy({ retry: 1 }));
+
+    expect(response.statusCode).toBe(503);
+  });
+
+  it('should retry listed network errors and annotate the final error', async () => {
+    let calls = 0;
+    const operation = async () => {
+      calls++;
+      throw networkError('UND_ERR_SOCKET');
+    };
+
+    await expect(withRetry(operation, policy())).rejects.toMatchObject({ attempts: 3 });
+    expect(calls).toBe(3);
+  });
+
+  it('should not retry unsafe methods', async () => {
+    let calls = 0;
+    const operation = async () => {
+      calls++;
+      throw networkError('ECONNRESET');
+    };
+    const unsafe = createRetryPolicy({ retry: 2, retryDelay: 0 }, 'POST');
+
+    await expect(withRetry(operation, unsafe)).rejects.toMatchObject({ retryRefused: true });
+    expect(calls).toBe(1);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, expect, it } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { createTimer, formatTimings, formatWriteOut } from '../src/timing.js';
+
+const result = {
+  method: 'GET',
+  status: 200,
+  url: 'https://api.example.com/users',
+  headers: { 'content-type': 'application/json', 'x-request-id': 'abc' },
+  size: 2000,
+  remoteAddress: '10.0.0.5',
+  remotePort: 443,
+  timings: { dns: 10, connect: 20, tls: 30, wait: 100, transfer: 40, total: 200 },
+};
+
+describe('createTimer', () => {
+  it('should split a new connection into phases that add up to the total', () => {
+    const timer = createTimer();
+    const socket = new EventEmitter();
+    Object.assign(socket, { remoteAddress: '127.0.0.1', remotePort: 8080 });
+
+    timer.start();
+    timer.watch(socket);
+    socket.emit('lookup');
+    socket.emit('connect');
+    timer.mark('firstByte');
+    timer.mark('end');
+
+    const timings = timer.summary();
+    const phases = timings.dns + timings.connect + timings.tls + timings.wait + timings.transfer;
+    expect(phases).toBeCloseTo(timings.total, 6);
+    expect(timings.tls).toBe(0);
+    expect(timer.remote).toEqual({ address: '127.0.0.1', port: 8080 });
+  });
+
+  it('should report no connection phases for a reused connection', () => {
+    const timer = createTimer();
+    timer.start();
+    timer.mark('firstByte');
+    timer.mark('end');
+
+    expect(timer.summary()).toMatchObject({ dns: 0, connect: 0, tls: 0 });
+  });
+});
+
+describe('formatTimings', () => {
+  it('should list every phase', () => {
+    expect(formatTimings(result.timings)).toBe(
+      'dns 10.0ms, connect 20.0ms, tls 30.0ms, wait 100.0ms, transfer 40.0ms, total 200.0ms',
+    );
+  });
+});
+
+describe('formatWriteOut', () => {
+  it('should render curl variables as cumulative seconds', () => {
+    const { stdout } = formatWriteOut(
+      '%{http_code} %{time_namelookup} %{time_connect} %{time_appconnect} %{time_starttransfer} %{time_total}\\n',
+      result,
+    );
+    expect(stdout).toBe('200 0.01 0.03 0.06 0.16 0.2\n');
+  });
+
+  it('should render headers, literals and stream switches', () => {
+    const output = formatWriteOut(
+      '%{header{X-Request-Id}} 100%% %{size_download}B %{speed_download}%{stderr}%{remote_ip}:%{remote_port}',
+      result,
+    );
+    expect(output).toEqual({ stdout: 'abc 100% 2000B 10000', stderr: '10.0.0.5:443' });
+  });
+
+  it('should render all variables as JSON', () => {
+    const json = JSON.parse(formatWriteOut('%{json}', result).stdout);
+    expect(json).toMatchObject({
+      http_code: 200,
+      content_type: 'application/json',
+      time_total: 0.2,
+    });
+  });
+
+  it('should reject unknown variables', () => {
+    expect(() => formatWriteOut('%{time_magic}', result)).toThrow(
+      'Unknown --write-out variable %{time_magic}',
+    );
+  });
+});
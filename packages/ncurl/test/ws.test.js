@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { formatFrame, parseExpectation, runWebSocket, toWebSocketUrl } from '../src/ws.js';
+
+/**
+ * Encode an unmasked server frame
+ */
+const frame = (opcode, payload) => {
+  const body = Buffer.from(payload);
+  return Buffer.concat([Buffer.from([0x80 | opcode, body.length]), body]);
+};
+
+/**
+ * Minimal echo server: greets, echoes text frames and closes on "bye"
+ */
+const createEchoServer = () => {
+  const server = http.createServer((_req, res) => res.writeHead(426).end());
+  server.on('upgrade', (req, socket) => {
+    if (req.url === '/private' && req.headers.authorization !== 'Bearer s3cret') {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nContent-Length: 0\r\n\r\n');
+      return;
+    }
+    const accept = crypto
+      .createHash('sha1')
+      .update(`${req.headers['sec-websocket-key']}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`)
+      .digest('base64');
+    socket.write(
+      `HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`,
+    );
+    socket.write(frame(1, JSON.stringify({ type: 'welcome', cookie: req.headers.cookie })));
+    socket.on('data', chunk => {
+      // Client frames are short and masked: [fin/opcode, 0x80 | length, mask x4, payload]
+      const opcode = chunk[0] & 15;
+      const mask = chunk.subarray(2, 6);
+      const text = Buffer.from(
+        chunk.subarray(6, 6 + (chunk[1] & 127)).map((byte, i) => byte ^ mask[i % 4]),
+      ).toString();
+      if (opcode === 8 || text === 'bye') {
+        socket.end(frame(8, Buffer.from([3, 232])));
+      } else if (opcode === 1) {
+        socket.write(frame(1, `echo: ${text}`));
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return server;
+};
+
+describe('toWebSocketUrl', () => {
+  it('should normalize schemes', () => {
+    expect(toWebSocketUrl('wss://api.io/socket')).toBe('wss://api.io/socket');
+    expect(toWebSocketUrl('http://localhost:8080/ws')).toBe('ws://localhost:8080/ws');
+    expect(toWebSocketUrl('api.io/socket')).toBe('wss://api.io/socket');
+    expect(toWebSocketUrl('/socket', 'https://api.io/v1')).toBe('wss://api.io/v1/socket');
+  });
+});
+
+describe('parseExpectation', () => {
+  it('should match text, regular expressions and JSON assertions', () => {
+    expect(parseExpectation('pong').test('pong')).toBe(true);
+    expect(parseExpectation('pong').test('ping pong')).toBe(false);
+    expect(parseExpectation('/^echo: /').test('echo: hi')).toBe(true);
+    const json = parseExpectation('$.type == "pong"');
+    expect(json.assertion).toBe('message $.type == "pong"');
+    expect(json.test('{"type":"pong"}')).toBe(true);
+    expect(json.test('not json')).toBe(false);
+  });
+
+  it('should reject malformed expectations', () => {
+    expect(() => parseExpectation('/(/')).toThrow('Invalid --expect pattern');
+    expect(() => parseExpectation('$.a is 1')).toThrow('Invalid --expect "$.a is 1"');
+  });
+});
+
+describe('formatFrame', () => {
+  const date = new Date('2024-01-01T12:34:56.789Z');
+
+  it('should timestamp frames and pretty-print JSON', () => {
+    expect(formatFrame('hello', '<', date)).toBe('12:34:56.789 < hello');
+    expect(formatFrame('{"a":1}', '>', date)).toBe('12:34:56.789 > {\n  "a": 1\n}');
+    expect(formatFrame(Buffer.from([1, 2, 255]), '<', date)).toBe(
+      '12:34:56.789 < (binary, 3 bytes) 0102ff',
+    );
+  });
+});
+
+describe('runWebSocket', () => {
+  let server;
+  let baseUrl;
+  let dir;
+
+  beforeAll(async () => {
+    server = createEchoServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ncurl-ws-'));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should send messages and stop once every expectation matched', async () => {
+    const output = path.join(dir, 'transcript.txt');
+    const result = await runWebSocket(`${baseUrl}/chat`, {
+      messages: ['hi'],
+      expect: ['$.type == "welcome"', 'echo: hi'],
+      cookie: ['sid=abc'],
+      output,
+      silent: true,
+      stdin: false,
+    });
+    expect(result).toMatchObject({ sent: 1, received: 2, closeCode: 1000 });
+    expect(result.assertions.every(assertion => assertion.passed)).toBe(true);
+    expect(fs.readFileSync(output, 'utf8')).toMatch(
+      /< \{\n {2}"type": "welcome",\n {2}"cookie": "sid=abc"\n\}\n.* < echo: hi\n$/,
+    );
+  });
+
+  it('should report unmet expectations when the server closes', async () => {
+    const result = await runWebSocket(`${baseUrl}/chat`, {
+      messages: ['bye'],
+      expect: ['never'],
+      output: path.join(dir, 'bye.txt'),
+      silent: true,
+      stdin: false,
+    });
+    expect(result.assertions).toEqual([
+      {
+        assertion: 'message == "never"',
+        passed: false,
+        expected: 'a matching message',
+        actual: 'no match in 1 messages',
+      },
+    ]);
+  });
+
+  it('should explain rejected upgrades', async () => {
+    await expect(
+      runWebSocket(`${baseUrl}/private`, { messages: ['hi'], silent: true, stdin: false }),
+    ).rejects.toMatchObject({ code: 'HTTP_ERROR', response: { status: 401 } });
+
+    const result = await runWebSocket(`${baseUrl}/private`, {
+      bearer: 's3cret',
+      maxMessages: 1,
+      output: path.join(dir, 'private.txt'),
+      silent: true,
+      stdin: false,
+    });
+    expect(result.received).toBe(1);
+  });
+});